@@ -3,27 +3,41 @@
  * Tracks student performance and adjusts question difficulty automatically
  */
 
-import OpenAI from "openai";
-
-let openai = null;
-
-function getOpenAI() {
-  if (!openai) {
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-  }
-  return openai;
-}
+import {
+  LearningRecommendationsSchema,
+  ProgressStatsSchema,
+} from "../llm/schemas.js";
+import { structuredCompletion } from "../llm/structured.js";
+import {
+  getProgressStore,
+  getTimeframeStart,
+} from "../storage/progress-store.js";
 
 export class AdaptiveLearningAgent {
-  constructor() {
+  constructor(options = {}) {
+    this.store = options.store || getProgressStore();
+
     this.performanceThresholds = {
       increase: 0.8, // 80% correct to increase difficulty
       decrease: 0.4, // 40% correct to decrease difficulty
       minimum: 0.6, // 60% minimum for staying at current level
     };
 
+    // Answer times, relative to the time a prepared candidate needs
+    this.timingThresholds = {
+      slow: 2, // correct after 2x the expected time: shaky knowledge
+      guess: 0.2, // wrong within 20% of the expected time: likely a guess
+      slowCorrectWeight: 0.5, // a slow correct answer counts half
+    };
+
+    // Expected seconds per question type when the question has no time limit
+    this.expectedSeconds = {
+      mcq: 45,
+      short: 120,
+      code: 300,
+      default: 90,
+    };
+
     this.difficultyLevels = {
       beginner: {
         name: "Beginner",
@@ -84,6 +98,7 @@ export class AdaptiveLearningAgent {
       testResults,
       currentDifficulty = "junior",
       subject = "general",
+      gradeId,
     } = args;
 
     if (!testResults || !Array.isArray(testResults)) {
@@ -93,24 +108,55 @@ export class AdaptiveLearningAgent {
     try {
       // Analyze current performance
       const analysis = this.analyzePerformance(testResults, subject);
+      const timing = this.analyzeTiming(testResults, subject);
 
-      // Get difficulty recommendation
+      // Get difficulty recommendation; with timings, slow correct answers count less
       const difficultyRecommendation = this.calculateDifficultyAdjustment(
-        analysis.accuracy,
+        timing.timedQuestions > 0 ? timing.adjustedAccuracy : analysis.accuracy,
         currentDifficulty,
         analysis.weakAreas
       );
+      if (timing.slowCorrect > 0) {
+        difficultyRecommendation.reason += ` ${timing.slowCorrect} correct answer${
+          timing.slowCorrect === 1 ? " was" : "s were"
+        } slow and counted half.`;
+      }
 
-      // Generate focus areas for next session
-      const focusAreas = this.generateFocusAreas(analysis.mistakes, subject);
+      // Generate focus areas for next session; shaky areas need practice too
+      const focusAreas = this.generateFocusAreas(
+        [
+          ...analysis.mistakes,
+          ...timing.shakyAreas.map((category) => ({ category })),
+        ],
+        subject
+      );
 
       // Create learning recommendations
       const recommendations = await this.generateLearningRecommendations(
         analysis,
         difficultyRecommendation,
-        focusAreas
+        focusAreas,
+        timing
       );
 
+      await this.store.appendSession(userId, {
+        // Links the session to its stored grade, so reviewer overrides reach it
+        ...(gradeId && { gradeId }),
+        subject,
+        difficulty: currentDifficulty,
+        recommendedDifficulty: difficultyRecommendation.level,
+        results: testResults.map((r) => ({
+          questionId: r.questionId ?? null,
+          correct: Boolean(r.correct),
+          category: r.category || subject,
+          difficulty: r.difficulty || currentDifficulty,
+          type: r.type || null,
+          timeSpent: r.timeSpent ?? null,
+          timeLimit: r.timeLimit ?? null,
+          score: r.score ?? null,
+        })),
+      });
+
       const result = {
         performance: {
           accuracy: analysis.accuracy,
@@ -128,6 +174,7 @@ export class AdaptiveLearningAgent {
         },
         weakAreas: analysis.weakAreas,
         strongAreas: analysis.strongAreas,
+        timing,
         focusAreas: focusAreas,
         recommendations: recommendations,
         nextSessionConfig: {
@@ -200,6 +247,68 @@ export class AdaptiveLearningAgent {
     };
   }
 
+  /**
+   * Timing signals from results with timeSpent (seconds). A correct answer that took
+   * far longer than expected suggests shaky knowledge; a wrong one given much faster
+   * than a question can be read suggests a guess. Untimed results are left out
+   */
+  analyzeTiming(testResults, subject) {
+    const timed = testResults.filter(
+      (r) => typeof r.timeSpent === "number" && r.timeSpent > 0
+    );
+    const slowCorrect = [];
+    const fastWrong = [];
+    let timedOut = 0;
+
+    timed.forEach((result) => {
+      const expected = this.getExpectedSeconds(result);
+      if (result.timeLimit > 0 && result.timeSpent >= result.timeLimit) {
+        timedOut++;
+      }
+      if (
+        result.correct &&
+        result.timeSpent >= expected * this.timingThresholds.slow
+      ) {
+        slowCorrect.push(result);
+      } else if (
+        !result.correct &&
+        result.timeSpent <= expected * this.timingThresholds.guess
+      ) {
+        fastWrong.push(result);
+      }
+    });
+
+    const totalSeconds = timed.reduce((sum, r) => sum + r.timeSpent, 0);
+    const correctCount = testResults.filter((r) => r.correct).length;
+    const slowDiscount =
+      slowCorrect.length * (1 - this.timingThresholds.slowCorrectWeight);
+    const categoriesOf = (results) => [
+      ...new Set(results.map((r) => r.category || subject)),
+    ];
+
+    return {
+      timedQuestions: timed.length,
+      totalSeconds,
+      averageSeconds:
+        timed.length > 0 ? Math.round(totalSeconds / timed.length) : 0,
+      slowCorrect: slowCorrect.length,
+      fastWrong: fastWrong.length,
+      timedOut,
+      shakyAreas: categoriesOf(slowCorrect),
+      guessingAreas: categoriesOf(fastWrong),
+      adjustedAccuracy:
+        testResults.length > 0
+          ? (correctCount - slowDiscount) / testResults.length
+          : 0,
+    };
+  }
+
+  // Half the time limit when there is one, so using it all counts as slow
+  getExpectedSeconds(result) {
+    if (result.timeLimit > 0) return result.timeLimit / 2;
+    return this.expectedSeconds[result.type] || this.expectedSeconds.default;
+  }
+
   categorizePerformance(testResults) {
     const categories = {};
 
@@ -346,7 +455,25 @@ export class AdaptiveLearningAgent {
     return 5; // Very low performers get minimal questions to avoid frustration
   }
 
-  async generateLearningRecommendations(analysis, difficultyRec, focusAreas) {
+  async generateLearningRecommendations(
+    analysis,
+    difficultyRec,
+    focusAreas,
+    timing = null
+  ) {
+    const timingLines = timing?.timedQuestions
+      ? `
+- Average time per question: ${timing.averageSeconds}s
+- Slow correct answers (shaky knowledge): ${timing.slowCorrect}${
+          timing.shakyAreas.length ? ` in ${timing.shakyAreas.join(", ")}` : ""
+        }
+- Fast wrong answers (likely guesses): ${timing.fastWrong}${
+          timing.guessingAreas.length
+            ? ` in ${timing.guessingAreas.join(", ")}`
+            : ""
+        }`
+      : "";
+
     const systemPrompt = `You are an adaptive learning coach for web development. Provide personalized learning recommendations based on performance data.
 
 STUDENT PERFORMANCE:
@@ -354,7 +481,7 @@ STUDENT PERFORMANCE:
 - Weak Areas: ${analysis.weakAreas.join(", ") || "None identified"}
 - Strong Areas: ${analysis.strongAreas.join(", ") || "None identified"}
 - Current Streak: ${analysis.streak} correct
-- Trend: ${analysis.trend}
+- Trend: ${analysis.trend}${timingLines}
 
 DIFFICULTY ADJUSTMENT: ${difficultyRec.adjustment} (${difficultyRec.reason})
 
@@ -370,26 +497,39 @@ Provide specific, actionable recommendations in JSON format:
     const userPrompt = `Generate learning recommendations for a student with the above performance data. Focus on areas that need improvement while acknowledging strengths. Keep recommendations specific and achievable.`;
 
     try {
-      const response = await getOpenAI().chat.completions.create({
-        model: "gpt-4",
-        messages: [
+      return await structuredCompletion(
+        "adaptive-learning",
+        [
           { role: "system", content: systemPrompt },
           { role: "user", content: userPrompt },
         ],
-        max_tokens: 800,
-        temperature: 0.3,
-      });
-
-      const content = response.choices[0]?.message?.content?.trim();
-      return JSON.parse(content);
+        LearningRecommendationsSchema,
+        {
+          model: "gpt-4",
+          maxTokens: 800,
+          temperature: 0.3,
+        }
+      );
     } catch (error) {
-      // Fallback recommendations
+      // Fallback recommendations (also covers output that never passed the schema)
+      const timingAdvice = [];
+      if (timing?.fastWrong > 0) {
+        timingAdvice.push(
+          "Read each question fully before answering - some answers looked like guesses"
+        );
+      }
+      if (timing?.shakyAreas.length > 0) {
+        timingAdvice.push(
+          `Drill ${timing.shakyAreas.join(", ")} until the answers come quickly`
+        );
+      }
       return {
         immediate: [
           `Focus on ${analysis.weakAreas[0] || "fundamentals"}`,
+          ...timingAdvice,
           "Take smaller practice quizzes",
           "Review incorrect answers",
-        ],
+        ].slice(0, 3),
         shortTerm: [
           "Complete daily practice sessions",
           "Work through tutorial exercises",
@@ -425,49 +565,63 @@ Provide specific, actionable recommendations in JSON format:
     }
   }
 
-  async getProgressStats(args) {
-    const { userId = "default", timeframe = "week" } = args;
+  /**
+   * Apply a reviewer's changed grade to the tracked test it came from. The test's
+   * difficulty recommendation is recomputed from the corrected results, and both are
+   * recorded as a correction, so progress stats read the new score from then on
+   * @param {{userId: string, gradeId: string, questionId: string|number, score: number, correct: boolean}} args
+   * @returns {Promise<{sessionsUpdated: number, previousDifficulty?: string, recommendedDifficulty?: string, accuracy?: number}>}
+   */
+  async applyGradeCorrection(args) {
+    const { userId = "default", gradeId, questionId, score, correct } = args;
+
+    const session = (await this.store.listSessions(userId))
+      .filter((s) => gradeId && s.gradeId === gradeId)
+      .pop();
+    // The test was graded but its progress never tracked
+    if (!session) {
+      return { sessionsUpdated: 0 };
+    }
 
-    // This would typically fetch from a database
-    // For now, return sample structure
-    const stats = {
-      overall: {
-        testsCompleted: 15,
-        averageAccuracy: 0.73,
-        totalQuestions: 120,
-        correctAnswers: 88,
-        currentStreak: 5,
-        longestStreak: 8,
-      },
-      byCategory: {
-        html: { accuracy: 0.85, count: 20, trend: "improving" },
-        css: { accuracy: 0.65, count: 25, trend: "stable" },
-        javascript: { accuracy: 0.7, count: 30, trend: "improving" },
-        api: { accuracy: 0.6, count: 15, trend: "declining" },
-      },
-      achievements: [
-        {
-          name: "HTML Master",
-          description: "90%+ accuracy in HTML",
-          unlocked: true,
-        },
-        {
-          name: "Consistency",
-          description: "5 tests in a row",
-          unlocked: true,
-        },
-        {
-          name: "Improver",
-          description: "20% improvement over time",
-          unlocked: false,
-        },
-      ],
-      recommendedNextSteps: [
-        "Focus on API concepts - accuracy below 70%",
-        "Continue JavaScript practice - good improvement trend",
-        "Challenge yourself with intermediate HTML",
-      ],
+    const results = (session.results || []).map((r) =>
+      String(r.questionId) === String(questionId) ? { ...r, correct, score } : r
+    );
+    const analysis = this.analyzePerformance(results, session.subject);
+    const timing = this.analyzeTiming(results, session.subject);
+    const recommendation = this.calculateDifficultyAdjustment(
+      timing.timedQuestions > 0 ? timing.adjustedAccuracy : analysis.accuracy,
+      session.difficulty || "junior",
+      analysis.weakAreas
+    );
+
+    await this.store.appendCorrection(userId, {
+      gradeId,
+      questionId,
+      correct,
+      score,
+      recommendedDifficulty: recommendation.level,
+    });
+
+    return {
+      sessionsUpdated: 1,
+      previousDifficulty: session.recommendedDifficulty,
+      recommendedDifficulty: recommendation.level,
+      accuracy: analysis.accuracy,
     };
+  }
+
+  async getProgressStats(args = {}) {
+    const { userId = "default", timeframe = "week" } = args;
+
+    const sessions = await this.store.listSessions(userId, {
+      since: getTimeframeStart(timeframe),
+    });
+    // Guard the dashboard contract; a failure here is a bug in computeProgressStats
+    const stats = ProgressStatsSchema.parse({
+      userId,
+      timeframe,
+      ...this.computeProgressStats(sessions),
+    });
 
     return {
       content: [
@@ -481,4 +635,178 @@ Provide specific, actionable recommendations in JSON format:
       ],
     };
   }
+
+  computeProgressStats(sessions) {
+    const answers = sessions.flatMap((session) => session.results || []);
+    const totalQuestions = answers.length;
+    const totalCorrect = answers.filter((r) => r.correct).length;
+    const accuracy = totalQuestions > 0 ? totalCorrect / totalQuestions : 0;
+    const toPercent = (value) => Math.round(value * 1000) / 10;
+
+    const categoryPerformance = this.categorizePerformance(answers);
+    const categoryStats = {};
+    const byCategory = {};
+    Object.entries(categoryPerformance).forEach(([category, perf]) => {
+      categoryStats[category] = {
+        correct: perf.correct,
+        total: perf.total,
+        accuracy: toPercent(perf.accuracy),
+      };
+      byCategory[category] = {
+        accuracy: Math.round(perf.accuracy * 100) / 100,
+        count: perf.total,
+        trend: this.calculateTrend(
+          answers.filter((r) => (r.category || "general") === category)
+        ),
+      };
+    });
+
+    const weakAreas = Object.entries(categoryPerformance)
+      .filter(([_, perf]) => perf.accuracy < this.performanceThresholds.minimum)
+      .sort(([, a], [, b]) => a.accuracy - b.accuracy)
+      .map(([category, _]) => category);
+    const strongAreas = Object.entries(categoryPerformance)
+      .filter(
+        ([_, perf]) => perf.accuracy >= this.performanceThresholds.increase
+      )
+      .sort(([, a], [, b]) => b.accuracy - a.accuracy)
+      .map(([category, _]) => category);
+
+    const latest = sessions[sessions.length - 1];
+    const currentDifficulty = latest?.difficulty || "junior";
+    const recommendedDifficulty =
+      latest?.recommendedDifficulty || currentDifficulty;
+
+    const streak = this.calculateStreak(answers);
+    const longestStreak = this.calculateLongestStreak(answers);
+    const improvementTrend = this.calculateTrend(answers);
+    const learningVelocity = this.calculateLearningVelocity(answers);
+
+    const sessionAccuracies = sessions
+      .filter((session) => (session.results || []).length > 0)
+      .map(
+        (session) =>
+          session.results.filter((r) => r.correct).length /
+          session.results.length
+      );
+
+    return {
+      // Flat summary consumed by the progress dashboard
+      totalQuestions,
+      totalCorrect,
+      overallAccuracy: toPercent(accuracy),
+      categoryStats,
+      weakAreas,
+      strongAreas,
+      currentDifficulty,
+      recommendedDifficulty,
+      streak,
+      improvementTrend,
+      learningVelocity,
+      overall: {
+        testsCompleted: sessions.length,
+        averageAccuracy: Math.round(accuracy * 100) / 100,
+        totalQuestions,
+        correctAnswers: totalCorrect,
+        currentStreak: streak,
+        longestStreak,
+      },
+      byCategory,
+      achievements: this.evaluateAchievements(
+        categoryPerformance,
+        sessionAccuracies
+      ),
+      recommendedNextSteps: this.getRecommendedNextSteps(
+        byCategory,
+        weakAreas,
+        strongAreas,
+        recommendedDifficulty
+      ),
+    };
+  }
+
+  calculateLongestStreak(testResults) {
+    let longest = 0;
+    let current = 0;
+    testResults.forEach((result) => {
+      current = result.correct ? current + 1 : 0;
+      longest = Math.max(longest, current);
+    });
+    return longest;
+  }
+
+  // Accuracy of the later half of the answers relative to the earlier half
+  // (1.0 = steady, above 1 = learning faster)
+  calculateLearningVelocity(testResults) {
+    if (testResults.length < 4) return 1.0;
+
+    const middle = Math.floor(testResults.length / 2);
+    const accuracyOf = (results) =>
+      results.filter((r) => r.correct).length / results.length;
+    const earlier = accuracyOf(testResults.slice(0, middle));
+    const later = accuracyOf(testResults.slice(middle));
+
+    if (earlier === 0) return later > 0 ? 2.0 : 1.0;
+    return Math.round(Math.min(later / earlier, 2.0) * 100) / 100;
+  }
+
+  evaluateAchievements(categoryPerformance, sessionAccuracies) {
+    const html = categoryPerformance.html;
+    const first = sessionAccuracies[0];
+    const last = sessionAccuracies[sessionAccuracies.length - 1];
+
+    return [
+      {
+        name: "HTML Master",
+        description: "90%+ accuracy in HTML",
+        unlocked: Boolean(html && html.total >= 5 && html.accuracy >= 0.9),
+      },
+      {
+        name: "Consistency",
+        description: "5 tests in a row",
+        unlocked: sessionAccuracies.length >= 5,
+      },
+      {
+        name: "Improver",
+        description: "20% improvement over time",
+        unlocked: sessionAccuracies.length >= 2 && last - first >= 0.2,
+      },
+    ];
+  }
+
+  getRecommendedNextSteps(
+    byCategory,
+    weakAreas,
+    strongAreas,
+    recommendedDifficulty
+  ) {
+    const steps = [];
+
+    weakAreas.slice(0, 2).forEach((category) => {
+      steps.push(
+        `Focus on ${category} concepts - accuracy below ${Math.round(
+          this.performanceThresholds.minimum * 100
+        )}%`
+      );
+    });
+
+    Object.entries(byCategory)
+      .filter(([_, perf]) => perf.trend === "improving")
+      .slice(0, 1)
+      .forEach(([category]) => {
+        steps.push(`Continue ${category} practice - good improvement trend`);
+      });
+
+    if (strongAreas.length > 0) {
+      steps.push(
+        `Challenge yourself with ${recommendedDifficulty} ${strongAreas[0]} questions`
+      );
+    }
+
+    if (steps.length === 0) {
+      steps.push("Complete a practice test to start tracking your progress");
+    }
+
+    return steps;
+  }
 }
@@ -3,18 +3,39 @@
  * Dedicated agent for providing detailed, pedagogical explanations when answers are wrong
  */
 
-import OpenAI from "openai";
-
-let openai = null;
-
-// Lazy-load OpenAI client
-function getOpenAI() {
-  if (!openai) {
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-  }
-  return openai;
+import {
+  analyzeAnswer,
+  answerLanguage,
+  summarizeFindings,
+} from "../analysis/answer-analysis.js";
+import { buildMessages, chatCompletion } from "../llm/index.js";
+import { AnswerExplanationSchema } from "../llm/schemas.js";
+import {
+  StructuredOutputError,
+  structuredCompletion,
+} from "../llm/structured.js";
+
+// Follow-up threads send the recent turns only, and cap each message
+const MAX_FOLLOW_UP_HISTORY = 20;
+const MAX_FOLLOW_UP_LENGTH = 2000;
+
+// The parts of an explanation (or the concept-explanation fallback) a tutor builds on
+function summarizeExplanation(explanation = {}) {
+  const steps = explanation.stepByStepExplanation || {};
+  const lines = [
+    ["Root cause", explanation.diagnosis?.rootCause],
+    ["Summary", explanation.brief],
+    ["Explanation", explanation.explanation],
+    ["What went wrong", steps.whatWentWrong],
+    ["Why it's wrong", steps.whyItsWrong],
+    ["Correct approach", steps.correctApproach],
+    ["Key insight", steps.keyInsight],
+    ["Correction", explanation.correction],
+  ]
+    .filter(([, text]) => typeof text === "string" && text.trim())
+    .map(([label, text]) => `- ${label}: ${text}`);
+
+  return lines.length > 0 ? lines.join("\n") : "(no explanation available)";
 }
 
 export class AnswerExplanationAgent {
@@ -173,57 +194,133 @@ export class AnswerExplanationAgent {
     );
 
     try {
-      const response = await getOpenAI().chat.completions.create({
-        model: "gpt-4",
-        messages: [
+      const result = await structuredCompletion(
+        "answer-explanation",
+        [
           { role: "system", content: systemPrompt },
           { role: "user", content: userPrompt },
         ],
-        max_tokens: 1500,
-        temperature: 0.3, // Balanced for educational clarity
-      });
-
-      const content = response.choices[0]?.message?.content?.trim();
+        AnswerExplanationSchema,
+        {
+          model: "gpt-4",
+          maxTokens: 1500,
+          temperature: 0.3, // Balanced for educational clarity
+        }
+      );
 
-      try {
-        const result = JSON.parse(content);
-        const enhancedResult = this.enhanceExplanation(
-          result,
-          mistakeAnalysis,
-          category,
-          difficulty
-        );
+      const enhancedResult = this.enhanceExplanation(
+        result,
+        mistakeAnalysis,
+        category,
+        difficulty
+      );
 
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              ok: true,
+              result: enhancedResult,
+            }),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof StructuredOutputError) {
         return {
           content: [
             {
               type: "text",
-              text: JSON.stringify({
-                ok: true,
-                result: enhancedResult,
-              }),
-            },
-          ],
-        };
-      } catch (parseError) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify({
-                ok: false,
-                error: "ParseError",
-                raw: content,
-              }),
+              text: JSON.stringify({ ok: false, ...error.toJSON() }),
             },
           ],
         };
       }
-    } catch (error) {
       throw new Error(`Answer explanation failed: ${error.message}`);
     }
   }
 
+  /**
+   * Answer a learner's follow-up question about an explanation they were given.
+   * The thread is grounded in the question, their answer and the explanation, and
+   * the client sends the turns so far with each message
+   */
+  async answerFollowUp(args) {
+    const {
+      question,
+      studentAnswer = "",
+      correctAnswer,
+      explanation = {},
+      history = [],
+      message,
+      difficulty = "junior",
+    } = args;
+
+    if (!question || !correctAnswer || !String(message || "").trim()) {
+      throw new Error("Missing required parameters for follow-up question");
+    }
+    if (!Array.isArray(history)) {
+      throw new Error("Follow-up history must be an array of turns");
+    }
+    if (
+      [message, ...history.map((turn) => turn?.content)].some(
+        (text) => String(text || "").length > MAX_FOLLOW_UP_LENGTH
+      )
+    ) {
+      throw new Error(
+        `Follow-up messages are limited to ${MAX_FOLLOW_UP_LENGTH} characters`
+      );
+    }
+
+    const levelConfig =
+      this.learningLevels[difficulty] || this.learningLevels.junior;
+    const systemPrompt = `You are a patient web development tutor. A ${difficulty} student got the question below wrong, read the explanation below, and now has follow-up questions.
+
+STUDENT LEVEL: ${difficulty} (${levelConfig.approach})
+
+- Stay on this question and the concepts behind it. If asked about something unrelated, steer back in one sentence.
+- Build on the explanation instead of repeating it. If they are still confused, try a different angle or a smaller example.
+- Keep replies short: a few paragraphs at most, with code in fenced code blocks.
+- Reply in plain text or Markdown, not JSON.
+
+QUESTION: ${question.prompt || question}
+STUDENT'S ANSWER: ${studentAnswer || "(no answer)"}
+CORRECT ANSWER: ${correctAnswer}
+
+EXPLANATION THEY WERE GIVEN:
+${summarizeExplanation(explanation)}`;
+
+    try {
+      const reply = await chatCompletion(
+        "tutor",
+        buildMessages(systemPrompt, [
+          ...history.slice(-MAX_FOLLOW_UP_HISTORY),
+          { role: "user", content: message },
+        ]),
+        {
+          model: "gpt-4",
+          maxTokens: 800,
+          temperature: 0.4, // Conversational, still on topic
+        }
+      );
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              ok: true,
+              result: { reply: reply.trim() },
+            }),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Follow-up answer failed: ${error.message}`);
+    }
+  }
+
   analyzeMistake(question, studentAnswer, correctAnswer, category) {
     const analysis = {
       category,
@@ -231,10 +328,16 @@ export class AnswerExplanationAgent {
       severity: "medium",
       patterns: [],
       concepts: [],
+      codeReport: analyzeAnswer(
+        studentAnswer,
+        answerLanguage(question, question.category || category)
+      ),
     };
 
-    // Detect common mistake patterns
-    const patterns = this.commonMistakePatterns[category] || [];
+    // Detect common mistake patterns; parsed code answers have precise findings instead
+    const patterns = analysis.codeReport
+      ? []
+      : this.commonMistakePatterns[category] || [];
     patterns.forEach(({ pattern, explanation }) => {
       if (pattern.test(studentAnswer)) {
         analysis.patterns.push({ pattern: pattern.toString(), explanation });
@@ -253,7 +356,16 @@ export class AnswerExplanationAgent {
     }
 
     // Determine mistake type based on question and answer
-    if (
+    const findings = analysis.codeReport?.findings || [];
+    if (findings.some((finding) => finding.rule === "syntax-error")) {
+      analysis.mistakeType = "syntaxError";
+    } else if (analysis.codeReport) {
+      // The code parses, so the mistake is in what it does
+      analysis.mistakeType =
+        analysis.codeReport.errorCount > 0 && category === "html"
+          ? "validationError"
+          : "logicError";
+    } else if (
       question.type === "code" ||
       studentAnswer.includes("{") ||
       studentAnswer.includes("function")
@@ -349,6 +461,13 @@ TEACHING PRINCIPLES:
     mistakeAnalysis,
     context
   ) {
+    const findingsData = mistakeAnalysis.codeReport
+      ? `
+STATIC ANALYSIS OF THE STUDENT'S CODE (verified by a parser; explain the findings that relate to the mistake):
+${summarizeFindings(mistakeAnalysis.codeReport)}
+`
+      : "";
+
     return `Help this student understand their mistake in a supportive, educational way.
 
 QUESTION:
@@ -367,7 +486,7 @@ MISTAKE ANALYSIS:
       .map((p) => p.explanation)
       .join(", ") || "None"}
 - Key concepts: ${mistakeAnalysis.concepts.join(", ") || "General"}
-
+${findingsData}
 CONTEXT:
 ${JSON.stringify(context, null, 2)}
 
@@ -411,6 +530,10 @@ Remember: This student is learning. Be encouraging, clear, and focus on building
       );
     }
 
+    if (mistakeAnalysis.codeReport) {
+      result.codeFindings = mistakeAnalysis.codeReport.findings;
+    }
+
     // Add metadata for tracking
     result.metadata = {
       category,
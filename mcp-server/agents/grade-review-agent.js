@@ -0,0 +1,360 @@
+/**
+ * Grade Review Agent - Human review of model grades
+ * Learners can dispute a grade; reviewers work through a queue of graded answers,
+ * filtered by low confidence, disputes and category, and can override a score and its
+ * feedback. Every dispute and override goes to the audit log, and an override is
+ * applied to the learner's tracked progress so stats and difficulty follow it
+ */
+
+import { getAuditLog } from "../storage/audit-log.js";
+import { getGradeStore } from "../storage/grade-store.js";
+import { AdaptiveLearningAgent } from "./adaptive-learning-agent.js";
+
+const DEFAULT_QUEUE_LIMIT = 50;
+const DEFAULT_AUDIT_LIMIT = 100;
+const MAX_REASON_LENGTH = 1000;
+const MAX_FEEDBACK_LENGTH = 4000;
+// Sampled grades below this confidence count as low confidence in the queue
+const LOW_CONFIDENCE = 0.8;
+
+function toolResult(result) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({ ok: true, result }),
+      },
+    ],
+  };
+}
+
+function requireReason(reason) {
+  const text = typeof reason === "string" ? reason.trim() : "";
+  if (!text) {
+    throw new Error("A reason is required");
+  }
+  if (text.length > MAX_REASON_LENGTH) {
+    throw new Error(`Reasons are limited to ${MAX_REASON_LENGTH} characters`);
+  }
+  return text;
+}
+
+function isLowConfidence(result) {
+  return (
+    result.needsReview === true ||
+    (typeof result.confidence === "number" &&
+      result.confidence < LOW_CONFIDENCE)
+  );
+}
+
+function isDisputed(result) {
+  return Boolean(result.dispute && !result.dispute.resolvedAt);
+}
+
+// Disputes first, then low confidence, then newest
+function queuePriority(item) {
+  return (isDisputed(item) ? 2 : 0) + (isLowConfidence(item) ? 1 : 0);
+}
+
+// One graded answer as a reviewer sees it
+function queueItem(grade, result) {
+  const question =
+    grade.questions.find((q) => String(q.id) === String(result.id)) || {};
+  return {
+    userId: grade.userId,
+    gradeId: grade.id,
+    gradedAt: grade.gradedAt,
+    questionId: result.id,
+    question,
+    category: result.category || question.category || null,
+    studentAnswer: result.studentAnswer ?? "",
+    score: result.score,
+    max: result.max,
+    correct: result.correct,
+    feedback: result.feedback,
+    expected: result.expected,
+    gradedBy: result.gradedBy || null,
+    confidence: result.confidence ?? null,
+    needsReview: Boolean(result.needsReview),
+    sampling: result.sampling || null,
+    execution: result.execution || null,
+    dispute: result.dispute || null,
+    review: result.review || null,
+  };
+}
+
+function totals(grade) {
+  const totalPoints = grade.results.reduce((sum, r) => sum + r.max, 0);
+  const earnedPoints = grade.results.reduce((sum, r) => sum + r.score, 0);
+  return {
+    earnedPoints,
+    totalPoints,
+    totalScorePercent:
+      totalPoints > 0
+        ? Math.round((earnedPoints / totalPoints) * 10000) / 100
+        : 0,
+  };
+}
+
+export class GradeReviewAgent {
+  /**
+   * @param {object} [options]
+   * @param {import("../storage/grade-store.js").GradeStore} [options.grades]
+   * @param {import("../storage/audit-log.js").AuditLog} [options.audit]
+   * @param {AdaptiveLearningAgent} [options.adaptive] - Applies overrides to progress
+   */
+  constructor(options = {}) {
+    this.grades = options.grades || getGradeStore();
+    this.audit = options.audit || getAuditLog();
+    this.adaptive = options.adaptive || new AdaptiveLearningAgent();
+  }
+
+  /**
+   * Change one graded answer inside a user's stored grades
+   * @param {string} userId
+   * @param {string} gradeId
+   * @param {number|string} questionId
+   * @param {(result: object, grade: object) => void} change - Edits the result in place
+   * @returns {Promise<{grade: object, result: object}>}
+   */
+  async updateResult(userId, gradeId, questionId, change) {
+    let changed = null;
+    await this.grades.updateGrades(userId, (grades) => {
+      const updatedGrades = grades.map((grade) => {
+        if (grade.id !== gradeId) return grade;
+
+        const results = grade.results.map((result) => ({ ...result }));
+        const result = results.find((r) => String(r.id) === String(questionId));
+        if (!result) {
+          throw new Error(`Grade ${gradeId} has no question ${questionId}`);
+        }
+
+        const updated = { ...grade, results };
+        change(result, updated);
+        Object.assign(updated, totals(updated));
+        changed = { grade: updated, result };
+        return updated;
+      });
+      // Throw before anything is written for an unknown user or grade
+      if (!changed) {
+        throw new Error(`Unknown grade: ${gradeId}`);
+      }
+      return updatedGrades;
+    });
+
+    return changed;
+  }
+
+  /**
+   * A learner asks for a human to look at one of their grades
+   */
+  async disputeGrade(args) {
+    const { userId = "default", gradeId, questionId } = args;
+
+    if (!gradeId || questionId === undefined || questionId === null) {
+      throw new Error("Grade id and question id are required");
+    }
+    const reason = requireReason(args.reason);
+    const at = new Date().toISOString();
+
+    const { result } = await this.updateResult(
+      userId,
+      gradeId,
+      questionId,
+      (result) => {
+        if (isDisputed(result)) {
+          throw new Error("This grade is already waiting for review");
+        }
+        result.dispute = { reason, at };
+      }
+    );
+
+    await this.audit.append({
+      action: "dispute",
+      actor: { id: userId, role: "learner" },
+      userId,
+      gradeId,
+      questionId: result.id,
+      reason,
+      before: null,
+      after: null,
+    });
+
+    return toolResult({
+      gradeId,
+      questionId: result.id,
+      dispute: result.dispute,
+    });
+  }
+
+  /**
+   * Graded answers across all learners, disputes and low-confidence grades first
+   * @param {object} [args]
+   * @param {"pending"|"reviewed"|"all"} [args.status] - pending: not yet overridden
+   * @param {boolean} [args.lowConfidence] - Only sampled grades that disagreed
+   * @param {boolean} [args.disputed] - Only grades a learner disputed
+   * @param {string} [args.category] - Only this question category
+   * @param {string} [args.userId] - Only this learner
+   */
+  async getGradeReviewQueue(args = {}) {
+    const {
+      status = "pending",
+      lowConfidence = false,
+      disputed = false,
+      category,
+      userId,
+      limit = DEFAULT_QUEUE_LIMIT,
+    } = args;
+
+    const userIds = userId ? [userId] : await this.grades.listUserIds();
+    const items = [];
+    for (const id of userIds) {
+      for (const grade of await this.grades.listGrades(id)) {
+        for (const result of grade.results || []) {
+          items.push(queueItem(grade, result));
+        }
+      }
+    }
+
+    const matching = items.filter(
+      (item) =>
+        (status === "all" ||
+          (status === "reviewed" ? Boolean(item.review) : !item.review)) &&
+        (!lowConfidence || isLowConfidence(item)) &&
+        (!disputed || isDisputed(item)) &&
+        (!category ||
+          String(item.category || "").toLowerCase() ===
+            String(category).toLowerCase())
+    );
+    matching.sort(
+      (a, b) =>
+        queuePriority(b) - queuePriority(a) ||
+        b.gradedAt.localeCompare(a.gradedAt)
+    );
+
+    return toolResult({
+      total: matching.length,
+      disputedCount: matching.filter(isDisputed).length,
+      lowConfidenceCount: matching.filter(isLowConfidence).length,
+      categories: [
+        ...new Set(items.map((item) => item.category).filter(Boolean)),
+      ].sort(),
+      items: matching.slice(0, limit),
+    });
+  }
+
+  /**
+   * A reviewer replaces a grade's score and feedback. The model's original grade is
+   * kept on the result, the change is audited, and the learner's progress follows it
+   */
+  async overrideGrade(args) {
+    const { reviewer, userId, gradeId, questionId, score } = args;
+
+    if (!reviewer || !reviewer.id) {
+      throw new Error("A reviewer is required");
+    }
+    if (
+      !userId ||
+      !gradeId ||
+      questionId === undefined ||
+      questionId === null
+    ) {
+      throw new Error("User id, grade id and question id are required");
+    }
+    if (typeof score !== "number" || !Number.isFinite(score) || score < 0) {
+      throw new Error("Score must be a number of at least 0");
+    }
+    const reason = requireReason(args.reason);
+    const feedback =
+      typeof args.feedback === "string" ? args.feedback.trim() : "";
+    if (feedback.length > MAX_FEEDBACK_LENGTH) {
+      throw new Error(
+        `Feedback is limited to ${MAX_FEEDBACK_LENGTH} characters`
+      );
+    }
+
+    const at = new Date().toISOString();
+    let before = null;
+    const { grade, result } = await this.updateResult(
+      userId,
+      gradeId,
+      questionId,
+      (result) => {
+        if (score > result.max) {
+          throw new Error(`Score cannot be more than ${result.max} points`);
+        }
+        before = {
+          score: result.score,
+          correct: result.correct,
+          feedback: result.feedback,
+        };
+
+        result.score = score;
+        result.correct =
+          typeof args.correct === "boolean"
+            ? args.correct
+            : score >= result.max;
+        if (feedback) result.feedback = feedback;
+        result.needsReview = false;
+        result.review = {
+          by: { id: reviewer.id, email: reviewer.email || null },
+          at,
+          reason,
+          // The grade the model gave, however many overrides follow
+          original: result.review?.original || before,
+        };
+        if (isDisputed(result)) {
+          result.dispute = { ...result.dispute, resolvedAt: at };
+        }
+      }
+    );
+
+    const after = {
+      score: result.score,
+      correct: result.correct,
+      feedback: result.feedback,
+    };
+    const entry = await this.audit.append({
+      action: "override",
+      actor: {
+        id: reviewer.id,
+        email: reviewer.email || null,
+        role: "reviewer",
+      },
+      userId,
+      gradeId,
+      questionId: result.id,
+      reason,
+      before,
+      after,
+    });
+
+    const progress = await this.adaptive.applyGradeCorrection({
+      userId,
+      gradeId,
+      questionId: result.id,
+      score: result.score,
+      correct: result.correct,
+    });
+
+    return toolResult({
+      item: queueItem(grade, result),
+      totals: totals(grade),
+      progress,
+      auditId: entry.id,
+    });
+  }
+
+  /**
+   * Disputes and overrides, newest first
+   */
+  async getGradeAuditLog(args = {}) {
+    const { userId, gradeId, questionId, limit = DEFAULT_AUDIT_LIMIT } = args;
+
+    const entries = await this.audit.list({ userId, gradeId, questionId });
+    return toolResult({
+      total: entries.length,
+      entries: entries.slice(0, limit),
+    });
+  }
+}
@@ -0,0 +1,448 @@
+/**
+ * Interviewer Agent - Conversational mock interviews
+ * Asks one question, probes gaps in each answer with follow-ups ("why?", "what if
+ * the list is empty?") and, when the exchange is over, scores the whole transcript
+ * against the interview rubric. Transcripts are kept per user in the interview store
+ */
+
+import crypto from "crypto";
+import {
+  INTERVIEW_CRITERIA,
+  InterviewFollowUpSchema,
+  InterviewQuestionSchema,
+  InterviewScoreSchema,
+} from "../llm/schemas.js";
+import {
+  StructuredOutputError,
+  structuredCompletion,
+} from "../llm/structured.js";
+import { getInterviewStore } from "../storage/interview-store.js";
+
+const DEFAULT_MAX_FOLLOW_UPS = 2;
+const MAX_FOLLOW_UPS = 5;
+const MAX_ANSWER_LENGTH = 4000;
+const CRITERION_MAX = 4;
+
+function toolResult(result) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({ ok: true, result }),
+      },
+    ],
+  };
+}
+
+function failedResult(error) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({ ok: false, ...error.toJSON() }),
+      },
+    ],
+  };
+}
+
+function turn(role, kind, content, extra = {}) {
+  return { role, kind, content, at: new Date().toISOString(), ...extra };
+}
+
+function formatTranscript(turns) {
+  return turns
+    .map(
+      (entry) =>
+        `${entry.role === "interviewer" ? "Interviewer" : "Candidate"}: ${
+          entry.content
+        }`
+    )
+    .join("\n\n");
+}
+
+// What the learner sees; the reference answer and the interviewer's notes on gaps
+// stay on the server until the interview is scored
+function publicInterview(interview) {
+  if (interview.status === "completed") return interview;
+
+  const { referenceAnswer, keyPoints, ...question } = interview.question;
+  return {
+    ...interview,
+    question,
+    turns: interview.turns.map(({ gaps, ...entry }) => entry),
+  };
+}
+
+// Transcript lists leave out the turns; open an interview to read them
+function interviewSummary(interview) {
+  return {
+    id: interview.id,
+    topic: interview.topic,
+    difficulty: interview.difficulty,
+    status: interview.status,
+    prompt: interview.question.prompt,
+    startedAt: interview.startedAt,
+    completedAt: interview.completedAt || null,
+    percent: interview.result?.percent ?? null,
+  };
+}
+
+export class InterviewerAgent {
+  /**
+   * @param {object} [options]
+   * @param {import("../storage/interview-store.js").InterviewStore} [options.store]
+   */
+  constructor(options = {}) {
+    this.store = options.store || getInterviewStore();
+
+    this.criteria = {
+      correctness: "The answers are technically right",
+      reasoning: "Explains why, not only what, when asked to justify a choice",
+      edgeCases:
+        "Considers empty, invalid or unusual input and what can go wrong",
+      communication: "Answers are clear, structured and use precise terms",
+    };
+
+    this.levels = {
+      beginner: "someone in their first months of learning web development",
+      junior: "a junior web developer with up to two years of experience",
+      intermediate: "a mid-level web developer",
+      senior: "a senior web developer",
+    };
+  }
+
+  /**
+   * Open an interview with one question: the one given, or a new one on the topic
+   * @param {object} args
+   * @param {object} [args.question] - A test question to ask instead ({prompt, answer, rubric, category})
+   */
+  async startInterview(args = {}) {
+    const {
+      userId = "default",
+      topic = "javascript",
+      difficulty = "junior",
+      maxFollowUps = DEFAULT_MAX_FOLLOW_UPS,
+      question,
+    } = args;
+
+    let opening;
+    try {
+      opening = question
+        ? this.questionFromTest(question)
+        : await this.askQuestion(topic, difficulty);
+    } catch (error) {
+      if (error instanceof StructuredOutputError) {
+        return failedResult(error);
+      }
+      throw new Error(`Interview question failed: ${error.message}`);
+    }
+
+    const interview = {
+      id: crypto.randomUUID(),
+      topic,
+      difficulty,
+      status: "active",
+      maxFollowUps: Math.max(
+        0,
+        Math.min(MAX_FOLLOW_UPS, Math.floor(Number(maxFollowUps) || 0))
+      ),
+      followUpsAsked: 0,
+      question: opening,
+      turns: [turn("interviewer", "question", opening.prompt)],
+      startedAt: new Date().toISOString(),
+    };
+
+    await this.store.updateInterviews(userId, (interviews) => [
+      interview,
+      ...interviews,
+    ]);
+
+    return toolResult({ userId, interview: publicInterview(interview) });
+  }
+
+  /**
+   * Take the learner's answer and reply with a follow-up, or score the interview
+   * once it has run its course
+   * @param {object} args
+   * @param {string} args.interviewId
+   * @param {string} args.answer
+   * @param {boolean} [args.end] - Finish after this answer without more follow-ups
+   */
+  async answerInterview(args) {
+    const { userId = "default", interviewId, answer, end = false } = args;
+
+    if (!interviewId) {
+      throw new Error("Interview id is required");
+    }
+    const text = String(answer || "").trim();
+    if (!text && !end) {
+      throw new Error("An answer is required");
+    }
+    if (text.length > MAX_ANSWER_LENGTH) {
+      throw new Error(`Answers are limited to ${MAX_ANSWER_LENGTH} characters`);
+    }
+
+    let updated;
+    try {
+      // The model calls run inside the update, so a double-sent answer waits its turn
+      await this.store.updateInterviews(userId, async (interviews) => {
+        const current = interviews.find((entry) => entry.id === interviewId);
+        if (!current) {
+          throw new Error(`Unknown interview: ${interviewId}`);
+        }
+        if (current.status !== "active") {
+          throw new Error("This interview is already finished");
+        }
+
+        updated = await this.nextTurn(current, text, end);
+        return interviews.map((entry) =>
+          entry.id === interviewId ? updated : entry
+        );
+      });
+    } catch (error) {
+      if (error instanceof StructuredOutputError) {
+        return failedResult(error);
+      }
+      throw error;
+    }
+
+    return toolResult({ userId, interview: publicInterview(updated) });
+  }
+
+  /**
+   * One interview with its transcript, or the user's interviews newest first
+   */
+  async getInterviews(args = {}) {
+    const { userId = "default", interviewId, limit = 20 } = args;
+
+    const interviews = await this.store.listInterviews(userId);
+    if (interviewId) {
+      const interview = interviews.find((entry) => entry.id === interviewId);
+      if (!interview) {
+        throw new Error(`Unknown interview: ${interviewId}`);
+      }
+      return toolResult({ userId, interview: publicInterview(interview) });
+    }
+
+    return toolResult({
+      userId,
+      total: interviews.length,
+      interviews: interviews.slice(0, limit).map(interviewSummary),
+    });
+  }
+
+  async nextTurn(interview, answer, end) {
+    const turns = answer
+      ? [...interview.turns, turn("candidate", "answer", answer)]
+      : interview.turns;
+    const answered = turns.some((entry) => entry.role === "candidate");
+
+    if (answered && !end && interview.followUpsAsked < interview.maxFollowUps) {
+      const probe = await this.probe(interview, turns);
+      const followUp = probe.followUp.trim();
+      if (!probe.satisfied && followUp) {
+        return {
+          ...interview,
+          followUpsAsked: interview.followUpsAsked + 1,
+          turns: [
+            ...turns,
+            turn("interviewer", "follow-up", followUp, { gaps: probe.gaps }),
+          ],
+        };
+      }
+    }
+
+    const result = answered
+      ? await this.score(interview, turns)
+      : this.unansweredResult(interview);
+    return {
+      ...interview,
+      status: "completed",
+      completedAt: new Date().toISOString(),
+      turns: [...turns, turn("interviewer", "closing", result.summary)],
+      result,
+    };
+  }
+
+  questionFromTest(question) {
+    if (!question.prompt) {
+      throw new Error("Interview question needs a prompt");
+    }
+    return {
+      prompt: question.prompt,
+      category: question.category,
+      referenceAnswer: question.referenceAnswer || question.answer || "",
+      keyPoints: question.keyPoints || question.rubric || [],
+    };
+  }
+
+  async askQuestion(topic, difficulty) {
+    const level = this.levels[difficulty] || `a ${difficulty} web developer`;
+
+    return structuredCompletion(
+      "interviewer",
+      [
+        {
+          role: "system",
+          content: `You are a friendly but rigorous technical interviewer hiring ${level}.
+
+Ask ONE open question that can be answered in a few sentences or a short snippet and that leaves room for follow-up questions about reasoning and edge cases. Do not ask trivia with a one-word answer.
+
+OUTPUT JSON FORMAT:
+{
+  "prompt": "The question, as you would ask it out loud",
+  "category": "html | css | javascript | api | frameworks",
+  "referenceAnswer": "What a strong answer says",
+  "keyPoints": ["Each point a complete answer covers"]
+}`,
+        },
+        {
+          role: "user",
+          content: `Ask one interview question about ${topic}.`,
+        },
+      ],
+      InterviewQuestionSchema,
+      {
+        model: "gpt-4",
+        maxTokens: 600,
+        temperature: 0.8, // Varied questions across interviews
+      }
+    );
+  }
+
+  async probe(interview, turns) {
+    const remaining = interview.maxFollowUps - interview.followUpsAsked;
+
+    return structuredCompletion(
+      "interviewer",
+      [
+        {
+          role: "system",
+          content: `You are a technical interviewer. Read the candidate's latest answer and find what it leaves out or gets wrong: missing justification, unhandled edge cases (empty input, null, very large input, failures), or vague terms.
+
+If there is a gap worth probing, ask ONE short follow-up question about it, the way an interviewer would ("Why?", "What happens if the list is empty?"). Never give away the answer. If the answers so far cover the key points, set "satisfied" to true and leave "followUp" empty.
+
+OUTPUT JSON FORMAT:
+{
+  "gaps": ["What the latest answer misses"],
+  "followUp": "Your next question, or empty",
+  "satisfied": false
+}`,
+        },
+        {
+          role: "user",
+          content: `Decide on a follow-up question (${remaining} left).
+
+QUESTION: ${interview.question.prompt}
+KEY POINTS: ${interview.question.keyPoints.join("; ") || "(none given)"}
+REFERENCE ANSWER: ${interview.question.referenceAnswer || "(none given)"}
+
+TRANSCRIPT:
+${formatTranscript(turns)}`,
+        },
+      ],
+      InterviewFollowUpSchema,
+      {
+        model: "gpt-4",
+        maxTokens: 400,
+        temperature: 0.4,
+      }
+    );
+  }
+
+  async score(interview, turns) {
+    const rubric = INTERVIEW_CRITERIA.map(
+      (name) => `- ${name}: ${this.criteria[name]}`
+    ).join("\n");
+
+    const scored = await structuredCompletion(
+      "interviewer",
+      [
+        {
+          role: "system",
+          content: `You are a technical interviewer writing up an interview. Score the candidate over the WHOLE exchange, including how they handled follow-up questions. Score each criterion from 0 (absent) to ${CRITERION_MAX} (excellent):
+${rubric}
+
+Mark each key point covered only if the candidate said it, not the interviewer.
+
+OUTPUT JSON FORMAT:
+{
+  "criteria": [{"criterion": "correctness", "score": 3, "comment": "Why this score"}],
+  "keyPoints": [{"point": "Key point", "covered": true}],
+  "summary": "Two or three sentences for the candidate",
+  "strengths": ["..."],
+  "improvements": ["..."]
+}`,
+        },
+        {
+          role: "user",
+          content: `Score this interview.
+
+QUESTION: ${interview.question.prompt}
+KEY POINTS: ${interview.question.keyPoints.join("; ") || "(none given)"}
+REFERENCE ANSWER: ${interview.question.referenceAnswer || "(none given)"}
+
+TRANSCRIPT:
+${formatTranscript(turns)}`,
+        },
+      ],
+      InterviewScoreSchema,
+      {
+        model: "gpt-4",
+        maxTokens: 1200,
+        temperature: 0.1, // Consistent scoring
+      }
+    );
+
+    // Totals are computed here rather than trusted from the model
+    const criteria = INTERVIEW_CRITERIA.map((name) => {
+      const entry = scored.criteria.find((c) => c.criterion === name);
+      return {
+        criterion: name,
+        description: this.criteria[name],
+        score: entry.score,
+        max: CRITERION_MAX,
+        comment: entry.comment,
+      };
+    });
+    const score = criteria.reduce((sum, entry) => sum + entry.score, 0);
+    const max = CRITERION_MAX * criteria.length;
+
+    return {
+      criteria,
+      keyPoints: scored.keyPoints,
+      summary: scored.summary,
+      strengths: scored.strengths,
+      improvements: scored.improvements,
+      score,
+      max,
+      percent: Math.round((score / max) * 100),
+    };
+  }
+
+  // Ending before the first answer scores zero without a model call
+  unansweredResult(interview) {
+    const criteria = INTERVIEW_CRITERIA.map((name) => ({
+      criterion: name,
+      description: this.criteria[name],
+      score: 0,
+      max: CRITERION_MAX,
+      comment: "No answer was given",
+    }));
+    return {
+      criteria,
+      keyPoints: interview.question.keyPoints.map((point) => ({
+        point,
+        covered: false,
+      })),
+      summary: "The interview ended before the question was answered.",
+      strengths: [],
+      improvements: [
+        "Answer the question, even partly - it gives you something to build on",
+      ],
+      score: 0,
+      max: CRITERION_MAX * criteria.length,
+      percent: 0,
+    };
+  }
+}
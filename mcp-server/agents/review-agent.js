@@ -0,0 +1,232 @@
+/**
+ * Review Agent - Spaced-repetition review of missed questions
+ * Missed or partially correct questions become cards on the user's SM-2 schedule.
+ * Reviews are re-graded by the test checker, so a review answer is held to the same
+ * rubric, hidden tests and static analysis as the original test
+ */
+
+import {
+  createCard,
+  dayOf,
+  isDue,
+  qualityFromScore,
+  reviewCard,
+} from "../review/scheduler.js";
+import { getReviewStore } from "../storage/review-store.js";
+import { TestCheckerAgent } from "./test-checker.js";
+
+const DEFAULT_QUEUE_LIMIT = 20;
+
+function toolResult(result) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({ ok: true, result }),
+      },
+    ],
+  };
+}
+
+// What the learner sees while reviewing; the answer key stays on the server
+function reviewQuestion(card) {
+  const { answer, rubric, tests, ...question } = card.question;
+  return { ...question, id: card.id };
+}
+
+function compareDue(a, b) {
+  return a.dueOn.localeCompare(b.dueOn) || b.lapses - a.lapses;
+}
+
+export class ReviewAgent {
+  /**
+   * @param {object} [options]
+   * @param {import("../storage/review-store.js").ReviewStore} [options.store]
+   * @param {TestCheckerAgent} [options.checker] - Grades review answers
+   */
+  constructor(options = {}) {
+    this.store = options.store || getReviewStore();
+    this.checker = options.checker || new TestCheckerAgent();
+  }
+
+  /**
+   * Put a graded test's misses on the schedule. A question that is already a card
+   * counts as a review of that card, so missing it again resets its interval
+   */
+  async scheduleReviews(args) {
+    const { userId = "default", questions, results } = args;
+
+    if (!Array.isArray(questions) || !Array.isArray(results)) {
+      throw new Error("Questions and grading results are required");
+    }
+
+    const now = Date.now();
+    const missed = results
+      .map((result) => ({
+        result,
+        question: questions.find((q) => String(q.id) === String(result.id)),
+      }))
+      .filter(
+        ({ result, question }) =>
+          question &&
+          typeof result.score === "number" &&
+          result.score < result.max
+      );
+
+    let added = 0;
+    let rescheduled = 0;
+    const cards = await this.store.updateCards(userId, (existing) => {
+      const byId = new Map(existing.map((card) => [card.id, card]));
+
+      for (const { result, question } of missed) {
+        const fresh = createCard(question, now);
+        const current = byId.get(fresh.id);
+        const details = { score: result.score, max: result.max };
+
+        if (current) {
+          byId.set(
+            fresh.id,
+            reviewCard(
+              current,
+              qualityFromScore(result.score, result.max),
+              details,
+              now
+            )
+          );
+          rescheduled++;
+        } else {
+          byId.set(fresh.id, {
+            ...fresh,
+            history: [{ on: fresh.createdOn, quality: null, ...details }],
+          });
+          added++;
+        }
+      }
+
+      return [...byId.values()];
+    });
+
+    return toolResult({
+      userId,
+      added,
+      rescheduled,
+      totalCards: cards.length,
+      dueCount: cards.filter((card) => isDue(card, now)).length,
+    });
+  }
+
+  /**
+   * Cards due today or earlier, most overdue first
+   */
+  async getReviewQueue(args = {}) {
+    const { userId = "default", limit = DEFAULT_QUEUE_LIMIT } = args;
+
+    const now = Date.now();
+    const cards = await this.store.listCards(userId);
+    const due = cards.filter((card) => isDue(card, now)).sort(compareDue);
+    const upcoming = cards
+      .filter((card) => !isDue(card, now))
+      .map((card) => card.dueOn)
+      .sort();
+
+    return toolResult({
+      userId,
+      today: dayOf(now),
+      dueCount: due.length,
+      totalCards: cards.length,
+      nextDue: upcoming[0] || null,
+      cards: due.slice(0, limit).map((card) => ({
+        id: card.id,
+        dueOn: card.dueOn,
+        repetitions: card.repetitions,
+        lapses: card.lapses,
+        question: reviewQuestion(card),
+      })),
+    });
+  }
+
+  /**
+   * Re-grade review answers and reschedule their cards
+   * @param {object} args
+   * @param {Record<string, string>} args.answers - Answers keyed by card id
+   */
+  async submitReview(args) {
+    const { userId = "default", answers, strictness = "standard" } = args;
+
+    if (!answers || Object.keys(answers).length === 0) {
+      throw new Error("Review answers are required");
+    }
+
+    const cards = await this.store.listCards(userId);
+    const reviewed = cards.filter((card) =>
+      Object.prototype.hasOwnProperty.call(answers, card.id)
+    );
+    const unknown = Object.keys(answers).filter(
+      (cardId) => !reviewed.some((card) => card.id === cardId)
+    );
+    if (unknown.length > 0) {
+      throw new Error(`Unknown review cards: ${unknown.join(", ")}`);
+    }
+
+    // The checker grades tests, so the cards are graded as one numbered test
+    const questions = reviewed.map((card, index) => ({
+      ...card.question,
+      id: index + 1,
+    }));
+    const gradingAnswers = Object.fromEntries(
+      reviewed.map((card, index) => [String(index + 1), answers[card.id]])
+    );
+
+    const response = await this.checker.gradeTest({
+      test: { result: { questions } },
+      answers: gradingAnswers,
+      strictness,
+    });
+    const graded = JSON.parse(response.content[0].text);
+    if (!graded.ok) {
+      // Invalid grader output is reported as-is; the schedule is left untouched
+      return response;
+    }
+
+    const now = Date.now();
+    const outcomes = new Map(
+      reviewed.map((card, index) => {
+        const result = graded.result.results.find((r) => r.id === index + 1);
+        return [card.id, result];
+      })
+    );
+
+    const updated = await this.store.updateCards(userId, (existing) =>
+      existing.map((card) => {
+        const result = outcomes.get(card.id);
+        if (!result) return card;
+        return reviewCard(
+          card,
+          qualityFromScore(result.score, result.max),
+          { score: result.score, max: result.max },
+          now
+        );
+      })
+    );
+
+    return toolResult({
+      userId,
+      results: reviewed.map((card) => {
+        const result = outcomes.get(card.id);
+        const next = updated.find((c) => c.id === card.id) || card;
+        return {
+          cardId: card.id,
+          score: result.score,
+          max: result.max,
+          correct: result.correct,
+          feedback: result.feedback || "",
+          expected: result.expected,
+          quality: qualityFromScore(result.score, result.max),
+          interval: next.interval,
+          nextDue: next.dueOn,
+        };
+      }),
+      dueCount: updated.filter((card) => isDue(card, now)).length,
+    });
+  }
+}
@@ -1,25 +1,64 @@
 /**
  * Test Generator Agent - Specialized for Junior Web Development
  * Focuses on HTML, JavaScript, UI frameworks, and APIs
+ *
+ * Environment:
+ *   QUESTION_BANK_SHARE   largest share of a test reused from the question bank when a
+ *                         request does not say (0-1, default: 0.5)
  */
 
-import OpenAI from "openai";
-
-let openai = null;
+import { createHash } from "crypto";
+import { chatCompletionStream, getRandom } from "../llm/index.js";
+import { JsonArrayStreamParser } from "../llm/json-stream.js";
+import { QuestionSchema, TestSchema } from "../llm/schemas.js";
+import {
+  parseStructured,
+  StructuredOutputError,
+  structuredCompletion,
+} from "../llm/structured.js";
+import { NearDuplicateIndex, semanticVariety } from "../similarity/index.js";
+import { getQuestionBank } from "../storage/question-bank.js";
+import { getQuestionHistoryStore } from "../storage/question-history-store.js";
+
+const TEST_TOTAL_POINTS = 100;
+const TestFieldsSchema = TestSchema.omit({ questions: true });
+// Extra requests for questions rejected as near-duplicates
+const MAX_REGENERATION_ROUNDS = 2;
+
+const DEFAULT_BANK_SHARE = 0.5;
+
+function defaultBankShare() {
+  const value = Number(process.env.QUESTION_BANK_SHARE);
+  return process.env.QUESTION_BANK_SHARE && Number.isFinite(value)
+    ? value
+    : DEFAULT_BANK_SHARE;
+}
 
-// Lazy-load OpenAI client
-function getOpenAI() {
-  if (!openai) {
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-  }
-  return openai;
+/**
+ * Split the test total evenly; questions from different tests have no common
+ * points scale. The first questions take the leftover points, so totals stay exact
+ */
+function rebalancePoints(questions, total = TEST_TOTAL_POINTS) {
+  const share = Math.floor(total / questions.length);
+  const leftover = total - share * questions.length;
+
+  return questions.map((q, index) => ({
+    ...q,
+    points: share + (index < leftover ? 1 : 0),
+  }));
 }
 
 export class TestGeneratorAgent {
-  constructor() {
-    // Track recently generated questions to avoid repetition
+  /**
+   * @param {object} [options]
+   * @param {import("../storage/question-bank.js").QuestionBank} [options.bank]
+   * @param {import("../storage/question-history-store.js").QuestionHistoryStore} [options.history]
+   */
+  constructor(options = {}) {
+    this.bank = options.bank || getQuestionBank();
+    this.history = options.history || getQuestionHistoryStore();
+
+    // Recently served questions, left out when drawing from the bank
     this.recentQuestionHashes = new Set();
     this.maxRecentQuestions = 50; // Remember last 50 questions
 
@@ -103,7 +142,8 @@ export class TestGeneratorAgent {
     };
   }
 
-  async generateTest(args) {
+  // Prompt, schema and model settings shared by the blocking and streaming paths
+  buildGenerationRequest(args, avoidPrompts = []) {
     const {
       topics = ["javascript", "html"],
       numQuestions = 5,
@@ -114,60 +154,438 @@ export class TestGeneratorAgent {
 
     // Build specialized prompt for junior web developers
     const systemPrompt = this.buildSystemPrompt(framework, difficulty);
-    const userPrompt = this.buildUserPrompt(
-      topics,
-      numQuestions,
-      focusAreas,
-      framework
+    // Only regeneration rounds list rejects, so first-round prompts stay replayable
+    const avoidText =
+      avoidPrompts.length > 0
+        ? `\n\nALREADY USED - do not repeat or reword any of these questions:\n${avoidPrompts
+            .map((prompt) => `- ${prompt}`)
+            .join("\n")}`
+        : "";
+    const userPrompt =
+      this.buildUserPrompt(topics, numQuestions, focusAreas, framework) +
+      avoidText;
+
+    // Hold the model to the requested length so repairs can ask for the rest
+    const schema = TestSchema.refine(
+      (test) => test.questions.length === Number(numQuestions),
+      {
+        message: `Expected exactly ${numQuestions} questions`,
+        path: ["questions"],
+      }
     );
 
-    try {
-      const response = await getOpenAI().chat.completions.create({
+    return {
+      framework,
+      numQuestions: Number(numQuestions),
+      schema,
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: userPrompt },
+      ],
+      options: {
         model: "gpt-4", // Use GPT-4 for better code generation
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt },
-        ],
-        max_tokens: 3000,
+        maxTokens: 3000,
         temperature: 0.7, // Increased for more variety while maintaining accuracy
-        presence_penalty: 0.3, // Encourage diverse content
-        frequency_penalty: 0.2, // Reduce repetition
+        extra: {
+          presence_penalty: 0.3, // Encourage diverse content
+          frequency_penalty: 0.2, // Reduce repetition
+        },
+      },
+    };
+  }
+
+  /**
+   * Near-duplicate indexes for one test: the questions already in it, and what the
+   * user was served recently
+   */
+  async createScreen(userId) {
+    const history = new NearDuplicateIndex();
+    try {
+      for (const served of await this.history.listRecent(userId)) {
+        await history.add(served);
+      }
+    } catch (error) {
+      // Without history only repeats within the test are caught
+      console.error("Question history unavailable:", error.message);
+    }
+    return { test: new NearDuplicateIndex(), history, rejected: [], kept: 0 };
+  }
+
+  async findDuplicate(screen, question) {
+    const inTest = await screen.test.findDuplicate(question);
+    if (inTest) return { ...inTest, fromHistory: false };
+    const inHistory = await screen.history.findDuplicate(question);
+    return inHistory ? { ...inHistory, fromHistory: true } : null;
+  }
+
+  /**
+   * Accept a generated question unless it nearly repeats one in the test or in the
+   * user's recent history. Rejects are kept in case regeneration cannot replace them
+   */
+  async screenQuestion(screen, question) {
+    const duplicate = await this.findDuplicate(screen, question);
+    if (duplicate) {
+      screen.rejected.push({
+        question,
+        similarity: duplicate.similarity,
+        fromHistory: duplicate.fromHistory,
       });
+      return false;
+    }
+    await screen.test.add(question);
+    return true;
+  }
 
-      const content = response.choices[0]?.message?.content?.trim();
-
-      try {
-        const result = JSON.parse(content);
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify({
-                ok: true,
-                result: this.enhanceQuestions(result, framework),
-              }),
-            },
-          ],
-        };
-      } catch (parseError) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify({
-                ok: false,
-                error: "ParseError",
-                raw: content,
-              }),
-            },
-          ],
+  /**
+   * Split a test between stored questions and fresh ones
+   * @returns {Promise<{reused: object[], remaining: number}>}
+   */
+  async planTest(args, screen) {
+    const {
+      topics = ["javascript", "html"],
+      numQuestions = 5,
+      difficulty = "junior",
+      focusAreas = [],
+      framework = "vanilla",
+      bankShare = defaultBankShare(),
+    } = args;
+
+    const total = Number(numQuestions);
+    const share = Math.min(Math.max(Number(bankShare) || 0, 0), 1);
+    const wanted = Math.floor(total * share);
+    if (wanted === 0) {
+      return { reused: [], remaining: total };
+    }
+
+    let entries;
+    try {
+      entries = await this.bank.findEntries({
+        topics,
+        difficulty,
+        framework,
+        exclude: this.recentQuestionHashes,
+      });
+    } catch (error) {
+      // The bank only saves time; without it every question is generated
+      console.error("Question bank unavailable:", error.message);
+      return { reused: [], remaining: total };
+    }
+
+    const ranked = this.rankBankEntries(
+      entries,
+      focusAreas,
+      getRandom(
+        `question-bank:${topics.join(",")}:${numQuestions}:${framework}`
+      )
+    );
+    const reused = [];
+    for (const entry of ranked) {
+      if (reused.length === wanted) break;
+      const question = { ...entry.question, framework, reused: true };
+      // Stored questions are plentiful; a near-duplicate is skipped, not kept
+      if (await this.findDuplicate(screen, question)) continue;
+
+      await screen.test.add(question);
+      this.rememberQuestion(entry.uniqueId);
+      reused.push(question);
+    }
+
+    return { reused, remaining: total - reused.length };
+  }
+
+  /**
+   * Order bank entries for selection: focus-area matches first, then alternating
+   * between categories so a bank heavy in one topic does not crowd out the others
+   */
+  rankBankEntries(entries, focusAreas, random) {
+    const focusTerms = focusAreas.map((area) => String(area).toLowerCase());
+    const matchesFocus = (entry) =>
+      focusTerms.some(
+        (term) =>
+          entry.category.includes(term) ||
+          entry.question.prompt.toLowerCase().includes(term)
+      );
+
+    const shuffled = entries
+      .map((entry) => ({ entry, order: random() }))
+      .sort(
+        (a, b) =>
+          Number(matchesFocus(b.entry)) - Number(matchesFocus(a.entry)) ||
+          a.order - b.order
+      )
+      .map(({ entry }) => entry);
+
+    const byCategory = new Map();
+    for (const entry of shuffled) {
+      if (!byCategory.has(entry.category)) byCategory.set(entry.category, []);
+      byCategory.get(entry.category).push(entry);
+    }
+
+    const ranked = [];
+    const queues = [...byCategory.values()];
+    while (queues.some((queue) => queue.length)) {
+      for (const queue of queues) {
+        if (queue.length) ranked.push(queue.shift());
+      }
+    }
+    return ranked;
+  }
+
+  /**
+   * Generate questions until `count` have passed the screen, asking again for
+   * rejected ones for up to MAX_REGENERATION_ROUNDS. Any still missing are filled
+   * with the least similar rejects, so the test keeps its requested length
+   * @param {object[]} [accepted] - Questions already accepted (a streamed first round)
+   * @param {number} [firstRound] - 1 when the first round was streamed
+   * @returns {Promise<{questions: object[], result: object|null, calls: number}>} The accepted questions, the first round's test fields and the number of model calls, streamed round included
+   */
+  async generateDistinct(args, count, screen, accepted = [], firstRound = 0) {
+    const questions = [...accepted];
+    let firstResult = null;
+    let round = firstRound;
+
+    while (round <= MAX_REGENERATION_ROUNDS && questions.length < count) {
+      const { framework, schema, messages, options } =
+        this.buildGenerationRequest(
+          { ...args, numQuestions: count - questions.length },
+          screen.rejected.map((reject) => reject.question.prompt)
+        );
+      const result = await structuredCompletion(
+        "test-generator",
+        messages,
+        schema,
+        options
+      );
+      firstResult = firstResult || result;
+
+      for (const q of result.questions) {
+        const question = this.enhanceQuestion(q, framework);
+        if (await this.screenQuestion(screen, question)) {
+          questions.push(question);
+        }
+      }
+      round++;
+    }
+
+    // Better a question seen last month than one already in this test
+    const fillers = [...screen.rejected]
+      .sort(
+        (a, b) =>
+          Number(b.fromHistory) - Number(a.fromHistory) ||
+          a.similarity - b.similarity
+      )
+      .map((reject) => reject.question);
+    for (const question of fillers) {
+      if (questions.length >= count) break;
+      if (await screen.test.findDuplicate(question)) continue;
+      await screen.test.add(question);
+      questions.push(question);
+      screen.kept++;
+    }
+    for (const question of fillers) {
+      if (questions.length >= count) break;
+      if (questions.includes(question)) continue;
+      questions.push(question);
+      screen.kept++;
+    }
+
+    return { questions, result: firstResult, calls: round };
+  }
+
+  /**
+   * Stored questions first, then generated ones, numbered as one test
+   * Points are reset to equal shares once questions from different tests mix,
+   * which includes every regeneration round after the first model call
+   * @param {number} calls - Model calls the generated questions came from
+   */
+  async assembleTest(reused, generated, framework, screen, calls) {
+    const combined = [...reused, ...(generated.questions || [])].map(
+      (q, index) => ({ ...q, id: index + 1 })
+    );
+    const mixed = reused.length > 0 || calls > 1;
+    const result = {
+      ...generated,
+      questions: mixed ? rebalancePoints(combined) : combined,
+    };
+    if (mixed) {
+      result.totalPoints = TEST_TOTAL_POINTS;
+    }
+
+    await this.addTestMetadata(result, framework);
+    result.metadata.fromBank = reused.length;
+    result.metadata.nearDuplicates = {
+      rejected: screen.rejected.length,
+      kept: screen.kept,
+    };
+    return result;
+  }
+
+  /**
+   * Bank new questions and note what the user was served. Both are best effort;
+   * failing to store must not fail the test
+   */
+  async recordTest(args, result) {
+    const {
+      userId = "default",
+      difficulty = "junior",
+      framework = "vanilla",
+    } = args;
+    const questions = result.questions;
+
+    try {
+      await this.bank.addQuestions(
+        questions.filter((q) => !q.reused),
+        { difficulty, framework }
+      );
+    } catch (error) {
+      console.error("Failed to store questions in the bank:", error.message);
+    }
+    try {
+      await this.history.appendServed(userId, questions);
+    } catch (error) {
+      console.error("Failed to record question history:", error.message);
+    }
+  }
+
+  async generateTest(args) {
+    const framework = args.framework || "vanilla";
+
+    try {
+      const screen = await this.createScreen(args.userId || "default");
+      const { reused, remaining } = await this.planTest(args, screen);
+      let generated = { questions: [] };
+      let calls = 0;
+
+      if (remaining > 0) {
+        const distinct = await this.generateDistinct(args, remaining, screen);
+        generated = { ...distinct.result, questions: distinct.questions };
+        calls = distinct.calls;
+      }
+
+      const test = await this.assembleTest(
+        reused,
+        generated,
+        framework,
+        screen,
+        calls
+      );
+      await this.recordTest(args, test);
+
+      return this.toolResult({ ok: true, result: test });
+    } catch (error) {
+      if (error instanceof StructuredOutputError) {
+        return this.toolResult({ ok: false, ...error.toJSON() });
+      }
+      throw new Error(`Test generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate a test while streaming each question as soon as the model finishes it
+   * Streamed output cannot be repaired mid-flight, so each item is checked on its own
+   * and invalid ones are dropped. Near-duplicates are held back too; once the stream
+   * ends, the questions still missing are generated like the blocking path's rounds
+   * @param {object} args - Same as generateTest
+   * @param {(question: object, index: number, total: number) => (void|Promise<void>)} onQuestion
+   */
+  async generateTestStream(args, onQuestion) {
+    const total = Number(args.numQuestions ?? 5);
+    const framework = args.framework || "vanilla";
+    const sent = [];
+    let content = "";
+
+    const send = async (question) => {
+      sent.push(question);
+      await onQuestion({ ...question, id: sent.length }, sent.length, total);
+    };
+
+    try {
+      const screen = await this.createScreen(args.userId || "default");
+      const { reused, remaining } = await this.planTest(args, screen);
+      for (const question of reused) {
+        await send(question);
+      }
+
+      let generated = { questions: [] };
+      let calls = 0;
+      if (remaining > 0) {
+        const { messages, options } = this.buildGenerationRequest({
+          ...args,
+          numQuestions: remaining,
+        });
+        const parser = new JsonArrayStreamParser("questions");
+        const streamed = [];
+
+        for await (const delta of chatCompletionStream(
+          "test-generator",
+          messages,
+          { ...options, json: true }
+        )) {
+          content += delta;
+
+          for (const item of parser.push(delta)) {
+            // Extra items past the requested count are ignored
+            if (streamed.length >= remaining) break;
+            const parsed = QuestionSchema.safeParse(item);
+            if (!parsed.success) continue;
+
+            const question = this.enhanceQuestion(parsed.data, framework);
+            if (await this.screenQuestion(screen, question)) {
+              streamed.push(question);
+              await send(question);
+            }
+          }
+        }
+
+        // Only the test-level fields; the questions were checked one by one
+        const outcome = parseStructured(content, TestFieldsSchema);
+
+        const distinct = await this.generateDistinct(
+          args,
+          remaining,
+          screen,
+          streamed,
+          1
+        );
+        for (const question of distinct.questions.slice(streamed.length)) {
+          await send(question);
+        }
+        generated = {
+          ...(outcome.success ? outcome.data : {}),
+          questions: distinct.questions,
         };
+        calls = distinct.calls;
       }
+
+      const test = await this.assembleTest(
+        reused,
+        generated,
+        framework,
+        screen,
+        calls
+      );
+      await this.recordTest(args, test);
+
+      return this.toolResult({ ok: true, result: test });
     } catch (error) {
+      if (error instanceof StructuredOutputError) {
+        return this.toolResult({ ok: false, ...error.toJSON() });
+      }
       throw new Error(`Test generation failed: ${error.message}`);
     }
   }
 
+  toolResult(payload) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(payload),
+        },
+      ],
+    };
+  }
+
   buildSystemPrompt(framework, difficulty) {
     return `You are an expert web development instructor specializing in junior-level training. 
 
@@ -195,7 +613,12 @@ OUTPUT FORMAT: JSON only in this exact structure:
       "points": 20,
       "category": "html|css|javascript|api|framework|general",
       "difficulty": "beginner|junior|intermediate",
-      "codeExample": "optional code snippet if relevant"
+      "codeExample": "optional code snippet if relevant",
+      "entryPoint": "functionName", // code questions that ask for a JavaScript function
+      "tests": [ // hidden tests for those code questions, never shown to the learner
+        { "description": "what this case checks", "args": [[1, 2, 3]], "expected": 6 },
+        { "description": "what this case checks", "assertion": "functionName([]) === 0" }
+      ]
     }
   ],
   "totalPoints": 100,
@@ -211,6 +634,14 @@ QUESTION TYPES:
 - "short": Brief text answer (1-3 sentences)
 - "code": Code snippet or debugging question
 
+HIDDEN TESTS (code questions that ask for a JavaScript function):
+- Name the function in the prompt and in "entryPoint"
+- Add 3-5 "tests" covering the normal case and edge cases
+- "args" is the argument list and "expected" the return value, both plain JSON;
+  use an "assertion" (a boolean JavaScript expression) when JSON cannot express the check
+- Tests run the learner's code in isolation: no DOM, timers, network or modules
+- The reference "answer" must pass every test
+
 GUIDELINES:
 - Make questions practical and job-relevant
 - Include real code examples when possible
@@ -253,8 +684,12 @@ VARIETY REQUIREMENTS:
       "modern best practices",
     ];
 
+    // Seeded when cassettes are active so recorded prompts replay identically
+    const random = getRandom(
+      `test-generator:${topics.join(",")}:${numQuestions}:${framework}`
+    );
     const randomScenarios = scenarioTypes
-      .sort(() => Math.random() - 0.5)
+      .sort(() => random() - 0.5)
       .slice(0, 3)
       .join(", ");
 
@@ -339,34 +774,35 @@ IMPORTANT: Each question should feel like a real workplace scenario that a junio
     return details.join("\n");
   }
 
-  enhanceQuestions(result, framework) {
-    // Add framework-specific context and ensure proper categorization
-    if (result.questions) {
-      result.questions = result.questions.map((q) => {
-        // Generate hash of question prompt to track uniqueness
-        const questionHash = this.generateQuestionHash(q.prompt);
-
-        // Store hash for future deduplication
-        this.recentQuestionHashes.add(questionHash);
-
-        // Clean up old hashes if we have too many
-        if (this.recentQuestionHashes.size > this.maxRecentQuestions) {
-          const hashes = Array.from(this.recentQuestionHashes);
-          this.recentQuestionHashes = new Set(
-            hashes.slice(-this.maxRecentQuestions)
-          );
-        }
+  enhanceQuestion(q, framework) {
+    // Generate hash of question prompt to track uniqueness
+    const questionHash = this.generateQuestionHash(q.prompt);
+    this.rememberQuestion(questionHash);
 
-        return {
-          ...q,
-          framework: framework,
-          enhanced: true,
-          generatedAt: new Date().toISOString(),
-          uniqueId: questionHash,
-        };
-      });
+    return {
+      ...q,
+      framework: framework,
+      enhanced: true,
+      generatedAt: new Date().toISOString(),
+      uniqueId: questionHash,
+    };
+  }
+
+  rememberQuestion(questionHash) {
+    // Re-adding moves the hash to the end, so the oldest are dropped first
+    this.recentQuestionHashes.delete(questionHash);
+    this.recentQuestionHashes.add(questionHash);
+
+    // Clean up old hashes if we have too many
+    if (this.recentQuestionHashes.size > this.maxRecentQuestions) {
+      const hashes = Array.from(this.recentQuestionHashes);
+      this.recentQuestionHashes = new Set(
+        hashes.slice(-this.maxRecentQuestions)
+      );
     }
+  }
 
+  async addTestMetadata(result, framework) {
     // Ensure metadata
     if (!result.metadata) {
       result.metadata = {};
@@ -374,7 +810,7 @@ IMPORTANT: Each question should feel like a real workplace scenario that a junio
     result.metadata.framework = framework;
     result.metadata.generatedBy = "TestGeneratorAgent";
     result.metadata.questionCount = result.questions?.length || 0;
-    result.metadata.diversity = this.calculateDiversityScore(
+    result.metadata.diversity = await this.calculateDiversityScore(
       result.questions || []
     );
 
@@ -382,29 +818,22 @@ IMPORTANT: Each question should feel like a real workplace scenario that a junio
   }
 
   generateQuestionHash(prompt) {
-    // Simple hash function for question uniqueness tracking
-    let hash = 0;
-    for (let i = 0; i < prompt.length; i++) {
-      const char = prompt.charCodeAt(i);
-      hash = (hash << 5) - hash + char;
-      hash = hash & hash; // Convert to 32bit integer
-    }
-    return Math.abs(hash).toString(16);
+    // Also the question bank key, so it must not collide as the bank grows
+    const normalized = prompt.trim().replace(/\s+/g, " ").toLowerCase();
+    return createHash("sha256").update(normalized).digest("hex").slice(0, 16);
   }
 
-  calculateDiversityScore(questions) {
+  async calculateDiversityScore(questions) {
     if (questions.length === 0) return 0;
 
     const categories = new Set(questions.map((q) => q.category));
     const types = new Set(questions.map((q) => q.type));
-    const uniquePrompts = new Set(
-      questions.map((q) => this.generateQuestionHash(q.prompt))
-    );
 
-    // Score based on variety of categories, types, and unique content
+    // Score based on variety of categories, types, and content; reworded copies
+    // of a question count as the same content
     const categoryScore = categories.size / Math.max(questions.length, 3);
     const typeScore = types.size / 3; // 3 possible types
-    const uniquenessScore = uniquePrompts.size / questions.length;
+    const uniquenessScore = await semanticVariety(questions);
 
     return Math.round(
       ((categoryScore + typeScore + uniquenessScore) / 3) * 100
@@ -1,20 +1,42 @@
 /**
  * Utility Agent - Support Functions for Test Trainer
- * Handles explanations, focus topic derivation, code validation, and other utilities
+ * Handles explanations, focus topic derivation, code validation, quiz import/export,
+ * results reports, and other utilities
  */
 
-import OpenAI from "openai";
-
-let openai = null;
-
-function getOpenAI() {
-  if (!openai) {
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-  }
-  return openai;
-}
+import {
+  analyzeAnswer,
+  answerLanguage,
+  summarizeFindings,
+} from "../analysis/answer-analysis.js";
+import { analyzeCss } from "../analysis/css-analyzer.js";
+import { formatFinding } from "../analysis/findings.js";
+import { validateHtml } from "../analysis/html-validator.js";
+import { analyzeJavaScript } from "../analysis/js-analyzer.js";
+import {
+  QuizFormatError,
+  detectQuizFormat,
+  exportQuiz,
+  importQuiz,
+} from "../authoring/quiz-format.js";
+import { ConceptExplanationSchema } from "../llm/schemas.js";
+import {
+  REPORT_FORMATS,
+  buildResultsReport,
+  renderReportCsv,
+  renderReportHtml,
+} from "../reports/results-report.js";
+import {
+  StructuredOutputError,
+  structuredCompletion,
+} from "../llm/structured.js";
+
+// Warnings that belong outside the style section of a code validation
+const FINDING_SECTIONS = {
+  "unsafe-inner-html": "security",
+  "unhandled-promise": "security",
+  "await-in-loop": "performance",
+};
 
 export class UtilityAgent {
   constructor() {
@@ -154,61 +176,65 @@ export class UtilityAgent {
       throw new Error("Missing required explanation parameters");
     }
 
+    // Parser findings for code answers, so the explanation addresses real problems
+    const codeReport = analyzeAnswer(
+      studentAnswer,
+      answerLanguage(question, question.category || context)
+    );
+
     const systemPrompt = this.buildExplanationPrompt(context);
     const userPrompt = this.buildExplanationRequest(
       question,
       studentAnswer,
       expectedAnswer,
-      context
+      context,
+      codeReport
     );
 
     try {
-      const response = await getOpenAI().chat.completions.create({
-        model: "gpt-4",
-        messages: [
+      const result = await structuredCompletion(
+        "utility",
+        [
           { role: "system", content: systemPrompt },
           { role: "user", content: userPrompt },
         ],
-        max_tokens: 1500,
-        temperature: 0.3, // Slightly higher for more natural explanations
-      });
-
-      const content = response.choices[0]?.message?.content?.trim();
+        ConceptExplanationSchema,
+        {
+          model: "gpt-4",
+          maxTokens: 1500,
+          temperature: 0.3, // Slightly higher for more natural explanations
+        }
+      );
 
-      try {
-        const result = JSON.parse(content);
-        const enhancedResult = this.enhanceExplanation(
-          result,
-          context,
-          question
-        );
+      const enhancedResult = this.enhanceExplanation(
+        result,
+        context,
+        question,
+        codeReport
+      );
 
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              ok: true,
+              result: enhancedResult,
+            }),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof StructuredOutputError) {
         return {
           content: [
             {
               type: "text",
-              text: JSON.stringify({
-                ok: true,
-                result: enhancedResult,
-              }),
-            },
-          ],
-        };
-      } catch (parseError) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify({
-                ok: false,
-                error: "ParseError",
-                raw: content,
-              }),
+              text: JSON.stringify({ ok: false, ...error.toJSON() }),
             },
           ],
         };
       }
-    } catch (error) {
       throw new Error(`Explanation generation failed: ${error.message}`);
     }
   }
@@ -271,6 +297,110 @@ export class UtilityAgent {
     };
   }
 
+  async importQuiz(args) {
+    const { content, filename } = args;
+
+    if (typeof content !== "string") {
+      throw new Error("Missing required parameters for quiz import");
+    }
+
+    try {
+      const test = importQuiz(
+        content,
+        args.format || detectQuizFormat(content, filename)
+      );
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ ok: true, result: test }),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof QuizFormatError) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({ ok: false, ...error.toJSON() }),
+            },
+          ],
+        };
+      }
+      throw error;
+    }
+  }
+
+  async exportQuiz(args) {
+    const { test, format } = args;
+
+    if (!test || !format) {
+      throw new Error("Missing required parameters for quiz export");
+    }
+
+    try {
+      const content = exportQuiz(test, format);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              ok: true,
+              result: {
+                format,
+                content,
+                filename: `quiz.${format === "markdown" ? "md" : "yaml"}`,
+              },
+            }),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof QuizFormatError) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({ ok: false, ...error.toJSON() }),
+            },
+          ],
+        };
+      }
+      throw error;
+    }
+  }
+
+  async exportResultsReport(args) {
+    const { test, grade, explanations, format, userId } = args;
+
+    if (!test || !grade || !REPORT_FORMATS.includes(format)) {
+      throw new Error("Missing required parameters for results report");
+    }
+
+    const report = buildResultsReport({ test, grade, explanations, userId });
+    const stamp = report.generatedAt.slice(0, 10);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            ok: true,
+            result: {
+              format,
+              content:
+                format === "html"
+                  ? renderReportHtml(report)
+                  : renderReportCsv(report),
+              filename: `test-results-${stamp}.${format}`,
+            },
+          }),
+        },
+      ],
+    };
+  }
+
   buildExplanationPrompt(context) {
     return `You are a patient, expert web development mentor specializing in helping junior developers understand concepts.
 
@@ -315,7 +445,20 @@ GUIDELINES:
 - Suggest concrete next steps`;
   }
 
-  buildExplanationRequest(question, studentAnswer, expectedAnswer, context) {
+  buildExplanationRequest(
+    question,
+    studentAnswer,
+    expectedAnswer,
+    context,
+    codeReport = null
+  ) {
+    const findingsData = codeReport
+      ? `
+STATIC ANALYSIS OF THE STUDENT'S CODE (verified by a parser; explain the findings that relate to the mistake):
+${summarizeFindings(codeReport)}
+`
+      : "";
+
     return `Explain this web development concept to a junior developer who got it partially wrong.
 
 QUESTION DETAILS:
@@ -328,8 +471,7 @@ EXPECTED ANSWER:
 "${expectedAnswer}"
 
 CONTEXT: ${context}
-
-ANALYSIS NEEDED:
+${findingsData}ANALYSIS NEEDED:
 1. What did the student understand correctly?
 2. Where did their understanding break down?
 3. What concept needs clarification?
@@ -339,7 +481,7 @@ ANALYSIS NEEDED:
 Make the explanation educational and encouraging, focusing on helping them understand the underlying concept rather than just getting the "right" answer.`;
   }
 
-  enhanceExplanation(result, context, question) {
+  enhanceExplanation(result, context, question, codeReport = null) {
     // Add contextual learning resources
     result.learningResources = this.getLearningResources(context);
 
@@ -349,6 +491,10 @@ Make the explanation educational and encouraging, focusing on helping them under
     // Add difficulty progression
     result.progressionPath = this.getProgressionPath(context);
 
+    if (codeReport) {
+      result.codeFindings = codeReport.findings;
+    }
+
     return result;
   }
 
@@ -530,30 +676,7 @@ Make the explanation educational and encouraging, focusing on helping them under
   }
 
   validateJavaScript(code, validation) {
-    // Check for common issues
-    if (code.includes("==") && !code.includes("===")) {
-      validation.style.suggestions.push(
-        "Use === for strict equality comparison"
-      );
-      validation.style.score -= 10;
-    }
-
-    if (code.includes("var ")) {
-      validation.style.suggestions.push(
-        "Consider using 'let' or 'const' instead of 'var'"
-      );
-      validation.style.score -= 5;
-    }
-
-    if (
-      !code.includes("try") &&
-      (code.includes("fetch") || code.includes("await"))
-    ) {
-      validation.security.warnings.push(
-        "Consider adding error handling for async operations"
-      );
-      validation.security.safe = false;
-    }
+    this.applyFindings(analyzeJavaScript(code), validation);
 
     // Check for performance issues
     if (
@@ -566,35 +689,42 @@ Make the explanation educational and encouraging, focusing on helping them under
   }
 
   validateHTML(code, validation) {
-    if (!code.includes("<!DOCTYPE")) {
-      validation.syntax.issues.push("Missing DOCTYPE declaration");
-      validation.syntax.valid = false;
-    }
+    this.applyFindings(validateHtml(code), validation);
+  }
 
-    if (code.includes("<img") && !code.includes("alt=")) {
-      validation.style.suggestions.push(
-        "Add alt attributes to images for accessibility"
-      );
-      validation.style.score -= 15;
-    }
+  // Errors are syntax issues; warnings go to their section, style by default
+  applyFindings(report, validation) {
+    report.findings.forEach((finding) => {
+      const message = formatFinding(finding);
+      const section =
+        finding.severity === "error"
+          ? "syntax"
+          : FINDING_SECTIONS[finding.rule] || "style";
+
+      if (section === "syntax") {
+        validation.syntax.issues.push(message);
+      } else if (section === "security") {
+        validation.security.warnings.push(message);
+        validation.security.safe = false;
+      } else if (section === "performance") {
+        validation.performance.optimizations.push(message);
+        validation.performance.efficient = false;
+      } else {
+        validation.style.suggestions.push(message);
+        validation.style.score = Math.max(0, validation.style.score - 5);
+      }
+    });
 
-    if (!code.includes("lang=")) {
-      validation.style.suggestions.push("Add lang attribute to html element");
-      validation.style.score -= 5;
-    }
+    validation.syntax.valid = report.valid;
+    // Structured copy for graders and UIs that point at the exact spot
+    validation.findings = report.findings;
   }
 
   validateCSS(code, validation) {
-    if (code.includes("!important")) {
-      validation.style.suggestions.push("Avoid using !important when possible");
-      validation.style.score -= 10;
-    }
-
-    if (!code.includes("box-sizing: border-box")) {
-      validation.performance.optimizations.push(
-        "Consider using box-sizing: border-box"
-      );
-    }
+    const report = analyzeCss(code);
+    this.applyFindings(report, validation);
+    // Lets learners compare selectors when working out which rule wins
+    validation.specificity = report.selectors || [];
   }
 
   validateJSON(code, validation) {
@@ -0,0 +1,71 @@
+/**
+ * Answer Analysis - Static analysis of learners' code answers
+ * Picks the analyzer for a code question so grading and explanations cite the same
+ * parser-verified findings
+ */
+
+import { analyzeCss } from "./css-analyzer.js";
+import { formatFinding } from "./findings.js";
+import { validateHtml } from "./html-validator.js";
+import { analyzeJavaScript } from "./js-analyzer.js";
+
+const ANALYZERS = {
+  css: analyzeCss,
+  html: validateHtml,
+  javascript: analyzeJavaScript,
+};
+
+// Code for these categories is JavaScript unless the question says otherwise
+const JAVASCRIPT_CATEGORIES = new Set(["javascript", "api", "framework"]);
+
+const MAX_SUMMARY_FINDINGS = 10;
+
+/**
+ * Which analyzer applies to a question's answers, if any
+ * @param {object} question
+ * @param {string} [category] - Overrides question.category
+ * @returns {"css"|"html"|"javascript"|undefined}
+ */
+export function answerLanguage(question, category = question?.category) {
+  if (question?.type !== "code") return undefined;
+  const normalized = String(category || "").toLowerCase();
+  if (ANALYZERS[normalized]) return normalized;
+  if (JAVASCRIPT_CATEGORIES.has(normalized) || question.entryPoint) {
+    return "javascript";
+  }
+  return undefined;
+}
+
+/**
+ * Analyze one answer. Markdown fences become blank lines so positions still match
+ * the answer as the learner wrote it
+ * @param {string} answer
+ * @param {string} [language]
+ * @returns {object|null} The analyzer's report, or null when nothing applies
+ */
+export function analyzeAnswer(answer, language) {
+  const analyzer = ANALYZERS[language];
+  if (!analyzer || typeof answer !== "string" || !answer.trim()) return null;
+  return analyzer(answer.replace(/^[ \t]*```[\w-]*[ \t]*$/gm, ""));
+}
+
+/**
+ * Plain-text summary for prompts and feedback
+ * @param {{errorCount: number, warningCount: number, findings: object[]}} report
+ */
+export function summarizeFindings(report) {
+  if (report.findings.length === 0) {
+    return "Static analysis: no problems found.";
+  }
+
+  const lines = [
+    `Static analysis: ${report.errorCount} error(s), ${report.warningCount} warning(s).`,
+    ...report.findings
+      .slice(0, MAX_SUMMARY_FINDINGS)
+      .map((finding) => `- [${finding.rule}] ${formatFinding(finding)}`),
+  ];
+  const hidden = report.findings.length - MAX_SUMMARY_FINDINGS;
+  if (hidden > 0) lines.push(`- ...and ${hidden} more`);
+
+  return lines.join("\n");
+}
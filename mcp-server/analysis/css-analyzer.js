@@ -0,0 +1,504 @@
+/**
+ * CSS Analyzer - PostCSS-based checks for stylesheet answers
+ * PostCSS parses the stylesheet, css-tree's lexer checks property names and values
+ * against the CSS grammar, and selector specificity is computed per selector so
+ * cascade questions ("which rule wins?") can be answered mechanically
+ */
+
+import { selectorSpecificity } from "@csstools/selector-specificity";
+import * as csstree from "css-tree";
+import postcss from "postcss";
+import safeParse from "postcss-safe-parser";
+import selectorParser from "postcss-selector-parser";
+import { buildReport, createFinding } from "./findings.js";
+
+const { lexer } = csstree;
+
+// css-tree cannot match values that are only known at computed-value time
+const SUBSTITUTION_FUNCTION = /\b(?:var|env|attr)\(/i;
+
+const FLEX_DISPLAYS = new Set(["flex", "inline-flex"]);
+const GRID_DISPLAYS = new Set(["grid", "inline-grid"]);
+
+const FLEX_CONTAINER_PROPERTIES = new Set([
+  "flex-direction",
+  "flex-wrap",
+  "flex-flow",
+]);
+
+const GRID_CONTAINER_PROPERTIES = new Set([
+  "grid-template",
+  "grid-template-areas",
+  "grid-template-columns",
+  "grid-template-rows",
+  "grid-auto-flow",
+  "grid-auto-columns",
+  "grid-auto-rows",
+]);
+
+// Alignment that does nothing unless the element is a flex or grid container
+const CONTAINER_ALIGNMENT_PROPERTIES = new Set([
+  "justify-content",
+  "align-items",
+]);
+
+// The containers a layout property works on, as the findings name them
+function containerKind(prop) {
+  if (FLEX_CONTAINER_PROPERTIES.has(prop)) return "flex";
+  if (GRID_CONTAINER_PROPERTIES.has(prop)) return "grid";
+  return "flex or grid";
+}
+
+const SIDES = ["top", "right", "bottom", "left"];
+
+// Shorthands reset every longhand they cover, even ones they do not mention
+const SHORTHANDS = {
+  margin: SIDES.map((side) => `margin-${side}`),
+  padding: SIDES.map((side) => `padding-${side}`),
+  inset: SIDES,
+  border: [
+    "border-width",
+    "border-style",
+    "border-color",
+    ...SIDES.flatMap((side) => [
+      `border-${side}`,
+      `border-${side}-width`,
+      `border-${side}-style`,
+      `border-${side}-color`,
+    ]),
+  ],
+  background: [
+    "background-color",
+    "background-image",
+    "background-position",
+    "background-size",
+    "background-repeat",
+    "background-attachment",
+    "background-origin",
+    "background-clip",
+  ],
+  font: [
+    "font-family",
+    "font-size",
+    "font-style",
+    "font-variant",
+    "font-weight",
+    "font-stretch",
+    "line-height",
+  ],
+  flex: ["flex-grow", "flex-shrink", "flex-basis"],
+  "flex-flow": ["flex-direction", "flex-wrap"],
+  gap: ["row-gap", "column-gap"],
+  overflow: ["overflow-x", "overflow-y"],
+  "list-style": ["list-style-type", "list-style-position", "list-style-image"],
+  transition: [
+    "transition-property",
+    "transition-duration",
+    "transition-timing-function",
+    "transition-delay",
+  ],
+  animation: [
+    "animation-name",
+    "animation-duration",
+    "animation-timing-function",
+    "animation-delay",
+    "animation-iteration-count",
+    "animation-direction",
+    "animation-fill-mode",
+    "animation-play-state",
+  ],
+  "grid-template": [
+    "grid-template-rows",
+    "grid-template-columns",
+    "grid-template-areas",
+  ],
+  "place-items": ["align-items", "justify-items"],
+  "place-content": ["align-content", "justify-content"],
+};
+
+const KNOWN_PROPERTIES = Object.keys(lexer.properties).filter(
+  (name) => !name.startsWith("-")
+);
+
+function positionOf(node) {
+  const start = node.source?.start;
+  return start ? { line: start.line, column: start.column } : undefined;
+}
+
+function valuePosition(decl, offset = 0) {
+  const start = decl.source?.start;
+  if (!start) return undefined;
+  const before = `${decl.prop}${decl.raws.between || ":"}${decl.value.slice(0, offset)}`;
+  if (before.includes("\n")) return positionOf(decl);
+  return { line: start.line, column: start.column + before.length };
+}
+
+function normalizeSelector(selector) {
+  return selector.replace(/\s+/g, " ").trim();
+}
+
+// Where a rule applies: the at-rules and parent rules around it
+function contextOf(node) {
+  const parts = [];
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.type === "atrule") {
+      parts.unshift(`@${parent.name} ${parent.params}`);
+    } else if (parent.type === "rule") {
+      parts.unshift(normalizeSelector(parent.selector));
+    }
+  }
+  return parts.join(" > ");
+}
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function suggestProperty(name) {
+  let best;
+  let bestDistance = 3;
+  for (const candidate of KNOWN_PROPERTIES) {
+    if (Math.abs(candidate.length - name.length) >= bestDistance) continue;
+    const distance = editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Specificity of one complex selector, e.g. "#nav .item a:hover" -> [1, 2, 1]
+ * @param {string} selector
+ * @returns {[number, number, number]} [ids, classes/attributes/pseudo-classes, types]
+ */
+export function specificityOf(selector) {
+  const root = selectorParser().astSync(selector);
+  // A selector list is as specific as its most specific member
+  return root.nodes
+    .map((node) => {
+      const { a, b, c } = selectorSpecificity(node);
+      return [a, b, c];
+    })
+    .reduce((max, current) =>
+      compareSpecificity(current, max) > 0 ? current : max
+    );
+}
+
+/**
+ * @param {number[]} left
+ * @param {number[]} right
+ * @returns {number} Positive when left wins, negative when right wins, 0 on a tie
+ *   (then the later rule wins)
+ */
+export function compareSpecificity(left, right) {
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+}
+
+class CssAnalysis {
+  constructor(root) {
+    this.root = root;
+    this.findings = [];
+    this.selectors = [];
+    // Declarations already beaten inside their own rule
+    this.superseded = new Set();
+  }
+
+  report(rule, severity, message, position) {
+    this.findings.push(createFinding(rule, severity, message, position));
+  }
+
+  run() {
+    const hasLayoutContainer = this.hasLayoutContainer();
+
+    this.root.walkAtRules((atRule) => this.checkAtRule(atRule));
+    this.root.walkRules((rule) => {
+      this.recordSpecificity(rule);
+      this.checkRule(rule, hasLayoutContainer);
+    });
+    this.checkOverriddenRules();
+
+    return this.findings;
+  }
+
+  hasLayoutContainer() {
+    let found = false;
+    this.root.walkDecls("display", (decl) => {
+      const display = decl.value.trim().toLowerCase();
+      if (FLEX_DISPLAYS.has(display) || GRID_DISPLAYS.has(display)) {
+        found = true;
+      }
+    });
+    return found;
+  }
+
+  checkAtRule(atRule) {
+    if (lexer.checkAtruleName(atRule.name)) {
+      this.report(
+        "unknown-at-rule",
+        "warning",
+        `@${atRule.name} is not a CSS at-rule, so browsers ignore it. It may need a preprocessor or framework build step.`,
+        positionOf(atRule)
+      );
+    }
+  }
+
+  recordSpecificity(rule) {
+    // Keyframe selectors (from, 50%) are not element selectors
+    if (
+      rule.parent?.type === "atrule" &&
+      /keyframes$/i.test(rule.parent.name)
+    ) {
+      return;
+    }
+
+    for (const selector of rule.selectors) {
+      try {
+        this.selectors.push({
+          selector: normalizeSelector(selector),
+          specificity: specificityOf(selector),
+          ...positionOf(rule),
+        });
+      } catch (error) {
+        this.report(
+          "invalid-selector",
+          "error",
+          `"${normalizeSelector(selector)}" is not a valid selector (${error.message}), so browsers drop the whole rule.`,
+          positionOf(rule)
+        );
+      }
+    }
+  }
+
+  // Only declarations directly inside a style rule are properties; at-rules such
+  // as @font-face have descriptors of their own
+  declarationsOf(rule) {
+    return rule.nodes.filter((node) => node.type === "decl");
+  }
+
+  checkRule(rule, hasLayoutContainer) {
+    const decls = this.declarationsOf(rule);
+    decls.forEach((decl) => {
+      this.checkDeclaration(decl);
+      if (decl.important) {
+        this.report(
+          "important",
+          "warning",
+          `!important on ${decl.prop} overrides the cascade and is hard to undo later. Prefer a more specific selector.`,
+          positionOf(decl)
+        );
+      }
+    });
+    this.checkDuplicates(decls);
+    this.checkLayout(decls, hasLayoutContainer);
+  }
+
+  checkDeclaration(decl) {
+    const prop = decl.prop.toLowerCase();
+    // Custom properties accept anything; vendor-prefixed ones vary by browser
+    if (prop.startsWith("--") || prop.startsWith("-")) return;
+
+    if (lexer.checkPropertyName(prop)) {
+      const suggestion = suggestProperty(prop);
+      this.report(
+        "unknown-property",
+        "error",
+        `${decl.prop} is not a CSS property${suggestion ? `; did you mean ${suggestion}?` : ""} Browsers ignore the declaration.`,
+        positionOf(decl)
+      );
+      return;
+    }
+
+    if (SUBSTITUTION_FUNCTION.test(decl.value)) return;
+
+    let match;
+    try {
+      match = lexer.matchProperty(
+        prop,
+        csstree.parse(decl.value, { context: "value" })
+      );
+    } catch {
+      match = { error: { name: "SyntaxError", mismatchOffset: 0 } };
+    }
+    if (!match.error) return;
+    // Anything else is a value css-tree cannot judge, not an invalid one
+    if (!["SyntaxMatchError", "SyntaxError"].includes(match.error.name)) return;
+
+    const offset = match.error.mismatchOffset || 0;
+    const culprit = decl.value.slice(offset).split(/\s+/)[0];
+    const hint =
+      /^-?(?:\d+\.?\d*|\.\d+)$/.test(culprit) && Number(culprit) !== 0
+        ? " Lengths other than 0 need a unit, e.g. px or rem."
+        : "";
+    this.report(
+      "invalid-value",
+      "error",
+      `"${decl.value}" is not a valid value for ${decl.prop}${culprit && culprit !== decl.value ? ` (problem at "${culprit}")` : ""}, so browsers ignore the declaration.${hint}`,
+      valuePosition(decl, offset)
+    );
+  }
+
+  // Later declarations win within a rule, unless the earlier one is !important
+  checkDuplicates(decls) {
+    decls.forEach((decl, index) => {
+      const prop = decl.prop.toLowerCase();
+      if (prop.startsWith("--")) return;
+
+      for (const later of decls.slice(index + 1)) {
+        const laterProp = later.prop.toLowerCase();
+        const isDuplicate = laterProp === prop;
+        const isShorthand = SHORTHANDS[laterProp]?.includes(prop);
+        if (!isDuplicate && !isShorthand) continue;
+        if (decl.important && !later.important) continue;
+        if (isDuplicate && this.isFallback(decl, later)) continue;
+
+        this.superseded.add(decl);
+        this.report(
+          isDuplicate ? "duplicate-declaration" : "overridden-declaration",
+          "warning",
+          isDuplicate
+            ? `${decl.prop} is set again on line ${later.source.start.line} in the same rule, so this value never applies.`
+            : `The ${later.prop} shorthand on line ${later.source.start.line} resets ${decl.prop}. Put ${decl.prop} after it.`,
+          positionOf(decl)
+        );
+        return;
+      }
+    });
+  }
+
+  // display: -webkit-box; display: flex, or width: 90%; width: min(90%, 40rem)
+  isFallback(decl, later) {
+    if (decl.value === later.value) return false;
+    const prefixed = /(^|[\s(,])-(?:webkit|moz|ms|o)-/i;
+    return (
+      prefixed.test(decl.value) ||
+      prefixed.test(later.value) ||
+      (/\(/.test(later.value) && !/\(/.test(decl.value))
+    );
+  }
+
+  checkLayout(decls, hasLayoutContainer) {
+    const displayDecl = decls.findLast(
+      (decl) => decl.prop.toLowerCase() === "display"
+    );
+    const display = displayDecl?.value.trim().toLowerCase();
+    const isFlex = FLEX_DISPLAYS.has(display);
+    const isGrid = GRID_DISPLAYS.has(display);
+
+    for (const decl of decls) {
+      const prop = decl.prop.toLowerCase();
+      const isContainerProperty =
+        FLEX_CONTAINER_PROPERTIES.has(prop) ||
+        GRID_CONTAINER_PROPERTIES.has(prop) ||
+        CONTAINER_ALIGNMENT_PROPERTIES.has(prop);
+      let message;
+
+      if (isFlex && GRID_CONTAINER_PROPERTIES.has(prop)) {
+        message = `${decl.prop} only works on grid containers, but this rule sets display: ${display}.`;
+      } else if (isGrid && FLEX_CONTAINER_PROPERTIES.has(prop)) {
+        message = `${decl.prop} only works on flex containers, but this rule sets display: ${display}.`;
+      } else if (
+        display &&
+        !isFlex &&
+        !isGrid &&
+        display !== "none" &&
+        isContainerProperty
+      ) {
+        message = `${decl.prop} has no effect with display: ${display}; it needs display: ${containerKind(prop)}.`;
+      } else if (!display && !hasLayoutContainer && isContainerProperty) {
+        const kind = containerKind(prop);
+        message = `${decl.prop} only works on ${kind} containers, and no rule here sets display: ${kind}.`;
+      } else if ((isFlex || isGrid) && prop === "vertical-align") {
+        message = `vertical-align does not align the children of a ${isFlex ? "flex" : "grid"} container; use align-items instead.`;
+      }
+
+      if (message) {
+        this.report("layout-misuse", "warning", message, positionOf(decl));
+      }
+    }
+  }
+
+  // A rule whose selector repeats later in the same context loses every property
+  // the later rule sets again: same specificity, and the later rule wins
+  checkOverriddenRules() {
+    const rulesByKey = new Map();
+    this.root.walkRules((rule) => {
+      const key = `${contextOf(rule)} | ${normalizeSelector(rule.selector)}`;
+      if (!rulesByKey.has(key)) rulesByKey.set(key, []);
+      rulesByKey.get(key).push(rule);
+    });
+
+    for (const rules of rulesByKey.values()) {
+      rules.forEach((rule, index) => {
+        for (const decl of this.declarationsOf(rule)) {
+          if (this.superseded.has(decl)) continue;
+          const prop = decl.prop.toLowerCase();
+          const winner = rules
+            .slice(index + 1)
+            .flatMap((later) => this.declarationsOf(later))
+            .find(
+              (later) =>
+                later.prop.toLowerCase() === prop &&
+                (later.important || !decl.important)
+            );
+          if (!winner) continue;
+
+          this.report(
+            "overridden-declaration",
+            "warning",
+            `${decl.prop} here is always overridden by the later ${normalizeSelector(rule.selector)} rule on line ${winner.source.start.line}: same selector, so the later rule wins.`,
+            positionOf(decl)
+          );
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Parse a stylesheet and lint it
+ * @param {string} code
+ * @returns {{valid: boolean, errorCount: number, warningCount: number, selectors?: {selector: string, specificity: number[], line: number, column: number}[], findings: import("./findings.js").Finding[]}}
+ *   After a syntax error the rest of the stylesheet is still checked, as browsers
+ *   still apply it
+ */
+export function analyzeCss(code) {
+  const findings = [];
+  let root;
+  try {
+    root = postcss.parse(code);
+  } catch (error) {
+    if (error.name !== "CssSyntaxError") throw error;
+    findings.push(
+      createFinding("syntax-error", "error", `Syntax error: ${error.reason}`, {
+        line: error.line,
+        column: error.column,
+      })
+    );
+    // Closes what the error left open, the way a browser recovers
+    root = safeParse(code);
+  }
+
+  const analysis = new CssAnalysis(root);
+  return buildReport([...findings, ...analysis.run()], {
+    selectors: analysis.selectors,
+  });
+}
@@ -0,0 +1,58 @@
+/**
+ * Findings - Shared shape for static analysis results
+ * Every analyzer reports { rule, severity, message, line, column } so the same
+ * list works as grading evidence and as learner feedback
+ */
+
+/**
+ * @typedef {object} Finding
+ * @property {string} rule - Stable rule id, e.g. "duplicate-id"
+ * @property {"error"|"warning"} severity
+ * @property {string} message - Learner-facing explanation
+ * @property {number} line - 1-based
+ * @property {number} column - 1-based
+ */
+
+/**
+ * @param {string} rule
+ * @param {"error"|"warning"} severity
+ * @param {string} message
+ * @param {{line?: number, column?: number}} [position]
+ * @returns {Finding}
+ */
+export function createFinding(rule, severity, message, position = {}) {
+  return {
+    rule,
+    severity,
+    message,
+    line: position.line || 1,
+    column: position.column || 1,
+  };
+}
+
+/**
+ * Sort findings by position and add the counts every analyzer reports
+ * @param {Finding[]} findings
+ */
+export function buildReport(findings, extra = {}) {
+  const sorted = [...findings].sort(
+    (a, b) => a.line - b.line || a.column - b.column
+  );
+  const errorCount = sorted.filter((f) => f.severity === "error").length;
+
+  return {
+    valid: errorCount === 0,
+    errorCount,
+    warningCount: sorted.length - errorCount,
+    ...extra,
+    findings: sorted,
+  };
+}
+
+/**
+ * @param {Finding} finding
+ * @returns {string} e.g. "Line 3, column 5: Duplicate id "nav""
+ */
+export function formatFinding(finding) {
+  return `Line ${finding.line}, column ${finding.column}: ${finding.message}`;
+}
@@ -0,0 +1,547 @@
+/**
+ * HTML Validator - HTML5 parser-based checks for markup answers
+ * parse5 runs the spec's tree construction algorithm; a Parser subclass watches it
+ * repair the markup (unclosed, misnested and stray tags) and a walk over the result
+ * checks ids, labels, obsolete markup and attributes. Snippets are parsed as
+ * fragments, so document-only rules (doctype, lang, title) apply to full pages only
+ */
+
+import { html, Parser, Token } from "parse5";
+import { buildReport, createFinding } from "./findings.js";
+
+const { TokenType } = Token;
+
+const VOID_ELEMENTS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]);
+
+// Closing these implicitly is valid HTML, not a mistake
+const OPTIONAL_END_TAGS = new Set([
+  "html",
+  "head",
+  "body",
+  "p",
+  "li",
+  "dt",
+  "dd",
+  "option",
+  "optgroup",
+  "tr",
+  "td",
+  "th",
+  "thead",
+  "tbody",
+  "tfoot",
+  "colgroup",
+  "caption",
+  "rb",
+  "rt",
+  "rtc",
+  "rp",
+]);
+
+// Start tags that end an open <p>, so they can never be inside one
+const PARAGRAPH_CLOSERS = new Set([
+  "address",
+  "article",
+  "aside",
+  "blockquote",
+  "details",
+  "dialog",
+  "div",
+  "dl",
+  "fieldset",
+  "figcaption",
+  "figure",
+  "footer",
+  "form",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "header",
+  "hgroup",
+  "hr",
+  "main",
+  "menu",
+  "nav",
+  "ol",
+  "pre",
+  "section",
+  "table",
+  "ul",
+]);
+
+const INTERACTIVE_ELEMENTS = new Set(["a", "button"]);
+
+const OBSOLETE_ELEMENTS = {
+  acronym: "Use <abbr> instead.",
+  applet: "Use <object> or <embed> instead.",
+  basefont: "Use CSS for fonts.",
+  big: "Use CSS font-size instead.",
+  blink: "Use CSS animations, sparingly.",
+  center: "Use CSS text-align or margin: auto instead.",
+  dir: "Use <ul> instead.",
+  font: "Use CSS for font family, size and color.",
+  frame: "Use <iframe> or a single-page layout instead.",
+  frameset: "Use <iframe> or a single-page layout instead.",
+  marquee: "Use CSS animations, sparingly.",
+  noframes: "Frames are gone; this element is never shown.",
+  strike: "Use <s> or <del> instead.",
+  tt: "Use <code> or <kbd> instead.",
+};
+
+const OBSOLETE_ATTRIBUTES = {
+  align: "Use CSS text-align or flexbox instead.",
+  background: "Use CSS background-image instead.",
+  bgcolor: "Use CSS background-color instead.",
+  cellpadding: "Use CSS padding on the cells instead.",
+  cellspacing: "Use CSS border-spacing instead.",
+  hspace: "Use CSS margin instead.",
+  valign: "Use CSS vertical-align instead.",
+  vspace: "Use CSS margin instead.",
+};
+
+const INPUT_TYPES = new Set([
+  "button",
+  "checkbox",
+  "color",
+  "date",
+  "datetime-local",
+  "email",
+  "file",
+  "hidden",
+  "image",
+  "month",
+  "number",
+  "password",
+  "radio",
+  "range",
+  "reset",
+  "search",
+  "submit",
+  "tel",
+  "text",
+  "time",
+  "url",
+  "week",
+]);
+
+const BOOLEAN_ATTRIBUTES = new Set([
+  "async",
+  "autofocus",
+  "checked",
+  "defer",
+  "disabled",
+  "hidden",
+  "multiple",
+  "novalidate",
+  "open",
+  "readonly",
+  "required",
+  "selected",
+]);
+
+// Input types that are their own label or never shown
+const UNLABELLED_INPUT_TYPES = new Set([
+  "button",
+  "hidden",
+  "image",
+  "reset",
+  "submit",
+]);
+
+const PARSE_ERROR_MESSAGES = {
+  "missing-doctype":
+    "Missing <!DOCTYPE html>. Without it browsers render the page in quirks mode.",
+  "duplicate-attribute":
+    "Duplicate attribute on this element; browsers keep only the first one.",
+  "non-void-html-element-start-tag-with-trailing-solidus":
+    "Only void elements like <br> or <img> can self-close. The / is ignored and the element stays open.",
+  "eof-in-tag": "The file ends in the middle of a tag.",
+  "eof-in-comment": "The file ends inside an unclosed <!-- comment.",
+  "end-tag-with-attributes": "End tags cannot have attributes.",
+  "missing-attribute-value": "Attribute has an = but no value.",
+  "missing-whitespace-between-attributes":
+    "Attributes must be separated by whitespace.",
+  "unexpected-character-in-attribute-name":
+    "Attribute name contains a quote, < or =; check for a missing space or quote.",
+  "unexpected-character-in-unquoted-attribute-value":
+    "Quote attribute values that contain quotes, =, < or backticks.",
+  "unexpected-equals-sign-before-attribute-name":
+    "Unexpected = before an attribute name.",
+  "invalid-first-character-of-tag-name":
+    "A < that does not start a tag must be written as &lt;.",
+  "missing-end-tag-name": "Empty end tag </>.",
+  "abrupt-closing-of-empty-comment":
+    "Comments must be written <!-- like this -->.",
+};
+
+function positionOf(location) {
+  return location
+    ? { line: location.startLine, column: location.startCol }
+    : undefined;
+}
+
+function describeParseError(code) {
+  if (PARSE_ERROR_MESSAGES[code]) return PARSE_ERROR_MESSAGES[code];
+  const text = code.replace(/-/g, " ");
+  return `HTML parse error: ${text}.`;
+}
+
+// Observes the parser's own error recovery, which parse5 does not report
+class ValidatingParser extends Parser {
+  report(rule, severity, message, position) {
+    if (!this.findings) this.findings = [];
+    this.findings.push(createFinding(rule, severity, message, position));
+  }
+
+  findOpenElement(names) {
+    const { items, stackTop } = this.openElements;
+    for (let i = stackTop; i >= 0; i--) {
+      const tagName = this.treeAdapter.getTagName(items[i]);
+      if (names.has(tagName)) return tagName;
+    }
+    return undefined;
+  }
+
+  onStartTag(token) {
+    const name = token.tagName;
+    const position = positionOf(token.location);
+
+    if (
+      PARAGRAPH_CLOSERS.has(name) &&
+      this.openElements.hasInButtonScope(html.TAG_ID.P)
+    ) {
+      this.report(
+        "block-in-paragraph",
+        "error",
+        `<${name}> cannot be inside <p>. The browser ends the paragraph before it, so a later </p> closes nothing.`,
+        position
+      );
+    }
+
+    if (INTERACTIVE_ELEMENTS.has(name)) {
+      const outer = this.findOpenElement(INTERACTIVE_ELEMENTS);
+      if (outer) {
+        this.report(
+          "nested-interactive",
+          "error",
+          `<${name}> cannot be inside <${outer}>; interactive elements must not be nested.`,
+          position
+        );
+      }
+    }
+
+    super.onStartTag(token);
+  }
+
+  onEndTag(token) {
+    const name = token.tagName;
+    const position = positionOf(token.location);
+
+    if (VOID_ELEMENTS.has(name)) {
+      this.report(
+        "void-end-tag",
+        "error",
+        `<${name}> is a void element and has no end tag; remove </${name}>.`,
+        position
+      );
+    } else if (!this.findOpenElement(new Set([name]))) {
+      this.report(
+        "stray-end-tag",
+        "error",
+        `</${name}> has no open <${name}> to close.`,
+        position
+      );
+    }
+
+    // </body> and </html> leave open elements in place, so EOF never pops them
+    if (name === "body" || name === "html") {
+      this.reportOpenElements(token);
+    }
+
+    super.onEndTag(token);
+  }
+
+  reportOpenElements(token) {
+    const { items, stackTop } = this.openElements;
+    for (let i = stackTop; i >= 0; i--) {
+      this.reportUnclosed(items[i], token);
+    }
+  }
+
+  reportUnclosed(node, token) {
+    const location = this.treeAdapter.getNodeSourceCodeLocation(node);
+    const name = this.treeAdapter.getTagName(node);
+
+    // Elements the parser made up have no location; optional end tags may be omitted
+    if (!location || OPTIONAL_END_TAGS.has(name) || !token) return;
+
+    let message;
+    if (token.type === TokenType.EOF) {
+      message = `<${name}> is never closed.`;
+    } else if (token.type === TokenType.END_TAG && token.tagName !== name) {
+      message = `<${name}> must be closed before </${token.tagName}> on line ${token.location.startLine}.`;
+    }
+
+    if (!message) return;
+    if (!this.reported) this.reported = new WeakSet();
+    if (this.reported.has(node)) return;
+    this.reported.add(node);
+    this.report("unclosed-element", "error", message, positionOf(location));
+  }
+
+  onItemPop(node, isTop) {
+    this.reportUnclosed(node, this.currentToken);
+    super.onItemPop(node, isTop);
+  }
+}
+
+// The parser stops at end of input without popping what is still open
+const EOF_TOKEN = { type: TokenType.EOF };
+
+function parseMarkup(code, isDocument, onParseError) {
+  const options = { sourceCodeLocationInfo: true, onParseError };
+
+  if (isDocument) {
+    const parser = new ValidatingParser(options);
+    parser.tokenizer.write(code, true);
+    parser.reportOpenElements(EOF_TOKEN);
+    return { root: parser.document, findings: parser.findings || [] };
+  }
+
+  const parser = ValidatingParser.getFragmentParser(null, options);
+  parser.tokenizer.write(code, true);
+  parser.reportOpenElements(EOF_TOKEN);
+  return { root: parser.getFragment(), findings: parser.findings || [] };
+}
+
+function getAttr(node, name) {
+  return node.attrs?.find((attr) => attr.name === name)?.value;
+}
+
+function attrPosition(node, name) {
+  const location = node.sourceCodeLocation;
+  return positionOf(location?.attrs?.[name] || location?.startTag || location);
+}
+
+function isLabelable(node) {
+  if (node.tagName === "select" || node.tagName === "textarea") return true;
+  if (node.tagName !== "input") return false;
+  const type = (getAttr(node, "type") || "text").toLowerCase();
+  return !UNLABELLED_INPUT_TYPES.has(type);
+}
+
+function hasAccessibleName(node) {
+  return ["aria-label", "aria-labelledby", "title"].some((name) =>
+    getAttr(node, name)?.trim()
+  );
+}
+
+// Tree checks: ids, labels, obsolete markup and attribute values
+function checkTree(root, isDocument) {
+  const findings = [];
+  const ids = new Map();
+  const labelTargets = [];
+  const controls = [];
+  let htmlElement = null;
+  let hasTitle = false;
+
+  const add = (rule, severity, message, position) =>
+    findings.push(createFinding(rule, severity, message, position));
+
+  const visit = (node, insideLabel) => {
+    const name = node.tagName;
+
+    if (name) {
+      const position = positionOf(
+        node.sourceCodeLocation?.startTag || node.sourceCodeLocation
+      );
+
+      if (name === "html") htmlElement = node;
+      if (name === "title") hasTitle = true;
+
+      if (OBSOLETE_ELEMENTS[name]) {
+        add(
+          "obsolete-element",
+          "warning",
+          `<${name}> is obsolete. ${OBSOLETE_ELEMENTS[name]}`,
+          position
+        );
+      }
+
+      for (const { name: attr, value } of node.attrs || []) {
+        if (
+          OBSOLETE_ATTRIBUTES[attr] ||
+          (attr === "border" && name === "img")
+        ) {
+          add(
+            "obsolete-attribute",
+            "warning",
+            `The ${attr} attribute on <${name}> is obsolete. ${OBSOLETE_ATTRIBUTES[attr] || "Use CSS border instead."}`,
+            attrPosition(node, attr)
+          );
+        }
+
+        if (BOOLEAN_ATTRIBUTES.has(attr) && value.toLowerCase() === "false") {
+          add(
+            "boolean-attribute-value",
+            "warning",
+            `${attr}="false" still turns ${attr} on; boolean attributes are on whenever present, so remove it instead.`,
+            attrPosition(node, attr)
+          );
+        }
+      }
+
+      const id = getAttr(node, "id");
+      if (id !== undefined) {
+        if (!id.trim() || /\s/.test(id)) {
+          add(
+            "invalid-id",
+            "error",
+            `id "${id}" must be non-empty and contain no spaces.`,
+            attrPosition(node, "id")
+          );
+        } else if (ids.has(id)) {
+          add(
+            "duplicate-id",
+            "error",
+            `Duplicate id "${id}" (first used on line ${ids.get(id).line}); ids must be unique in the page.`,
+            attrPosition(node, "id")
+          );
+        } else {
+          ids.set(id, attrPosition(node, "id"));
+        }
+      }
+
+      if (name === "img" && getAttr(node, "alt") === undefined) {
+        add(
+          "img-missing-alt",
+          "error",
+          'Images need an alt attribute; use alt="" for purely decorative images.',
+          position
+        );
+      }
+
+      if (name === "input") {
+        const type = getAttr(node, "type");
+        if (type !== undefined && !INPUT_TYPES.has(type.toLowerCase())) {
+          add(
+            "invalid-input-type",
+            "error",
+            `"${type}" is not an input type; the browser falls back to type="text".`,
+            attrPosition(node, "type")
+          );
+        }
+      }
+
+      if (name === "label" && getAttr(node, "for") !== undefined) {
+        labelTargets.push({
+          id: getAttr(node, "for"),
+          position: attrPosition(node, "for"),
+        });
+      }
+
+      if (isLabelable(node)) {
+        controls.push({ node, insideLabel, position });
+      }
+    }
+
+    const children = node.content?.childNodes || node.childNodes || [];
+    children.forEach((child) => visit(child, insideLabel || name === "label"));
+  };
+
+  visit(root, false);
+
+  const labelledIds = new Set(labelTargets.map((target) => target.id));
+  labelTargets
+    .filter((target) => !ids.has(target.id))
+    .forEach((target) =>
+      add(
+        "label-for-missing",
+        "error",
+        `<label for="${target.id}"> points to no element with id "${target.id}".`,
+        target.position
+      )
+    );
+
+  controls
+    .filter(
+      ({ node, insideLabel }) =>
+        !insideLabel &&
+        !hasAccessibleName(node) &&
+        !labelledIds.has(getAttr(node, "id"))
+    )
+    .forEach(({ node, position }) =>
+      add(
+        "missing-label",
+        "warning",
+        `<${node.tagName}> has no label. Wrap it in <label> or point a <label for> at its id so screen readers can name it.`,
+        position
+      )
+    );
+
+  if (isDocument) {
+    if (htmlElement && !getAttr(htmlElement, "lang")) {
+      add(
+        "missing-lang",
+        "warning",
+        'Add a lang attribute to <html> (e.g. lang="en") for screen readers and translation.',
+        positionOf(
+          htmlElement.sourceCodeLocation?.startTag ||
+            htmlElement.sourceCodeLocation
+        )
+      );
+    }
+    if (!hasTitle) {
+      add(
+        "missing-title",
+        "warning",
+        "Documents need a <title> in <head>.",
+        positionOf(htmlElement?.sourceCodeLocation)
+      );
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Validate HTML markup
+ * @param {string} code - A full document or a snippet
+ * @returns {{valid: boolean, errorCount: number, warningCount: number,
+ *   mode: "document"|"fragment", findings: import("./findings.js").Finding[]}}
+ */
+export function validateHtml(code) {
+  const isDocument = /<!doctype|<html[\s>]|<head[\s>]|<body[\s>]/i.test(code);
+  const parseErrors = [];
+
+  const { root, findings } = parseMarkup(code, isDocument, (error) =>
+    parseErrors.push(
+      createFinding(error.code, "error", describeParseError(error.code), {
+        line: error.startLine,
+        column: error.startCol,
+      })
+    )
+  );
+
+  return buildReport(
+    [...parseErrors, ...findings, ...checkTree(root, isDocument)],
+    { mode: isDocument ? "document" : "fragment" }
+  );
+}
@@ -0,0 +1,510 @@
+/**
+ * JavaScript Analyzer - AST checks for JavaScript answers
+ * espree parses the answer (JSX included) and eslint-scope resolves every identifier,
+ * so rules see declarations and references instead of substrings. The rule set is
+ * aimed at junior mistakes rather than style: each finding explains the bug it causes
+ */
+
+import * as eslintScope from "eslint-scope";
+import * as espree from "espree";
+import { KEYS } from "eslint-visitor-keys";
+import { buildReport, createFinding } from "./findings.js";
+
+const PARSE_OPTIONS = {
+  ecmaVersion: "latest",
+  loc: true,
+  range: true,
+  ecmaFeatures: { jsx: true },
+};
+
+const FUNCTION_TYPES = new Set([
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+]);
+
+const LOOP_TYPES = new Set([
+  "ForStatement",
+  "ForInStatement",
+  "ForOfStatement",
+  "WhileStatement",
+  "DoWhileStatement",
+]);
+
+const MUTATING_METHODS = new Set([
+  "copyWithin",
+  "fill",
+  "pop",
+  "push",
+  "reverse",
+  "shift",
+  "sort",
+  "splice",
+  "unshift",
+]);
+
+const HTML_SINKS = new Set(["innerHTML", "outerHTML"]);
+
+function positionOf(node) {
+  return { line: node.loc.start.line, column: node.loc.start.column + 1 };
+}
+
+/**
+ * Answers are usually scripts, but may use import/export or top-level await
+ * @returns {{ast?: object, sourceType?: string, error?: object}}
+ */
+function parse(code) {
+  try {
+    return {
+      ast: espree.parse(code, { ...PARSE_OPTIONS, sourceType: "script" }),
+      sourceType: "script",
+    };
+  } catch (scriptError) {
+    try {
+      return {
+        ast: espree.parse(code, { ...PARSE_OPTIONS, sourceType: "module" }),
+        sourceType: "module",
+      };
+    } catch {
+      return { error: scriptError };
+    }
+  }
+}
+
+// Depth-first walk with the ancestor chain, which most rules need
+function walk(node, visit, ancestors = []) {
+  visit(node, ancestors);
+  const keys = KEYS[node.type] || [];
+  ancestors.push(node);
+  for (const key of keys) {
+    const child = node[key];
+    const children = Array.isArray(child) ? child : [child];
+    for (const item of children) {
+      if (item && typeof item.type === "string") walk(item, visit, ancestors);
+    }
+  }
+  ancestors.pop();
+}
+
+function memberName(node) {
+  if (node.type !== "MemberExpression") return undefined;
+  if (!node.computed && node.property.type === "Identifier") {
+    return node.property.name;
+  }
+  return node.property.type === "Literal" ? String(node.property.value) : "";
+}
+
+// The identifier a member chain hangs off: items in items[0].done
+function rootIdentifier(node) {
+  let current = node;
+  while (current.type === "MemberExpression") current = current.object;
+  return current.type === "Identifier" ? current : undefined;
+}
+
+class JavaScriptAnalysis {
+  constructor(ast, sourceType) {
+    this.ast = ast;
+    this.sourceType = sourceType;
+    this.findings = [];
+    this.jsxNames = new Set();
+    this.scopeManager = eslintScope.analyze(ast, {
+      ecmaVersion: espree.latestEcmaVersion,
+      sourceType,
+      childVisitorKeys: KEYS,
+      fallback: "iteration",
+    });
+    this.resolveGlobals();
+    this.references = new Map();
+    for (const scope of this.scopeManager.scopes) {
+      for (const reference of scope.references) {
+        this.references.set(reference.identifier, reference);
+      }
+    }
+  }
+
+  // In scripts eslint-scope leaves references to top-level declarations unresolved,
+  // since other scripts could redeclare them; bind them the way ESLint does
+  resolveGlobals() {
+    const globalScope = this.scopeManager.globalScope;
+    globalScope.through = globalScope.through.filter((reference) => {
+      const variable = globalScope.set.get(reference.identifier.name);
+      if (!variable) return true;
+      reference.resolved = variable;
+      variable.references.push(reference);
+      return false;
+    });
+  }
+
+  report(rule, severity, message, node) {
+    this.findings.push(
+      createFinding(rule, severity, message, positionOf(node))
+    );
+  }
+
+  resolve(identifier) {
+    return this.references.get(identifier)?.resolved || null;
+  }
+
+  run() {
+    walk(this.ast, (node, ancestors) => {
+      switch (node.type) {
+        case "JSXOpeningElement":
+          this.recordJsxName(node.name);
+          break;
+        case "BinaryExpression":
+          this.checkLooseEquality(node);
+          break;
+        case "VariableDeclaration":
+          this.checkVar(node);
+          break;
+        case "AwaitExpression":
+          this.checkAwaitInLoop(node, ancestors);
+          break;
+        case "ExpressionStatement":
+          this.checkFloatingPromise(node);
+          break;
+        case "AssignmentExpression":
+          this.checkHtmlSink(node);
+          this.checkParamMutation(node.left, node);
+          this.checkParamReassignment(node.left, node);
+          break;
+        case "UpdateExpression":
+          this.checkParamMutation(node.argument, node);
+          this.checkParamReassignment(node.argument, node);
+          break;
+        case "UnaryExpression":
+          if (node.operator === "delete") {
+            this.checkParamMutation(node.argument, node);
+          }
+          break;
+        case "CallExpression":
+          this.checkHtmlSinkCall(node);
+          this.checkMutatingCall(node);
+          break;
+      }
+    });
+    this.checkImplicitGlobals();
+    this.checkUnusedVariables();
+    return this.findings;
+  }
+
+  // eslint-scope has no JSX support, so <Item /> does not count as reading Item
+  recordJsxName(name) {
+    let root = name;
+    while (root.type === "JSXMemberExpression") root = root.object;
+    if (root.type === "JSXIdentifier") this.jsxNames.add(root.name);
+  }
+
+  checkLooseEquality(node) {
+    if (node.operator !== "==" && node.operator !== "!=") return;
+    // x == null is the one accepted idiom: it matches null and undefined only
+    const isNull = (side) => side.type === "Literal" && side.value === null;
+    if (isNull(node.left) || isNull(node.right)) return;
+
+    const strict = node.operator === "==" ? "===" : "!==";
+    this.report(
+      "loose-equality",
+      "warning",
+      `Use ${strict} instead of ${node.operator}. Loose equality converts types first, so 0 == "" and "1" == 1 are both true.`,
+      node
+    );
+  }
+
+  checkVar(node) {
+    if (node.kind !== "var") return;
+    this.report(
+      "no-var",
+      "warning",
+      "Use let or const instead of var. var is function-scoped and hoisted, so it leaks out of blocks and loops.",
+      node
+    );
+  }
+
+  // Assigning to a name that was never declared creates a global, or throws in strict code
+  checkImplicitGlobals() {
+    const reported = new Set();
+    for (const reference of this.scopeManager.globalScope.through) {
+      const { name } = reference.identifier;
+      if (!reference.isWrite() || reported.has(name)) continue;
+      reported.add(name);
+      this.report(
+        "implicit-global",
+        "error",
+        `${name} is assigned but never declared. Declare it with let or const; otherwise it becomes a global, and strict mode throws a ReferenceError.`,
+        reference.identifier
+      );
+    }
+  }
+
+  checkUnusedVariables() {
+    for (const scope of this.scopeManager.scopes) {
+      // Top-level declarations are usually the answer itself, so they count as used
+      if (scope.type === "global" || scope.type === "module") continue;
+
+      const params = scope.variables.filter(
+        (variable) => variable.defs[0]?.type === "Parameter"
+      );
+      // Parameters before the last used one hold their position, so they are fine
+      const lastUsedParam = params.findLastIndex((variable) =>
+        this.isUsed(variable)
+      );
+
+      for (const variable of scope.variables) {
+        const def = variable.defs[0];
+        if (!def || variable.name.startsWith("_") || this.isUsed(variable)) {
+          continue;
+        }
+        if (
+          def.type === "CatchClause" ||
+          def.type === "ImplicitGlobalVariable"
+        ) {
+          continue;
+        }
+        if (
+          def.type === "Parameter" &&
+          params.indexOf(variable) < lastUsedParam
+        ) {
+          continue;
+        }
+        // A named function expression's own name is only there for recursion
+        if (
+          def.type === "FunctionName" &&
+          def.node.type !== "FunctionDeclaration"
+        ) {
+          continue;
+        }
+
+        const kind = def.type === "Parameter" ? "Parameter" : "Variable";
+        this.report(
+          "unused-variable",
+          "warning",
+          `${kind} ${variable.name} is declared but never used. Remove it, or check for a typo where it should be used.`,
+          def.name
+        );
+      }
+    }
+  }
+
+  isUsed(variable) {
+    return (
+      this.jsxNames.has(variable.name) ||
+      variable.references.some((reference) => reference.isRead())
+    );
+  }
+
+  checkAwaitInLoop(node, ancestors) {
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      const loop = ancestors[i];
+      if (FUNCTION_TYPES.has(loop.type)) return;
+      if (!LOOP_TYPES.has(loop.type)) continue;
+      // for await is the intended way to consume async iterables one by one
+      if (loop.type === "ForOfStatement" && loop.await) return;
+
+      // A for...of/in source and a for loop's init run once; the rest repeats
+      const child = ancestors[i + 1] || node;
+      if (child === loop.right || child === loop.init) continue;
+
+      this.report(
+        "await-in-loop",
+        "warning",
+        "await inside a loop runs the iterations one after another. If they do not depend on each other, start them all and await Promise.all() instead.",
+        node
+      );
+      return;
+    }
+  }
+
+  // A promise used as a bare statement: nobody waits for it and its errors go unhandled
+  checkFloatingPromise(node) {
+    const expression = node.expression;
+    if (expression.type !== "CallExpression") return;
+
+    const callee = expression.callee;
+    const method = memberName(callee);
+
+    if (method === "then" || method === "finally") {
+      if (this.chainHandlesRejection(expression)) return;
+      this.report(
+        "unhandled-promise",
+        "warning",
+        "This promise chain has no .catch(), so a rejection is unhandled. Add .catch() at the end or use await inside try/catch.",
+        node
+      );
+      return;
+    }
+
+    if (callee.type === "Identifier" && callee.name === "fetch") {
+      this.report(
+        "unhandled-promise",
+        "warning",
+        "The promise from fetch() is ignored. await it (inside try/catch) or chain .then() and .catch().",
+        node
+      );
+      return;
+    }
+
+    if (callee.type === "Identifier" && this.isAsyncFunction(callee)) {
+      this.report(
+        "unhandled-promise",
+        "warning",
+        `${callee.name}() is async but its promise is ignored, so its errors are lost. await it or add .catch().`,
+        node
+      );
+    }
+  }
+
+  chainHandlesRejection(call) {
+    let current = call;
+    while (current?.type === "CallExpression") {
+      const method = memberName(current.callee);
+      if (method === "catch") return true;
+      if (method === "then" && current.arguments.length >= 2) return true;
+      current =
+        current.callee.type === "MemberExpression"
+          ? current.callee.object
+          : undefined;
+    }
+    return false;
+  }
+
+  isAsyncFunction(identifier) {
+    const def = this.resolve(identifier)?.defs[0];
+    if (!def) return false;
+    if (def.type === "FunctionName") return def.node.async === true;
+    return (
+      def.type === "Variable" &&
+      def.parent.kind === "const" &&
+      FUNCTION_TYPES.has(def.node.init?.type) &&
+      def.node.init.async === true
+    );
+  }
+
+  checkHtmlSink(node) {
+    const sink = memberName(node.left);
+    if (!HTML_SINKS.has(sink) || this.isStaticString(node.right)) return;
+    this.reportHtmlSink(`${sink} is set`, node.right);
+  }
+
+  checkHtmlSinkCall(node) {
+    const method = memberName(node.callee);
+    const isDocumentWrite =
+      (method === "write" || method === "writeln") &&
+      node.callee.object.type === "Identifier" &&
+      node.callee.object.name === "document";
+    const markup =
+      method === "insertAdjacentHTML"
+        ? node.arguments[1]
+        : isDocumentWrite
+          ? node.arguments[0]
+          : undefined;
+    if (!markup || this.isStaticString(markup)) return;
+    this.reportHtmlSink(`${method}() is called`, markup);
+  }
+
+  reportHtmlSink(action, valueNode) {
+    this.report(
+      "unsafe-inner-html",
+      "warning",
+      `${action} with data that is not a fixed string. If any of it comes from users or an API it can inject scripts (XSS); use textContent or build elements with createElement.`,
+      valueNode
+    );
+  }
+
+  // Literals, and consts or concatenations built only from literals
+  isStaticString(node) {
+    switch (node.type) {
+      case "Literal":
+        return typeof node.value !== "object" || node.value === null;
+      case "TemplateLiteral":
+        return node.expressions.every((part) => this.isStaticString(part));
+      case "BinaryExpression":
+        return (
+          node.operator === "+" &&
+          this.isStaticString(node.left) &&
+          this.isStaticString(node.right)
+        );
+      case "Identifier": {
+        const variable = this.resolve(node);
+        const def = variable?.defs[0];
+        return (
+          variable?.defs.length === 1 &&
+          def.type === "Variable" &&
+          def.parent.kind === "const" &&
+          def.node.id.type === "Identifier" &&
+          def.node.init != null &&
+          this.isStaticString(def.node.init)
+        );
+      }
+      default:
+        return false;
+    }
+  }
+
+  paramOf(target) {
+    if (target.type !== "MemberExpression") return undefined;
+    const root = rootIdentifier(target);
+    const variable = root && this.resolve(root);
+    return variable?.defs[0]?.type === "Parameter" ? variable : undefined;
+  }
+
+  checkParamMutation(target, node) {
+    const param = this.paramOf(target);
+    if (!param) return;
+    this.reportParamMutation(param.name, node);
+  }
+
+  // n = n + 1 or n++ inside function f(n): the caller's value is untouched, but
+  // the name no longer means what was passed in
+  checkParamReassignment(target, node) {
+    if (target.type !== "Identifier") return;
+    const variable = this.resolve(target);
+    if (variable?.defs[0]?.type !== "Parameter") return;
+    this.report(
+      "param-mutation",
+      "warning",
+      `This reassigns the parameter ${variable.name}, so later code no longer sees the value that was passed in. Use a new local variable instead.`,
+      node
+    );
+  }
+
+  checkMutatingCall(node) {
+    const method = memberName(node.callee);
+    if (!MUTATING_METHODS.has(method)) return;
+    const param = this.paramOf(node.callee);
+    if (!param) return;
+    this.reportParamMutation(param.name, node, `.${method}()`);
+  }
+
+  reportParamMutation(name, node, via) {
+    const how = via ? `${via} changes` : "This changes";
+    this.report(
+      "param-mutation",
+      "warning",
+      `${how} the caller's ${name}, not a copy. Copy it first ([...${name}], { ...${name} } or structuredClone) unless changing it in place is the point.`,
+      node
+    );
+  }
+}
+
+/**
+ * Parse a JavaScript answer and run the junior-focused rule set
+ * @param {string} code
+ * @returns {{valid: boolean, errorCount: number, warningCount: number, sourceType?: string, findings: import("./findings.js").Finding[]}}
+ *   A syntax error is reported as the only finding, since nothing else can be checked
+ */
+export function analyzeJavaScript(code) {
+  const { ast, sourceType, error } = parse(code);
+
+  if (error) {
+    return buildReport([
+      createFinding("syntax-error", "error", `Syntax error: ${error.message}`, {
+        line: error.lineNumber,
+        column: error.column,
+      }),
+    ]);
+  }
+
+  return buildReport(new JavaScriptAnalysis(ast, sourceType).run(), {
+    sourceType,
+  });
+}
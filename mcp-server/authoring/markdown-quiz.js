@@ -0,0 +1,370 @@
+/**
+ * Markdown Quiz - Hand-written question sets as Markdown
+ * Front matter holds the test fields (title, difficulty, framework). Each "## "
+ * heading starts a question and is its prompt; text under the heading continues
+ * the prompt, except "key: value" lines for type, points, category, difficulty and
+ * entryPoint. "### " subsections hold the rest:
+ *
+ *   ## Which array method adds an item to the end of an array?
+ *   type: mcq
+ *   points: 20
+ *   ### Choices
+ *   - push()
+ *   - pop()
+ *   ### Answer
+ *   push()
+ *   ### Rubric
+ *   - Names push()
+ *
+ * Code goes in fenced blocks: "### Code example", a multi-line "### Answer", and
+ * "### Tests" (hidden tests as YAML or JSON). Headings inside fences are ignored.
+ * Choices and Rubric may also be one fenced YAML list, for items that span lines.
+ * A backslash before a prompt line that looks like a heading or a field keeps it
+ * in the prompt: "\type: mcq" is the prompt text "type: mcq"
+ */
+
+import YAML from "yaml";
+
+const FIELD_PATTERN =
+  /^(type|points|category|difficulty|entryPoint):[ \t]*(.*?)[ \t]*$/;
+const LIST_ITEM_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/;
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+
+const SECTIONS = {
+  choices: "choices",
+  answer: "answer",
+  rubric: "rubric",
+  "code example": "codeExample",
+  tests: "tests",
+};
+
+// Field order for export; also what a question section may contain
+const FIELD_ORDER = ["type", "points", "category", "difficulty", "entryPoint"];
+
+function trimBlankLines(lines) {
+  let start = 0;
+  let end = lines.length;
+  while (start < end && !lines[start].trim()) start++;
+  while (end > start && !lines[end - 1].trim()) end--;
+  return lines.slice(start, end);
+}
+
+// The contents of a section that is one fenced block, or null
+function fencedContents(lines) {
+  const trimmed = trimBlankLines(lines);
+  const open = trimmed.length >= 2 && FENCE_PATTERN.exec(trimmed[0]);
+  return open && trimmed[trimmed.length - 1].trim() === open[1]
+    ? trimmed.slice(1, -1).join("\n")
+    : null;
+}
+
+// The contents of a section that is one fenced block, or the section text as is
+function unfence(lines) {
+  return fencedContents(lines) ?? trimBlankLines(lines).join("\n");
+}
+
+// A prompt line the parser would otherwise take for a heading or a field; one
+// that starts with a backslash counts when the rest of it does
+function needsEscape(line) {
+  return (
+    /^#{2,3}\s/.test(line) ||
+    FIELD_PATTERN.test(line) ||
+    (line.startsWith("\\") && needsEscape(line.slice(1)))
+  );
+}
+
+function parseList(lines) {
+  const items = [];
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const item = LIST_ITEM_PATTERN.exec(line);
+    if (item) {
+      items.push(item[1].trim());
+    } else if (items.length > 0) {
+      // A wrapped list item continues on the next line
+      items[items.length - 1] += ` ${line.trim()}`;
+    } else {
+      items.push(line.trim());
+    }
+  }
+  return items;
+}
+
+// Choices and Rubric: a Markdown list, or one fenced YAML list of strings
+function parseListSection(lines, label, name, issues) {
+  const contents = fencedContents(lines);
+  if (contents === null) return parseList(lines);
+
+  try {
+    const items = YAML.parse(contents);
+    if (Array.isArray(items)) return items;
+    issues.push(`${label}: the fenced ${name} must be a YAML list`);
+  } catch (error) {
+    issues.push(`${label}: ${name} are not valid YAML: ${error.message}`);
+  }
+  return undefined;
+}
+
+/**
+ * Parse a Markdown quiz into a plain test object
+ * Only structure is checked here; field values are validated against the test schema
+ * @param {string} text
+ * @returns {{test: object, questionLines: number[], issues: string[]}}
+ *   questionLines holds the line of each question's heading, for error messages
+ */
+export function parseMarkdownQuiz(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  const issues = [];
+  let test = {};
+  let index = 0;
+
+  if (lines[0]?.trim() === "---") {
+    const end = lines.findIndex((line, i) => i > 0 && line.trim() === "---");
+    if (end === -1) {
+      issues.push("Line 1: front matter is not closed with ---");
+      return { test: { questions: [] }, questionLines: [], issues };
+    }
+    try {
+      test = YAML.parse(lines.slice(1, end).join("\n")) || {};
+    } catch (error) {
+      issues.push(`Front matter: ${error.message}`);
+    }
+    if (typeof test !== "object" || Array.isArray(test)) {
+      issues.push("Front matter must be key: value pairs");
+      test = {};
+    }
+    index = end + 1;
+  }
+
+  const questions = [];
+  let current = null;
+  let section = null;
+  let fence = null;
+
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    const lineNumber = index + 1;
+
+    if (!fence && /^##\s/.test(line)) {
+      current = {
+        line: lineNumber,
+        prompt: [line.replace(/^##\s+/, "").trim()],
+        fields: {},
+        sections: {},
+      };
+      questions.push(current);
+      section = null;
+      continue;
+    }
+
+    if (!fence && current && /^###\s/.test(line)) {
+      const name = line
+        .replace(/^###\s+/, "")
+        .trim()
+        .toLowerCase();
+      section = SECTIONS[name] || null;
+      if (!section) {
+        issues.push(
+          `Line ${lineNumber}: unknown section "${line
+            .replace(/^###\s+/, "")
+            .trim()}" (expected Choices, Answer, Rubric, Code example or Tests)`
+        );
+      } else if (current.sections[section]) {
+        issues.push(`Line ${lineNumber}: duplicate "${name}" section`);
+      } else {
+        current.sections[section] = [];
+      }
+      continue;
+    }
+
+    const marker = FENCE_PATTERN.exec(line);
+    if (marker) {
+      if (!fence) {
+        fence = marker[1];
+      } else if (line.trim() === fence) {
+        fence = null;
+      }
+    }
+
+    if (!current) {
+      // A "# Title" before the first question names the test
+      if (/^#\s/.test(line) && !test.title) {
+        test.title = line.replace(/^#\s+/, "").trim();
+      }
+      continue;
+    }
+
+    if (section) {
+      current.sections[section].push(line);
+      continue;
+    }
+
+    const outsideFence = !marker && !fence;
+    const field = outsideFence && FIELD_PATTERN.exec(line);
+    if (field) {
+      current.fields[field[1]] = field[2];
+    } else if (
+      outsideFence &&
+      line.startsWith("\\") &&
+      needsEscape(line.slice(1))
+    ) {
+      current.prompt.push(line.slice(1));
+    } else {
+      current.prompt.push(line);
+    }
+  }
+
+  if (fence) {
+    issues.push(`Code fence ${fence} is not closed`);
+  }
+
+  test.questions = questions.map((question, position) => {
+    const parsed = {
+      prompt: trimBlankLines(question.prompt).join("\n"),
+      ...question.fields,
+    };
+    const label = `Question ${position + 1} (line ${question.line})`;
+
+    // Anything but a number is left as text for the schema to reject
+    if (question.fields.points !== undefined) {
+      const points = Number(question.fields.points);
+      parsed.points =
+        question.fields.points && Number.isFinite(points)
+          ? points
+          : question.fields.points;
+    }
+
+    const { choices, answer, rubric, codeExample, tests } = question.sections;
+    if (choices) {
+      parsed.choices = parseListSection(choices, label, "choices", issues);
+    }
+    if (answer) parsed.answer = unfence(answer);
+    if (rubric) {
+      parsed.rubric = parseListSection(rubric, label, "rubric", issues);
+    }
+    if (codeExample) parsed.codeExample = unfence(codeExample);
+    if (tests) {
+      try {
+        parsed.tests = YAML.parse(unfence(tests));
+      } catch (error) {
+        issues.push(
+          `${label}: tests are not valid YAML or JSON: ${error.message}`
+        );
+      }
+    }
+
+    return parsed;
+  });
+
+  return {
+    test,
+    questionLines: questions.map((question) => question.line),
+    issues,
+  };
+}
+
+// A fence longer than any backtick run in the text, so the text cannot close it
+function fenced(text, info = "") {
+  const longest = Math.max(
+    0,
+    ...(text.match(/`+/g) || []).map((run) => run.length)
+  );
+  const fence = "`".repeat(Math.max(3, longest + 1));
+  return `${fence}${info}\n${text}\n${fence}`;
+}
+
+// Prompt lines after the heading, escaped where the parser would read structure;
+// lines inside the prompt's own code fences are left alone, as the parser does
+function promptBody(lines) {
+  let fence = null;
+  return lines.map((line) => {
+    const marker = FENCE_PATTERN.exec(line);
+    if (marker) {
+      if (!fence) {
+        fence = marker[1];
+      } else if (line.trim() === fence) {
+        fence = null;
+      }
+      return line;
+    }
+    return !fence && needsEscape(line) ? `\\${line}` : line;
+  });
+}
+
+// A Markdown list, unless an item would not survive one: then a fenced YAML list
+function listSection(items) {
+  const texts = items.map(String);
+  if (
+    texts.some(
+      (text) => !text.trim() || text !== text.trim() || text.includes("\n")
+    )
+  ) {
+    return [fenced(YAML.stringify(texts).trimEnd(), "yaml")];
+  }
+  return texts.map((text) => `- ${text}`);
+}
+
+/**
+ * Write a test as a Markdown quiz that parseMarkdownQuiz reads back
+ * @param {{title?: string, difficulty?: string, framework?: string, questions: object[]}} quiz
+ * @returns {string}
+ */
+export function stringifyMarkdownQuiz(quiz) {
+  const { questions, ...fields } = quiz;
+  const blocks = [];
+
+  const frontMatter = Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined)
+  );
+  if (Object.keys(frontMatter).length > 0) {
+    blocks.push(`---\n${YAML.stringify(frontMatter).trimEnd()}\n---`);
+  }
+
+  for (const question of questions) {
+    const promptLines = String(question.prompt).split("\n");
+    // A prompt that opens with a code fence goes under an empty heading, so the
+    // parser sees the fence open
+    const [heading, ...rest] = FENCE_PATTERN.test(promptLines[0])
+      ? ["", ...promptLines]
+      : promptLines;
+    const lines = [`## ${heading}`, ...promptBody(rest)];
+
+    const fieldLines = FIELD_ORDER.filter(
+      (key) => question[key] !== undefined && question[key] !== ""
+    ).map((key) => `${key}: ${question[key]}`);
+    if (fieldLines.length > 0) lines.push("", ...fieldLines);
+
+    if (question.choices?.length) {
+      lines.push("", "### Choices", "", ...listSection(question.choices));
+    }
+    if (question.answer !== undefined) {
+      const answer = String(question.answer);
+      lines.push(
+        "",
+        "### Answer",
+        "",
+        answer.includes("\n") || /^\s*(`{3,}|~{3,})|^#{2,3}\s/.test(answer)
+          ? fenced(answer)
+          : answer
+      );
+    }
+    if (question.rubric?.length) {
+      lines.push("", "### Rubric", "", ...listSection(question.rubric));
+    }
+    if (question.codeExample) {
+      lines.push("", "### Code example", "", fenced(question.codeExample));
+    }
+    if (question.tests?.length) {
+      lines.push(
+        "",
+        "### Tests",
+        "",
+        fenced(YAML.stringify(question.tests).trimEnd(), "yaml")
+      );
+    }
+
+    blocks.push(lines.join("\n"));
+  }
+
+  return blocks.join("\n\n") + "\n";
+}
@@ -0,0 +1,302 @@
+/**
+ * Quiz Format - Import and export hand-authored question sets
+ * A quiz is Markdown (see ./markdown-quiz.js) or YAML with the same fields:
+ *
+ *   title: Arrays and the DOM
+ *   difficulty: junior
+ *   questions:
+ *     - type: mcq
+ *       prompt: Which array method adds an item to the end of an array?
+ *       choices: [push(), pop(), shift()]
+ *       answer: push()
+ *       rubric: [Names push()]
+ *       points: 20
+ *       category: javascript
+ *
+ * Imports are validated against the same question schema as generated tests, so an
+ * imported quiz can be graded like any other. Every problem is reported at once,
+ * with the question number and line it belongs to
+ */
+
+import YAML from "yaml";
+import { QuestionSchema } from "../llm/schemas.js";
+import { parseMarkdownQuiz, stringifyMarkdownQuiz } from "./markdown-quiz.js";
+
+export const QUIZ_FORMATS = ["markdown", "yaml"];
+
+const TEST_TOTAL_POINTS = 100;
+const MAX_MESSAGE_ISSUES = 3;
+
+const QUIZ_FIELDS = new Set([
+  "title",
+  "description",
+  "difficulty",
+  "framework",
+  "totalPoints",
+  "questions",
+]);
+const QUESTION_FIELDS = [
+  "type",
+  "prompt",
+  "choices",
+  "answer",
+  "rubric",
+  "points",
+  "category",
+  "difficulty",
+  "codeExample",
+  "entryPoint",
+  "tests",
+];
+
+export class QuizFormatError extends Error {
+  /**
+   * @param {string[]} issues - Every problem found, each naming where it is
+   */
+  constructor(issues) {
+    const more = issues.length - MAX_MESSAGE_ISSUES;
+    super(
+      `Invalid quiz: ${issues.slice(0, MAX_MESSAGE_ISSUES).join("; ")}${
+        more > 0 ? ` (and ${more} more)` : ""
+      }`
+    );
+    this.name = "QuizFormatError";
+    this.code = "INVALID_QUIZ";
+    this.issues = issues;
+  }
+
+  // Shape used in { ok: false, ... } tool payloads
+  toJSON() {
+    return {
+      error: this.name,
+      code: this.code,
+      message: this.message,
+      issues: this.issues,
+    };
+  }
+}
+
+/**
+ * Guess a quiz's format from its file name, then its content
+ * @param {string} content
+ * @param {string} [filename]
+ * @returns {"markdown"|"yaml"}
+ */
+export function detectQuizFormat(content, filename = "") {
+  if (/\.(md|markdown)$/i.test(filename)) return "markdown";
+  if (/\.ya?ml$/i.test(filename)) return "yaml";
+  return /^##\s/m.test(content) ? "markdown" : "yaml";
+}
+
+function parseYamlQuiz(content) {
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(content, { lineCounter });
+  if (doc.errors.length > 0) {
+    return {
+      test: { questions: [] },
+      questionLines: [],
+      issues: doc.errors.map((error) => {
+        const line = error.linePos?.[0]?.line;
+        // The message repeats the position after its first line
+        const message = error.message
+          .split("\n")[0]
+          .replace(/ at line \d+, column \d+:?$/, "");
+        return `${line ? `Line ${line}: ` : ""}${message}`;
+      }),
+    };
+  }
+
+  let test = doc.toJS() || {};
+  let items = doc.contents?.get?.("questions")?.items;
+  // A bare list of questions is a quiz without test fields
+  if (Array.isArray(test)) {
+    test = { questions: test };
+    items = doc.contents.items;
+  }
+  if (typeof test !== "object") {
+    return {
+      test: { questions: [] },
+      questionLines: [],
+      issues: ["A YAML quiz must be a mapping with a questions list"],
+    };
+  }
+
+  return {
+    test,
+    questionLines: (items || []).map(
+      (item) => item?.range && lineCounter.linePos(item.range[0]).line
+    ),
+    issues: [],
+  };
+}
+
+// YAML reads `answer: 4` as a number; authors mean the text "4"
+function toText(value) {
+  return typeof value === "number" || typeof value === "boolean"
+    ? String(value)
+    : value;
+}
+
+function toTextList(value) {
+  return Array.isArray(value) ? value.map(toText) : value;
+}
+
+/**
+ * Parse and validate a quiz
+ * @param {string} content
+ * @param {"markdown"|"yaml"} [format]
+ * @returns {{questions: object[], totalPoints: number, metadata: object}} A test in the shape
+ *   generate_jr_web_test returns, ready for grade_web_test
+ * @throws {QuizFormatError} When anything is wrong, with every issue found
+ */
+export function importQuiz(content, format = detectQuizFormat(content)) {
+  if (!QUIZ_FORMATS.includes(format)) {
+    throw new QuizFormatError([
+      `Unknown format "${format}". Use one of: ${QUIZ_FORMATS.join(", ")}`,
+    ]);
+  }
+  if (typeof content !== "string" || !content.trim()) {
+    throw new QuizFormatError(["The quiz is empty"]);
+  }
+
+  const parsed =
+    format === "markdown" ? parseMarkdownQuiz(content) : parseYamlQuiz(content);
+  const { test, questionLines } = parsed;
+  const issues = [...parsed.issues];
+
+  for (const key of Object.keys(test)) {
+    if (!QUIZ_FIELDS.has(key)) issues.push(`Unknown quiz field "${key}"`);
+  }
+  if (!Array.isArray(test.questions) || test.questions.length === 0) {
+    // After a parse error the questions are unknown, not missing
+    if (parsed.issues.length === 0) issues.push("The quiz has no questions");
+    throw new QuizFormatError(issues);
+  }
+
+  const withPoints = test.questions.filter(
+    (question) => question?.points !== undefined
+  ).length;
+  if (withPoints > 0 && withPoints < test.questions.length) {
+    issues.push("Set points on every question or on none");
+  }
+  const evenPoints = Math.floor(TEST_TOTAL_POINTS / test.questions.length);
+  const leftover = TEST_TOTAL_POINTS - evenPoints * test.questions.length;
+
+  const seenPrompts = new Map();
+  const questions = test.questions.map((raw, index) => {
+    const line = questionLines[index];
+    const label = `Question ${index + 1}${line ? ` (line ${line})` : ""}`;
+
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      issues.push(`${label}: expected a question with fields`);
+      return null;
+    }
+    for (const key of Object.keys(raw)) {
+      if (!QUESTION_FIELDS.includes(key) && key !== "id") {
+        issues.push(`${label}: unknown field "${key}"`);
+      }
+    }
+
+    const candidate = {
+      ...raw,
+      id: index + 1,
+      answer: toText(raw.answer),
+      choices: toTextList(raw.choices),
+      rubric: toTextList(raw.rubric),
+      points:
+        withPoints > 0 ? raw.points : evenPoints + (index < leftover ? 1 : 0),
+    };
+    const result = QuestionSchema.safeParse(candidate);
+    if (!result.success) {
+      for (const issue of result.error.issues) {
+        const field = issue.path.length > 0 ? `${issue.path.join(".")}: ` : "";
+        issues.push(`${label}: ${field}${issue.message}`);
+      }
+      return null;
+    }
+
+    const question = result.data;
+    if (
+      question.type === "mcq" &&
+      question.choices &&
+      !question.choices.includes(question.answer)
+    ) {
+      issues.push(`${label}: answer must be one of the choices`);
+    }
+    const prompt = question.prompt.trim().toLowerCase();
+    if (seenPrompts.has(prompt)) {
+      issues.push(
+        `${label}: same prompt as question ${seenPrompts.get(prompt)}`
+      );
+    }
+    seenPrompts.set(prompt, index + 1);
+
+    return question;
+  });
+
+  if (issues.length > 0) {
+    throw new QuizFormatError(issues);
+  }
+
+  return {
+    questions,
+    totalPoints: questions.reduce((sum, q) => sum + (q.points || 0), 0),
+    metadata: {
+      title: test.title,
+      description: test.description,
+      difficulty: test.difficulty,
+      framework: test.framework,
+      source: "import",
+      format,
+      questionCount: questions.length,
+    },
+  };
+}
+
+/**
+ * Write a test as a quiz. Only authoring fields are kept; ids, hashes and grading
+ * data are left out, so an exported test reads like a hand-written one
+ * @param {object} test - A test ({questions, metadata}) or a { ok, result } test response
+ * @param {"markdown"|"yaml"} format
+ * @returns {string}
+ */
+export function exportQuiz(test, format) {
+  if (!QUIZ_FORMATS.includes(format)) {
+    throw new QuizFormatError([
+      `Unknown format "${format}". Use one of: ${QUIZ_FORMATS.join(", ")}`,
+    ]);
+  }
+  const source = test?.result?.questions ? test.result : test;
+  if (!Array.isArray(source?.questions) || source.questions.length === 0) {
+    throw new QuizFormatError(["The test has no questions to export"]);
+  }
+
+  const { metadata = {} } = source;
+  const quiz = {
+    title: metadata.title,
+    description: metadata.description,
+    difficulty: metadata.difficulty,
+    framework: metadata.framework,
+    questions: source.questions.map((question) =>
+      Object.fromEntries(
+        QUESTION_FIELDS.filter((key) => {
+          const value = question[key];
+          return (
+            value !== undefined &&
+            value !== null &&
+            value !== "" &&
+            !(Array.isArray(value) && value.length === 0)
+          );
+        }).map((key) => [key, question[key]])
+      )
+    ),
+  };
+
+  if (format === "markdown") {
+    return stringifyMarkdownQuiz(quiz);
+  }
+  const fields = Object.fromEntries(
+    Object.entries(quiz).filter(([, value]) => value !== undefined)
+  );
+  return YAML.stringify(fields, { lineWidth: 0 });
+}
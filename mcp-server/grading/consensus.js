@@ -0,0 +1,106 @@
+/**
+ * Grading Consensus - Combine several independent grades of one answer
+ * A subjective answer can be sampled more than once; the consensus score is the median
+ * sample, and how far the samples spread decides how much the score can be trusted
+ *
+ * Environment:
+ *   GRADING_SAMPLES        grades per open question when a request does not say (default: 1, max: 5)
+ *   GRADING_REVIEW_SPREAD  share of the question's points the samples may disagree by before
+ *                          the score is flagged for review (default: 0.2)
+ */
+
+export const MAX_GRADING_SAMPLES = 5;
+
+const DEFAULT_REVIEW_SPREAD = 0.2;
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function median(sorted) {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * How many grades to take per open question
+ * @param {number} [requested] - From the request; falls back to GRADING_SAMPLES
+ * @returns {number} Between 1 and MAX_GRADING_SAMPLES
+ */
+export function resolveSamples(requested) {
+  const value = Number(requested ?? process.env.GRADING_SAMPLES ?? 1);
+  if (!Number.isFinite(value)) return 1;
+  return Math.max(1, Math.min(MAX_GRADING_SAMPLES, Math.floor(value)));
+}
+
+function reviewSpread() {
+  const value = Number(process.env.GRADING_REVIEW_SPREAD);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_REVIEW_SPREAD;
+}
+
+/**
+ * Merge independent grades of the same answer into one result
+ * @param {object[]} grades - GradedAnswerSchema results, scores already capped at max
+ * @param {number} max - Points the question is worth
+ * @returns {object} The grade nearest the median, with the median score, a confidence
+ *   between 0 and 1, needsReview, and the individual sample scores
+ */
+export function consensusGrade(grades, max) {
+  const scores = grades.map((grade) => grade.score);
+  const sorted = [...scores].sort((a, b) => a - b);
+  const score = round(median(sorted), 1);
+
+  const mean = scores.reduce((sum, s) => sum + s, 0) / scores.length;
+  const variance =
+    scores.reduce((sum, s) => sum + (s - mean) ** 2, 0) / scores.length;
+  const spread = max > 0 ? (sorted[sorted.length - 1] - sorted[0]) / max : 0;
+
+  // Feedback comes from the sample that agrees most with the consensus
+  const representative = grades.reduce((best, grade) =>
+    Math.abs(grade.score - score) < Math.abs(best.score - score) ? grade : best
+  );
+  const correctVotes = grades.filter((grade) => grade.correct).length;
+
+  return {
+    ...representative,
+    score,
+    correct: correctVotes * 2 > grades.length,
+    confidence: round(Math.max(0, 1 - spread)),
+    needsReview: spread > reviewSpread(),
+    sampling: {
+      scores,
+      mean: round(mean),
+      stdDev: round(Math.sqrt(variance)),
+      spread: round(spread),
+    },
+  };
+}
+
+/**
+ * Test-level view of how consistent the grading was
+ * @param {object[]} results - Normalized grade results
+ * @param {number} samples - Grades taken per open question
+ * @returns {{samples: number, sampledQuestions: number, averageConfidence: number|null, needsReview: Array<number|string>}}
+ */
+export function summarizeConsistency(results, samples) {
+  const sampled = results.filter((result) => result.sampling);
+  const averageConfidence =
+    sampled.length > 0
+      ? round(
+          sampled.reduce((sum, result) => sum + result.confidence, 0) /
+            sampled.length
+        )
+      : null;
+
+  return {
+    samples,
+    sampledQuestions: sampled.length,
+    averageConfidence,
+    needsReview: results
+      .filter((result) => result.needsReview)
+      .map((result) => result.id),
+  };
+}
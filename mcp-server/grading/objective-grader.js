@@ -0,0 +1,121 @@
+/**
+ * Objective Grader - Deterministic grading for questions with one right answer
+ * Multiple choice (true/false included) is graded by matching the answer to a choice,
+ * and short answers whose key is true/false or a number by comparing values. Anything
+ * that needs judgment returns null and is left to the model
+ */
+
+// "B", "(b)", "b." - a choice label on its own
+const LABEL_ONLY = /^\(?([a-z])[).:]?$/;
+// "B) push()", "b. push()", "(c) text" - a label followed by the choice text
+const LABELLED = /^\(?([a-z])[).:]\s+(.+)$/;
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/;
+
+function normalize(text) {
+  return String(text ?? "")
+    .normalize("NFKC")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/^[`'"]+|[`'"]+$/g, "")
+    .replace(/[.!]$/, "")
+    .trim();
+}
+
+function stripLabel(text) {
+  const match = LABELLED.exec(text);
+  return match ? match[2] : text;
+}
+
+/**
+ * Which choice an answer refers to: the choice text, its letter, or both
+ * @param {string} answer
+ * @param {string[]} choices
+ * @returns {number} The choice index, or -1
+ */
+export function matchChoice(answer, choices) {
+  const value = normalize(answer);
+  if (!value) return -1;
+
+  const normalized = choices.map(normalize);
+  const exact = normalized.indexOf(value);
+  if (exact !== -1) return exact;
+
+  const label = LABEL_ONLY.exec(value);
+  if (label) {
+    const index = label[1].charCodeAt(0) - 97;
+    return index < choices.length ? index : -1;
+  }
+
+  const labelled = LABELLED.exec(value);
+  if (labelled) {
+    const index = labelled[1].charCodeAt(0) - 97;
+    if (
+      index < choices.length &&
+      stripLabel(normalized[index]) === labelled[2]
+    ) {
+      return index;
+    }
+  }
+
+  // Choices written with their own labels ("A) push()") answered without one
+  return normalized.findIndex((choice) => stripLabel(choice) === value);
+}
+
+function leadingBoolean(text) {
+  const match = /^(true|false)\b/.exec(normalize(text));
+  return match ? match[1] === "true" : null;
+}
+
+function toNumber(text) {
+  const value = normalize(text).replace(/,/g, "");
+  return NUMBER.test(value) ? Number(value) : null;
+}
+
+/**
+ * Grade one answer without a model, when the question has a single right answer
+ * @param {object} question - Test question with its answer key
+ * @param {string} answer - The student's non-empty answer
+ * @param {number} max - Points the question is worth
+ * @returns {{score: number, max: number, correct: boolean, feedback: string, expected: string}|null}
+ *   null when the answer needs judgment
+ */
+export function gradeObjective(question, answer, max) {
+  // Code is graded by its hidden tests and the model, even when the key is a value
+  if (question.type === "code") return null;
+
+  const expected = String(question.answer ?? "");
+  const result = (correct, expectedText) => ({
+    score: correct ? max : 0,
+    max,
+    correct,
+    feedback: correct
+      ? "Correct."
+      : `Incorrect. The correct answer is ${expectedText}.`,
+    expected: expectedText,
+  });
+
+  const choices = Array.isArray(question.choices) ? question.choices : [];
+  if (choices.length > 0) {
+    const key = matchChoice(expected, choices);
+    // An answer key that is not one of the choices is for the model to sort out
+    if (key === -1) return null;
+    return result(matchChoice(answer, choices) === key, choices[key]);
+  }
+
+  const expectedBoolean = leadingBoolean(expected);
+  if (expectedBoolean !== null && normalize(expected).split(" ").length === 1) {
+    const given = leadingBoolean(answer);
+    return given === null ? null : result(given === expectedBoolean, expected);
+  }
+
+  const expectedNumber = toNumber(expected);
+  if (expectedNumber !== null) {
+    const given = toNumber(answer);
+    return given === null
+      ? null
+      : result(Math.abs(given - expectedNumber) < 1e-9, expected);
+  }
+
+  return null;
+}
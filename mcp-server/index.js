@@ -3,6 +3,13 @@
 /**
  * MCP Server for GPT Test Trainer AI Agents
  * Provides specialized agents for junior-level web development testing
+ *
+ * Transports:
+ *   node index.js                      stdio (default; spawned by the agent coordinator)
+ *   node index.js --http [--port N]    Streamable HTTP, shared by many clients
+ *                                      (also MCP_TRANSPORT=http, MCP_HTTP_PORT, MCP_HTTP_HOST);
+ *                                      its clients are anonymous, so it leaves out the
+ *                                      reviewer tools
  */
 
 // Set silent mode to prevent dotenv debug output
@@ -45,18 +52,27 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 
-// Import our specialized agents
-import { AdaptiveLearningAgent } from "./agents/adaptive-learning-agent.js";
-import { AnswerExplanationAgent } from "./agents/answer-explanation-agent.js";
-import { TestCheckerAgent } from "./agents/test-checker.js";
-import { TestGeneratorAgent } from "./agents/test-generator.js";
-import { UtilityAgent } from "./agents/utility-agent.js";
+// Shared tool, resource and prompt catalogs (also used by src/lib/mcp-handler.ts)
+import { getPromptRegistry } from "./prompts/registry.js";
+import { getResourceRegistry } from "./resources/registry.js";
+import { REVIEWER_TOOLS } from "./tools/definitions.js";
+import { getToolRegistry } from "./tools/registry.js";
+import { startHttpTransport } from "./transports/http.js";
 
 class TestTrainerMCPServer {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {Set<string>} [options.hiddenTools] - Tools this server neither lists nor runs
+   */
+  constructor({ hiddenTools = new Set() } = {}) {
     this.server = new Server(
       {
         name: "test-trainer-mcp",
@@ -65,360 +81,122 @@ class TestTrainerMCPServer {
       {
         capabilities: {
           tools: {},
+          resources: {},
+          prompts: {},
         },
       }
     );
 
-    // Initialize agents
-    this.testGenerator = new TestGeneratorAgent();
-    this.testChecker = new TestCheckerAgent();
-    this.utility = new UtilityAgent();
-    this.answerExplainer = new AnswerExplanationAgent();
-    this.adaptiveLearning = new AdaptiveLearningAgent();
+    this.tools = getToolRegistry();
+    this.hiddenTools = hiddenTools;
+    this.resources = getResourceRegistry();
+    this.prompts = getPromptRegistry();
 
     this.setupToolHandlers();
+    this.setupResourceHandlers();
+    this.setupPromptHandlers();
   }
 
   setupToolHandlers() {
     // List available tools
     this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+      const { tools } = this.tools.listTools();
       return {
-        tools: [
-          // Test Generation Tools
-          {
-            name: "generate_jr_web_test",
-            description:
-              "Generate a test focused on junior-level HTML, JavaScript, UI frameworks, and APIs",
-            inputSchema: {
-              type: "object",
-              properties: {
-                topics: {
-                  type: "array",
-                  items: { type: "string" },
-                  description: "Specific web development topics to focus on",
-                },
-                numQuestions: {
-                  type: "number",
-                  description: "Number of questions to generate (1-20)",
-                  minimum: 1,
-                  maximum: 20,
-                },
-                difficulty: {
-                  type: "string",
-                  enum: ["beginner", "junior", "intermediate"],
-                  description:
-                    "Difficulty level appropriate for junior developers",
-                },
-                focusAreas: {
-                  type: "array",
-                  items: { type: "string" },
-                  description: "Areas to emphasize based on previous mistakes",
-                },
-                framework: {
-                  type: "string",
-                  enum: ["vanilla", "react", "vue", "angular", "mixed"],
-                  description: "UI framework focus",
-                },
-              },
-              required: ["numQuestions"],
-            },
-          },
-
-          // Test Checking Tools
-          {
-            name: "grade_web_test",
-            description:
-              "Grade web development test answers with specialized junior-level criteria",
-            inputSchema: {
-              type: "object",
-              properties: {
-                test: {
-                  type: "object",
-                  description: "The test object with questions and rubrics",
-                },
-                answers: {
-                  type: "object",
-                  description: "Student answers keyed by question ID",
-                },
-                strictness: {
-                  type: "string",
-                  enum: ["lenient", "standard", "strict"],
-                  description:
-                    "Grading strictness for junior-level expectations",
-                },
-              },
-              required: ["test", "answers"],
-            },
-          },
-
-          // Utility Tools
-          {
-            name: "explain_web_concept",
-            description:
-              "Provide detailed explanations for web development concepts and mistakes",
-            inputSchema: {
-              type: "object",
-              properties: {
-                question: {
-                  type: "object",
-                  description: "The question that was answered incorrectly",
-                },
-                studentAnswer: {
-                  type: "string",
-                  description: "The student's response",
-                },
-                expectedAnswer: {
-                  type: "string",
-                  description: "The correct answer",
-                },
-                context: {
-                  type: "string",
-                  enum: [
-                    "html",
-                    "css",
-                    "javascript",
-                    "api",
-                    "framework",
-                    "general",
-                  ],
-                  description:
-                    "Web development context for targeted explanations",
-                },
-              },
-              required: ["question", "studentAnswer", "expectedAnswer"],
-            },
-          },
-
-          {
-            name: "explain_wrong_answer",
-            description:
-              "Provide specialized pedagogical explanations when student answers are incorrect",
-            inputSchema: {
-              type: "object",
-              properties: {
-                question: {
-                  type: "object",
-                  description: "The question that was answered incorrectly",
-                },
-                studentAnswer: {
-                  type: "string",
-                  description: "The student's incorrect response",
-                },
-                correctAnswer: {
-                  type: "string",
-                  description: "The correct answer",
-                },
-                category: {
-                  type: "string",
-                  enum: [
-                    "html",
-                    "css",
-                    "javascript",
-                    "api",
-                    "framework",
-                    "general",
-                  ],
-                  description: "Subject category for targeted explanation",
-                },
-                difficulty: {
-                  type: "string",
-                  enum: ["beginner", "junior", "intermediate"],
-                  description:
-                    "Student's skill level for appropriate explanation depth",
-                },
-                context: {
-                  type: "object",
-                  description:
-                    "Additional context about the test or learning session",
-                },
-              },
-              required: ["question", "studentAnswer", "correctAnswer"],
-            },
-          },
-
-          {
-            name: "derive_focus_topics",
-            description:
-              "Analyze missed questions to derive focus topics for next test",
-            inputSchema: {
-              type: "object",
-              properties: {
-                missedQuestions: {
-                  type: "array",
-                  items: { type: "object" },
-                  description: "Questions that were answered incorrectly",
-                },
-                gradeResults: {
-                  type: "array",
-                  items: { type: "object" },
-                  description: "Detailed grading results with scores",
-                },
-              },
-              required: ["missedQuestions", "gradeResults"],
-            },
-          },
-
-          {
-            name: "validate_web_code",
-            description:
-              "Validate HTML, CSS, or JavaScript code snippets for correctness",
-            inputSchema: {
-              type: "object",
-              properties: {
-                code: {
-                  type: "string",
-                  description: "Code to validate",
-                },
-                language: {
-                  type: "string",
-                  enum: ["html", "css", "javascript", "json"],
-                  description: "Programming language",
-                },
-                context: {
-                  type: "string",
-                  description: "Context or expected functionality",
-                },
-              },
-              required: ["code", "language"],
-            },
-          },
-
-          // Adaptive Learning Tools
-          {
-            name: "track_learning_progress",
-            description:
-              "Track student progress and adjust difficulty based on performance",
-            inputSchema: {
-              type: "object",
-              properties: {
-                userId: {
-                  type: "string",
-                  description:
-                    "Student identifier (optional, defaults to 'default')",
-                },
-                testResults: {
-                  type: "array",
-                  items: {
-                    type: "object",
-                    properties: {
-                      questionId: { type: "string" },
-                      correct: { type: "boolean" },
-                      category: { type: "string" },
-                      difficulty: { type: "string" },
-                      type: { type: "string" },
-                      timeSpent: { type: "number" },
-                    },
-                    required: ["correct", "category"],
-                  },
-                  description: "Array of test result objects",
-                },
-                currentDifficulty: {
-                  type: "string",
-                  enum: ["beginner", "junior", "intermediate", "advanced"],
-                  description: "Current difficulty level",
-                },
-                subject: {
-                  type: "string",
-                  enum: [
-                    "html",
-                    "css",
-                    "javascript",
-                    "react",
-                    "vue",
-                    "angular",
-                    "apis",
-                    "general",
-                  ],
-                  description: "Subject area being tested",
-                },
-              },
-              required: ["testResults"],
-            },
-          },
-
-          {
-            name: "get_progress_stats",
-            description:
-              "Get comprehensive progress statistics and learning analytics",
-            inputSchema: {
-              type: "object",
-              properties: {
-                userId: {
-                  type: "string",
-                  description:
-                    "Student identifier (optional, defaults to 'default')",
-                },
-                timeframe: {
-                  type: "string",
-                  enum: ["day", "week", "month", "all"],
-                  description: "Time period for statistics",
-                },
-              },
-              required: [],
-            },
-          },
-        ],
+        tools: tools.filter((tool) => !this.hiddenTools.has(tool.name)),
       };
     });
 
-    // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-
-      try {
-        switch (name) {
-          case "generate_jr_web_test":
-            return await this.testGenerator.generateTest(args);
-
-          case "grade_web_test":
-            return await this.testChecker.gradeTest(args);
-
-          case "explain_web_concept":
-            return await this.utility.explainConcept(args);
+    // Handle tool calls; a progressToken opts the caller into streamed progress
+    this.server.setRequestHandler(
+      CallToolRequestSchema,
+      async (request, extra) => {
+        const { name, arguments: args, _meta } = request.params;
+        const progressToken = _meta?.progressToken;
+
+        if (this.hiddenTools.has(name)) {
+          return {
+            content: [{ type: "text", text: `Error: Unknown tool: ${name}` }],
+            isError: true,
+          };
+        }
 
-          case "explain_wrong_answer":
-            return await this.answerExplainer.explainWrongAnswer(args);
+        return this.tools.callTool(name, args, {
+          onProgress:
+            progressToken === undefined
+              ? undefined
+              : (progress) =>
+                  extra.sendNotification({
+                    method: "notifications/progress",
+                    params: { progressToken, ...progress },
+                  }),
+        });
+      }
+    );
+  }
 
-          case "derive_focus_topics":
-            return await this.utility.deriveFocusTopics(args);
+  setupResourceHandlers() {
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      return this.resources.listResources();
+    });
 
-          case "validate_web_code":
-            return await this.utility.validateCode(args);
+    this.server.setRequestHandler(
+      ListResourceTemplatesRequestSchema,
+      async () => {
+        return this.resources.listResourceTemplates();
+      }
+    );
 
-          case "track_learning_progress":
-            return await this.adaptiveLearning.trackProgress(args);
+    this.server.setRequestHandler(
+      ReadResourceRequestSchema,
+      async (request) => {
+        return this.resources.readResource(request.params.uri);
+      }
+    );
+  }
 
-          case "get_progress_stats":
-            return await this.adaptiveLearning.getProgressStats(args);
+  setupPromptHandlers() {
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return this.prompts.listPrompts();
+    });
 
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Error: ${error.message}`,
-            },
-          ],
-          isError: true,
-        };
-      }
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      return this.prompts.getPrompt(name, args);
     });
   }
 
+  async connect(transport) {
+    await this.server.connect(transport);
+  }
+
   async run() {
     const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+    await this.connect(transport);
     // Note: Startup message commented out to prevent JSON parsing interference
     // console.error("Test Trainer MCP Server running on stdio");
   }
 }
 
+function readPortArg() {
+  const index = process.argv.indexOf("--port");
+  return index === -1
+    ? undefined
+    : Number(process.argv[index + 1]) || undefined;
+}
+
 // Start the server
-const server = new TestTrainerMCPServer();
-server.run().catch((error) => {
+const useHttp =
+  process.argv.includes("--http") || process.env.MCP_TRANSPORT === "http";
+
+const started = useHttp
+  ? // One MCP server per HTTP session; the agents behind them are shared
+    startHttpTransport(
+      () => new TestTrainerMCPServer({ hiddenTools: REVIEWER_TOOLS }),
+      { port: readPortArg() }
+    )
+  : new TestTrainerMCPServer().run();
+
+started.catch((error) => {
   console.error("MCP Server Error:", error);
   process.exit(1);
 });
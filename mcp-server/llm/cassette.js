@@ -0,0 +1,176 @@
+/**
+ * Cassette Provider - Record/replay wrapper around any LLM provider
+ * Record mode saves every prompt/response pair to disk; replay mode serves them back offline
+ *
+ * Environment:
+ *   LLM_CASSETTE_MODE   off (default) | record | replay
+ *   LLM_CASSETTE_DIR    where cassettes live, resolved from the working directory (default: ./cassettes)
+ *
+ * Cassettes are stored as <dir>/<agent>/<model>/<promptHash>.json. ISO timestamps are
+ * stripped before hashing, so prompts that embed "now" still match on replay.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+const TIMESTAMP_PATTERN = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g;
+
+export class CassetteMissError extends Error {
+  constructor(key) {
+    super(
+      `No cassette recorded for agent "${key.agent}", model "${key.model}", prompt ${key.promptHash}. Re-run with LLM_CASSETTE_MODE=record.`
+    );
+    this.name = "CassetteMissError";
+    this.code = "CASSETTE_MISS";
+    this.key = key;
+  }
+}
+
+export function getCassetteMode() {
+  const mode = (process.env.LLM_CASSETTE_MODE || "off").toLowerCase();
+  return mode === "record" || mode === "replay" ? mode : "off";
+}
+
+function safeSegment(value) {
+  return String(value || "default").replace(/[^a-zA-Z0-9._-]+/g, "_");
+}
+
+export function hashPrompt(messages) {
+  const normalized = messages.map((message) => ({
+    role: message.role,
+    content: String(message.content).replace(TIMESTAMP_PATTERN, "<timestamp>"),
+  }));
+
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(normalized))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Random source for prompt variety that stays reproducible under cassettes
+ * Returns Math.random normally; with cassettes active, a PRNG seeded from `seed`
+ * @param {string} seed - Stable description of the call (agent + inputs)
+ * @returns {() => number}
+ */
+export function getRandom(seed) {
+  if (getCassetteMode() === "off") {
+    return Math.random;
+  }
+
+  // mulberry32 seeded from the first 32 bits of the seed's hash
+  let state = crypto.createHash("sha256").update(seed).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export class CassetteProvider {
+  /**
+   * @param {{complete: Function, name: string}} inner - Provider used when recording
+   * @param {object} [options]
+   * @param {"record"|"replay"} [options.mode]
+   * @param {string} [options.dir]
+   */
+  constructor(inner, options = {}) {
+    this.inner = inner;
+    this.mode = options.mode || getCassetteMode();
+    this.dir = path.resolve(
+      options.dir || process.env.LLM_CASSETTE_DIR || "cassettes"
+    );
+    this.name = `cassette:${inner.name}`;
+  }
+
+  getCassettePath(key) {
+    return path.join(
+      this.dir,
+      safeSegment(key.agent),
+      safeSegment(key.model),
+      `${key.promptHash}.json`
+    );
+  }
+
+  getKey(request) {
+    return {
+      agent: request.agent || "default",
+      model: request.model || "default",
+      promptHash: hashPrompt(request.messages || []),
+    };
+  }
+
+  load(key) {
+    const cassettePath = this.getCassettePath(key);
+    if (!fs.existsSync(cassettePath)) {
+      throw new CassetteMissError(key);
+    }
+    return JSON.parse(fs.readFileSync(cassettePath, "utf8")).response;
+  }
+
+  async complete(request) {
+    const key = this.getKey(request);
+
+    if (this.mode === "replay") {
+      return this.load(key);
+    }
+
+    const response = await this.inner.complete(request);
+    this.save(key, request, response);
+    return response;
+  }
+
+  // Streams share cassettes with complete(): replay yields the recorded text at once
+  async *stream(request) {
+    const key = this.getKey(request);
+
+    if (this.mode === "replay") {
+      yield this.load(key).content;
+      return;
+    }
+
+    if (typeof this.inner.stream !== "function") {
+      const response = await this.inner.complete(request);
+      this.save(key, request, response);
+      yield response.content;
+      return;
+    }
+
+    let content = "";
+    for await (const delta of this.inner.stream(request)) {
+      content += delta;
+      yield delta;
+    }
+    this.save(key, request, {
+      content: content.trim(),
+      model: request.model,
+      usage: null,
+    });
+  }
+
+  save(key, request, response) {
+    const cassettePath = this.getCassettePath(key);
+    fs.mkdirSync(path.dirname(cassettePath), { recursive: true });
+    fs.writeFileSync(
+      cassettePath,
+      JSON.stringify(
+        {
+          ...key,
+          provider: this.inner.name,
+          recordedAt: new Date().toISOString(),
+          request: {
+            messages: request.messages,
+            temperature: request.temperature,
+            maxTokens: request.maxTokens,
+          },
+          response,
+        },
+        null,
+        2
+      )
+    );
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * LLM Provider Layer - Single entry point for every agent's model calls
+ * Resolves provider, model, temperature and max tokens per agent from the environment
+ *
+ * Environment:
+ *   LLM_PROVIDER                  openai | openai-compatible | mock (default: openai)
+ *   LLM_BASE_URL, LLM_API_KEY     endpoint and key for openai-compatible servers
+ *   LLM_MODEL                     model for every agent, overriding agent defaults
+ *   LLM_<AGENT>_PROVIDER          per-agent provider, e.g. LLM_TEST_CHECKER_PROVIDER=mock
+ *   LLM_<AGENT>_MODEL             per-agent model, e.g. LLM_TEST_GENERATOR_MODEL=llama3.1
+ *   LLM_<AGENT>_TEMPERATURE       per-agent temperature
+ *   LLM_<AGENT>_MAX_TOKENS        per-agent max tokens
+ *   LLM_JSON_MODE                 auto (default) | on | off - request JSON output mode
+ *   LLM_REPAIR_ATTEMPTS           schema repair retries for structured output (see ./structured.js)
+ *   LLM_CASSETTE_MODE             off | record | replay (see ./cassette.js)
+ */
+
+import { CassetteProvider, getCassetteMode } from "./cassette.js";
+import { MockProvider } from "./providers/mock.js";
+import { OpenAICompatibleProvider } from "./providers/openai-compatible.js";
+import { OpenAIProvider } from "./providers/openai.js";
+
+export { CassetteMissError, getRandom } from "./cassette.js";
+
+const providerFactories = {
+  openai: (options) => new OpenAIProvider(options),
+  "openai-compatible": (options) => new OpenAICompatibleProvider(options),
+  mock: (options) => new MockProvider(options),
+};
+
+const providerInstances = new Map();
+
+const MESSAGE_ROLES = ["system", "user", "assistant"];
+
+function agentEnvKey(agent) {
+  return agent.toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+}
+
+function readNumber(value) {
+  if (value === undefined || value === "") return undefined;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+}
+
+/**
+ * Register an additional provider type
+ * @param {string} name - Value used in LLM_PROVIDER / LLM_<AGENT>_PROVIDER
+ * @param {(options: object) => {complete: Function}} factory
+ */
+export function registerProvider(name, factory) {
+  providerFactories[name] = factory;
+  providerInstances.delete(name);
+}
+
+/**
+ * Replace the live instance for a provider name (useful for tests and scripts)
+ * @param {string} name
+ * @param {{complete: Function}} provider
+ */
+export function setProvider(name, provider) {
+  providerInstances.set(name, provider);
+}
+
+export function getProvider(name = process.env.LLM_PROVIDER || "openai") {
+  if (!providerInstances.has(name)) {
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(
+        `Unknown LLM provider "${name}". Available: ${Object.keys(
+          providerFactories
+        ).join(", ")}`
+      );
+    }
+    providerInstances.set(name, factory({}));
+  }
+  return providerInstances.get(name);
+}
+
+/**
+ * Resolve the effective model settings for an agent
+ * @param {string} agent - Agent identifier, e.g. "test-generator"
+ * @param {{model?: string, temperature?: number, maxTokens?: number}} defaults - Agent's own defaults
+ */
+export function resolveAgentConfig(agent, defaults = {}) {
+  const prefix = `LLM_${agentEnvKey(agent)}_`;
+  const env = process.env;
+
+  return {
+    provider: env[`${prefix}PROVIDER`] || env.LLM_PROVIDER || "openai",
+    model: env[`${prefix}MODEL`] || env.LLM_MODEL || defaults.model,
+    temperature:
+      readNumber(env[`${prefix}TEMPERATURE`]) ?? defaults.temperature,
+    maxTokens: readNumber(env[`${prefix}MAX_TOKENS`]) ?? defaults.maxTokens,
+  };
+}
+
+// Providers send messages as-is, so a malformed turn is caught here rather than by
+// an opaque API error
+function validateMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new Error("Chat messages must be a non-empty array");
+  }
+  messages.forEach((message, index) => {
+    if (!MESSAGE_ROLES.includes(message?.role)) {
+      throw new Error(
+        `Chat message ${index} has an invalid role: ${message?.role}`
+      );
+    }
+    if (typeof message.content !== "string") {
+      throw new Error(`Chat message ${index} has no text content`);
+    }
+  });
+}
+
+/**
+ * Build the messages for a chat request from a system prompt and a conversation
+ * @param {string} systemPrompt
+ * @param {string|Array<{role: "user"|"assistant", content: string}>} conversation -
+ *   The user's prompt, or the turns so far ending with the user's latest message
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function buildMessages(systemPrompt, conversation) {
+  const turns =
+    typeof conversation === "string"
+      ? [{ role: "user", content: conversation }]
+      : conversation;
+
+  if (!Array.isArray(turns) || turns.length === 0) {
+    throw new Error("A conversation needs at least one user message");
+  }
+  turns.forEach((turn, index) => {
+    if (turn?.role !== "user" && turn?.role !== "assistant") {
+      throw new Error(
+        `Conversation turn ${index} must be from the user or the assistant`
+      );
+    }
+  });
+  if (turns[turns.length - 1].role !== "user") {
+    throw new Error("A conversation must end with a user message");
+  }
+
+  return [
+    { role: "system", content: systemPrompt },
+    ...turns.map(({ role, content }) => ({ role, content })),
+  ];
+}
+
+function buildRequest(agent, messages, options) {
+  validateMessages(messages);
+
+  const { extra = {}, json = false, ...defaults } = options;
+  const config = resolveAgentConfig(agent, defaults);
+  const baseProvider = getProvider(config.provider);
+  const provider =
+    getCassetteMode() === "off"
+      ? baseProvider
+      : new CassetteProvider(baseProvider);
+
+  return {
+    provider,
+    request: {
+      agent,
+      model: config.model,
+      messages,
+      temperature: config.temperature,
+      maxTokens: config.maxTokens,
+      json,
+      extra,
+    },
+  };
+}
+
+/**
+ * Send a chat request on behalf of an agent and return the response text
+ * @param {string} agent - Agent identifier used for config lookup
+ * @param {Array<{role: string, content: string}>} messages - Chat messages: a system
+ *   prompt and the conversation so far, e.g. from buildMessages
+ * @param {{model?: string, temperature?: number, maxTokens?: number, json?: boolean, extra?: object}} [options]
+ *   Agent defaults; environment settings take precedence
+ * @returns {Promise<string>}
+ */
+export async function chatCompletion(agent, messages, options = {}) {
+  const { provider, request } = buildRequest(agent, messages, options);
+  const response = await provider.complete(request);
+  return response.content;
+}
+
+/**
+ * Stream a chat response as text deltas
+ * Providers without streaming support yield the whole response as one delta
+ * @param {string} agent - Agent identifier used for config lookup
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @param {object} [options] - Same as chatCompletion
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* chatCompletionStream(agent, messages, options = {}) {
+  const { provider, request } = buildRequest(agent, messages, options);
+
+  if (typeof provider.stream !== "function") {
+    const response = await provider.complete(request);
+    yield response.content;
+    return;
+  }
+
+  yield* provider.stream(request);
+}
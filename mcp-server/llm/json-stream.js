@@ -0,0 +1,84 @@
+/**
+ * JSON Array Stream Parser - Pulls complete items out of a streamed JSON document
+ * Lets agents act on each element of a top-level array (e.g. "questions") as soon
+ * as the model finishes writing it, without waiting for the closing brace
+ */
+
+export class JsonArrayStreamParser {
+  /**
+   * @param {string} key - Property whose array items should be emitted
+   */
+  constructor(key) {
+    this.keyPattern = new RegExp(`"${key}"\\s*:\\s*\\[`);
+    this.buffer = "";
+    this.position = 0;
+    this.phase = "seek"; // seek -> array -> done
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.itemStart = -1;
+  }
+
+  /**
+   * Feed the next chunk of model output
+   * @param {string} chunk
+   * @returns {object[]} Items completed by this chunk, in order
+   */
+  push(chunk) {
+    this.buffer += chunk;
+    const items = [];
+
+    if (this.phase === "seek") {
+      const match = this.keyPattern.exec(this.buffer);
+      if (!match) return items;
+      this.position = match.index + match[0].length;
+      this.phase = "array";
+    }
+
+    while (this.phase === "array" && this.position < this.buffer.length) {
+      const char = this.buffer[this.position];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === "\\") {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+        }
+      } else if (char === '"') {
+        this.inString = true;
+      } else if (char === "{" || char === "[") {
+        if (this.depth === 0) {
+          this.itemStart = this.position;
+        }
+        this.depth++;
+      } else if (char === "}" || char === "]") {
+        if (this.depth === 0) {
+          // Closing bracket of the array itself
+          this.phase = "done";
+        } else if (--this.depth === 0) {
+          const item = this.parseItem(
+            this.buffer.slice(this.itemStart, this.position + 1)
+          );
+          if (item !== undefined) {
+            items.push(item);
+          }
+        }
+      }
+
+      this.position++;
+    }
+
+    return items;
+  }
+
+  parseItem(text) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      // Malformed item; whole-document validation reports it at the end
+      return undefined;
+    }
+  }
+}
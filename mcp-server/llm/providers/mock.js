@@ -0,0 +1,221 @@
+/**
+ * Mock Provider - Deterministic, offline responses for development and tests
+ * Returns canned JSON shaped like each agent's expected output; never touches the network
+ */
+
+const MOCK_QUESTIONS = [
+  {
+    type: "mcq",
+    prompt:
+      "A product list renders from an array. Which method adds a new item to the end of that array?",
+    choices: ["push()", "pop()", "shift()", "unshift()"],
+    answer: "push()",
+    rubric: ["Identifies push() as appending to the end"],
+    category: "javascript",
+  },
+  {
+    type: "short",
+    prompt:
+      'Why should a checkout form\'s email field use <input type="email"> instead of type="text"?',
+    answer:
+      "It enables built-in browser validation and the right mobile keyboard",
+    rubric: ["Mentions built-in validation", "Mentions mobile keyboard"],
+    category: "html",
+  },
+  {
+    type: "code",
+    prompt:
+      "Write a function isEven(n) that returns true when n is an even number.",
+    answer: "function isEven(n) { return n % 2 === 0; }",
+    rubric: ["Uses the remainder operator", "Returns a boolean"],
+    category: "javascript",
+    entryPoint: "isEven",
+    tests: [
+      { description: "4 is even", args: [4], expected: true },
+      { description: "7 is odd", args: [7], expected: false },
+      { description: "0 is even", assertion: "isEven(0) === true" },
+    ],
+  },
+  {
+    type: "mcq",
+    prompt:
+      "Which CSS property turns a navigation bar's container into a flex container?",
+    choices: ["display: flex", "position: flex", "float: flex", "flex: 1"],
+    answer: "display: flex",
+    rubric: ["Identifies display: flex"],
+    category: "css",
+  },
+  {
+    type: "short",
+    prompt:
+      "A fetch() call to the orders API resolves even though the server returned 500. What should you check?",
+    answer: "response.ok (or response.status) before reading the body",
+    rubric: [
+      "Mentions response.ok or status",
+      "Knows fetch only rejects on network errors",
+    ],
+    category: "api",
+  },
+];
+
+function buildMockTest(userPrompt) {
+  const match = /Generate (\d+)/i.exec(userPrompt);
+  const numQuestions = Math.max(1, Math.min(20, match ? Number(match[1]) : 5));
+  const pointsPer = Math.floor(100 / numQuestions);
+
+  const questions = Array.from({ length: numQuestions }, (_, i) => ({
+    id: i + 1,
+    ...MOCK_QUESTIONS[i % MOCK_QUESTIONS.length],
+    points:
+      i === numQuestions - 1 ? 100 - pointsPer * (numQuestions - 1) : pointsPer,
+    difficulty: "junior",
+  }));
+
+  return { questions, totalPoints: 100, metadata: { mock: true } };
+}
+
+// Full marks for an answer that matches the reference answer, none otherwise
+function buildMockGrade(userPrompt) {
+  const id = Number(/^Grade question (\d+)/.exec(userPrompt)?.[1] || 1);
+  const max = Number(/, (\d+(?:\.\d+)?) points\)/.exec(userPrompt)?.[1] || 0);
+  const expected =
+    /REFERENCE ANSWER:\n([\s\S]*?)\n\nSTUDENT ANSWER/.exec(userPrompt)?.[1] ||
+    "";
+  const answer = /<<<\n([\s\S]*?)\n>>>/.exec(userPrompt)?.[1] || "";
+  const correct = answer.trim().toLowerCase() === expected.trim().toLowerCase();
+
+  return {
+    id,
+    score: correct ? max : 0,
+    max,
+    correct,
+    feedback: "Mock grading - no model was called",
+    expected,
+  };
+}
+
+// One follow-up after the first answer, then a fixed score
+function buildMockInterviewTurn(userPrompt) {
+  if (/^Score this interview/.test(userPrompt)) {
+    return {
+      criteria: [
+        { criterion: "correctness", score: 3, comment: "Mock score" },
+        { criterion: "reasoning", score: 2, comment: "Mock score" },
+        { criterion: "edgeCases", score: 2, comment: "Mock score" },
+        { criterion: "communication", score: 3, comment: "Mock score" },
+      ],
+      keyPoints: [{ point: "Uses a Set", covered: true }],
+      summary: "Mock interview summary - no model was called",
+      strengths: ["Answered directly"],
+      improvements: ["Mention edge cases without being asked"],
+    };
+  }
+  if (/^Decide on a follow-up/.test(userPrompt)) {
+    const answers = userPrompt.match(/^Candidate:/gm) || [];
+    return answers.length > 1
+      ? { gaps: [], followUp: "", satisfied: true }
+      : {
+          gaps: ["Does not say what happens with an empty array"],
+          followUp:
+            "Why does that work, and what happens if the array is empty?",
+          satisfied: false,
+        };
+  }
+  return {
+    prompt:
+      "How would you remove duplicate values from an array of product ids in JavaScript?",
+    category: "javascript",
+    referenceAnswer:
+      "Spread a Set: [...new Set(ids)]. A Set keeps one of each value, and an empty array gives an empty array",
+    keyPoints: [
+      "Uses a Set",
+      "Keeps the original order",
+      "Handles an empty array",
+    ],
+  };
+}
+
+const MOCK_CHUNK_SIZE = 64;
+// calls keeps only the newest requests, so a long-running server does not grow
+const MAX_RECORDED_CALLS = 100;
+
+const DEFAULT_RESPONSES = {
+  "test-generator": (request, userPrompt) => buildMockTest(userPrompt),
+  "test-checker": (request, userPrompt) => buildMockGrade(userPrompt),
+  "answer-explanation": () => ({
+    isCorrect: false,
+    explanation: "Mock explanation - no model was called",
+    stepByStepExplanation: {
+      whatWentWrong: "The answer did not match the expected answer",
+      whyItsWrong: "Mock provider output",
+      correctApproach: "Compare your answer with the expected answer",
+      keyInsight: "Mock provider output",
+    },
+  }),
+  "adaptive-learning": () => ({
+    immediate: ["Review the questions you missed"],
+    shortTerm: ["Practice one topic per day"],
+    longTerm: ["Build a small project"],
+    resources: ["MDN Web Docs"],
+    motivational: "Keep going!",
+  }),
+  interviewer: (request, userPrompt) => buildMockInterviewTurn(userPrompt),
+  tutor: (request) =>
+    `Mock tutor reply - no model was called. You asked: ${
+      request.messages[request.messages.length - 1].content
+    }`,
+  utility: () => ({
+    brief: "Mock explanation",
+    explanation: "Mock explanation - no model was called",
+    commonMistakes: [],
+    correction: "See the expected answer",
+  }),
+};
+
+export class MockProvider {
+  /**
+   * @param {object} [options]
+   * @param {Record<string, string|object|Function>} [options.responses] - Per-agent overrides.
+   *   A function receives the request and the first user message and returns a string or object.
+   */
+  constructor(options = {}) {
+    this.name = "mock";
+    this.responses = { ...DEFAULT_RESPONSES, ...(options.responses || {}) };
+    this.calls = [];
+  }
+
+  async complete(request) {
+    const { agent = "default", model, messages = [] } = request;
+    // The original request, not a later repair or follow-up turn
+    const userPrompt = messages.find((m) => m.role === "user")?.content || "";
+
+    this.calls.push({ agent, model, messages });
+    if (this.calls.length > MAX_RECORDED_CALLS) {
+      this.calls.shift();
+    }
+
+    const handler = this.responses[agent];
+    let output;
+    if (typeof handler === "function") {
+      output = handler(request, userPrompt);
+    } else if (handler !== undefined) {
+      output = handler;
+    } else {
+      output = { mock: true, agent };
+    }
+
+    return {
+      content: typeof output === "string" ? output : JSON.stringify(output),
+      model: model || "mock",
+      usage: null,
+    };
+  }
+
+  // Replays the canned response in small chunks to exercise incremental parsing
+  async *stream(request) {
+    const { content } = await this.complete(request);
+    for (let i = 0; i < content.length; i += MOCK_CHUNK_SIZE) {
+      yield content.slice(i, i + MOCK_CHUNK_SIZE);
+    }
+  }
+}
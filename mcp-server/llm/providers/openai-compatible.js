@@ -0,0 +1,48 @@
+/**
+ * OpenAI-Compatible Provider - Local or self-hosted model servers
+ * Works with Ollama, llama.cpp server, vLLM and anything else exposing /v1/chat/completions
+ */
+
+import { OpenAIProvider } from "./openai.js";
+
+// Parameters many local servers reject or silently misinterpret
+const UNSUPPORTED_PARAMS = ["presence_penalty", "frequency_penalty"];
+
+export class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    const baseURL = options.baseURL || process.env.LLM_BASE_URL;
+    if (!baseURL) {
+      throw new Error(
+        "LLM_BASE_URL is required for the openai-compatible provider (e.g. http://localhost:11434/v1)"
+      );
+    }
+
+    super({
+      ...options,
+      baseURL,
+      // Local servers usually ignore the key, but the client insists on one
+      apiKey: options.apiKey || process.env.LLM_API_KEY || "not-needed",
+    });
+
+    this.name = "openai-compatible";
+  }
+
+  // JSON mode support varies by server, so it is opt-in via LLM_JSON_MODE=on
+  supportsJsonMode() {
+    return (process.env.LLM_JSON_MODE || "").toLowerCase() === "on";
+  }
+
+  withSupportedParams(request) {
+    const extra = { ...(request.extra || {}) };
+    UNSUPPORTED_PARAMS.forEach((param) => delete extra[param]);
+    return { ...request, extra };
+  }
+
+  async complete(request) {
+    return super.complete(this.withSupportedParams(request));
+  }
+
+  async *stream(request) {
+    yield* super.stream(this.withSupportedParams(request));
+  }
+}
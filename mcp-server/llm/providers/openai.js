@@ -0,0 +1,109 @@
+/**
+ * OpenAI Provider - Chat completions against the hosted OpenAI API
+ * Also the base class for any server that speaks the OpenAI wire format
+ */
+
+import OpenAI from "openai";
+
+// Models that accept response_format: { type: "json_object" }
+const JSON_MODE_MODELS =
+  /^(gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-4-(1106|0125)|gpt-3\.5-turbo-(1106|0125)|gpt-5|o[1-9])/;
+
+export class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = "openai";
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.baseURL = options.baseURL;
+    this.client = null;
+  }
+
+  /**
+   * Whether JSON mode can be requested for a model
+   * LLM_JSON_MODE=on|off overrides the built-in model list
+   * @param {string} model
+   */
+  supportsJsonMode(model) {
+    const setting = (process.env.LLM_JSON_MODE || "auto").toLowerCase();
+    if (setting === "on") return true;
+    if (setting === "off") return false;
+    return JSON_MODE_MODELS.test(model || "");
+  }
+
+  // Lazy-load the client so a missing key only fails when a call is made
+  getClient() {
+    if (!this.client) {
+      if (!this.apiKey) {
+        throw new Error("OPENAI_API_KEY environment variable is not set");
+      }
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        ...(this.baseURL ? { baseURL: this.baseURL } : {}),
+      });
+    }
+    return this.client;
+  }
+
+  buildParams(request) {
+    const {
+      model,
+      messages,
+      temperature,
+      maxTokens,
+      json = false,
+      extra = {},
+    } = request;
+
+    return {
+      model,
+      messages,
+      ...(typeof temperature === "number" ? { temperature } : {}),
+      ...(typeof maxTokens === "number" ? { max_tokens: maxTokens } : {}),
+      ...(json && this.supportsJsonMode(model)
+        ? { response_format: { type: "json_object" } }
+        : {}),
+      ...extra,
+    };
+  }
+
+  /**
+   * Run a chat completion
+   * @param {object} request
+   * @param {string} request.model - Model identifier
+   * @param {Array<{role: string, content: string}>} request.messages - Chat messages
+   * @param {number} [request.temperature]
+   * @param {number} [request.maxTokens]
+   * @param {boolean} [request.json] - Ask for a JSON object response when the model supports it
+   * @param {object} [request.extra] - Provider-specific parameters (penalties etc.)
+   * @returns {Promise<{content: string, model: string, usage: object|null}>}
+   */
+  async complete(request) {
+    const response = await this.getClient().chat.completions.create(
+      this.buildParams(request)
+    );
+
+    return {
+      content: response.choices[0]?.message?.content?.trim() || "",
+      model: response.model || request.model,
+      usage: response.usage || null,
+    };
+  }
+
+  /**
+   * Stream a chat completion as text deltas
+   * @param {object} request - Same shape as complete()
+   * @returns {AsyncGenerator<string>}
+   */
+  async *stream(request) {
+    const stream = await this.getClient().chat.completions.create({
+      ...this.buildParams(request),
+      stream: true,
+    });
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        yield delta;
+      }
+    }
+  }
+}
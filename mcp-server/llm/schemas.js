@@ -0,0 +1,289 @@
+/**
+ * Output Schemas - zod contracts for every structured payload the agents exchange
+ * Model output is checked against these before an agent touches it; extra keys pass through
+ */
+
+import { z } from "zod";
+
+const stringList = z.array(z.string());
+
+// Models sometimes send numeric ids as strings ("1"); accept both, store numbers
+const questionId = z.coerce.number().int().positive();
+
+// Hidden test for a code question: call entryPoint with args and compare the
+// result to expected, or evaluate a boolean assertion against the answer
+export const HiddenTestSchema = z
+  .object({
+    description: z.string().optional(),
+    args: z.array(z.unknown()).optional(),
+    expected: z.unknown().optional(),
+    assertion: z.string().min(1).optional(),
+  })
+  .passthrough()
+  .refine(
+    (test) =>
+      test.assertion !== undefined ||
+      (test.args !== undefined && test.expected !== undefined),
+    { message: "Hidden tests need args and expected, or an assertion" }
+  );
+
+export const QuestionSchema = z
+  .object({
+    id: questionId,
+    type: z.enum(["mcq", "short", "code"]),
+    prompt: z.string().min(1),
+    choices: stringList.optional(),
+    answer: z.string().min(1),
+    rubric: stringList.default([]),
+    points: z.number().nonnegative().optional(),
+    category: z.string().optional(),
+    difficulty: z.string().optional(),
+    codeExample: z.string().optional(),
+    entryPoint: z
+      .string()
+      .regex(/^[A-Za-z_$][\w$]*$/, "entryPoint must be a function name")
+      .optional(),
+    tests: z.array(HiddenTestSchema).optional(),
+  })
+  .passthrough()
+  .superRefine((question, ctx) => {
+    if (question.type === "mcq" && (question.choices || []).length < 2) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["choices"],
+        message: "Multiple choice questions need at least 2 choices",
+      });
+    }
+    if (
+      (question.tests || []).some((test) => test.assertion === undefined) &&
+      !question.entryPoint
+    ) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["entryPoint"],
+        message: "Hidden tests with args need an entryPoint to call",
+      });
+    }
+  });
+
+export const TestSchema = z
+  .object({
+    questions: z.array(QuestionSchema).min(1),
+    totalPoints: z.number().optional(),
+    metadata: z.object({}).passthrough().optional(),
+  })
+  .passthrough();
+
+export const GradedAnswerSchema = z
+  .object({
+    id: questionId,
+    score: z.number().nonnegative(),
+    max: z.number().nonnegative(),
+    feedback: z.string().default(""),
+    correct: z.boolean().optional(),
+    expected: z.string().optional(),
+    category: z.string().optional(),
+    breakdown: z
+      .object({
+        strengths: stringList.default([]),
+        weaknesses: stringList.default([]),
+        suggestions: stringList.default([]),
+      })
+      .passthrough()
+      .optional(),
+  })
+  .passthrough()
+  .refine((result) => result.score <= result.max, {
+    message: "score cannot exceed max",
+    path: ["score"],
+  });
+
+export const GradeResultSchema = z
+  .object({
+    results: z.array(GradedAnswerSchema),
+    totalScorePercent: z.number().min(0).max(100).optional(),
+    totalPoints: z.number().optional(),
+    earnedPoints: z.number().optional(),
+    overview: z
+      .object({
+        strongAreas: stringList.default([]),
+        improvementAreas: stringList.default([]),
+        recommendedFocus: stringList.default([]),
+      })
+      .passthrough()
+      .optional(),
+  })
+  .passthrough();
+
+// Answer Explanation Agent: diagnosis of a specific wrong answer
+export const AnswerExplanationSchema = z
+  .object({
+    diagnosis: z
+      .object({
+        mistakeType: z.string(),
+        severity: z.string(),
+        rootCause: z.string(),
+      })
+      .passthrough()
+      .optional(),
+    stepByStepExplanation: z
+      .object({
+        whatWentWrong: z.string(),
+        whyItsWrong: z.string(),
+        correctApproach: z.string(),
+        keyInsight: z.string(),
+      })
+      .passthrough(),
+    visualBreakdown: z
+      .object({
+        studentThinking: z.string(),
+        correctThinking: z.string(),
+        comparisonTable: z
+          .array(
+            z.object({
+              aspect: z.string(),
+              student: z.string(),
+              correct: z.string(),
+              impact: z.string(),
+            })
+          )
+          .default([]),
+      })
+      .passthrough()
+      .optional(),
+    practiceExercises: z
+      .array(
+        z.object({
+          description: z.string(),
+          example: z.string(),
+          expectedOutcome: z.string(),
+        })
+      )
+      .optional(),
+    prevention: z
+      .object({
+        warningSigns: stringList.default([]),
+        mentalChecklist: stringList.default([]),
+        debuggingTips: stringList.default([]),
+      })
+      .passthrough()
+      .optional(),
+    connectionsToBiggerPicture: z
+      .object({
+        relatedConcepts: stringList.default([]),
+        realWorldRelevance: z.string(),
+        nextLearningSteps: z.string(),
+      })
+      .passthrough()
+      .optional(),
+  })
+  .passthrough();
+
+// Utility Agent: general concept explanation
+export const ConceptExplanationSchema = z
+  .object({
+    brief: z.string().min(1),
+    explanation: z.string().min(1),
+    commonMistakes: stringList.default([]),
+    correction: z.string().min(1),
+    conceptReview: z
+      .object({
+        keyPoints: stringList.default([]),
+        examples: stringList.default([]),
+        bestPractices: stringList.default([]),
+      })
+      .passthrough()
+      .optional(),
+    nextSteps: z.object({}).passthrough().optional(),
+  })
+  .passthrough();
+
+export const LearningRecommendationsSchema = z
+  .object({
+    immediate: stringList.min(1),
+    shortTerm: stringList.default([]),
+    longTerm: stringList.default([]),
+    resources: stringList.default([]),
+    motivational: z.string().default(""),
+  })
+  .passthrough();
+
+const categoryStatSchema = z.object({
+  correct: z.number().int().nonnegative(),
+  total: z.number().int().nonnegative(),
+  accuracy: z.number().min(0).max(100),
+});
+
+// get_progress_stats result; the flat fields are what the dashboard renders
+export const ProgressStatsSchema = z
+  .object({
+    userId: z.string(),
+    timeframe: z.enum(["day", "week", "month", "all"]),
+    totalQuestions: z.number().int().nonnegative(),
+    totalCorrect: z.number().int().nonnegative(),
+    overallAccuracy: z.number().min(0).max(100),
+    categoryStats: z.record(categoryStatSchema),
+    weakAreas: stringList,
+    strongAreas: stringList,
+    currentDifficulty: z.string(),
+    recommendedDifficulty: z.string(),
+    streak: z.number().int().nonnegative(),
+    improvementTrend: z.string(),
+    learningVelocity: z.number().nonnegative(),
+  })
+  .passthrough();
+
+// Interviewer Agent: the opening question, with the key points a full answer covers
+export const InterviewQuestionSchema = z
+  .object({
+    prompt: z.string().min(1),
+    category: z.string().optional(),
+    referenceAnswer: z.string().min(1),
+    keyPoints: stringList.min(1),
+  })
+  .passthrough();
+
+// Interviewer Agent: gaps in the latest answer and the question that probes them
+export const InterviewFollowUpSchema = z
+  .object({
+    gaps: stringList.default([]),
+    followUp: z.string().default(""),
+    satisfied: z.boolean().default(false),
+  })
+  .passthrough();
+
+// Interview rubric; every criterion is scored 0-4 over the whole exchange
+export const INTERVIEW_CRITERIA = [
+  "correctness",
+  "reasoning",
+  "edgeCases",
+  "communication",
+];
+
+export const InterviewScoreSchema = z
+  .object({
+    criteria: z
+      .array(
+        z
+          .object({
+            criterion: z.enum(INTERVIEW_CRITERIA),
+            score: z.number().int().min(0).max(4),
+            comment: z.string().default(""),
+          })
+          .passthrough()
+      )
+      .refine(
+        (criteria) =>
+          INTERVIEW_CRITERIA.every((name) =>
+            criteria.some((entry) => entry.criterion === name)
+          ),
+        { message: `Score every criterion: ${INTERVIEW_CRITERIA.join(", ")}` }
+      ),
+    keyPoints: z
+      .array(z.object({ point: z.string(), covered: z.boolean() }))
+      .default([]),
+    summary: z.string().min(1),
+    strengths: stringList.default([]),
+    improvements: stringList.default([]),
+  })
+  .passthrough();
@@ -0,0 +1,134 @@
+/**
+ * Structured Output - Schema-validated chat completions with repair retries
+ * Invalid responses are sent back to the model with the validation errors until they
+ * pass or LLM_REPAIR_ATTEMPTS (default 2) repairs are used up
+ */
+
+import { chatCompletion } from "./index.js";
+
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+const MAX_REPORTED_ISSUES = 10;
+
+export class StructuredOutputError extends Error {
+  /**
+   * @param {string} agent - Agent whose output failed validation
+   * @param {string[]} issues - Validation problems from the last attempt
+   * @param {string} raw - Last raw model response
+   * @param {number} attempts - Completions made, including repairs
+   */
+  constructor(agent, issues, raw, attempts) {
+    super(
+      `${agent} returned invalid output after ${attempts} attempt${
+        attempts === 1 ? "" : "s"
+      }: ${issues.slice(0, 3).join("; ")}`
+    );
+    this.name = "StructuredOutputError";
+    this.code = "INVALID_LLM_OUTPUT";
+    this.agent = agent;
+    this.issues = issues;
+    this.raw = raw;
+    this.attempts = attempts;
+  }
+
+  // Shape used in { ok: false, ... } tool payloads
+  toJSON() {
+    return {
+      error: this.name,
+      code: this.code,
+      message: this.message,
+      issues: this.issues,
+      raw: this.raw,
+    };
+  }
+}
+
+function getRepairAttempts() {
+  const value = Number(process.env.LLM_REPAIR_ATTEMPTS);
+  return Number.isInteger(value) && value >= 0
+    ? value
+    : DEFAULT_REPAIR_ATTEMPTS;
+}
+
+// Models like to wrap JSON in markdown fences even when told not to
+function stripCodeFence(content) {
+  const match = /^\s*```(?:json)?\s*([\s\S]*?)\s*```\s*$/i.exec(content);
+  return match ? match[1] : content;
+}
+
+function formatIssues(zodError) {
+  return zodError.issues.slice(0, MAX_REPORTED_ISSUES).map((issue) => {
+    const location = issue.path.length > 0 ? issue.path.join(".") : "(root)";
+    return `${location}: ${issue.message}`;
+  });
+}
+
+/**
+ * Parse and validate a raw model response
+ * @param {string} content
+ * @param {import("zod").ZodTypeAny} schema
+ * @returns {{success: true, data: any} | {success: false, issues: string[]}}
+ */
+export function parseStructured(content, schema) {
+  let value;
+  try {
+    value = JSON.parse(stripCodeFence(content || ""));
+  } catch (error) {
+    return {
+      success: false,
+      issues: [`Response is not valid JSON (${error.message})`],
+    };
+  }
+
+  const parsed = schema.safeParse(value);
+  return parsed.success
+    ? { success: true, data: parsed.data }
+    : { success: false, issues: formatIssues(parsed.error) };
+}
+
+function buildRepairPrompt(issues) {
+  return `Your previous response did not match the required JSON format:
+${issues.map((issue) => `- ${issue}`).join("\n")}
+
+Return the complete corrected JSON object only, with no markdown or commentary.`;
+}
+
+/**
+ * Chat completion whose response must satisfy a zod schema
+ * @param {string} agent - Agent identifier used for config lookup
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @param {import("zod").ZodTypeAny} schema - Expected response shape
+ * @param {object} [options] - chatCompletion options, plus maxRepairs
+ * @returns {Promise<any>} Parsed, validated data (with schema defaults applied)
+ * @throws {StructuredOutputError} When every attempt fails validation
+ */
+export async function structuredCompletion(
+  agent,
+  messages,
+  schema,
+  options = {}
+) {
+  const { maxRepairs = getRepairAttempts(), ...completionOptions } = options;
+  const conversation = [...messages];
+  let content = "";
+  let issues = [];
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    content = await chatCompletion(agent, conversation, {
+      ...completionOptions,
+      json: true,
+    });
+
+    const outcome = parseStructured(content, schema);
+    if (outcome.success) {
+      return outcome.data;
+    }
+
+    issues = outcome.issues;
+    conversation.push(
+      { role: "assistant", content },
+      { role: "user", content: buildRepairPrompt(issues) }
+    );
+  }
+
+  throw new StructuredOutputError(agent, issues, content, maxRepairs + 1);
+}
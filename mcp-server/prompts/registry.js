@@ -0,0 +1,184 @@
+/**
+ * Prompt Registry - Ready-made MCP prompts that drive the trainer's tools
+ * Each prompt embeds the relevant resource so the host model starts with the
+ * same topic and difficulty context the agents use
+ */
+
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { getResourceRegistry } from "../resources/registry.js";
+
+export const PROMPT_DEFINITIONS = [
+  {
+    name: "quiz_me",
+    description: "Run an interactive quiz on one topic, one question at a time",
+    arguments: [
+      {
+        name: "topic",
+        description:
+          "Topic to quiz on (html, css, javascript, apis, react, vue, angular)",
+        required: true,
+      },
+      {
+        name: "numQuestions",
+        description: "How many questions to ask (default 5)",
+        required: false,
+      },
+      {
+        name: "difficulty",
+        description:
+          "beginner, junior, intermediate or advanced (default junior)",
+        required: false,
+      },
+    ],
+  },
+  {
+    name: "explain_my_mistake",
+    description: "Walk through why an answer was wrong and how to fix it",
+    arguments: [
+      { name: "question", description: "The question text", required: true },
+      {
+        name: "studentAnswer",
+        description: "The answer that was given",
+        required: true,
+      },
+      {
+        name: "correctAnswer",
+        description: "The expected answer",
+        required: true,
+      },
+    ],
+  },
+  {
+    name: "study_plan",
+    description: "Build a study plan from recorded progress and weak areas",
+    arguments: [
+      {
+        name: "userId",
+        description: "Student identifier (default 'default')",
+        required: false,
+      },
+    ],
+  },
+];
+
+function userText(text) {
+  return { role: "user", content: { type: "text", text } };
+}
+
+export class PromptRegistry {
+  /**
+   * @param {import("../resources/registry.js").ResourceRegistry} [resources]
+   */
+  constructor(resources = getResourceRegistry()) {
+    this.resources = resources;
+  }
+
+  listPrompts() {
+    return { prompts: PROMPT_DEFINITIONS };
+  }
+
+  // Attach a resource to a prompt as an embedded resource message
+  embed(uri) {
+    const [content] = this.resources.readResource(uri).contents;
+    return { role: "user", content: { type: "resource", resource: content } };
+  }
+
+  /**
+   * Render a prompt with its arguments
+   * @param {string} name - Prompt name from PROMPT_DEFINITIONS
+   * @param {Record<string, string>} [args]
+   * @throws {McpError} InvalidParams for unknown prompts or missing arguments
+   */
+  getPrompt(name, args = {}) {
+    const definition = PROMPT_DEFINITIONS.find(
+      (prompt) => prompt.name === name
+    );
+    if (!definition) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+
+    const missing = definition.arguments
+      .filter((arg) => arg.required && !args[arg.name])
+      .map((arg) => arg.name);
+    if (missing.length > 0) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Missing required arguments for ${name}: ${missing.join(", ")}`
+      );
+    }
+
+    switch (name) {
+      case "quiz_me":
+        return this.quizMe(args);
+      case "explain_my_mistake":
+        return this.explainMyMistake(args);
+      case "study_plan":
+        return this.studyPlan(args);
+    }
+  }
+
+  quizMe({ topic, numQuestions = "5", difficulty = "junior" }) {
+    const normalizedTopic = topic.toLowerCase();
+
+    return {
+      description: `Quiz on ${normalizedTopic}`,
+      messages: [
+        this.embed(`trainer://topics/${normalizedTopic}`),
+        this.embed("trainer://difficulty-levels"),
+        userText(
+          `Quiz me on ${normalizedTopic} at the ${difficulty} level.
+
+1. Call generate_jr_web_test with topics ["${normalizedTopic}"], numQuestions ${numQuestions} and difficulty "${difficulty}".
+2. Ask me the questions one at a time and wait for my answer before moving on. Do not reveal the answers early.
+3. When I have answered them all, call grade_web_test with the generated test and my answers, then summarize my score.
+4. For each question I missed, call explain_wrong_answer and share the key insight.
+5. Finish by calling track_learning_progress so my results are recorded.`
+        ),
+      ],
+    };
+  }
+
+  explainMyMistake({ question, studentAnswer, correctAnswer }) {
+    return {
+      description: "Explain a wrong answer",
+      messages: [
+        userText(
+          `I got this question wrong and want to understand why.
+
+Question: ${question}
+My answer: ${studentAnswer}
+Correct answer: ${correctAnswer}
+
+Call explain_wrong_answer with these values, then explain the root cause, the correct approach and one practice exercise in plain language.`
+        ),
+      ],
+    };
+  }
+
+  studyPlan({ userId = "default" }) {
+    return {
+      description: `Study plan for ${userId}`,
+      messages: [
+        this.embed("trainer://difficulty-levels"),
+        userText(
+          `Build me a one-week study plan.
+
+1. Call get_progress_stats with userId "${userId}" and timeframe "month".
+2. Focus the plan on my weakAreas and keep my strongAreas fresh with short reviews.
+3. For each focus area, read trainer://learning-resources/<category> and recommend specific resources.
+4. Suggest a daily quiz using the quiz_me prompt at my recommendedDifficulty.`
+        ),
+      ],
+    };
+  }
+}
+
+// Singleton instance
+let promptRegistry = null;
+
+export function getPromptRegistry() {
+  if (!promptRegistry) {
+    promptRegistry = new PromptRegistry();
+  }
+  return promptRegistry;
+}
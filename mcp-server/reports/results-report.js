@@ -0,0 +1,280 @@
+/**
+ * Results Report - A graded attempt as a printable HTML page or a CSV sheet
+ * The HTML is self-contained (inline styles, no scripts beyond a print button) and
+ * has print rules, so "Save as PDF" in the browser gives the PDF report. The CSV has
+ * one row per question for mentors reviewing an attempt offline
+ */
+
+export const REPORT_FORMATS = ["html", "csv"];
+
+// Only the print button's handler may run: the report is opened from a blob URL on the
+// app origin, where a response header cannot reach it
+const PRINT_HANDLER = "window.print()";
+export const REPORT_CSP = [
+  "default-src 'none'",
+  "style-src 'unsafe-inline'",
+  // sha256 of PRINT_HANDLER
+  "script-src 'unsafe-hashes' 'sha256-MguIPR6qNR8D3B+eAlK+bIRTZe8t3wkOY4B/56Me9FU='",
+  "base-uri 'none'",
+  "form-action 'none'",
+].join("; ");
+
+const CSV_COLUMNS = [
+  ["question", (row) => row.id],
+  ["category", (row) => row.category],
+  ["type", (row) => row.type],
+  ["prompt", (row) => row.prompt],
+  ["student_answer", (row) => row.studentAnswer],
+  ["expected_answer", (row) => row.expected],
+  ["score", (row) => row.score],
+  ["max", (row) => row.max],
+  ["percent", (row) => row.percent],
+  ["correct", (row) => (row.correct ? "yes" : "no")],
+  ["feedback", (row) => row.feedback],
+  ["explanation", (row) => explanationText(row.explanation)],
+];
+
+function percentOf(score, max) {
+  return max > 0 ? Math.round((score / max) * 1000) / 10 : 0;
+}
+
+/**
+ * Gather a graded attempt into one report
+ * @param {object} args
+ * @param {object} args.test - The test ({questions}) or a { ok, result } test response
+ * @param {object} args.grade - grade_web_test result, or its { ok, result } response
+ * @param {Object<string, object>} [args.explanations] - explain_wrong_answer results by question id
+ * @param {Object<string, string>} [args.answers] - Answers by question id, for results without studentAnswer
+ * @param {string} [args.title]
+ * @param {string} [args.userId]
+ * @returns {object}
+ */
+export function buildResultsReport(args) {
+  const test = args.test?.result?.questions ? args.test.result : args.test;
+  const grade = args.grade?.result?.results ? args.grade.result : args.grade;
+  if (!Array.isArray(grade?.results) || grade.results.length === 0) {
+    throw new Error("Grading results are required for a report");
+  }
+
+  const questions = Array.isArray(test?.questions) ? test.questions : [];
+  const explanations = args.explanations || {};
+  const answers = args.answers || {};
+
+  const rows = grade.results.map((result) => {
+    const question = questions.find((q) => q.id === result.id) || {};
+    const max = Number(result.max) || 0;
+    const score = Number(result.score) || 0;
+    return {
+      id: result.id,
+      category: result.category || question.category || "",
+      type: question.type || "",
+      prompt: question.prompt || "",
+      codeExample: question.codeExample || "",
+      studentAnswer: result.studentAnswer ?? answers[result.id] ?? "",
+      expected: result.expected ?? question.answer ?? "",
+      score,
+      max,
+      percent: percentOf(score, max),
+      correct: score >= max && max > 0,
+      feedback: result.feedback || "",
+      explanation: explanations[result.id] || null,
+    };
+  });
+
+  // Totals come from the rows, never from the caller's grade
+  const earned = rows.reduce((sum, row) => sum + row.score, 0);
+  const total = rows.reduce((sum, row) => sum + row.max, 0);
+
+  return {
+    title: args.title || test?.metadata?.title || "Web Dev Test Results",
+    userId: args.userId,
+    generatedAt: new Date().toISOString(),
+    earnedPoints: earned,
+    totalPoints: total,
+    scorePercent: percentOf(earned, total),
+    analytics: grade.analytics || null,
+    learningPath: grade.learningPath || null,
+    rows,
+  };
+}
+
+/**
+ * The parts of an explain_wrong_answer result worth reading offline, as plain text
+ * @param {object|null} explanation
+ * @returns {string}
+ */
+export function explanationText(explanation) {
+  if (!explanation) return "";
+
+  const steps = explanation.stepByStepExplanation || {};
+  return [
+    explanation.brief || explanation.explanation,
+    steps.whatWentWrong && `What went wrong: ${steps.whatWentWrong}`,
+    steps.whyItsWrong && `Why: ${steps.whyItsWrong}`,
+    steps.correctApproach && `Correct approach: ${steps.correctApproach}`,
+    steps.keyInsight && `Key insight: ${steps.keyInsight}`,
+    explanation.correction && `Correction: ${explanation.correction}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function htmlList(items) {
+  if (!items || items.length === 0) return '<p class="muted">None</p>';
+  return `<ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</ul>`;
+}
+
+function renderAnalytics(report) {
+  const scores = Object.entries(report.analytics?.categoryScores || {});
+  const path = report.learningPath || {};
+
+  const table =
+    scores.length === 0
+      ? '<p class="muted">No category data</p>'
+      : `<table>
+        <thead><tr><th>Category</th><th>Score</th></tr></thead>
+        <tbody>${scores
+          .map(
+            ([category, percent]) =>
+              `<tr><td>${escapeHtml(category)}</td><td>${Math.round(
+                percent
+              )}%</td></tr>`
+          )
+          .join("")}</tbody>
+      </table>`;
+
+  return `<section class="summary">
+    <h2>Category Analytics</h2>
+    ${table}
+    <div class="columns">
+      <div><h3>Strengths</h3>${htmlList(report.analytics?.strengths)}</div>
+      <div><h3>Weaknesses</h3>${htmlList(report.analytics?.weaknesses)}</div>
+    </div>
+    <h2>Learning Path</h2>
+    <div class="columns">
+      <div><h3>Focus topics</h3>${htmlList(path.focusTopics)}</div>
+      <div><h3>Practice</h3>${htmlList(path.practiceRecommendations)}</div>
+    </div>
+    ${
+      path.nextSkillLevel
+        ? `<p><strong>Suggested next level:</strong> ${escapeHtml(
+            path.nextSkillLevel
+          )}</p>`
+        : ""
+    }
+  </section>`;
+}
+
+function renderQuestion(row) {
+  const explanation = explanationText(row.explanation);
+  return `<article class="question ${row.correct ? "correct" : "missed"}">
+    <header>
+      <h3>Question ${escapeHtml(row.id)}${
+        row.category
+          ? ` <span class="tag">${escapeHtml(row.category)}</span>`
+          : ""
+      }</h3>
+      <span class="score">${Number(row.score)}/${Number(row.max)}</span>
+    </header>
+    <p class="prompt">${escapeHtml(row.prompt)}</p>
+    ${row.codeExample ? `<pre>${escapeHtml(row.codeExample)}</pre>` : ""}
+    <h4>Your answer</h4>
+    ${
+      row.studentAnswer
+        ? `<pre>${escapeHtml(row.studentAnswer)}</pre>`
+        : '<p class="muted">No answer</p>'
+    }
+    <h4>Expected answer</h4>
+    <pre>${escapeHtml(row.expected)}</pre>
+    ${row.feedback ? `<h4>Feedback</h4><p class="text">${escapeHtml(row.feedback)}</p>` : ""}
+    ${
+      explanation
+        ? `<h4>Explanation</h4><p class="text">${escapeHtml(explanation)}</p>`
+        : ""
+    }
+  </article>`;
+}
+
+/**
+ * @param {object} report - From buildResultsReport
+ * @returns {string} A complete HTML document
+ */
+export function renderReportHtml(report) {
+  const generated = new Date(report.generatedAt).toUTCString();
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${REPORT_CSP}">
+<title>${escapeHtml(report.title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #1f2937; max-width: 50rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { margin-bottom: 0.25rem; }
+  h2 { border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; margin-top: 2rem; }
+  h4 { margin: 0.75rem 0 0.25rem; font-size: 0.9rem; color: #4b5563; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 0.25rem 0.5rem; border-bottom: 1px solid #e5e7eb; }
+  pre { background: #f3f4f6; padding: 0.5rem; border-radius: 4px; white-space: pre-wrap; word-break: break-word; margin: 0; }
+  .text { white-space: pre-wrap; margin: 0; }
+  .muted { color: #6b7280; margin: 0; }
+  .overall { font-size: 1.25rem; font-weight: 600; }
+  .columns { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; }
+  .question { border: 1px solid #e5e7eb; border-left-width: 4px; border-radius: 4px; padding: 0.75rem 1rem; margin: 1rem 0; }
+  .question.correct { border-left-color: #16a34a; }
+  .question.missed { border-left-color: #dc2626; }
+  .question header { display: flex; justify-content: space-between; align-items: baseline; }
+  .question h3 { margin: 0; }
+  .tag { font-size: 0.75rem; font-weight: normal; background: #e0e7ff; color: #3730a3; padding: 0.1rem 0.4rem; border-radius: 4px; }
+  .score { font-weight: 600; }
+  .print { float: right; padding: 0.4rem 0.8rem; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    .print { display: none; }
+    .question, .summary table { break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<button class="print" onclick="${PRINT_HANDLER}">Print / Save as PDF</button>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="muted">${report.userId ? `${escapeHtml(report.userId)} · ` : ""}Generated ${escapeHtml(generated)}</p>
+<p class="overall">Score: ${Number(report.scorePercent).toFixed(1)}% (${Number(report.earnedPoints)}/${Number(report.totalPoints)} points)</p>
+${renderAnalytics(report)}
+<h2>Questions</h2>
+${report.rows.map(renderQuestion).join("\n")}
+</body>
+</html>
+`;
+}
+
+// Quote every cell; a leading = + - @ would make a spreadsheet run the cell as a formula
+function csvCell(value) {
+  let text = String(value ?? "");
+  if (/^[=+@\t\r]/.test(text) || /^-(?!\d)/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * @param {object} report - From buildResultsReport
+ * @returns {string} RFC 4180 CSV with a header row and a UTF-8 byte order mark for Excel
+ */
+export function renderReportCsv(report) {
+  const lines = [
+    CSV_COLUMNS.map(([name]) => csvCell(name)).join(","),
+    ...report.rows.map((row) =>
+      CSV_COLUMNS.map(([, value]) => csvCell(value(row))).join(",")
+    ),
+  ];
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
@@ -0,0 +1,153 @@
+/**
+ * Resource Registry - Read-only trainer knowledge exposed as MCP resources
+ * Topic taxonomy, learning resources and difficulty definitions come straight from
+ * the agents, so hosts browse exactly what the tools work with
+ */
+
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { getToolRegistry } from "../tools/registry.js";
+
+const JSON_MIME_TYPE = "application/json";
+const RESOURCE_CATEGORIES = ["javascript", "html", "css", "api"];
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "trainer://topics/{topic}",
+    name: "Topic specializations",
+    description:
+      "Sub-topics the test generator covers for one topic (html, css, javascript, apis, react, vue, angular)",
+    mimeType: JSON_MIME_TYPE,
+  },
+  {
+    uriTemplate: "trainer://learning-resources/{category}",
+    name: "Learning resources",
+    description:
+      "Curated study links for a category (javascript, html, css, api, react, vue, angular)",
+    mimeType: JSON_MIME_TYPE,
+  },
+];
+
+export class ResourceRegistry {
+  /**
+   * @param {import("../tools/registry.js").ToolRegistry} [tools] - Source of the agents
+   */
+  constructor(tools = getToolRegistry()) {
+    this.tools = tools;
+  }
+
+  getTopicNames() {
+    const { core, frameworks } = this.tools.testGenerator.getAvailableTopics();
+    return [...core, ...frameworks];
+  }
+
+  getFrameworkNames() {
+    return this.tools.testGenerator.getAvailableTopics().frameworks;
+  }
+
+  listResources() {
+    const resources = [
+      {
+        uri: "trainer://topics",
+        name: "Topic taxonomy",
+        description:
+          "Core topics, supported frameworks and the specializations tested for each",
+        mimeType: JSON_MIME_TYPE,
+      },
+      {
+        uri: "trainer://difficulty-levels",
+        name: "Difficulty levels",
+        description:
+          "Difficulty definitions and the accuracy thresholds used to move between them",
+        mimeType: JSON_MIME_TYPE,
+      },
+      ...this.getTopicNames().map((topic) => ({
+        uri: `trainer://topics/${topic}`,
+        name: `${topic} specializations`,
+        mimeType: JSON_MIME_TYPE,
+      })),
+      ...[...RESOURCE_CATEGORIES, ...this.getFrameworkNames()].map(
+        (category) => ({
+          uri: `trainer://learning-resources/${category}`,
+          name: `${category} learning resources`,
+          mimeType: JSON_MIME_TYPE,
+        })
+      ),
+    ];
+
+    return { resources };
+  }
+
+  listResourceTemplates() {
+    return { resourceTemplates: RESOURCE_TEMPLATES };
+  }
+
+  /**
+   * Read one resource as JSON text
+   * @param {string} uri
+   * @throws {McpError} InvalidParams for unknown URIs
+   */
+  readResource(uri) {
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: JSON_MIME_TYPE,
+          text: JSON.stringify(this.resolve(uri), null, 2),
+        },
+      ],
+    };
+  }
+
+  resolve(uri) {
+    const { testGenerator, answerExplainer, adaptiveLearning, utility } =
+      this.tools;
+
+    if (uri === "trainer://topics") {
+      return testGenerator.getAvailableTopics();
+    }
+
+    if (uri === "trainer://difficulty-levels") {
+      return {
+        levels: adaptiveLearning.difficultyLevels,
+        thresholds: adaptiveLearning.performanceThresholds,
+      };
+    }
+
+    const topicMatch = /^trainer:\/\/topics\/([\w-]+)$/.exec(uri);
+    if (topicMatch) {
+      const topic = topicMatch[1].toLowerCase();
+      const { specializations } = testGenerator;
+      const subtopics =
+        topic === "frameworks"
+          ? undefined
+          : specializations[topic] || specializations.frameworks[topic];
+      if (subtopics) {
+        return { topic, specializations: subtopics };
+      }
+    }
+
+    const resourceMatch = /^trainer:\/\/learning-resources\/([\w-]+)$/.exec(
+      uri
+    );
+    if (resourceMatch) {
+      const category = resourceMatch[1].toLowerCase();
+      const links = answerExplainer.getCategoryResources(category);
+      const reading = utility.learningResources.frameworks[category] || [];
+      if (links.length > 0 || reading.length > 0) {
+        return { category, resources: [...links, ...reading] };
+      }
+    }
+
+    throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+  }
+}
+
+// Singleton instance
+let resourceRegistry = null;
+
+export function getResourceRegistry() {
+  if (!resourceRegistry) {
+    resourceRegistry = new ResourceRegistry();
+  }
+  return resourceRegistry;
+}
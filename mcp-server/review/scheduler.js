@@ -0,0 +1,125 @@
+/**
+ * Review Scheduler - SM-2 spaced repetition for missed questions
+ * A card holds one question plus its schedule. Each review turns the grade into an
+ * SM-2 quality (0-5): a lapse (below 3) sends the card back to tomorrow, a pass
+ * pushes it out to 1 day, then 6, then the previous interval times its ease.
+ * Due dates are whole UTC days, so "due today" means the same thing to every caller
+ */
+
+import { createHash } from "crypto";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+const PASSING_QUALITY = 3;
+// Kept per card so a review can be explained without the grader's full output
+const MAX_HISTORY = 20;
+
+/**
+ * Calendar day (UTC) of a timestamp, e.g. "2025-03-14"
+ * @param {number} [now]
+ */
+export function dayOf(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function addDays(day, days) {
+  return dayOf(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS);
+}
+
+/**
+ * Stable id for a question, so the same question missed in two tests is one card
+ * @param {object} question
+ */
+export function cardIdFor(question) {
+  return createHash("sha256")
+    .update(`${question.type}\n${question.prompt}\n${question.answer}`)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * SM-2 quality from a grade: 5 for full marks down to 0 for nothing
+ * @param {number} score
+ * @param {number} max
+ */
+export function qualityFromScore(score, max) {
+  if (!(max > 0)) return 0;
+  const ratio = Math.min(Math.max(score / max, 0), 1);
+  if (ratio >= 1) return 5;
+  if (ratio >= 0.8) return 4;
+  if (ratio >= 0.6) return 3;
+  if (ratio >= 0.4) return 2;
+  return ratio > 0 ? 1 : 0;
+}
+
+/**
+ * A new card for a question that was just missed; first review is tomorrow
+ * @param {object} question - The question as generated, including its answer
+ * @param {number} [now]
+ */
+export function createCard(question, now = Date.now()) {
+  const today = dayOf(now);
+  // Graders key answers by question id, so ids are assigned per review session
+  const { id: _id, ...stored } = question;
+
+  return {
+    id: cardIdFor(question),
+    question: stored,
+    ease: INITIAL_EASE,
+    interval: 0,
+    repetitions: 0,
+    lapses: 0,
+    createdOn: today,
+    dueOn: addDays(today, 1),
+    lastReviewedOn: null,
+    history: [],
+  };
+}
+
+/**
+ * Apply one graded review and return the rescheduled card
+ * @param {object} card
+ * @param {number} quality - 0 to 5
+ * @param {object} [details] - score and max, kept in the card's history
+ * @param {number} [now]
+ */
+export function reviewCard(card, quality, details = {}, now = Date.now()) {
+  const today = dayOf(now);
+  const passed = quality >= PASSING_QUALITY;
+  const repetitions = passed ? card.repetitions + 1 : 0;
+
+  let interval = 1;
+  if (passed && repetitions === 2) {
+    interval = 6;
+  } else if (passed && repetitions > 2) {
+    interval = Math.round(Math.max(card.interval, 1) * card.ease);
+  }
+
+  const ease = Math.max(
+    MIN_EASE,
+    card.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
+  );
+
+  return {
+    ...card,
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    lapses: card.lapses + (passed ? 0 : 1),
+    dueOn: addDays(today, interval),
+    lastReviewedOn: today,
+    history: [
+      ...card.history,
+      { on: today, quality, score: details.score, max: details.max },
+    ].slice(-MAX_HISTORY),
+  };
+}
+
+/**
+ * @param {object} card
+ * @param {number} [now]
+ */
+export function isDue(card, now = Date.now()) {
+  return card.dueOn <= dayOf(now);
+}
@@ -0,0 +1,205 @@
+/**
+ * Code Runner - Executes JavaScript answers against a question's hidden tests
+ * Every run gets its own Node.js process with a heap limit, an empty environment and
+ * a wall-clock deadline; inside it the answer runs in a bare vm context with a
+ * CPU-time limit per test. vm is not a security boundary: code that escapes it holds
+ * the process's full Node.js API. The process therefore runs under Node's permission
+ * model, where it may read only its own script and cannot write files, spawn
+ * processes, start workers or load addons. The permission model does not cover the
+ * network, so limit outbound traffic where the grader runs if that matters
+ *
+ * Environment:
+ *   CODE_RUNNER_TIMEOUT_MS  CPU time allowed for loading the answer and for each test
+ *                           (default: 1000)
+ *   CODE_RUNNER_MEMORY_MB   runner heap limit (default: 64)
+ */
+
+import { fork } from "child_process";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_TIMEOUT_MS = 1000;
+const DEFAULT_MEMORY_MB = 64;
+// Process startup and teardown on top of the per-test CPU budget
+const DEADLINE_SLACK_MS = 2000;
+// Not a literal in new URL(): bundlers would turn that into a chunk the runner
+// cannot load when this module runs inside the Next.js server
+const WORKER_FILE = "worker.js";
+// Node 20 only knows the experimental spelling
+const PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has("--permission")
+  ? "--permission"
+  : "--experimental-permission";
+// Enough of the runner's stderr to recognize a heap overflow
+const MAX_STDERR_LENGTH = 4096;
+
+let workerPath;
+
+function readLimit(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// The Next.js build bakes the build machine's path into import.meta.url; a
+// deployment runs the copy that next.config.ts traces into the project root
+function resolveWorkerPath() {
+  if (!workerPath) {
+    const beside = fileURLToPath(new URL(WORKER_FILE, import.meta.url));
+    workerPath = fs.existsSync(beside)
+      ? beside
+      : path.join(process.cwd(), "mcp-server", "sandbox", WORKER_FILE);
+  }
+  return workerPath;
+}
+
+/**
+ * Whether a question carries hidden tests that grading should execute
+ * @param {object} question
+ */
+export function hasHiddenTests(question) {
+  return (
+    question?.type === "code" &&
+    Array.isArray(question.tests) &&
+    question.tests.length > 0
+  );
+}
+
+// Learners paste fenced snippets and ES module syntax; neither runs in a script
+function prepareAnswer(answer) {
+  const fenced = /^\s*```[\w-]*\s*\n([\s\S]*?)\n?\s*```\s*$/.exec(answer);
+  const code = fenced ? fenced[1] : answer;
+  return code.replace(
+    /^(\s*)export\s+(?:default\s+)?(?=(?:async\s+)?function\b|class\b|const\b|let\b|var\b)/gm,
+    "$1"
+  );
+}
+
+function buildReport(tests, results, extra = {}) {
+  const passed = results.filter((result) => result.passed).length;
+  return { total: tests.length, passed, results, logs: [], ...extra };
+}
+
+function failAll(tests, error) {
+  return buildReport(
+    tests,
+    tests.map((test) => ({
+      description: test.description,
+      passed: false,
+      error,
+    })),
+    { error }
+  );
+}
+
+/**
+ * Run an answer against the question's hidden tests
+ * @param {string} answer - The learner's code
+ * @param {object} question - A code question with entryPoint and tests
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - CPU time per test
+ * @param {number} [options.memoryMb] - Runner heap limit
+ * @returns {Promise<{total: number, passed: number, results: object[], logs: string[], error?: string}>}
+ *   Never rejects; crashes, timeouts and memory blowups fail every test instead
+ */
+export function runHiddenTests(answer, question, options = {}) {
+  const timeoutMs =
+    options.timeoutMs ??
+    readLimit("CODE_RUNNER_TIMEOUT_MS", DEFAULT_TIMEOUT_MS);
+  const memoryMb =
+    options.memoryMb ?? readLimit("CODE_RUNNER_MEMORY_MB", DEFAULT_MEMORY_MB);
+  const tests = question.tests.map((test, index) => ({
+    ...test,
+    description: test.description || `Test ${index + 1}`,
+  }));
+
+  if (
+    tests.some((test) => !test.assertion) &&
+    !/^[A-Za-z_$][\w$]*$/.test(question.entryPoint || "")
+  ) {
+    return Promise.resolve(
+      failAll(tests, "Question has no valid entryPoint to call")
+    );
+  }
+
+  return new Promise((resolve) => {
+    let settled = false;
+    let stderr = "";
+    const finish = (report) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(deadline);
+      runner.kill("SIGKILL");
+      resolve(report);
+    };
+
+    const file = resolveWorkerPath();
+    const runner = fork(file, [], {
+      execArgv: [
+        PERMISSION_FLAG,
+        `--allow-fs-read=${file}`,
+        `--max-old-space-size=${memoryMb}`,
+        "--no-warnings",
+      ],
+      env: {},
+      // Keep the answer's output off stdout, which carries MCP traffic in stdio mode
+      stdio: ["ignore", "ignore", "pipe", "ipc"],
+    });
+
+    // Catches what the vm timeout cannot, such as a getter that never returns
+    const deadline = setTimeout(
+      () => finish(failAll(tests, "Timed out while running the tests")),
+      timeoutMs * (tests.length + 1) + DEADLINE_SLACK_MS
+    );
+
+    runner.stderr.on("data", (chunk) => {
+      if (stderr.length < MAX_STDERR_LENGTH) stderr += chunk;
+    });
+    runner.once("message", (outcome) =>
+      finish(buildReport(tests, outcome.results, outcome))
+    );
+    runner.once("error", (error) =>
+      finish(failAll(tests, `Test runner failed: ${error.message}`))
+    );
+    runner.once("close", () =>
+      finish(
+        failAll(
+          tests,
+          /heap out of memory/i.test(stderr)
+            ? `Exceeded the ${memoryMb}MB memory limit`
+            : "Test runner stopped unexpectedly"
+        )
+      )
+    );
+
+    runner.send({
+      code: prepareAnswer(answer),
+      entryPoint: question.entryPoint,
+      tests,
+      timeoutMs,
+    });
+  });
+}
+
+/**
+ * Plain-text summary for grading feedback: the pass count plus each failure
+ * @param {{total: number, passed: number, results: object[], error?: string}} report
+ */
+export function summarizeTestReport(report) {
+  const lines = [`Hidden tests: ${report.passed}/${report.total} passed.`];
+
+  if (report.error) {
+    lines.push(report.error);
+    return lines.join("\n");
+  }
+
+  report.results
+    .filter((result) => !result.passed)
+    .forEach((result) => {
+      const detail = result.error
+        ? result.error
+        : `expected ${result.expected}, received ${result.received}`;
+      lines.push(`✗ ${result.description}: ${detail}`);
+    });
+
+  return lines.join("\n");
+}
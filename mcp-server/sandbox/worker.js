@@ -0,0 +1,276 @@
+/**
+ * Code Runner Worker - Runs one answer against its hidden tests
+ * Forked by code-runner.js as a separate process under Node's permission model; it
+ * receives one job over IPC and sends back the outcome. The answer runs in a fresh vm
+ * context with no Node.js globals, and only strings cross between the two realms,
+ * so no host function is ever reachable from the learner's code
+ */
+
+import vm from "vm";
+
+const MAX_LOGS = 20;
+const MAX_DISPLAY_LENGTH = 200;
+
+// Installed before the answer. It keeps private references, so the answer cannot
+// change how outcomes are recorded by overwriting JSON, Promise or String
+const PRELUDE = `(function (global) {
+  "use strict";
+  const stringify = JSON.stringify;
+  const toText = String;
+  const then = Promise.prototype.then;
+  const toPromise = Promise.resolve.bind(Promise);
+  const freeze = Object.freeze;
+  const logs = [];
+  const outcomes = [];
+
+  function describe(error) {
+    try {
+      if (error !== null && typeof error === "object" && "message" in error) {
+        return toText(error.name || "Error") + ": " + toText(error.message);
+      }
+      return "Threw " + toText(error);
+    } catch (_) {
+      return "Threw an unprintable value";
+    }
+  }
+
+  function serialize(value) {
+    try {
+      return stringify(value);
+    } catch (_) {
+      return undefined;
+    }
+  }
+
+  function record(index, outcome) {
+    outcomes[index] = stringify(outcome);
+  }
+
+  function returned(value) {
+    return { status: "returned", json: serialize(value) };
+  }
+
+  function threw(error) {
+    return { status: "threw", error: describe(error) };
+  }
+
+  function log(...args) {
+    if (logs.length >= ${MAX_LOGS}) return;
+    logs.push(
+      args
+        .map((arg) => (typeof arg === "string" ? arg : serialize(arg) ?? toText(arg)))
+        .join(" ")
+    );
+  }
+
+  global.console = freeze({ log, info: log, warn: log, error: log, debug: log });
+
+  Object.defineProperty(global, "__trainer", {
+    value: freeze({
+      run(index, thunk) {
+        try {
+          const value = thunk();
+          if (value !== null && typeof value === "object" && typeof value.then === "function") {
+            then.call(
+              toPromise(value),
+              (settled) => record(index, returned(settled)),
+              (error) => record(index, threw(error))
+            );
+          } else {
+            record(index, returned(value));
+          }
+        } catch (error) {
+          record(index, threw(error));
+        }
+      },
+      outcome(index) {
+        return outcomes[index];
+      },
+      logs() {
+        return stringify(logs);
+      },
+      describe,
+    }),
+  });
+})(globalThis);`;
+
+// Set from the job before anything runs
+let entryPoint;
+let timeoutMs;
+
+function runScript(context, source, filename) {
+  return vm.runInContext(source, context, { timeout: timeoutMs, filename });
+}
+
+function isTimeout(error) {
+  return (
+    error instanceof Error && error.code === "ERR_SCRIPT_EXECUTION_TIMEOUT"
+  );
+}
+
+// Errors from our side of the boundary are host Errors; anything else was
+// thrown by the answer and is described inside its own realm
+function describeError(context, error) {
+  if (isTimeout(error)) {
+    return `Timed out after ${timeoutMs}ms`;
+  }
+  if (error instanceof Error) {
+    return `${error.name}: ${error.message}`;
+  }
+
+  context.__thrown = error;
+  try {
+    const description = runScript(
+      context,
+      "__trainer.describe(__thrown)",
+      "describe.js"
+    );
+    return typeof description === "string"
+      ? description
+      : "Threw an unprintable value";
+  } catch {
+    return "Threw an unprintable value";
+  }
+}
+
+function display(json) {
+  if (json === undefined) return "undefined";
+  return json.length > MAX_DISPLAY_LENGTH
+    ? `${json.slice(0, MAX_DISPLAY_LENGTH)}...`
+    : json;
+}
+
+// Structural equality for JSON values, with a little slack for float arithmetic
+function deepEqual(actual, expected) {
+  if (typeof actual === "number" && typeof expected === "number") {
+    return Math.abs(actual - expected) < 1e-9;
+  }
+  if (actual === expected) return true;
+  if (
+    typeof actual !== "object" ||
+    typeof expected !== "object" ||
+    actual === null ||
+    expected === null ||
+    Array.isArray(actual) !== Array.isArray(expected)
+  ) {
+    return false;
+  }
+
+  const actualKeys = Object.keys(actual);
+  const expectedKeys = Object.keys(expected);
+  return (
+    actualKeys.length === expectedKeys.length &&
+    expectedKeys.every(
+      (key) =>
+        Object.hasOwn(actual, key) && deepEqual(actual[key], expected[key])
+    )
+  );
+}
+
+function buildExpression(test) {
+  if (test.assertion) {
+    return test.assertion.trim().replace(/;+$/, "");
+  }
+  return `${entryPoint}(...${JSON.stringify(test.args)})`;
+}
+
+function judge(test, outcome) {
+  const result = { description: test.description, passed: false };
+
+  if (outcome.status === "threw") {
+    result.error = outcome.error;
+    return result;
+  }
+
+  if (test.assertion) {
+    result.passed = outcome.json === "true";
+    if (!result.passed) {
+      result.expected = "true";
+      result.received = display(outcome.json);
+    }
+    return result;
+  }
+
+  const actual =
+    outcome.json === undefined ? undefined : JSON.parse(outcome.json);
+  result.passed = deepEqual(actual, test.expected);
+  if (!result.passed) {
+    result.expected = display(JSON.stringify(test.expected));
+    result.received = display(outcome.json);
+  }
+  return result;
+}
+
+function runTest(context, test, index) {
+  try {
+    runScript(
+      context,
+      `__trainer.run(${index}, () => (${buildExpression(test)}));`,
+      `test-${index + 1}.js`
+    );
+    // Promise chains settle before runInContext returns (microtaskMode)
+    const raw = runScript(context, `__trainer.outcome(${index})`, "outcome.js");
+    if (typeof raw !== "string") {
+      return {
+        description: test.description,
+        passed: false,
+        error: "Returned a promise that never settled",
+      };
+    }
+    return judge(test, JSON.parse(raw));
+  } catch (error) {
+    return {
+      description: test.description,
+      passed: false,
+      error: describeError(context, error),
+    };
+  }
+}
+
+function readLogs(context) {
+  try {
+    const raw = runScript(context, "__trainer.logs()", "logs.js");
+    return typeof raw === "string" ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+}
+
+function main(code, tests) {
+  // A null-prototype sandbox: with {} the answer could reach the host's Function
+  // through this.constructor.constructor and escape the context
+  const context = vm.createContext(Object.create(null), {
+    name: "answer",
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: "afterEvaluate",
+  });
+  vm.runInContext(PRELUDE, context);
+
+  try {
+    new vm.Script(code, { filename: "answer.js" }).runInContext(context, {
+      timeout: timeoutMs,
+    });
+  } catch (error) {
+    const message = `Your code did not run: ${describeError(context, error)}`;
+    return {
+      error: message,
+      results: tests.map((test) => ({
+        description: test.description,
+        passed: false,
+        error: message,
+      })),
+      logs: readLogs(context),
+    };
+  }
+
+  return {
+    results: tests.map((test, index) => runTest(context, test, index)),
+    logs: readLogs(context),
+  };
+}
+
+process.once("message", (job) => {
+  ({ entryPoint, timeoutMs } = job);
+  // The runner kills this process once the outcome arrives
+  process.send(main(job.code, job.tests));
+});
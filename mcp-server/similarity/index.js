@@ -0,0 +1,145 @@
+/**
+ * Similarity Layer - Near-duplicate detection for generated questions
+ * A provider turns text into a fingerprint and scores two fingerprints from 0
+ * (unrelated) to 1 (same text). MinHash is built in; local embedding models can be
+ * plugged in with registerSimilarityProvider. Fingerprints may be returned as
+ * promises, so providers that run a model fit the same interface
+ *
+ * Environment:
+ *   SIMILARITY_PROVIDER       minhash (default), or a registered provider name
+ *   NEAR_DUPLICATE_THRESHOLD  similarity at or above which two questions count as
+ *                             the same question (default: 0.7)
+ */
+
+import { MinHashProvider } from "./minhash.js";
+
+const DEFAULT_THRESHOLD = 0.7;
+
+const providerFactories = {
+  minhash: () => new MinHashProvider(),
+};
+
+const providerInstances = new Map();
+
+/**
+ * Register an additional similarity provider
+ * @param {string} name - Value used in SIMILARITY_PROVIDER
+ * @param {() => {fingerprint: (text: string) => any, similarity: (a: any, b: any) => number}} factory
+ */
+export function registerSimilarityProvider(name, factory) {
+  providerFactories[name] = factory;
+  providerInstances.delete(name);
+}
+
+export function getSimilarityProvider(
+  name = process.env.SIMILARITY_PROVIDER || "minhash"
+) {
+  if (!providerInstances.has(name)) {
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(
+        `Unknown similarity provider "${name}". Available: ${Object.keys(
+          providerFactories
+        ).join(", ")}`
+      );
+    }
+    providerInstances.set(name, factory());
+  }
+  return providerInstances.get(name);
+}
+
+export function getNearDuplicateThreshold() {
+  const value = Number(process.env.NEAR_DUPLICATE_THRESHOLD);
+  return value > 0 && value <= 1 ? value : DEFAULT_THRESHOLD;
+}
+
+/**
+ * The text that identifies a question: its prompt plus any code it shows, since
+ * "What does this code log?" is a different question for different code
+ * @param {{prompt: string, codeExample?: string}} question
+ */
+export function questionText(question) {
+  return [question.prompt, question.codeExample].filter(Boolean).join("\n");
+}
+
+/**
+ * Fingerprinted questions that new questions are checked against
+ */
+export class NearDuplicateIndex {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.provider] - Defaults to SIMILARITY_PROVIDER
+   * @param {number} [options.threshold] - Defaults to NEAR_DUPLICATE_THRESHOLD
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || getSimilarityProvider();
+    this.threshold = options.threshold ?? getNearDuplicateThreshold();
+    this.entries = [];
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  async add(question) {
+    this.entries.push({
+      question,
+      fingerprint: await this.provider.fingerprint(questionText(question)),
+    });
+  }
+
+  /**
+   * The closest indexed question at or above the threshold, if any
+   * @returns {Promise<{question: object, similarity: number}|null>}
+   */
+  async findDuplicate(question) {
+    const fingerprint = await this.provider.fingerprint(questionText(question));
+    let best = null;
+
+    for (const entry of this.entries) {
+      const similarity = this.provider.similarity(
+        fingerprint,
+        entry.fingerprint
+      );
+      if (
+        similarity >= this.threshold &&
+        (!best || similarity > best.similarity)
+      ) {
+        best = { question: entry.question, similarity };
+      }
+    }
+    return best;
+  }
+}
+
+/**
+ * How different the questions are from each other: 1 minus the average similarity
+ * of each question to its closest neighbour
+ * @param {object[]} questions
+ * @param {object} [provider]
+ * @returns {Promise<number>} 0 (all the same) to 1 (nothing in common)
+ */
+export async function semanticVariety(
+  questions,
+  provider = getSimilarityProvider()
+) {
+  if (questions.length < 2) return 1;
+
+  const fingerprints = await Promise.all(
+    questions.map((question) => provider.fingerprint(questionText(question)))
+  );
+  let closestTotal = 0;
+  for (let i = 0; i < fingerprints.length; i++) {
+    let closest = 0;
+    for (let j = 0; j < fingerprints.length; j++) {
+      if (i !== j) {
+        closest = Math.max(
+          closest,
+          provider.similarity(fingerprints[i], fingerprints[j])
+        );
+      }
+    }
+    closestTotal += closest;
+  }
+  return 1 - closestTotal / fingerprints.length;
+}
@@ -0,0 +1,108 @@
+/**
+ * MinHash Provider - Near-duplicate detection from character shingles
+ * Text is normalized to lowercase words and cut into overlapping 5-character
+ * shingles, so changing one word in a prompt only touches the shingles around it.
+ * A signature keeps the minimum of each of 128 hash functions over the shingles; the
+ * share of equal positions in two signatures estimates their Jaccard similarity
+ */
+
+const SHINGLE_SIZE = 5;
+const NUM_HASHES = 128;
+
+// Fixed seeds, so signatures from different processes and days stay comparable
+function makeSeeds(count) {
+  let state = 0x9e3779b9;
+  const seeds = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    seeds[i] = (t ^ (t >>> 14)) >>> 0;
+  }
+  return seeds;
+}
+
+const SEEDS = makeSeeds(NUM_HASHES);
+
+// FNV-1a over UTF-16 code units
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// murmur3 finalizer: a cheap, well-mixed 32-bit permutation
+function mix(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+function normalize(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Distinct shingle hashes of a text; text shorter than a shingle is one shingle
+ * @param {string} text
+ * @returns {Set<number>}
+ */
+export function shingles(text) {
+  const normalized = normalize(text);
+  const hashes = new Set();
+  if (normalized.length <= SHINGLE_SIZE) {
+    if (normalized) hashes.add(hashString(normalized));
+    return hashes;
+  }
+  for (let i = 0; i + SHINGLE_SIZE <= normalized.length; i++) {
+    hashes.add(hashString(normalized.slice(i, i + SHINGLE_SIZE)));
+  }
+  return hashes;
+}
+
+export class MinHashProvider {
+  constructor() {
+    this.name = "minhash";
+  }
+
+  /**
+   * @param {string} text
+   * @returns {number[]} Signature of NUM_HASHES values, or [] for empty text
+   */
+  fingerprint(text) {
+    const values = shingles(text);
+    if (values.size === 0) return [];
+
+    const signature = new Array(NUM_HASHES).fill(0xffffffff);
+    for (const value of values) {
+      for (let i = 0; i < NUM_HASHES; i++) {
+        const hashed = mix(value ^ SEEDS[i]);
+        if (hashed < signature[i]) signature[i] = hashed;
+      }
+    }
+    return signature;
+  }
+
+  /**
+   * Estimated Jaccard similarity of the texts behind two signatures
+   * @returns {number} 0 to 1
+   */
+  similarity(a, b) {
+    if (a.length === 0 || a.length !== b.length) return 0;
+    let equal = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) equal++;
+    }
+    return equal / a.length;
+  }
+}
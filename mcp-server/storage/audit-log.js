@@ -0,0 +1,74 @@
+/**
+ * Audit Log - Append-only record of changes people make to grades
+ * Every dispute and override is one JSON line in <dir>/grades.jsonl, with who made
+ * it, when, why, and the grade before and after. Entries are never edited or removed
+ *
+ * Environment:
+ *   AUDIT_LOG_DIR  where the log lives, resolved from the working directory
+ *                  (default: ./data/audit, or the OS temp dir on Vercel)
+ */
+
+import crypto from "crypto";
+import { FileStore, storeDir } from "./file-store.js";
+
+const LOG_FILE = "grades.jsonl";
+
+export class AuditLog {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Directory for the log file
+   */
+  constructor(options = {}) {
+    this.files = new FileStore(
+      options.dir || storeDir("AUDIT_LOG_DIR", "audit")
+    );
+  }
+
+  /**
+   * Record one change
+   * @param {object} entry - action, actor, userId, gradeId, questionId, reason, before, after
+   * @returns {Promise<object>} The stored entry, with its id and time
+   */
+  async append(entry) {
+    const record = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      ...entry,
+    };
+
+    await this.files.appendJsonLines(LOG_FILE, [record]);
+    return record;
+  }
+
+  /**
+   * Read entries, newest first
+   * @param {object} [filters]
+   * @param {string} [filters.userId] - Only changes to this learner's grades
+   * @param {string} [filters.gradeId] - Only changes to this submission
+   * @param {number|string} [filters.questionId] - Only changes to this question
+   * @returns {Promise<object[]>}
+   */
+  async list(filters = {}) {
+    const entries = await this.files.readJsonLines(LOG_FILE, "audit log entry");
+
+    return entries
+      .filter(
+        (entry) =>
+          (!filters.userId || entry.userId === filters.userId) &&
+          (!filters.gradeId || entry.gradeId === filters.gradeId) &&
+          (filters.questionId === undefined ||
+            String(entry.questionId) === String(filters.questionId))
+      )
+      .reverse();
+  }
+}
+
+// Singleton instance
+let auditLog = null;
+
+export function getAuditLog() {
+  if (!auditLog) {
+    auditLog = new AuditLog();
+  }
+  return auditLog;
+}
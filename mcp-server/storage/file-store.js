@@ -0,0 +1,187 @@
+/**
+ * File Store - The directory, locking and write handling every store shares
+ * A store keeps JSON documents, which are rewritten whole, and JSON Lines logs, which
+ * are only appended to, in one directory. Updates to a file run one at a time and
+ * replace it atomically (write a temp file, then rename), so a slow update cannot
+ * overwrite one that finished in the meantime. A missing file reads as empty
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Where a store keeps its files: the directory in `variable`, resolved from the
+ * working directory, else ./data/<name>, or the OS temp dir on Vercel, where the
+ * deployment bundle is read-only
+ * @param {string} variable - e.g. "GRADE_STORE_DIR"
+ * @param {string} name - e.g. "grades"
+ */
+export function storeDir(variable, name) {
+  if (process.env[variable]) {
+    return path.resolve(process.env[variable]);
+  }
+  if (process.env.VERCEL) {
+    return path.join(os.tmpdir(), name);
+  }
+  return path.resolve("data", name);
+}
+
+/**
+ * Filename for a user's data; encodeURIComponent keeps distinct ids distinct
+ * while staying filename-safe
+ * @param {string} userId
+ * @param {string} extension - e.g. ".jsonl"
+ */
+export function userFileName(userId, extension) {
+  const safeId = encodeURIComponent(String(userId || "default")).replace(
+    /\./g,
+    "%2E"
+  );
+  return `${safeId}${extension}`;
+}
+
+export class FileStore {
+  /**
+   * @param {string} dir - Directory for the store's files
+   */
+  constructor(dir) {
+    this.dir = dir;
+    // fileName -> tail of that file's update chain
+    this.pending = new Map();
+  }
+
+  filePath(fileName) {
+    return path.join(this.dir, fileName);
+  }
+
+  /**
+   * Names of the files in the store with an extension
+   * @param {string} extension - e.g. ".json"
+   * @returns {Promise<string[]>}
+   */
+  async listFiles(extension) {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+    return files.filter((file) => file.endsWith(extension));
+  }
+
+  async readText(fileName) {
+    try {
+      return await fs.promises.readFile(this.filePath(fileName), "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} fileName
+   * @returns {Promise<any>} The parsed document, or null when there is none yet
+   */
+  async readJson(fileName) {
+    const raw = await this.readText(fileName);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  /**
+   * Replace a document atomically
+   * @param {string} fileName
+   * @param {any} data
+   * @param {object} [options]
+   * @param {number} [options.mode] - File permissions, e.g. 0o600
+   */
+  async writeJson(fileName, data, options = {}) {
+    const file = this.filePath(fileName);
+    const temp = `${file}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(temp, JSON.stringify(data), {
+      encoding: "utf8",
+      mode: options.mode,
+    });
+    await fs.promises.rename(temp, file);
+  }
+
+  /**
+   * Read a JSON Lines log, oldest first
+   * @param {string} fileName
+   * @param {string} label - What a record is, for the message about an unreadable one
+   * @returns {Promise<object[]>}
+   */
+  async readJsonLines(fileName, label) {
+    const raw = await this.readText(fileName);
+    if (raw === null) return [];
+
+    const records = [];
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // A torn line from an interrupted write; keep the rest of the log
+        console.error(`Skipping unreadable ${label}`);
+      }
+    }
+    return records;
+  }
+
+  /**
+   * @param {string} fileName
+   * @param {object[]} records
+   */
+  async appendJsonLines(fileName, records) {
+    if (records.length === 0) return;
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.appendFile(
+      this.filePath(fileName),
+      records.map((record) => JSON.stringify(record)).join("\n") + "\n",
+      "utf8"
+    );
+  }
+
+  /**
+   * Run a task once every earlier task for the same file has settled
+   * @template T
+   * @param {string} fileName
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  serialize(fileName, task) {
+    const previous = this.pending.get(fileName) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+
+    this.pending.set(fileName, next);
+    next
+      .catch(() => {})
+      .finally(() => {
+        if (this.pending.get(fileName) === next) this.pending.delete(fileName);
+      });
+    return next;
+  }
+
+  /**
+   * Read, change and write back a document as one step
+   * @param {string} fileName
+   * @param {(data: any) => any} change - Gets the document (null if there is none)
+   *   and returns the one to write
+   * @returns {Promise<any>} The written document
+   */
+  updateJson(fileName, change) {
+    return this.serialize(fileName, async () => {
+      const data = await change(await this.readJson(fileName));
+      await this.writeJson(fileName, data);
+      return data;
+    });
+  }
+}
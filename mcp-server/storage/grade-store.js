@@ -0,0 +1,78 @@
+/**
+ * Grade Store - Graded submissions keyed by userId
+ * Each user's graded tests live in one JSON file, <dir>/<userId>.json, newest first.
+ * Updates for a user run one at a time and replace the file atomically, so a
+ * reviewer's override and a learner's dispute of the same test cannot interleave
+ *
+ * Environment:
+ *   GRADE_STORE_DIR  where grade files live, resolved from the working directory
+ *                    (default: ./data/grades, or the OS temp dir on Vercel)
+ */
+
+import { FileStore, storeDir, userFileName } from "./file-store.js";
+
+// Older submissions are dropped past this many per user
+const MAX_GRADES = 100;
+
+function gradesOf(data) {
+  return Array.isArray(data?.grades) ? data.grades : [];
+}
+
+export class GradeStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Directory for per-user grade files
+   */
+  constructor(options = {}) {
+    this.files = new FileStore(
+      options.dir || storeDir("GRADE_STORE_DIR", "grades")
+    );
+  }
+
+  /**
+   * Users with at least one stored grade; reviewers work across all of them
+   * @returns {Promise<string[]>}
+   */
+  async listUserIds() {
+    return (await this.files.listFiles(".json")).map((file) =>
+      decodeURIComponent(file.slice(0, -".json".length))
+    );
+  }
+
+  /**
+   * Read a user's graded submissions, newest first
+   * @param {string} userId
+   * @returns {Promise<object[]>}
+   */
+  async listGrades(userId) {
+    return gradesOf(await this.files.readJson(userFileName(userId, ".json")));
+  }
+
+  /**
+   * Read, change and write back a user's grades as one step
+   * @param {string} userId
+   * @param {(grades: object[]) => object[]|Promise<object[]>} update - Returns the new list
+   * @returns {Promise<object[]>} The stored grades
+   */
+  async updateGrades(userId, update) {
+    const data = await this.files.updateJson(
+      userFileName(userId, ".json"),
+      async (current) => ({
+        userId,
+        updatedAt: new Date().toISOString(),
+        grades: (await update(gradesOf(current))).slice(0, MAX_GRADES),
+      })
+    );
+    return data.grades;
+  }
+}
+
+// Singleton instance
+let gradeStore = null;
+
+export function getGradeStore() {
+  if (!gradeStore) {
+    gradeStore = new GradeStore();
+  }
+  return gradeStore;
+}
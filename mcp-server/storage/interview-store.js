@@ -0,0 +1,73 @@
+/**
+ * Interview Store - Mock interview transcripts keyed by userId
+ * Each user's interviews live in one JSON file, <dir>/<userId>.json, newest first.
+ * Updates for a user run one at a time and replace the file atomically, so two
+ * answers sent to the same interview cannot interleave
+ *
+ * Environment:
+ *   INTERVIEW_STORE_DIR  where transcript files live, resolved from the working directory
+ *                        (default: ./data/interviews, or the OS temp dir on Vercel)
+ */
+
+import { FileStore, storeDir, userFileName } from "./file-store.js";
+
+// Older transcripts are dropped past this many per user
+const MAX_INTERVIEWS = 50;
+
+function interviewsOf(data) {
+  return Array.isArray(data?.interviews) ? data.interviews : [];
+}
+
+export class InterviewStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Directory for per-user transcript files
+   */
+  constructor(options = {}) {
+    this.files = new FileStore(
+      options.dir || storeDir("INTERVIEW_STORE_DIR", "interviews")
+    );
+  }
+
+  /**
+   * Read a user's interviews, newest first
+   * @param {string} userId
+   * @returns {Promise<object[]>}
+   */
+  async listInterviews(userId) {
+    return interviewsOf(
+      await this.files.readJson(userFileName(userId, ".json"))
+    );
+  }
+
+  /**
+   * Read, change and write back a user's interviews as one step
+   * @param {string} userId
+   * @param {(interviews: object[]) => object[]|Promise<object[]>} update - Returns the new list
+   * @returns {Promise<object[]>} The stored interviews
+   */
+  async updateInterviews(userId, update) {
+    const data = await this.files.updateJson(
+      userFileName(userId, ".json"),
+      async (current) => ({
+        userId,
+        updatedAt: new Date().toISOString(),
+        interviews: (await update(interviewsOf(current))).slice(
+          0,
+          MAX_INTERVIEWS
+        ),
+      })
+    );
+    return data.interviews;
+  }
+}
+
+// Singleton instance
+let interviewStore = null;
+
+export function getInterviewStore() {
+  if (!interviewStore) {
+    interviewStore = new InterviewStore();
+  }
+  return interviewStore;
+}
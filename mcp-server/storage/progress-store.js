@@ -0,0 +1,132 @@
+/**
+ * Progress Store - Append-only learning history keyed by userId
+ * Every tracked session is one JSON line in <dir>/<userId>.jsonl. A reviewer's grade
+ * override is appended as a correction line and applied to its session when read,
+ * so the history itself is never rewritten
+ *
+ * Environment:
+ *   PROGRESS_STORE_DIR  where history files live, resolved from the working directory
+ *                       (default: ./data/progress, or the OS temp dir on Vercel)
+ */
+
+import { FileStore, storeDir, userFileName } from "./file-store.js";
+
+export const TIMEFRAMES = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  all: null,
+};
+
+/**
+ * Earliest timestamp (ms) included in a timeframe, or 0 for "all"
+ * @param {"day"|"week"|"month"|"all"} timeframe
+ * @param {number} [now]
+ */
+export function getTimeframeStart(timeframe, now = Date.now()) {
+  if (!(timeframe in TIMEFRAMES)) {
+    throw new Error(
+      `Unknown timeframe "${timeframe}". Use one of: ${Object.keys(
+        TIMEFRAMES
+      ).join(", ")}`
+    );
+  }
+  const span = TIMEFRAMES[timeframe];
+  return span === null ? 0 : now - span;
+}
+
+// Apply correction lines to the sessions they name (by gradeId and questionId)
+function applyCorrections(records) {
+  const sessions = records.filter((record) => record.type !== "correction");
+
+  for (const correction of records) {
+    if (correction.type !== "correction") continue;
+    for (const session of sessions) {
+      if (!session.gradeId || session.gradeId !== correction.gradeId) continue;
+
+      const result = (session.results || []).find(
+        (r) => String(r.questionId) === String(correction.questionId)
+      );
+      if (result) {
+        result.correct = correction.correct;
+        result.score = correction.score;
+        result.corrected = true;
+      }
+      if (correction.recommendedDifficulty) {
+        session.recommendedDifficulty = correction.recommendedDifficulty;
+      }
+    }
+  }
+
+  return sessions;
+}
+
+export class ProgressStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Directory for per-user history files
+   */
+  constructor(options = {}) {
+    this.files = new FileStore(
+      options.dir || storeDir("PROGRESS_STORE_DIR", "progress")
+    );
+  }
+
+  /**
+   * Append one tracked session to a user's history
+   * @param {string} userId
+   * @param {object} session - Session fields; recordedAt is filled in if missing
+   * @returns {Promise<object>} The stored record
+   */
+  async appendSession(userId, session) {
+    const record = {
+      userId,
+      recordedAt: new Date().toISOString(),
+      ...session,
+    };
+
+    await this.files.appendJsonLines(userFileName(userId, ".jsonl"), [record]);
+    return record;
+  }
+
+  /**
+   * Record a changed grade for a session already in the history
+   * @param {string} userId
+   * @param {{gradeId: string, questionId: string|number, correct: boolean, score: number, recommendedDifficulty?: string}} correction
+   * @returns {Promise<object>} The stored record
+   */
+  async appendCorrection(userId, correction) {
+    return this.appendSession(userId, { type: "correction", ...correction });
+  }
+
+  /**
+   * Read a user's sessions, oldest first, with grade corrections applied
+   * @param {string} userId
+   * @param {object} [options]
+   * @param {number} [options.since] - Only sessions recorded at or after this time (ms)
+   * @returns {Promise<object[]>}
+   */
+  async listSessions(userId, options = {}) {
+    const { since = 0 } = options;
+
+    const records = await this.files.readJsonLines(
+      userFileName(userId, ".jsonl"),
+      `progress record for ${userId}`
+    );
+
+    // Corrections apply whenever they were made, so filter by time afterwards
+    return applyCorrections(records)
+      .filter((session) => Date.parse(session.recordedAt) >= since)
+      .sort((a, b) => Date.parse(a.recordedAt) - Date.parse(b.recordedAt));
+  }
+}
+
+// Singleton instance
+let progressStore = null;
+
+export function getProgressStore() {
+  if (!progressStore) {
+    progressStore = new ProgressStore();
+  }
+  return progressStore;
+}
@@ -0,0 +1,134 @@
+/**
+ * Question Bank - Every generated question, kept for reuse across sessions
+ * Questions are appended to <dir>/questions.jsonl, one per line, keyed by uniqueId.
+ * A question is stored once; generating the same prompt again does not add a line
+ *
+ * Environment:
+ *   QUESTION_BANK_DIR  where the bank lives, resolved from the working directory
+ *                      (default: ./data/question-bank, or the OS temp dir on Vercel)
+ */
+
+import { FileStore, storeDir } from "./file-store.js";
+
+const BANK_FILE = "questions.jsonl";
+
+// Topics as the UI and tools name them, mapped to generated question categories
+const TOPIC_CATEGORIES = {
+  html: ["html"],
+  forms: ["html"],
+  css: ["css"],
+  javascript: ["javascript"],
+  js: ["javascript"],
+  dom: ["javascript", "html"],
+  api: ["api"],
+  apis: ["api"],
+  react: ["framework"],
+  vue: ["framework"],
+  angular: ["framework"],
+};
+
+/**
+ * Question categories that cover a list of topics
+ * @param {string[]} topics
+ * @returns {Set<string>}
+ */
+export function categoriesForTopics(topics) {
+  const categories = new Set();
+  for (const topic of topics) {
+    const key = String(topic).toLowerCase();
+    for (const category of TOPIC_CATEGORIES[key] || [key]) {
+      categories.add(category);
+    }
+  }
+  return categories;
+}
+
+export class QuestionBank {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Directory for the bank file
+   */
+  constructor(options = {}) {
+    this.files = new FileStore(
+      options.dir || storeDir("QUESTION_BANK_DIR", "question-bank")
+    );
+  }
+
+  /**
+   * Read every stored entry, oldest first
+   * @returns {Promise<object[]>} Entries of { uniqueId, category, type, difficulty, framework, addedAt, question }
+   */
+  listEntries() {
+    return this.files.readJsonLines(BANK_FILE, "question bank entry");
+  }
+
+  /**
+   * Store questions that are not in the bank yet
+   * @param {object[]} questions - Generated questions with uniqueId and answer key
+   * @param {object} [context] - difficulty and framework the test was generated for
+   * @returns {Promise<number>} How many questions were added
+   */
+  addQuestions(questions, context = {}) {
+    // One at a time, so concurrent generations cannot store a question twice
+    return this.files.serialize(BANK_FILE, async () => {
+      const known = new Set(
+        (await this.listEntries()).map((entry) => entry.uniqueId)
+      );
+      const addedAt = new Date().toISOString();
+      const entries = [];
+
+      for (const question of questions) {
+        if (!question.uniqueId || known.has(question.uniqueId)) continue;
+        known.add(question.uniqueId);
+
+        // Ids are positions in a test; a reused question gets a new one
+        const { id: _id, ...stored } = question;
+        entries.push({
+          uniqueId: question.uniqueId,
+          category: String(question.category || "general").toLowerCase(),
+          type: question.type,
+          // Matched against requested test levels, not the model's per-question label
+          difficulty: context.difficulty || question.difficulty || null,
+          framework: context.framework || question.framework || null,
+          addedAt,
+          question: stored,
+        });
+      }
+
+      await this.files.appendJsonLines(BANK_FILE, entries);
+      return entries.length;
+    });
+  }
+
+  /**
+   * Stored questions that fit a test request
+   * @param {object} criteria
+   * @param {string[]} criteria.topics
+   * @param {string} criteria.difficulty
+   * @param {string} criteria.framework - "mixed" accepts any framework
+   * @param {Set<string>} [criteria.exclude] - uniqueIds to leave out
+   * @returns {Promise<object[]>} Matching entries
+   */
+  async findEntries(criteria) {
+    const { topics, difficulty, framework, exclude = new Set() } = criteria;
+    const categories = categoriesForTopics(topics);
+
+    return (await this.listEntries()).filter(
+      (entry) =>
+        !exclude.has(entry.uniqueId) &&
+        categories.has(entry.category) &&
+        entry.difficulty === difficulty &&
+        (framework === "mixed" || entry.framework === framework)
+    );
+  }
+}
+
+// Singleton instance
+let questionBank = null;
+
+export function getQuestionBank() {
+  if (!questionBank) {
+    questionBank = new QuestionBank();
+  }
+  return questionBank;
+}
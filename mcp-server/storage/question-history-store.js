@@ -0,0 +1,75 @@
+/**
+ * Question History Store - Which questions each user has been served
+ * Every served question is one JSON line in <dir>/<userId>.jsonl, so new tests can
+ * leave out questions the user saw recently, including reworded ones
+ *
+ * Environment:
+ *   QUESTION_HISTORY_DIR   where history files live, resolved from the working directory
+ *                          (default: ./data/question-history, or the OS temp dir on Vercel)
+ *   QUESTION_HISTORY_DAYS  how long a served question counts as recent (default: 30)
+ */
+
+import { FileStore, storeDir, userFileName } from "./file-store.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RECENT_DAYS = 30;
+
+function recentWindowMs() {
+  const days = Number(process.env.QUESTION_HISTORY_DAYS);
+  return (days > 0 ? days : DEFAULT_RECENT_DAYS) * DAY_MS;
+}
+
+export class QuestionHistoryStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Directory for per-user history files
+   */
+  constructor(options = {}) {
+    this.files = new FileStore(
+      options.dir || storeDir("QUESTION_HISTORY_DIR", "question-history")
+    );
+  }
+
+  /**
+   * Record the questions of a test the user was given
+   * @param {string} userId
+   * @param {object[]} questions
+   */
+  async appendServed(userId, questions) {
+    const servedAt = new Date().toISOString();
+    await this.files.appendJsonLines(
+      userFileName(userId, ".jsonl"),
+      questions.map((question) => ({
+        uniqueId: question.uniqueId ?? null,
+        prompt: question.prompt,
+        codeExample: question.codeExample,
+        servedAt,
+      }))
+    );
+  }
+
+  /**
+   * Questions served within QUESTION_HISTORY_DAYS, oldest first
+   * @param {string} userId
+   * @param {number} [now]
+   * @returns {Promise<object[]>}
+   */
+  async listRecent(userId, now = Date.now()) {
+    const since = now - recentWindowMs();
+    const served = await this.files.readJsonLines(
+      userFileName(userId, ".jsonl"),
+      `question history record for ${userId}`
+    );
+    return served.filter((record) => Date.parse(record.servedAt) >= since);
+  }
+}
+
+// Singleton instance
+let questionHistoryStore = null;
+
+export function getQuestionHistoryStore() {
+  if (!questionHistoryStore) {
+    questionHistoryStore = new QuestionHistoryStore();
+  }
+  return questionHistoryStore;
+}
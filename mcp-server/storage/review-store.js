@@ -0,0 +1,65 @@
+/**
+ * Review Store - Spaced-repetition decks keyed by userId
+ * Each user's cards live in one JSON file, <dir>/<userId>.json. Updates for a user
+ * run one at a time and replace the file atomically, so a slow re-grade cannot
+ * overwrite cards scheduled in the meantime
+ *
+ * Environment:
+ *   REVIEW_STORE_DIR  where deck files live, resolved from the working directory
+ *                     (default: ./data/review, or the OS temp dir on Vercel)
+ */
+
+import { FileStore, storeDir, userFileName } from "./file-store.js";
+
+function cardsOf(deck) {
+  return Array.isArray(deck?.cards) ? deck.cards : [];
+}
+
+export class ReviewStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Directory for per-user deck files
+   */
+  constructor(options = {}) {
+    this.files = new FileStore(
+      options.dir || storeDir("REVIEW_STORE_DIR", "review")
+    );
+  }
+
+  /**
+   * Read a user's cards
+   * @param {string} userId
+   * @returns {Promise<object[]>}
+   */
+  async listCards(userId) {
+    return cardsOf(await this.files.readJson(userFileName(userId, ".json")));
+  }
+
+  /**
+   * Read, change and write back a user's cards as one step
+   * @param {string} userId
+   * @param {(cards: object[]) => object[]|Promise<object[]>} update - Returns the new card list
+   * @returns {Promise<object[]>} The stored cards
+   */
+  async updateCards(userId, update) {
+    const deck = await this.files.updateJson(
+      userFileName(userId, ".json"),
+      async (data) => ({
+        userId,
+        updatedAt: new Date().toISOString(),
+        cards: await update(cardsOf(data)),
+      })
+    );
+    return deck.cards;
+  }
+}
+
+// Singleton instance
+let reviewStore = null;
+
+export function getReviewStore() {
+  if (!reviewStore) {
+    reviewStore = new ReviewStore();
+  }
+  return reviewStore;
+}
@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { runHiddenTests } from "../sandbox/code-runner.js";
+
+const DOUBLE = {
+  type: "code",
+  entryPoint: "double",
+  tests: [
+    { args: [2], expected: 4 },
+    { args: [-1], expected: -2 },
+  ],
+};
+
+test("runs an answer against the hidden tests", async () => {
+  const report = await runHiddenTests(
+    "```js\nexport function double(n) {\n  console.log('doubling', n);\n  return n * 2;\n}\n```",
+    DOUBLE
+  );
+
+  assert.equal(report.passed, 2);
+  assert.deepEqual(report.logs, ["doubling 2", "doubling -1"]);
+});
+
+test("stops an answer that runs past its time limit", async () => {
+  const report = await runHiddenTests(
+    "function double(n) { while (true) {} }",
+    DOUBLE,
+    { timeoutMs: 100 }
+  );
+
+  assert.equal(report.passed, 0);
+  assert.match(report.results[0].error, /timed out/i);
+});
+
+test("stops an answer that outgrows its memory limit", async () => {
+  const report = await runHiddenTests(
+    "const hoard = []; while (true) hoard.push(new Array(1e5).fill(1));",
+    DOUBLE,
+    { memoryMb: 32 }
+  );
+
+  assert.equal(report.passed, 0);
+  assert.equal(report.error, "Exceeded the 32MB memory limit");
+});
+
+test("gives the answer no Node.js globals", async () => {
+  const report = await runHiddenTests(
+    "function double() { return [typeof process, typeof require, typeof globalThis.fetch]; }",
+    {
+      ...DOUBLE,
+      tests: [{ args: [], expected: ["undefined", "undefined", "undefined"] }],
+    }
+  );
+
+  assert.equal(report.passed, 1);
+});
@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { analyzeCss } from "../analysis/css-analyzer.js";
+
+const messagesFor = (css, rule) =>
+  analyzeCss(css)
+    .findings.filter((finding) => finding.rule === rule)
+    .map((finding) => finding.message);
+
+test("names the container a layout property needs", () => {
+  assert.deepEqual(
+    messagesFor(
+      ".cards { display: block; grid-template-columns: 1fr 1fr; flex-wrap: wrap; justify-content: center; }",
+      "layout-misuse"
+    ),
+    [
+      "grid-template-columns has no effect with display: block; it needs display: grid.",
+      "flex-wrap has no effect with display: block; it needs display: flex.",
+      "justify-content has no effect with display: block; it needs display: flex or grid.",
+    ]
+  );
+  assert.deepEqual(
+    messagesFor(".cards { grid-template-rows: auto; }", "layout-misuse"),
+    [
+      "grid-template-rows only works on grid containers, and no rule here sets display: grid.",
+    ]
+  );
+});
+
+test("keeps checking the stylesheet after a syntax error", () => {
+  const report = analyzeCss(".nav { color red; }\n.card { colr: blue; }");
+
+  assert.deepEqual(
+    report.findings.map(({ rule, line }) => ({ rule, line })),
+    [
+      { rule: "syntax-error", line: 1 },
+      { rule: "unknown-property", line: 2 },
+    ]
+  );
+  assert.equal(report.valid, false);
+});
@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+import { FileStore } from "../storage/file-store.js";
+
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "file-store-"));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new FileStore(dir);
+}
+
+test("applies concurrent updates to a document one after another", async () => {
+  const store = tempStore();
+  const addOne = () =>
+    store.updateJson("counter.json", async (data) => {
+      const count = data?.count ?? 0;
+      // Yield, so an update that did not wait its turn would read a stale count
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      return { count: count + 1 };
+    });
+
+  await Promise.all([addOne(), addOne(), addOne()]);
+
+  assert.deepEqual(await store.readJson("counter.json"), { count: 3 });
+  assert.deepEqual(await store.listFiles(".json"), ["counter.json"]);
+});
+
+test("keeps a failed update from blocking the next one", async () => {
+  const store = tempStore();
+
+  await assert.rejects(
+    store.updateJson("doc.json", () => {
+      throw new Error("bad update");
+    })
+  );
+  assert.equal(await store.readJson("doc.json"), null);
+  assert.deepEqual(await store.updateJson("doc.json", () => ({ ok: true })), {
+    ok: true,
+  });
+});
+
+test("skips a torn line and keeps the rest of a log", async () => {
+  const store = tempStore();
+  await store.appendJsonLines("log.jsonl", [{ n: 1 }]);
+  fs.appendFileSync(store.filePath("log.jsonl"), '{"n": 2\n');
+  await store.appendJsonLines("log.jsonl", [{ n: 3 }]);
+
+  assert.deepEqual(await store.readJsonLines("log.jsonl", "test entry"), [
+    { n: 1 },
+    { n: 3 },
+  ]);
+  assert.deepEqual(
+    await store.readJsonLines("missing.jsonl", "test entry"),
+    []
+  );
+});
@@ -0,0 +1,166 @@
+import { readPayload, useModelResponses } from "./setup.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { ToolRegistry } from "../tools/registry.js";
+
+const PUSH = {
+  type: "mcq",
+  prompt:
+    "A product list renders from an array. Which method adds a new item to the end of that array?",
+  choices: ["push()", "pop()", "shift()", "unshift()"],
+  answer: "push()",
+  category: "javascript",
+};
+const PUSH_REWORDED = {
+  ...PUSH,
+  prompt:
+    "A product list renders from an array. Which method adds a new item to the end of the array?",
+};
+const EMAIL_INPUT = {
+  type: "short",
+  prompt:
+    'Why should a checkout form\'s email field use <input type="email"> instead of type="text"?',
+  answer:
+    "It enables built-in browser validation and the right mobile keyboard",
+  category: "html",
+};
+const FLEX = {
+  type: "mcq",
+  prompt:
+    "Which CSS property turns a navigation bar's container into a flex container?",
+  choices: ["display: flex", "position: flex", "float: flex", "flex: 1"],
+  answer: "display: flex",
+  category: "css",
+};
+
+// The first answer repeats a question; the regeneration round is scored on its own scale
+function repeatsOnce(request, userPrompt) {
+  if (userPrompt.includes("ALREADY USED")) {
+    return { questions: [{ id: 1, ...FLEX, points: 100 }], totalPoints: 100 };
+  }
+  return {
+    questions: [
+      { id: 1, ...PUSH, points: 34 },
+      { id: 2, ...EMAIL_INPUT, points: 33 },
+      { id: 3, ...PUSH_REWORDED, points: 33 },
+    ],
+    totalPoints: 100,
+  };
+}
+
+const sumPoints = (questions) =>
+  questions.reduce((sum, question) => sum + question.points, 0);
+
+test("keeps the model's points when one call wrote the whole test", async () => {
+  useModelResponses({
+    "test-generator": {
+      questions: [
+        { id: 1, ...PUSH, points: 50 },
+        { id: 2, ...EMAIL_INPUT, points: 30 },
+        { id: 3, ...FLEX, points: 20 },
+      ],
+      totalPoints: 100,
+    },
+  });
+
+  const { ok, result } = readPayload(
+    await new ToolRegistry().callTool("generate_jr_web_test", {
+      userId: "single-call",
+      topics: ["javascript", "html", "css"],
+      numQuestions: 3,
+      bankShare: 0,
+    })
+  );
+
+  assert.equal(ok, true);
+  assert.deepEqual(
+    result.questions.map((question) => question.points),
+    [50, 30, 20]
+  );
+  assert.deepEqual(
+    result.questions.map((question) => question.id),
+    [1, 2, 3]
+  );
+  assert.equal(result.metadata.nearDuplicates.rejected, 0);
+});
+
+test("splits points evenly after a near-duplicate is regenerated", async () => {
+  useModelResponses({ "test-generator": repeatsOnce });
+
+  const { ok, result } = readPayload(
+    await new ToolRegistry().callTool("generate_jr_web_test", {
+      userId: "regenerated",
+      numQuestions: 3,
+      bankShare: 0,
+    })
+  );
+
+  assert.equal(ok, true);
+  assert.deepEqual(
+    result.questions.map((question) => question.prompt),
+    [PUSH.prompt, EMAIL_INPUT.prompt, FLEX.prompt]
+  );
+  assert.equal(result.metadata.nearDuplicates.rejected, 1);
+  assert.equal(result.totalPoints, 100);
+  assert.equal(sumPoints(result.questions), 100);
+});
+
+test("streams a regenerated test with the same points as the blocking path", async () => {
+  useModelResponses({ "test-generator": repeatsOnce });
+  const streamed = [];
+
+  const { ok, result } = readPayload(
+    await new ToolRegistry().callTool(
+      "generate_jr_web_test",
+      { userId: "streamed", numQuestions: 3, bankShare: 0 },
+      { onProgress: ({ _meta }) => streamed.push(_meta.question) }
+    )
+  );
+
+  assert.equal(ok, true);
+  assert.deepEqual(
+    streamed.map((question) => question.prompt),
+    [PUSH.prompt, EMAIL_INPUT.prompt, FLEX.prompt]
+  );
+  assert.equal(result.questions.length, 3);
+  assert.equal(result.totalPoints, 100);
+  assert.equal(sumPoints(result.questions), 100);
+});
+
+test("drops a malformed streamed question and generates its replacement", async () => {
+  useModelResponses({
+    "test-generator": (request, userPrompt) =>
+      /Generate 1\b/.test(userPrompt)
+        ? { questions: [{ id: 1, ...FLEX, points: 100 }] }
+        : {
+            questions: [
+              { id: 1, ...PUSH, points: 34 },
+              // A multiple choice question without choices
+              { id: 2, ...FLEX, choices: [], points: 33 },
+              { id: 3, ...EMAIL_INPUT, points: 33 },
+            ],
+          },
+  });
+  const streamed = [];
+
+  const { ok, result } = readPayload(
+    await new ToolRegistry().callTool(
+      "generate_jr_web_test",
+      {
+        userId: "malformed",
+        topics: ["javascript", "api"],
+        numQuestions: 3,
+        bankShare: 0,
+      },
+      { onProgress: ({ _meta }) => streamed.push(_meta.question) }
+    )
+  );
+
+  assert.equal(ok, true);
+  assert.deepEqual(
+    streamed.map((question) => question.prompt),
+    [PUSH.prompt, EMAIL_INPUT.prompt, FLEX.prompt]
+  );
+  assert.equal(result.totalPoints, 100);
+  assert.equal(sumPoints(result.questions), 100);
+});
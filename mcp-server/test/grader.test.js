@@ -0,0 +1,233 @@
+import { readPayload, useModelResponses } from "./setup.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { consensusGrade } from "../grading/consensus.js";
+import { ToolRegistry } from "../tools/registry.js";
+
+const TEST = {
+  result: {
+    questions: [
+      {
+        id: 1,
+        type: "mcq",
+        prompt: "Which method adds a new item to the end of an array?",
+        choices: ["push()", "pop()", "shift()", "unshift()"],
+        answer: "push()",
+        category: "javascript",
+        points: 20,
+      },
+      {
+        id: 2,
+        type: "short",
+        prompt:
+          'Why should a checkout form\'s email field use <input type="email">?',
+        answer:
+          "It enables built-in browser validation and the right mobile keyboard",
+        rubric: ["Mentions built-in validation", "Mentions mobile keyboard"],
+        category: "html",
+        points: 40,
+      },
+      {
+        id: 3,
+        type: "short",
+        prompt:
+          "A fetch() call resolves even though the server returned 500. What should you check?",
+        answer: "response.ok (or response.status) before reading the body",
+        rubric: ["Mentions response.ok or status"],
+        category: "api",
+        points: 40,
+      },
+    ],
+  },
+};
+
+const ANSWERS = {
+  1: "push()",
+  2: "The browser checks the address format for you",
+  3: "Check response.ok",
+};
+
+// Half marks for the email question; question 3 is scored out of the wrong points
+function grades(request, userPrompt) {
+  const id = Number(/^Grade question (\d+)/.exec(userPrompt)[1]);
+  return id === 2
+    ? {
+        id,
+        score: 20,
+        max: 40,
+        correct: false,
+        feedback: "Mentions validation but not the mobile keyboard",
+      }
+    : { id, score: 50, max: 50, correct: true, feedback: "Correct" };
+}
+
+test("grades objective answers locally and open answers with the model", async () => {
+  useModelResponses({ "test-checker": grades });
+
+  const { ok, result } = readPayload(
+    await new ToolRegistry().callTool("grade_web_test", {
+      test: TEST,
+      answers: ANSWERS,
+    })
+  );
+
+  assert.equal(ok, true);
+  assert.deepEqual(
+    result.results.map(({ id, score, gradedBy }) => ({ id, score, gradedBy })),
+    [
+      { id: 1, score: 20, gradedBy: "local" },
+      { id: 2, score: 20, gradedBy: "model" },
+      // Capped at the question's points
+      { id: 3, score: 40, gradedBy: "model" },
+    ]
+  );
+  assert.equal(result.earnedPoints, 80);
+  assert.equal(result.totalPoints, 100);
+  assert.equal(result.results[1].confidence, null);
+});
+
+test("reports the consensus of sampled grades that disagree", async () => {
+  // Replay serves one response per prompt, so every replayed sample would agree;
+  // talk to the scripted model directly instead
+  const mode = process.env.LLM_CASSETTE_MODE;
+  process.env.LLM_CASSETTE_MODE = "off";
+  const emailScores = [10, 30, 20];
+  useModelResponses({
+    "test-checker": (request, userPrompt) =>
+      /^Grade question 2\b/.test(userPrompt)
+        ? {
+            id: 2,
+            score: emailScores.shift(),
+            max: 40,
+            feedback: "Mentions validation",
+          }
+        : grades(request, userPrompt),
+  });
+
+  try {
+    const { ok, result } = readPayload(
+      await new ToolRegistry().callTool("grade_web_test", {
+        test: TEST,
+        answers: ANSWERS,
+        samples: 3,
+      })
+    );
+
+    assert.equal(ok, true);
+    const email = result.results[1];
+    assert.deepEqual(
+      [...email.sampling.scores].sort((a, b) => a - b),
+      [10, 20, 30]
+    );
+    assert.equal(email.score, 20);
+    assert.equal(email.confidence, 0.5);
+    assert.equal(email.needsReview, true);
+    // Question 3's samples agree
+    assert.equal(result.results[2].confidence, 1);
+    assert.equal(result.consistency.sampledQuestions, 2);
+    assert.deepEqual(result.consistency.needsReview, [2]);
+  } finally {
+    process.env.LLM_CASSETTE_MODE = mode;
+  }
+});
+
+test("flags samples that disagree for review", () => {
+  const graded = consensusGrade(
+    [
+      { score: 12, correct: false, feedback: "low" },
+      { score: 18, correct: true, feedback: "high" },
+      { score: 15, correct: true, feedback: "middle" },
+    ],
+    20
+  );
+
+  assert.equal(graded.score, 15);
+  assert.equal(graded.feedback, "middle");
+  assert.equal(graded.correct, true);
+  assert.equal(graded.confidence, 0.7);
+  assert.equal(graded.needsReview, true);
+});
+
+test("marks a question ungraded when the model's output stays invalid", async () => {
+  useModelResponses({
+    "test-checker": (request, userPrompt) =>
+      /^Grade question 2\b/.test(userPrompt)
+        ? { verdict: "fine" }
+        : grades(request, userPrompt),
+  });
+  const registry = new ToolRegistry();
+
+  const { ok, result } = readPayload(
+    await registry.callTool("grade_web_test", {
+      test: TEST,
+      // Its own answer, so the invalid output has its own cassette
+      answers: { ...ANSWERS, 2: "It looks better on phones" },
+      userId: "learner",
+    })
+  );
+
+  assert.equal(ok, true);
+  assert.equal(result.results[1].ungraded, true);
+  assert.equal(result.results[1].score, 0);
+  assert.equal(result.results[1].needsReview, true);
+  assert.equal(result.results[2].score, 40);
+  assert.deepEqual(result.consistency.needsReview, [2]);
+
+  // The stored grade waits for a reviewer
+  const queue = readPayload(
+    await registry.callTool("get_grade_review_queue", { lowConfidence: true })
+  ).result;
+  assert.deepEqual(
+    queue.items.map(({ gradeId, questionId }) => ({ gradeId, questionId })),
+    [{ gradeId: result.gradeId, questionId: 2 }]
+  );
+});
+
+test("keys questions without ids by position and splits 100 points between them", async () => {
+  useModelResponses({
+    "test-checker": (request, userPrompt) => ({
+      id: Number(/^Grade question (\d+)/.exec(userPrompt)[1]),
+      score: 0,
+      max: 33,
+      feedback: "The tests decide the score",
+    }),
+  });
+
+  const { ok, result } = readPayload(
+    await new ToolRegistry().callTool("grade_web_test", {
+      test: {
+        result: {
+          questions: [
+            { ...TEST.result.questions[0], id: undefined, points: undefined },
+            {
+              type: "code",
+              prompt: "Write isEven(n) that returns true for even numbers.",
+              answer: "function isEven(n) { return n % 2 === 0; }",
+              entryPoint: "isEven",
+              tests: [
+                { args: [4], expected: true },
+                { args: [7], expected: false },
+              ],
+            },
+            { ...TEST.result.questions[0], id: undefined, points: undefined },
+          ],
+        },
+      },
+      answers: {
+        1: "push()",
+        2: "function isEven(n) { return n % 2 === 0; }",
+        3: "pop()",
+      },
+    })
+  );
+
+  assert.equal(ok, true);
+  assert.deepEqual(
+    result.results.map(({ max }) => max),
+    [34, 33, 33]
+  );
+  assert.equal(result.totalPoints, 100);
+  assert.equal(result.results[1].execution.passed, 2);
+  assert.equal(result.results[1].score, 33);
+  assert.equal(result.earnedPoints, 67);
+});
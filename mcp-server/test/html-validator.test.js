@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { validateHtml } from "../analysis/html-validator.js";
+
+const rulesOf = (html) =>
+  validateHtml(html).findings.map((finding) => finding.rule);
+
+test("reports what the browser would silently repair", () => {
+  assert.deepEqual(
+    rulesOf(
+      '<p>Intro<div>Block</div></p><span id="nav"></span><b id="nav"></b>'
+    ),
+    ["block-in-paragraph", "stray-end-tag", "duplicate-id"]
+  );
+});
+
+test("reports images without alt text and unlabeled form controls", () => {
+  assert.deepEqual(rulesOf('<img src="logo.png"><input type="email">'), [
+    "img-missing-alt",
+    "missing-label",
+  ]);
+  assert.deepEqual(
+    rulesOf(
+      '<label>Email <input type="email"></label><img src="logo.png" alt="">'
+    ),
+    []
+  );
+});
+
+test("checks lang and title only in full documents", () => {
+  const report = validateHtml(
+    "<!doctype html><html><head></head><body><p>Hi</p></body></html>"
+  );
+
+  assert.equal(report.mode, "document");
+  assert.deepEqual(
+    report.findings.map((finding) => finding.rule),
+    ["missing-lang", "missing-title"]
+  );
+  assert.equal(validateHtml("<p>Hi</p>").mode, "fragment");
+  assert.deepEqual(rulesOf("<p>Hi</p>"), []);
+});
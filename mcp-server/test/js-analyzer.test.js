@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { analyzeJavaScript } from "../analysis/js-analyzer.js";
+
+const findingLines = (code, rule) =>
+  analyzeJavaScript(code)
+    .findings.filter((finding) => finding.rule === rule)
+    .map(({ line }) => line);
+
+test("flags a reassigned or incremented parameter", () => {
+  const code = [
+    "function addOne(n) {",
+    "  n = n + 1;",
+    "  return n;",
+    "}",
+    "function countDown(count) {",
+    "  while (count > 0) count--;",
+    "  return count;",
+    "}",
+  ].join("\n");
+
+  assert.deepEqual(findingLines(code, "param-mutation"), [2, 6]);
+});
+
+test("leaves local variables and copies of parameters alone", () => {
+  const code = [
+    "function addOne(n) {",
+    "  let next = n;",
+    "  next += 1;",
+    "  return next;",
+    "}",
+  ].join("\n");
+
+  assert.deepEqual(findingLines(code, "param-mutation"), []);
+});
+
+test("still flags changing a parameter's contents", () => {
+  assert.deepEqual(
+    findingLines(
+      "function add(items, item) {\n  items.push(item);\n}",
+      "param-mutation"
+    ),
+    [2]
+  );
+});
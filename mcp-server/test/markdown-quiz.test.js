@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  parseMarkdownQuiz,
+  stringifyMarkdownQuiz,
+} from "../authoring/markdown-quiz.js";
+
+const QUIZ = {
+  title: "Round trip",
+  difficulty: "junior",
+  questions: [
+    {
+      prompt: [
+        "What does this log?",
+        "",
+        "## Not a new question",
+        "### Not a section",
+        "type: not a field",
+        "\\type: a backslash that stays",
+        "```js",
+        "// type: inside a fence",
+        "## also inside",
+        "```",
+      ].join("\n"),
+      type: "mcq",
+      points: 50,
+      category: "javascript",
+      choices: ["1\n2", "  indented", "- a dash", "plain"],
+      answer: "1\n2",
+      rubric: ["Reads the fence\n\nand the lines after it"],
+    },
+    {
+      prompt: '```html\n<input type="email">\n```\nWhy use this input?',
+      type: "code",
+      points: 50,
+      entryPoint: "isEmail",
+      answer: "## starts like a heading",
+      codeExample: "```\nnested fence\n```",
+      tests: [{ args: ["a@b.c"], expected: true }],
+    },
+  ],
+};
+
+test("reads back every question it writes", () => {
+  const { test: parsed, issues } = parseMarkdownQuiz(
+    stringifyMarkdownQuiz(QUIZ)
+  );
+
+  assert.deepEqual(issues, []);
+  assert.deepEqual(parsed, QUIZ);
+});
+
+test("keeps a hand-written wrapped list item on one line", () => {
+  const { test: parsed } = parseMarkdownQuiz(
+    [
+      "## Which method adds an item to the end of an array?",
+      "### Choices",
+      "- push(), which adds",
+      "  to the end",
+      "- pop()",
+    ].join("\n")
+  );
+
+  assert.deepEqual(parsed.questions[0].choices, [
+    "push(), which adds to the end",
+    "pop()",
+  ]);
+});
@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  REPORT_CSP,
+  buildResultsReport,
+  renderReportCsv,
+  renderReportHtml,
+} from "../reports/results-report.js";
+
+const PAYLOAD = "<img src=x onerror=alert(1)>";
+
+const TEST = {
+  questions: [
+    {
+      id: 1,
+      type: "short",
+      category: PAYLOAD,
+      prompt: `Explain ${PAYLOAD}`,
+      answer: "A <script> tag",
+    },
+  ],
+};
+
+test("computes the totals from the results, not from the caller", () => {
+  const report = buildResultsReport({
+    test: TEST,
+    grade: {
+      earnedPoints: PAYLOAD,
+      totalPoints: PAYLOAD,
+      totalScorePercent: PAYLOAD,
+      results: [{ id: 1, score: 3, max: 4, studentAnswer: PAYLOAD }],
+    },
+  });
+
+  assert.equal(report.earnedPoints, 3);
+  assert.equal(report.totalPoints, 4);
+  assert.equal(report.scorePercent, 75);
+});
+
+test("escapes every value it puts into the HTML", () => {
+  const html = renderReportHtml(
+    buildResultsReport({
+      test: TEST,
+      title: PAYLOAD,
+      userId: PAYLOAD,
+      grade: {
+        results: [
+          {
+            id: PAYLOAD,
+            score: PAYLOAD,
+            max: 4,
+            studentAnswer: PAYLOAD,
+            feedback: PAYLOAD,
+          },
+        ],
+        analytics: {
+          categoryScores: { [PAYLOAD]: PAYLOAD },
+          strengths: [PAYLOAD],
+          weaknesses: [],
+        },
+        learningPath: { focusTopics: [PAYLOAD], nextSkillLevel: PAYLOAD },
+      },
+      explanations: { [PAYLOAD]: { brief: PAYLOAD } },
+    })
+  );
+
+  assert.doesNotMatch(html, /<img/);
+  assert.doesNotMatch(html, /<script/);
+  assert.match(html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+  assert.ok(html.includes(`content="${REPORT_CSP}"`));
+});
+
+test("keeps spreadsheet formulas out of the CSV", () => {
+  const csv = renderReportCsv(
+    buildResultsReport({
+      test: TEST,
+      grade: { results: [{ id: 1, score: 0, max: 4, studentAnswer: "=1+1" }] },
+    })
+  );
+
+  assert.match(csv, /"'=1\+1"/);
+});
@@ -0,0 +1,63 @@
+/**
+ * Test Setup - Import first in every test file
+ * Points each store at a fresh temporary directory and replays model responses from
+ * test/cassettes, so the tests run offline and never touch data/
+ *
+ * Each test scripts the model's answers with MockProvider responses; they are only
+ * called when recording. After changing a prompt, record again with
+ * LLM_CASSETTE_MODE=record npm test
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { setProvider } from "../llm/index.js";
+import { MockProvider } from "../llm/providers/mock.js";
+
+const STORE_DIRS = {
+  AUDIT_LOG_DIR: "audit",
+  GRADE_STORE_DIR: "grades",
+  INTERVIEW_STORE_DIR: "interviews",
+  PROGRESS_STORE_DIR: "progress",
+  QUESTION_BANK_DIR: "question-bank",
+  QUESTION_HISTORY_DIR: "question-history",
+  REVIEW_STORE_DIR: "reviews",
+};
+
+const recording = process.env.LLM_CASSETTE_MODE === "record";
+
+// A developer's model settings would change the prompts and cassette paths
+for (const name of Object.keys(process.env)) {
+  if (name.startsWith("LLM_")) delete process.env[name];
+}
+process.env.LLM_PROVIDER = "mock";
+// Recorded prompts depend on how much of a test the bank supplied
+process.env.QUESTION_BANK_SHARE = "0";
+process.env.LLM_CASSETTE_MODE = recording ? "record" : "replay";
+process.env.LLM_CASSETTE_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "cassettes"
+);
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "test-trainer-"));
+for (const [name, dir] of Object.entries(STORE_DIRS)) {
+  process.env[name] = path.join(dataDir, dir);
+}
+process.on("exit", () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+/**
+ * Script what the model answers while recording
+ * @param {Record<string, string|object|Function>} responses - Per-agent responses, as for MockProvider
+ */
+export function useModelResponses(responses) {
+  setProvider("mock", new MockProvider({ responses }));
+}
+
+/**
+ * Read a tool call's JSON payload
+ * @param {{content: Array<{text: string}>}} toolResult
+ */
+export function readPayload(toolResult) {
+  return JSON.parse(toolResult.content[0].text);
+}
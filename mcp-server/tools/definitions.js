@@ -0,0 +1,782 @@
+/**
+ * Tool Definitions - The MCP tool catalog served by every transport
+ * Shared by the stdio server (mcp-server/index.js) and the in-process handler (src/lib/mcp-handler.ts)
+ */
+
+export const TOOL_DEFINITIONS = [
+  // Test Generation Tools
+  {
+    name: "generate_jr_web_test",
+    description:
+      "Generate a test focused on junior-level HTML, JavaScript, UI frameworks, and APIs. Matching questions from earlier tests are reused from the question bank and only the rest are generated. Near-duplicates of other questions in the test or of the student's recent questions are regenerated",
+    inputSchema: {
+      type: "object",
+      properties: {
+        topics: {
+          type: "array",
+          items: { type: "string" },
+          description: "Specific web development topics to focus on",
+        },
+        numQuestions: {
+          type: "number",
+          description: "Number of questions to generate (1-20)",
+          minimum: 1,
+          maximum: 20,
+        },
+        difficulty: {
+          type: "string",
+          enum: ["beginner", "junior", "intermediate"],
+          description: "Difficulty level appropriate for junior developers",
+        },
+        focusAreas: {
+          type: "array",
+          items: { type: "string" },
+          description: "Areas to emphasize based on previous mistakes",
+        },
+        framework: {
+          type: "string",
+          enum: ["vanilla", "react", "vue", "angular", "mixed"],
+          description: "UI framework focus",
+        },
+        bankShare: {
+          type: "number",
+          minimum: 0,
+          maximum: 1,
+          description:
+            "Largest share of the test to reuse from the question bank (default QUESTION_BANK_SHARE or 0.5; 0 generates every question)",
+        },
+        userId: {
+          type: "string",
+          description:
+            "Student identifier; questions they were served recently are not repeated (optional, defaults to 'default')",
+        },
+      },
+      required: ["numQuestions"],
+    },
+  },
+
+  // Test Checking Tools
+  {
+    name: "grade_web_test",
+    description:
+      "Grade web development test answers with specialized junior-level criteria. Multiple choice, true/false and numeric answers are graded locally; short-answer and code questions are graded by the model one question at a time. Code answers with hidden tests are run in a sandbox and scored by tests passed. With samples above 1, each model-graded question is graded several times and returns the consensus score with a confidence and a needsReview flag",
+    inputSchema: {
+      type: "object",
+      properties: {
+        test: {
+          type: "object",
+          description: "The test object with questions and rubrics",
+        },
+        answers: {
+          type: "object",
+          description: "Student answers keyed by question ID",
+        },
+        strictness: {
+          type: "string",
+          enum: ["lenient", "standard", "strict"],
+          description: "Grading strictness for junior-level expectations",
+        },
+        samples: {
+          type: "number",
+          minimum: 1,
+          maximum: 5,
+          description:
+            "Independent grades per model-graded question (default: GRADING_SAMPLES, or 1)",
+        },
+        userId: {
+          type: "string",
+          description:
+            "Student identifier; when set, the graded test is stored for human review and its gradeId returned",
+        },
+      },
+      required: ["test", "answers"],
+    },
+  },
+
+  // Utility Tools
+  {
+    name: "explain_web_concept",
+    description:
+      "Provide detailed explanations for web development concepts and mistakes",
+    inputSchema: {
+      type: "object",
+      properties: {
+        question: {
+          type: "object",
+          description: "The question that was answered incorrectly",
+        },
+        studentAnswer: {
+          type: "string",
+          description: "The student's response",
+        },
+        expectedAnswer: {
+          type: "string",
+          description: "The correct answer",
+        },
+        context: {
+          type: "string",
+          enum: ["html", "css", "javascript", "api", "framework", "general"],
+          description: "Web development context for targeted explanations",
+        },
+      },
+      required: ["question", "studentAnswer", "expectedAnswer"],
+    },
+  },
+
+  {
+    name: "explain_wrong_answer",
+    description:
+      "Provide specialized pedagogical explanations when student answers are incorrect",
+    inputSchema: {
+      type: "object",
+      properties: {
+        question: {
+          type: "object",
+          description: "The question that was answered incorrectly",
+        },
+        studentAnswer: {
+          type: "string",
+          description: "The student's incorrect response",
+        },
+        correctAnswer: {
+          type: "string",
+          description: "The correct answer",
+        },
+        category: {
+          type: "string",
+          enum: ["html", "css", "javascript", "api", "framework", "general"],
+          description: "Subject category for targeted explanation",
+        },
+        difficulty: {
+          type: "string",
+          enum: ["beginner", "junior", "intermediate"],
+          description:
+            "Student's skill level for appropriate explanation depth",
+        },
+        context: {
+          type: "object",
+          description: "Additional context about the test or learning session",
+        },
+      },
+      required: ["question", "studentAnswer", "correctAnswer"],
+    },
+  },
+
+  {
+    name: "ask_follow_up",
+    description:
+      "Answer a student's follow-up question about an explanation from explain_wrong_answer. The reply is grounded in the question, the student's answer and the explanation, and continues the thread sent in history",
+    inputSchema: {
+      type: "object",
+      properties: {
+        question: {
+          type: "object",
+          description: "The question object",
+        },
+        studentAnswer: {
+          type: "string",
+          description: "Student's original answer",
+        },
+        correctAnswer: {
+          type: "string",
+          description: "The correct answer",
+        },
+        explanation: {
+          type: "object",
+          description: "The explain_wrong_answer result the student read",
+        },
+        history: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              role: { type: "string", enum: ["user", "assistant"] },
+              content: { type: "string" },
+            },
+            required: ["role", "content"],
+          },
+          description: "Earlier turns of this follow-up thread, oldest first",
+        },
+        message: {
+          type: "string",
+          description: "The student's new follow-up question",
+        },
+        difficulty: {
+          type: "string",
+          description: "Student's skill level",
+        },
+      },
+      required: ["question", "correctAnswer", "message"],
+    },
+  },
+
+  {
+    name: "derive_focus_topics",
+    description:
+      "Analyze missed questions to derive focus topics for next test",
+    inputSchema: {
+      type: "object",
+      properties: {
+        missedQuestions: {
+          type: "array",
+          items: { type: "object" },
+          description: "Questions that were answered incorrectly",
+        },
+        gradeResults: {
+          type: "array",
+          items: { type: "object" },
+          description: "Detailed grading results with scores",
+        },
+      },
+      required: ["missedQuestions", "gradeResults"],
+    },
+  },
+
+  {
+    name: "validate_web_code",
+    description:
+      "Validate HTML, CSS, or JavaScript code snippets for correctness. HTML, CSS and JavaScript are parsed; each finding carries a rule, severity, line and column",
+    inputSchema: {
+      type: "object",
+      properties: {
+        code: {
+          type: "string",
+          description: "Code to validate",
+        },
+        language: {
+          type: "string",
+          enum: ["html", "css", "javascript", "json"],
+          description: "Programming language",
+        },
+        context: {
+          type: "string",
+          description: "Context or expected functionality",
+        },
+      },
+      required: ["code", "language"],
+    },
+  },
+
+  {
+    name: "import_quiz",
+    description:
+      "Parse a hand-written quiz in Markdown or YAML into a test that can be taken and graded like a generated one. Invalid quizzes fail with every issue found, each naming its question and line",
+    inputSchema: {
+      type: "object",
+      properties: {
+        content: {
+          type: "string",
+          description: "Quiz file contents",
+        },
+        format: {
+          type: "string",
+          enum: ["markdown", "yaml"],
+          description:
+            "Quiz format (optional, detected from the file name or content)",
+        },
+        filename: {
+          type: "string",
+          description: "Original file name, used to detect the format",
+        },
+      },
+      required: ["content"],
+    },
+  },
+
+  {
+    name: "export_quiz",
+    description:
+      "Write a test as a Markdown or YAML quiz that import_quiz reads back",
+    inputSchema: {
+      type: "object",
+      properties: {
+        test: {
+          type: "object",
+          description: "Test with questions and metadata, as generated",
+        },
+        format: {
+          type: "string",
+          enum: ["markdown", "yaml"],
+          description: "Quiz format",
+        },
+      },
+      required: ["test", "format"],
+    },
+  },
+
+  {
+    name: "export_results_report",
+    description:
+      "Render a graded attempt as a printable HTML report (questions, answers, scores, feedback, explanations, category analytics and learning path) or as a CSV with one row per question",
+    inputSchema: {
+      type: "object",
+      properties: {
+        test: {
+          type: "object",
+          description: "The graded test with questions",
+        },
+        grade: {
+          type: "object",
+          description: "Result of grade_web_test",
+        },
+        explanations: {
+          type: "object",
+          description: "explain_wrong_answer results keyed by question id",
+        },
+        format: {
+          type: "string",
+          enum: ["html", "csv"],
+          description: "Report format",
+        },
+        userId: {
+          type: "string",
+          description: "Student name or email shown on the report",
+        },
+      },
+      required: ["test", "grade", "format"],
+    },
+  },
+
+  // Adaptive Learning Tools
+  {
+    name: "track_learning_progress",
+    description:
+      "Track student progress and adjust difficulty based on performance",
+    inputSchema: {
+      type: "object",
+      properties: {
+        userId: {
+          type: "string",
+          description: "Student identifier (optional, defaults to 'default')",
+        },
+        testResults: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              questionId: { type: "string" },
+              correct: { type: "boolean" },
+              category: { type: "string" },
+              difficulty: { type: "string" },
+              type: { type: "string" },
+              timeSpent: {
+                type: "number",
+                description: "Seconds spent on the question",
+              },
+              timeLimit: {
+                type: "number",
+                description: "Per-question time limit in seconds, if any",
+              },
+              score: { type: "number" },
+            },
+            required: ["correct", "category"],
+          },
+          description: "Array of test result objects",
+        },
+        currentDifficulty: {
+          type: "string",
+          enum: ["beginner", "junior", "intermediate", "advanced"],
+          description: "Current difficulty level",
+        },
+        subject: {
+          type: "string",
+          enum: [
+            "html",
+            "css",
+            "javascript",
+            "react",
+            "vue",
+            "angular",
+            "apis",
+            "general",
+          ],
+          description: "Subject area being tested",
+        },
+        gradeId: {
+          type: "string",
+          description:
+            "gradeId from grade_web_test, so reviewer overrides update this session",
+        },
+      },
+      required: ["testResults"],
+    },
+  },
+
+  {
+    name: "get_progress_stats",
+    description: "Get comprehensive progress statistics and learning analytics",
+    inputSchema: {
+      type: "object",
+      properties: {
+        userId: {
+          type: "string",
+          description: "Student identifier (optional, defaults to 'default')",
+        },
+        timeframe: {
+          type: "string",
+          enum: ["day", "week", "month", "all"],
+          description: "Time period for statistics",
+        },
+      },
+      required: [],
+    },
+  },
+
+  // Spaced Repetition Tools
+  {
+    name: "schedule_review",
+    description:
+      "Add missed or partially correct questions from a graded test to the student's spaced-repetition schedule",
+    inputSchema: {
+      type: "object",
+      properties: {
+        userId: {
+          type: "string",
+          description: "Student identifier (optional, defaults to 'default')",
+        },
+        questions: {
+          type: "array",
+          items: { type: "object" },
+          description: "Questions of the graded test, including answers",
+        },
+        results: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              id: { type: "number" },
+              score: { type: "number" },
+              max: { type: "number" },
+            },
+            required: ["id", "score", "max"],
+          },
+          description: "Per-question results from grade_web_test",
+        },
+      },
+      required: ["questions", "results"],
+    },
+  },
+
+  {
+    name: "get_review_queue",
+    description:
+      "Get the spaced-repetition cards due for review today, without their answer keys",
+    inputSchema: {
+      type: "object",
+      properties: {
+        userId: {
+          type: "string",
+          description: "Student identifier (optional, defaults to 'default')",
+        },
+        limit: {
+          type: "number",
+          minimum: 1,
+          maximum: 100,
+          description: "Maximum number of due cards to return",
+        },
+      },
+      required: [],
+    },
+  },
+
+  {
+    name: "submit_review",
+    description:
+      "Grade answers to due review cards and reschedule each card with SM-2",
+    inputSchema: {
+      type: "object",
+      properties: {
+        userId: {
+          type: "string",
+          description: "Student identifier (optional, defaults to 'default')",
+        },
+        answers: {
+          type: "object",
+          additionalProperties: { type: "string" },
+          description: "Answers keyed by card id",
+        },
+        strictness: {
+          type: "string",
+          enum: ["lenient", "standard", "strict"],
+          description: "Grading strictness level",
+        },
+      },
+      required: ["answers"],
+    },
+  },
+
+  // Mock Interview Tools
+  {
+    name: "start_interview",
+    description:
+      "Start a conversational mock interview: the interviewer asks one open question, either generated for the topic or taken from a test question. Returns the interview without its reference answer",
+    inputSchema: {
+      type: "object",
+      properties: {
+        userId: {
+          type: "string",
+          description: "Student identifier (optional, defaults to 'default')",
+        },
+        topic: {
+          type: "string",
+          description: "What to ask about, e.g. 'javascript arrays'",
+        },
+        difficulty: {
+          type: "string",
+          enum: [
+            "beginner",
+            "junior",
+            "intermediate",
+            "senior",
+            "lead",
+            "architect",
+          ],
+          description: "Level of the role being interviewed for",
+        },
+        maxFollowUps: {
+          type: "number",
+          minimum: 0,
+          maximum: 5,
+          description: "Most follow-up questions to ask (default 2)",
+        },
+        question: {
+          type: "object",
+          properties: {
+            prompt: { type: "string" },
+            answer: { type: "string" },
+            rubric: { type: "array", items: { type: "string" } },
+            category: { type: "string" },
+          },
+          required: ["prompt"],
+          description: "A test question to ask instead of generating one",
+        },
+      },
+      required: [],
+    },
+  },
+
+  {
+    name: "answer_interview",
+    description:
+      "Send the student's answer in a mock interview. The interviewer replies with a follow-up that probes gaps in the answer, or, once satisfied or out of follow-ups, scores the whole transcript against the interview rubric",
+    inputSchema: {
+      type: "object",
+      properties: {
+        userId: {
+          type: "string",
+          description: "Student identifier (optional, defaults to 'default')",
+        },
+        interviewId: {
+          type: "string",
+          description: "Interview id from start_interview",
+        },
+        answer: {
+          type: "string",
+          description: "The student's reply to the last question",
+        },
+        end: {
+          type: "boolean",
+          description: "Score the interview now instead of asking more",
+        },
+      },
+      required: ["interviewId"],
+    },
+  },
+
+  {
+    name: "get_interviews",
+    description:
+      "Get one mock interview with its transcript, or list the student's interviews newest first",
+    inputSchema: {
+      type: "object",
+      properties: {
+        userId: {
+          type: "string",
+          description: "Student identifier (optional, defaults to 'default')",
+        },
+        interviewId: {
+          type: "string",
+          description: "Interview to return with its transcript",
+        },
+        limit: {
+          type: "number",
+          minimum: 1,
+          maximum: 50,
+          description: "Maximum number of interviews to list",
+        },
+      },
+      required: [],
+    },
+  },
+
+  // Grade Review Tools
+  {
+    name: "dispute_grade",
+    description:
+      "Ask a human reviewer to check one graded answer. The dispute is recorded in the grade audit log",
+    inputSchema: {
+      type: "object",
+      properties: {
+        userId: {
+          type: "string",
+          description:
+            "Student who owns the grade (optional, defaults to 'default')",
+        },
+        gradeId: {
+          type: "string",
+          description: "gradeId from grade_web_test",
+        },
+        questionId: {
+          type: ["string", "number"],
+          description: "Question whose grade is disputed",
+        },
+        reason: {
+          type: "string",
+          maxLength: 1000,
+          description: "Why the student thinks the grade is wrong",
+        },
+      },
+      required: ["gradeId", "questionId", "reason"],
+    },
+  },
+
+  {
+    name: "get_grade_review_queue",
+    description:
+      "List graded answers across students for human review, disputed and low-confidence grades first",
+    inputSchema: {
+      type: "object",
+      properties: {
+        status: {
+          type: "string",
+          enum: ["pending", "reviewed", "all"],
+          description:
+            "pending: not yet overridden (default); reviewed: overridden by a reviewer",
+        },
+        lowConfidence: {
+          type: "boolean",
+          description:
+            "Only sampled grades flagged needsReview or below 0.8 confidence",
+        },
+        disputed: {
+          type: "boolean",
+          description: "Only grades with an open dispute",
+        },
+        category: {
+          type: "string",
+          description: "Only questions in this category",
+        },
+        userId: {
+          type: "string",
+          description: "Only this student's grades",
+        },
+        limit: {
+          type: "number",
+          minimum: 1,
+          maximum: 200,
+          description: "Maximum number of answers to return",
+        },
+      },
+      required: [],
+    },
+  },
+
+  {
+    name: "override_grade",
+    description:
+      "Replace a graded answer's score and feedback. The change is recorded in the audit log with the reviewer, time and reason, and the student's progress stats and recommended difficulty are recomputed",
+    inputSchema: {
+      type: "object",
+      properties: {
+        reviewer: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            email: { type: "string" },
+          },
+          required: ["id"],
+          description: "Who is making the change",
+        },
+        userId: {
+          type: "string",
+          description: "Student who owns the grade",
+        },
+        gradeId: {
+          type: "string",
+          description: "gradeId from grade_web_test",
+        },
+        questionId: {
+          type: ["string", "number"],
+          description: "Question to re-grade",
+        },
+        score: {
+          type: "number",
+          minimum: 0,
+          description: "New score, up to the question's points",
+        },
+        correct: {
+          type: "boolean",
+          description:
+            "Whether the answer counts as correct (default: full marks)",
+        },
+        feedback: {
+          type: "string",
+          maxLength: 4000,
+          description:
+            "New feedback for the student (optional, keeps the old one)",
+        },
+        reason: {
+          type: "string",
+          maxLength: 1000,
+          description: "Why the grade was changed",
+        },
+      },
+      required: [
+        "reviewer",
+        "userId",
+        "gradeId",
+        "questionId",
+        "score",
+        "reason",
+      ],
+    },
+  },
+
+  {
+    name: "get_grade_audit_log",
+    description: "List grade disputes and overrides, newest first",
+    inputSchema: {
+      type: "object",
+      properties: {
+        userId: {
+          type: "string",
+          description: "Only changes to this student's grades",
+        },
+        gradeId: {
+          type: "string",
+          description: "Only changes to this graded test",
+        },
+        questionId: {
+          type: ["string", "number"],
+          description: "Only changes to this question",
+        },
+        limit: {
+          type: "number",
+          minimum: 1,
+          maximum: 500,
+          description: "Maximum number of entries",
+        },
+      },
+      required: [],
+    },
+  },
+];
+
+export const TOOL_NAMES = TOOL_DEFINITIONS.map((tool) => tool.name);
+
+// Tools that work across learners; their userId names the learner, not the caller
+export const REVIEWER_TOOLS = new Set([
+  "get_grade_review_queue",
+  "override_grade",
+  "get_grade_audit_log",
+]);
@@ -0,0 +1,153 @@
+/**
+ * Tool Registry - Dispatches MCP tool calls to the specialized agents
+ * One implementation behind both the stdio server and the in-process handler,
+ * so tool behavior and result shapes do not depend on the deployment target
+ */
+
+import { AdaptiveLearningAgent } from "../agents/adaptive-learning-agent.js";
+import { AnswerExplanationAgent } from "../agents/answer-explanation-agent.js";
+import { GradeReviewAgent } from "../agents/grade-review-agent.js";
+import { InterviewerAgent } from "../agents/interviewer-agent.js";
+import { ReviewAgent } from "../agents/review-agent.js";
+import { TestCheckerAgent } from "../agents/test-checker.js";
+import { TestGeneratorAgent } from "../agents/test-generator.js";
+import { UtilityAgent } from "../agents/utility-agent.js";
+import { TOOL_DEFINITIONS } from "./definitions.js";
+
+export class ToolRegistry {
+  constructor() {
+    // Initialize agents
+    this.testGenerator = new TestGeneratorAgent();
+    this.testChecker = new TestCheckerAgent();
+    this.utility = new UtilityAgent();
+    this.answerExplainer = new AnswerExplanationAgent();
+    this.adaptiveLearning = new AdaptiveLearningAgent();
+    this.review = new ReviewAgent({ checker: this.testChecker });
+    this.interviewer = new InterviewerAgent();
+    this.gradeReview = new GradeReviewAgent({
+      adaptive: this.adaptiveLearning,
+    });
+  }
+
+  listTools() {
+    return { tools: TOOL_DEFINITIONS };
+  }
+
+  /**
+   * Execute a tool and return an MCP CallToolResult
+   * Agent failures are reported as `isError` results rather than thrown
+   * @param {string} name - Tool name from TOOL_DEFINITIONS
+   * @param {object} [args] - Tool arguments
+   * @param {object} [options]
+   * @param {(progress: {progress: number, total?: number, message?: string, _meta?: object}) => (void|Promise<void>)} [options.onProgress]
+   *   Progress sink; when set, test generation streams each question through it
+   */
+  async callTool(name, args = {}, options = {}) {
+    const { onProgress } = options;
+
+    try {
+      switch (name) {
+        case "generate_jr_web_test":
+          if (onProgress) {
+            return await this.testGenerator.generateTestStream(
+              args,
+              (question, index, total) =>
+                onProgress({
+                  progress: index,
+                  total,
+                  message: `Question ${index} of ${total} ready`,
+                  _meta: { question },
+                })
+            );
+          }
+          return await this.testGenerator.generateTest(args);
+
+        case "grade_web_test":
+          return await this.testChecker.gradeTest(args);
+
+        case "explain_web_concept":
+          return await this.utility.explainConcept(args);
+
+        case "explain_wrong_answer":
+          return await this.answerExplainer.explainWrongAnswer(args);
+
+        case "ask_follow_up":
+          return await this.answerExplainer.answerFollowUp(args);
+
+        case "derive_focus_topics":
+          return await this.utility.deriveFocusTopics(args);
+
+        case "validate_web_code":
+          return await this.utility.validateCode(args);
+
+        case "import_quiz":
+          return await this.utility.importQuiz(args);
+
+        case "export_quiz":
+          return await this.utility.exportQuiz(args);
+
+        case "export_results_report":
+          return await this.utility.exportResultsReport(args);
+
+        case "track_learning_progress":
+          return await this.adaptiveLearning.trackProgress(args);
+
+        case "get_progress_stats":
+          return await this.adaptiveLearning.getProgressStats(args);
+
+        case "schedule_review":
+          return await this.review.scheduleReviews(args);
+
+        case "get_review_queue":
+          return await this.review.getReviewQueue(args);
+
+        case "submit_review":
+          return await this.review.submitReview(args);
+
+        case "start_interview":
+          return await this.interviewer.startInterview(args);
+
+        case "answer_interview":
+          return await this.interviewer.answerInterview(args);
+
+        case "get_interviews":
+          return await this.interviewer.getInterviews(args);
+
+        case "dispute_grade":
+          return await this.gradeReview.disputeGrade(args);
+
+        case "get_grade_review_queue":
+          return await this.gradeReview.getGradeReviewQueue(args);
+
+        case "override_grade":
+          return await this.gradeReview.overrideGrade(args);
+
+        case "get_grade_audit_log":
+          return await this.gradeReview.getGradeAuditLog(args);
+
+        default:
+          throw new Error(`Unknown tool: ${name}`);
+      }
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+}
+
+// Singleton instance
+let toolRegistry = null;
+
+export function getToolRegistry() {
+  if (!toolRegistry) {
+    toolRegistry = new ToolRegistry();
+  }
+  return toolRegistry;
+}
@@ -0,0 +1,237 @@
+/**
+ * Streamable HTTP Transport - Serves the MCP server to many clients at once
+ * Each client gets its own MCP session (Mcp-Session-Id header); all sessions share
+ * the same tool registry and agents. Sessions idle past their TTL are closed, and a
+ * new one is refused while the cap is reached.
+ *
+ * Clients are not authenticated: any of them may name any userId. Requests must
+ * carry an allowed Host, and an allowed Origin when they carry one, so a web page
+ * cannot reach a local server through DNS rebinding.
+ *
+ * Environment:
+ *   MCP_HTTP_PORT              port to listen on (default: 3333)
+ *   MCP_HTTP_HOST              interface to bind (default: 127.0.0.1)
+ *   MCP_HTTP_ALLOWED_HOSTS     comma-separated Host values to accept
+ *                              (default: localhost, 127.0.0.1, [::1] and the bind
+ *                              address, each with the port)
+ *   MCP_HTTP_ALLOWED_ORIGINS   comma-separated Origin values to accept
+ *                              (default: http:// and each allowed host)
+ *   MCP_HTTP_SESSION_TTL_MS    idle time before a session is closed (default: 1800000)
+ *   MCP_HTTP_MAX_SESSIONS      open sessions allowed at once (default: 100)
+ *
+ * Endpoints:
+ *   POST/GET/DELETE /mcp   MCP Streamable HTTP
+ *   GET /health            liveness check with the open session count
+ */
+
+import { randomUUID } from "crypto";
+import http from "http";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+const DEFAULT_PORT = 3333;
+const DEFAULT_HOST = "127.0.0.1";
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const DEFAULT_SESSION_TTL_MS = 30 * 60 * 1000;
+const DEFAULT_MAX_SESSIONS = 100;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+// Bind addresses that accept any Host, so they add nothing to the allowlist
+const WILDCARD_HOSTS = new Set(["0.0.0.0", "::"]);
+
+function readLimit(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function readList(name) {
+  return (process.env[name] || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function defaultAllowedHosts(host, port) {
+  const names = ["localhost", "127.0.0.1", "[::1]"];
+  if (!WILDCARD_HOSTS.has(host)) {
+    names.push(host.includes(":") ? `[${host}]` : host);
+  }
+  return [...new Set(names)].map((name) => `${name}:${port}`);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      try {
+        resolve(raw ? JSON.parse(raw) : undefined);
+      } catch {
+        reject(new Error("Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function sendJsonRpcError(res, status, message) {
+  sendJson(res, status, {
+    jsonrpc: "2.0",
+    id: null,
+    error: { code: -32000, message },
+  });
+}
+
+/**
+ * Start serving MCP over Streamable HTTP
+ * @param {() => {connect: (transport: object) => Promise<void>}} createServer
+ *   Builds the MCP server for a new session
+ * @param {object} [options]
+ * @param {number} [options.port]
+ * @param {string} [options.host]
+ * @returns {Promise<http.Server>}
+ */
+export async function startHttpTransport(createServer, options = {}) {
+  const port =
+    options.port ?? (Number(process.env.MCP_HTTP_PORT) || DEFAULT_PORT);
+  const host = options.host || process.env.MCP_HTTP_HOST || DEFAULT_HOST;
+  const hostList = readList("MCP_HTTP_ALLOWED_HOSTS");
+  const allowedHosts = new Set(
+    hostList.length > 0 ? hostList : defaultAllowedHosts(host, port)
+  );
+  const originList = readList("MCP_HTTP_ALLOWED_ORIGINS");
+  const allowedOrigins = new Set(
+    originList.length > 0
+      ? originList
+      : [...allowedHosts].map((allowed) => `http://${allowed}`)
+  );
+  const sessionTtlMs = readLimit(
+    "MCP_HTTP_SESSION_TTL_MS",
+    DEFAULT_SESSION_TTL_MS
+  );
+  const maxSessions = readLimit("MCP_HTTP_MAX_SESSIONS", DEFAULT_MAX_SESSIONS);
+  // Session id -> { transport, lastSeen, openRequests }
+  const sessions = new Map();
+
+  // A session with a request still open (such as a GET event stream) is never idle
+  const sweepIdleSessions = () => {
+    const cutoff = Date.now() - sessionTtlMs;
+    sessions.forEach((session) => {
+      if (session.openRequests === 0 && session.lastSeen < cutoff) {
+        session.transport.close();
+      }
+    });
+  };
+  const sweeper = setInterval(sweepIdleSessions, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+
+  const httpServer = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://${host}`);
+
+    if (pathname === "/health" && req.method === "GET") {
+      sendJson(res, 200, { ok: true, sessions: sessions.size });
+      return;
+    }
+
+    if (pathname !== "/mcp") {
+      sendJson(res, 404, { ok: false, error: "Not found" });
+      return;
+    }
+
+    if (!allowedHosts.has(req.headers.host)) {
+      sendJsonRpcError(res, 403, "Host not allowed");
+      return;
+    }
+    if (req.headers.origin && !allowedOrigins.has(req.headers.origin)) {
+      sendJsonRpcError(res, 403, "Origin not allowed");
+      return;
+    }
+
+    try {
+      const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+      const sessionId = req.headers["mcp-session-id"];
+      let session = sessionId ? sessions.get(sessionId) : undefined;
+      let transport = session?.transport;
+
+      if (!transport) {
+        if (sessionId) {
+          sendJsonRpcError(res, 404, "Session not found");
+          return;
+        }
+        if (req.method !== "POST" || !isInitializeRequest(body)) {
+          sendJsonRpcError(res, 400, "No valid session ID provided");
+          return;
+        }
+        if (sessions.size >= maxSessions) {
+          sweepIdleSessions();
+        }
+        if (sessions.size >= maxSessions) {
+          sendJsonRpcError(res, 503, "Too many open sessions, try again later");
+          return;
+        }
+
+        // New client: give it a session and its own MCP server instance
+        session = { lastSeen: Date.now(), openRequests: 0 };
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (id) => sessions.set(id, session),
+        });
+        session.transport = transport;
+        transport.onclose = () => {
+          if (transport.sessionId) {
+            sessions.delete(transport.sessionId);
+          }
+        };
+        await createServer().connect(transport);
+      }
+
+      session.openRequests += 1;
+      res.once("close", () => {
+        session.openRequests -= 1;
+        session.lastSeen = Date.now();
+      });
+      await transport.handleRequest(req, res, body);
+    } catch (error) {
+      console.error("MCP HTTP request failed:", error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, error.message || "Internal server error");
+      }
+    }
+  });
+
+  httpServer.once("close", () => clearInterval(sweeper));
+
+  const shutdown = () => {
+    sessions.forEach((session) => session.transport.close());
+    httpServer.close(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  // stderr, matching the stdio mode's rule that stdout is reserved for protocol traffic
+  console.error(
+    `Test Trainer MCP Server listening on http://${host}:${port}/mcp`
+  );
+
+  return httpServer;
+}
@@ -4,6 +4,14 @@ const nextConfig: NextConfig = {
   /* config options here */
   turbopack: {
     root: __dirname
+  },
+  // The code runner forks its script by path, which file tracing cannot follow;
+  // the package.json makes Node load it as an ES module
+  outputFileTracingIncludes: {
+    "/api/**/*": [
+      "./mcp-server/sandbox/worker.js",
+      "./mcp-server/package.json"
+    ]
   }
 };
 
@@ -0,0 +1,67 @@
+import { getAuthStore, publicUser } from "@/lib/auth/auth-store";
+import {
+  MAX_PASSWORD_LENGTH,
+  getDummyHash,
+  verifyPassword,
+} from "@/lib/auth/password";
+import { startSession, withRole } from "@/lib/auth/session";
+import { NextResponse } from "next/server";
+
+export async function POST(request) {
+  try {
+    const { email, password } = await request.json();
+
+    if (
+      !email ||
+      typeof password !== "string" ||
+      password.length > MAX_PASSWORD_LENGTH
+    ) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error: "Email and password are required",
+        },
+        { status: 400 }
+      );
+    }
+
+    const user = await getAuthStore().findUserByEmail(email);
+    // Unknown emails and magic-link-only accounts still pay for a hash, so the
+    // response time does not reveal which emails have accounts
+    const valid = await verifyPassword(
+      password,
+      user?.passwordHash || (await getDummyHash())
+    );
+
+    if (!user?.passwordHash || !valid) {
+      console.error("❌ Sign-in failed");
+      return NextResponse.json(
+        {
+          ok: false,
+          error: "Invalid email or password",
+          code: "INVALID_CREDENTIALS",
+        },
+        { status: 401 }
+      );
+    }
+
+    console.log("✅ Signed in:", user.id);
+    return await startSession(
+      NextResponse.json({
+        ok: true,
+        result: { user: withRole(publicUser(user)) },
+      }),
+      user.id
+    );
+  } catch (error) {
+    console.error("Sign-in API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+      },
+      { status: error.status || 500 }
+    );
+  }
+}
@@ -0,0 +1,18 @@
+import { endSession } from "@/lib/auth/session";
+import { NextResponse } from "next/server";
+
+export async function POST(request) {
+  try {
+    return await endSession(request, NextResponse.json({ ok: true }));
+  } catch (error) {
+    console.error("Sign-out API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+      },
+      { status: error.status || 500 }
+    );
+  }
+}
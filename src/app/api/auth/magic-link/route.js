@@ -0,0 +1,89 @@
+import {
+  getAuthStore,
+  isValidEmail,
+  normalizeEmail,
+} from "@/lib/auth/auth-store";
+import { getMailTransport, sendMail } from "@/lib/auth/mail";
+import { startSession } from "@/lib/auth/session";
+import { NextResponse } from "next/server";
+
+// Links are built from APP_URL when set; the request's own origin can be spoofed
+// through the Host header on some deployments
+function appUrl(request) {
+  return process.env.APP_URL || new URL(request.url).origin;
+}
+
+// Email a one-time sign-in link; the account is created when the link is used
+export async function POST(request) {
+  try {
+    const { email } = await request.json();
+    const normalized = normalizeEmail(email);
+
+    console.log("Magic link API called with:", { email: normalized });
+
+    if (!isValidEmail(normalized)) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error: "A valid email address is required",
+        },
+        { status: 400 }
+      );
+    }
+
+    // Fail on a missing mail setup before a link is issued that nobody receives
+    getMailTransport();
+
+    const token = await getAuthStore().createMagicLink(normalized);
+    const link = new URL("/api/auth/magic-link", appUrl(request));
+    link.searchParams.set("token", token);
+
+    await sendMail({
+      to: normalized,
+      subject: "Your sign-in link",
+      text: `Sign in to Web Dev Test Trainer:\n\n${link}\n\nThe link works once and expires soon. If you did not ask for it, ignore this email.`,
+    });
+
+    console.log("✅ Magic link sent");
+    // The same answer whether or not the email has an account
+    return NextResponse.json({ ok: true, result: { sent: true } });
+  } catch (error) {
+    console.error("Magic link API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+      },
+      { status: error.status || 500 }
+    );
+  }
+}
+
+// The emailed link: sign in and go back to the app
+export async function GET(request) {
+  const home = new URL("/", appUrl(request));
+  try {
+    const token = new URL(request.url).searchParams.get("token");
+    const store = getAuthStore();
+    const email = token ? await store.consumeMagicLink(token) : null;
+
+    if (!email) {
+      console.error("❌ Magic link invalid or expired");
+      home.searchParams.set("signin", "expired");
+      return NextResponse.redirect(home);
+    }
+
+    const { user, verifiedNow } = await store.verifyEmailUser(email);
+    // Sessions from before the owner proved the address may belong to someone else
+    if (verifiedNow) {
+      await store.deleteUserSessions(user.id);
+    }
+    console.log("✅ Signed in with magic link:", user.id);
+    return await startSession(NextResponse.redirect(home), user.id);
+  } catch (error) {
+    console.error("Magic link sign-in error:", error);
+    home.searchParams.set("signin", "failed");
+    return NextResponse.redirect(home);
+  }
+}
@@ -0,0 +1,20 @@
+import { getSessionUser, withRole } from "@/lib/auth/session";
+import { NextResponse } from "next/server";
+
+// The signed-in user, or null; signed out is not an error here
+export async function GET(request) {
+  try {
+    const user = await getSessionUser(request);
+    return NextResponse.json({ ok: true, result: { user: withRole(user) } });
+  } catch (error) {
+    console.error("Session API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+      },
+      { status: error.status || 500 }
+    );
+  }
+}
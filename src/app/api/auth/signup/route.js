@@ -0,0 +1,80 @@
+import {
+  getAuthStore,
+  isValidEmail,
+  normalizeEmail,
+  publicUser,
+} from "@/lib/auth/auth-store";
+import {
+  MAX_PASSWORD_LENGTH,
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+} from "@/lib/auth/password";
+import { startSession, withRole } from "@/lib/auth/session";
+import { NextResponse } from "next/server";
+
+export async function POST(request) {
+  try {
+    const { email, password } = await request.json();
+    const normalized = normalizeEmail(email);
+
+    console.log("Sign-up API called with:", { email: normalized });
+
+    if (!isValidEmail(normalized)) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error: "A valid email address is required",
+        },
+        { status: 400 }
+      );
+    }
+
+    if (
+      typeof password !== "string" ||
+      password.length < MIN_PASSWORD_LENGTH ||
+      password.length > MAX_PASSWORD_LENGTH
+    ) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error: `Password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const user = await getAuthStore().createUser(
+      normalized,
+      await hashPassword(password)
+    );
+    if (!user) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error: "An account with this email already exists",
+          code: "EMAIL_TAKEN",
+        },
+        { status: 409 }
+      );
+    }
+
+    console.log("✅ Account created:", user.id);
+    return await startSession(
+      NextResponse.json({
+        ok: true,
+        result: { user: withRole(publicUser(user)) },
+      }),
+      user.id
+    );
+  } catch (error) {
+    console.error("Sign-up API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+      },
+      { status: error.status || 500 }
+    );
+  }
+}
@@ -0,0 +1,54 @@
+import { getAgentCoordinator } from "@/lib/agent-coordinator";
+import { NextResponse } from "next/server";
+
+export async function POST(request) {
+  try {
+    const {
+      question,
+      studentAnswer = "",
+      expectedAnswer,
+      explanation,
+      history = [],
+      message,
+      difficulty,
+    } = await request.json();
+
+    console.log("Explanation follow-up API called for question ID:", {
+      questionId: question?.id,
+      turns: Array.isArray(history) ? history.length : 0,
+    });
+
+    if (!question || !expectedAnswer || !message?.trim()) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error: "Missing required fields: question, expectedAnswer, message",
+        },
+        { status: 400 }
+      );
+    }
+
+    const coordinator = getAgentCoordinator();
+
+    const response = await coordinator.askFollowUp(
+      question,
+      studentAnswer,
+      expectedAnswer,
+      message,
+      { explanation, history, difficulty, signal: request.signal }
+    );
+
+    console.log("✅ Follow-up answered");
+    return NextResponse.json(response);
+  } catch (error) {
+    console.error("Explanation follow-up API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+      },
+      { status: error.status || 500 }
+    );
+  }
+}
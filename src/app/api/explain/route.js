@@ -36,7 +36,7 @@ export async function POST(request) {
       question,
       studentAnswer,
       expectedAnswer,
-      explanationContext
+      { category: explanationContext, signal: request.signal }
     );
 
     if (response.ok) {
@@ -47,8 +47,11 @@ export async function POST(request) {
       
       // Try general concept explanation if specific explanation fails
       const fallbackResponse = await coordinator.explainWebConcept(
-        question.prompt,
-        explanationContext
+        question,
+        studentAnswer,
+        expectedAnswer,
+        explanationContext,
+        { signal: request.signal }
       );
       
       if (fallbackResponse.ok) {
@@ -63,8 +66,9 @@ export async function POST(request) {
       {
         ok: false,
         error: error.message || "Internal server error",
+        code: error.code,
       },
-      { status: 500 }
+      { status: error.status || 500 }
     );
   }
 }
\ No newline at end of file
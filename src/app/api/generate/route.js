@@ -1,10 +1,14 @@
 import { getAgentCoordinator } from "@/lib/agent-coordinator";
+import { requireUser } from "@/lib/auth/session";
 import { NextResponse } from "next/server";
 
 export async function POST(request) {
   try {
     console.log("Generate API route called");
 
+    // Near-duplicate history is per user, so generation needs a session
+    const { id: userId } = await requireUser(request);
+
     // Parse request body
     const {
       topics = ["javascript", "html"],
@@ -12,6 +16,7 @@ export async function POST(request) {
       difficulty = "junior",
       focusTopics = [],
       framework = "vanilla",
+      bankShare,
     } = await request.json();
 
     console.log("Generate API called with:", {
@@ -20,6 +25,8 @@ export async function POST(request) {
       difficulty,
       focusTopics,
       framework,
+      bankShare,
+      userId,
     });
 
     // Get agent coordinator and generate specialized web development test
@@ -32,6 +39,9 @@ export async function POST(request) {
       difficulty,
       focusTopics,
       framework,
+      bankShare,
+      userId,
+      signal: request.signal,
     });
 
     console.log("Generate response received:", response);
@@ -55,8 +65,9 @@ export async function POST(request) {
       {
         ok: false,
         error: error.message || "Internal server error",
+        code: error.code,
       },
-      { status: 500 }
+      { status: error.status || 500 }
     );
   }
 }
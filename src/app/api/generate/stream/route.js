@@ -0,0 +1,117 @@
+import { getAgentCoordinator } from "@/lib/agent-coordinator";
+import { requireUser } from "@/lib/auth/session";
+import { NextResponse } from "next/server";
+
+// Server-Sent Events variant of POST /api/generate
+// Events: "question" as each question is ready, then "complete" or "error"
+export async function POST(request) {
+  let userId;
+  let body;
+  // Fail before the stream opens, with the same JSON error as /api/generate
+  try {
+    // Near-duplicate history is per user, so generation needs a session
+    ({ id: userId } = await requireUser(request));
+    body = await request.json();
+  } catch (error) {
+    console.error("Generate stream API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+      },
+      // A body that is not JSON is the caller's mistake
+      { status: error instanceof SyntaxError ? 400 : error.status || 500 }
+    );
+  }
+
+  const {
+    topics = ["javascript", "html"],
+    numQuestions = 5,
+    difficulty = "junior",
+    focusTopics = [],
+    framework = "vanilla",
+    bankShare,
+  } = body || {};
+
+  console.log("Generate stream API called with:", {
+    topics,
+    numQuestions,
+    difficulty,
+    focusTopics,
+    framework,
+    bankShare,
+    userId,
+  });
+
+  const encoder = new TextEncoder();
+
+  // Aborted when the browser goes away, either via the request or the stream
+  const abortController = new AbortController();
+  request.signal.addEventListener("abort", () => abortController.abort());
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const { signal } = abortController;
+      const send = (event, data) => {
+        if (signal.aborted) return;
+        controller.enqueue(
+          encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+        );
+      };
+
+      try {
+        const coordinator = getAgentCoordinator();
+
+        const response = await coordinator.generateWebDevTestStream(
+          {
+            topics,
+            numQuestions,
+            difficulty,
+            focusTopics,
+            framework,
+            bankShare,
+            userId,
+            signal,
+          },
+          (question, index, total) => {
+            send("question", { question, index, total });
+          }
+        );
+
+        console.log(
+          "Streamed web dev test with",
+          response.result?.questions?.length || 0,
+          "questions"
+        );
+        send("complete", response);
+      } catch (error) {
+        if (!signal.aborted) {
+          console.error("Generate stream API error:", error);
+        }
+        send("error", {
+          ok: false,
+          error: error.message || "Internal server error",
+          code: error.code,
+        });
+      } finally {
+        if (!signal.aborted) {
+          controller.close();
+        }
+      }
+    },
+    cancel() {
+      abortController.abort();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+    },
+  });
+}
+
+export const runtime = "nodejs";
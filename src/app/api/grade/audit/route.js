@@ -0,0 +1,38 @@
+import { getAgentCoordinator } from "@/lib/agent-coordinator";
+import { requireReviewer } from "@/lib/auth/session";
+import { NextResponse } from "next/server";
+
+// Who disputed or changed which grades, when and why
+export async function GET(request) {
+  try {
+    await requireReviewer(request);
+    const { searchParams } = new URL(request.url);
+    const filters = {
+      userId: searchParams.get("userId") || undefined,
+      gradeId: searchParams.get("gradeId") || undefined,
+      questionId: searchParams.get("questionId") || undefined,
+      limit: Math.min(500, Number(searchParams.get("limit")) || 100),
+    };
+
+    console.log("Grade audit API called with:", filters);
+
+    const coordinator = getAgentCoordinator();
+
+    const response = await coordinator.getGradeAuditLog(filters, {
+      signal: request.signal,
+    });
+
+    console.log("✅ Grade audit log retrieved");
+    return NextResponse.json(response);
+  } catch (error) {
+    console.error("Grade audit API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+      },
+      { status: error.status || 500 }
+    );
+  }
+}
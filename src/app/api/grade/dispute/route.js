@@ -0,0 +1,56 @@
+import { getAgentCoordinator } from "@/lib/agent-coordinator";
+import { requireUser } from "@/lib/auth/session";
+import { NextResponse } from "next/server";
+
+// A learner asks a reviewer to look at one of their grades
+export async function POST(request) {
+  try {
+    const { id: userId } = await requireUser(request);
+    const { gradeId, questionId, reason } = await request.json();
+
+    console.log("Grade dispute API called with:", {
+      userId,
+      gradeId,
+      questionId,
+    });
+
+    if (
+      !gradeId ||
+      questionId === undefined ||
+      questionId === null ||
+      typeof reason !== "string" ||
+      !reason.trim()
+    ) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error: "Missing required fields: gradeId, questionId and reason",
+        },
+        { status: 400 }
+      );
+    }
+
+    const coordinator = getAgentCoordinator();
+
+    const response = await coordinator.disputeGrade(
+      userId,
+      gradeId,
+      questionId,
+      reason,
+      { signal: request.signal }
+    );
+
+    console.log("✅ Grade disputed");
+    return NextResponse.json(response);
+  } catch (error) {
+    console.error("Grade dispute API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+      },
+      { status: error.status || 500 }
+    );
+  }
+}
@@ -0,0 +1,110 @@
+import { getAgentCoordinator } from "@/lib/agent-coordinator";
+import { requireReviewer } from "@/lib/auth/session";
+import { NextResponse } from "next/server";
+
+const STATUSES = ["pending", "reviewed", "all"];
+
+// Graded answers waiting for a reviewer, across all learners
+export async function GET(request) {
+  try {
+    await requireReviewer(request);
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get("status") || "pending";
+    const filters = {
+      status,
+      lowConfidence: searchParams.get("lowConfidence") === "true",
+      disputed: searchParams.get("disputed") === "true",
+      category: searchParams.get("category") || undefined,
+      userId: searchParams.get("userId") || undefined,
+      limit: Math.min(200, Number(searchParams.get("limit")) || 50),
+    };
+
+    console.log("Grade review queue API called with:", filters);
+
+    if (!STATUSES.includes(status)) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error: `status must be one of: ${STATUSES.join(", ")}`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const coordinator = getAgentCoordinator();
+
+    const response = await coordinator.getGradeReviewQueue(filters, {
+      signal: request.signal,
+    });
+
+    console.log("✅ Grade review queue retrieved");
+    return NextResponse.json(response);
+  } catch (error) {
+    console.error("Grade review queue API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+      },
+      { status: error.status || 500 }
+    );
+  }
+}
+
+// A reviewer overrides one graded answer; the change is audited under their account
+export async function POST(request) {
+  try {
+    const reviewer = await requireReviewer(request);
+    const { userId, gradeId, questionId, score, correct, feedback, reason } =
+      await request.json();
+
+    console.log("Grade override API called with:", {
+      reviewer: reviewer.email,
+      userId,
+      gradeId,
+      questionId,
+      score,
+    });
+
+    if (
+      !userId ||
+      !gradeId ||
+      questionId === undefined ||
+      questionId === null ||
+      typeof score !== "number" ||
+      typeof reason !== "string" ||
+      !reason.trim()
+    ) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error:
+            "Missing required fields: userId, gradeId, questionId, score and reason",
+        },
+        { status: 400 }
+      );
+    }
+
+    const coordinator = getAgentCoordinator();
+
+    const response = await coordinator.overrideGrade(
+      { id: reviewer.id, email: reviewer.email },
+      { userId, gradeId, questionId, score, correct, feedback, reason },
+      { signal: request.signal }
+    );
+
+    console.log("✅ Grade overridden");
+    return NextResponse.json(response);
+  } catch (error) {
+    console.error("Grade override API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+      },
+      { status: error.status || 500 }
+    );
+  }
+}
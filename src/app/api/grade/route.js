@@ -1,10 +1,16 @@
 import { getAgentCoordinator } from "@/lib/agent-coordinator";
+import { getSessionUser } from "@/lib/auth/session";
 import { NextResponse } from "next/server";
 
 export async function POST(request) {
   try {
     // Parse request body
-    const { test, answers, strictness = "standard" } = await request.json();
+    const {
+      test,
+      answers,
+      strictness = "standard",
+      samples,
+    } = await request.json();
 
     console.log(
       "Grade API called with test ID count:",
@@ -22,16 +28,39 @@ export async function POST(request) {
       );
     }
 
+    if (
+      samples !== undefined &&
+      !(Number.isInteger(samples) && samples >= 1 && samples <= 5)
+    ) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error: "samples must be a whole number from 1 to 5",
+        },
+        { status: 400 }
+      );
+    }
+
+    // A signed-in learner's grade is stored, so they can dispute it and mentors review it
+    const user = await getSessionUser(request);
+
     // Get agent coordinator and use specialized web development grading
     const coordinator = getAgentCoordinator();
 
     const response = await coordinator.gradeWebDevTest(test, answers, {
       strictness,
+      samples,
+      userId: user?.id,
+      signal: request.signal,
     });
 
     if (response.ok) {
       const totalScore = response.result.overallScore;
       console.log(`Successfully graded web dev test, total score: ${totalScore}%`);
+      const flagged = response.result.consistency?.needsReview || [];
+      if (flagged.length > 0) {
+        console.log(`Grades flagged for review: ${flagged.join(", ")}`);
+      }
 
       return NextResponse.json(response);
     } else {
@@ -44,8 +73,9 @@ export async function POST(request) {
       {
         ok: false,
         error: error.message || "Internal server error",
+        code: error.code,
       },
-      { status: 500 }
+      { status: error.status || 500 }
     );
   }
 }
\ No newline at end of file
@@ -0,0 +1,51 @@
+import { getAgentCoordinator } from "@/lib/agent-coordinator";
+import { requireUser } from "@/lib/auth/session";
+import { NextResponse } from "next/server";
+
+export async function POST(request) {
+  try {
+    const { id: userId } = await requireUser(request);
+    const { interviewId, answer = "", end = false } = await request.json();
+
+    console.log("Interview answer API called with:", {
+      userId,
+      interviewId,
+      answerLength: answer.length,
+      end,
+    });
+
+    if (!interviewId || (!answer.trim() && !end)) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error: "Interview id and answer are required",
+        },
+        { status: 400 }
+      );
+    }
+
+    const coordinator = getAgentCoordinator();
+
+    const response = await coordinator.answerInterview(
+      interviewId,
+      answer,
+      userId,
+      { end, signal: request.signal }
+    );
+
+    console.log(
+      `✅ Interview answer recorded (${response.result.interview.status})`
+    );
+    return NextResponse.json(response);
+  } catch (error) {
+    console.error("Interview answer API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+      },
+      { status: error.status || 500 }
+    );
+  }
+}
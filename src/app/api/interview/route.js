@@ -0,0 +1,78 @@
+import { getAgentCoordinator } from "@/lib/agent-coordinator";
+import { requireUser } from "@/lib/auth/session";
+import { NextResponse } from "next/server";
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const { id: userId } = await requireUser(request);
+    const interviewId = searchParams.get("id") || undefined;
+    const limit = Number(searchParams.get("limit")) || 20;
+
+    console.log("Interview API called with:", { userId, interviewId, limit });
+
+    const coordinator = getAgentCoordinator();
+
+    const response = await coordinator.getInterviews(userId, {
+      interviewId,
+      limit,
+      signal: request.signal,
+    });
+
+    console.log("✅ Interviews retrieved");
+    return NextResponse.json(response);
+  } catch (error) {
+    console.error("Interview API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+      },
+      { status: error.status || 500 }
+    );
+  }
+}
+
+export async function POST(request) {
+  try {
+    const { id: userId } = await requireUser(request);
+    const {
+      topic = "javascript",
+      difficulty = "junior",
+      maxFollowUps,
+      question,
+    } = await request.json();
+
+    console.log("Interview start API called with:", {
+      userId,
+      topic,
+      difficulty,
+      maxFollowUps,
+      fromQuestion: !!question,
+    });
+
+    const coordinator = getAgentCoordinator();
+
+    const response = await coordinator.startInterview(userId, {
+      topic,
+      difficulty,
+      maxFollowUps,
+      question,
+      signal: request.signal,
+    });
+
+    console.log("✅ Interview started");
+    return NextResponse.json(response);
+  } catch (error) {
+    console.error("Interview start API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+      },
+      { status: error.status || 500 }
+    );
+  }
+}
@@ -1,17 +1,23 @@
 import { NextRequest, NextResponse } from "next/server";
+import { isReviewer, requireUser } from "../../../lib/auth/session";
 import { handleMcpRequest } from "../../../lib/mcp-handler";
 
+// Public MCP endpoint: signed-in users only, and every tool call runs as that user
 export async function POST(request: NextRequest) {
   try {
     console.log("MCP API endpoint hit");
+    const user = await requireUser(request);
     const body = await request.json();
     console.log("MCP request body:", JSON.stringify(body, null, 2));
 
-    const result = await handleMcpRequest(body);
+    const result = await handleMcpRequest(body, {
+      caller: { ...user, reviewer: isReviewer(user) },
+    });
     return NextResponse.json(result);
   } catch (error) {
     const errorMessage =
       error instanceof Error ? error.message : "Internal server error";
+    const status = (error as Error & { status?: number }).status || 500;
     return NextResponse.json(
       {
         jsonrpc: "2.0",
@@ -21,7 +27,7 @@ export async function POST(request: NextRequest) {
           message: errorMessage,
         },
       },
-      { status: 500 }
+      { status }
     );
   }
 }
@@ -1,10 +1,11 @@
 import { getAgentCoordinator } from "@/lib/agent-coordinator";
+import { requireUser } from "@/lib/auth/session";
 import { NextResponse } from "next/server";
 
 export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url);
-    const userId = searchParams.get("userId") || "default";
+    const { id: userId } = await requireUser(request);
     const timeframe = searchParams.get("timeframe") || "week";
 
     console.log("Progress stats API called with:", { userId, timeframe });
@@ -12,7 +13,9 @@ export async function GET(request) {
     // Get agent coordinator and get progress stats
     const coordinator = getAgentCoordinator();
 
-    const response = await coordinator.getProgressStats(userId, timeframe);
+    const response = await coordinator.getProgressStats(userId, timeframe, {
+      signal: request.signal,
+    });
 
     if (response.ok) {
       console.log("✅ Progress stats retrieved successfully");
@@ -27,19 +30,21 @@ export async function GET(request) {
       {
         ok: false,
         error: error.message || "Internal server error",
+        code: error.code,
       },
-      { status: 500 }
+      { status: error.status || 500 }
     );
   }
 }
 
 export async function POST(request) {
   try {
+    const { id: userId } = await requireUser(request);
     const {
       testResults,
       currentDifficulty = "junior",
       subject = "general",
-      userId = "default",
+      gradeId,
     } = await request.json();
 
     console.log("Progress tracking API called with:", {
@@ -66,7 +71,8 @@ export async function POST(request) {
       testResults,
       currentDifficulty,
       subject,
-      userId
+      userId,
+      { gradeId, signal: request.signal }
     );
 
     if (response.ok) {
@@ -82,8 +88,9 @@ export async function POST(request) {
       {
         ok: false,
         error: error.message || "Internal server error",
+        code: error.code,
       },
-      { status: 500 }
+      { status: error.status || 500 }
     );
   }
 }
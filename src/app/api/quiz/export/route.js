@@ -0,0 +1,64 @@
+import { getAgentCoordinator } from "@/lib/agent-coordinator";
+import { NextResponse } from "next/server";
+
+const CONTENT_TYPES = {
+  markdown: "text/markdown; charset=utf-8",
+  yaml: "application/yaml; charset=utf-8",
+};
+
+export async function POST(request) {
+  try {
+    const { test, format = "markdown" } = await request.json();
+
+    console.log("Quiz export API called with:", {
+      format,
+      questionCount: (test?.result || test)?.questions?.length || 0,
+    });
+
+    if (!test) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error: "A test is required",
+        },
+        { status: 400 }
+      );
+    }
+
+    if (!CONTENT_TYPES[format]) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error: `Unknown format "${format}". Use markdown or yaml`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const coordinator = getAgentCoordinator();
+
+    const response = await coordinator.exportQuiz(test, format, {
+      signal: request.signal,
+    });
+
+    console.log(`✅ Quiz exported as ${format}`);
+    // The quiz file itself, so the response can be saved as is
+    return new Response(response.result.content, {
+      headers: {
+        "Content-Type": CONTENT_TYPES[format],
+        "Content-Disposition": `attachment; filename="${response.result.filename}"`,
+      },
+    });
+  } catch (error) {
+    console.error("Quiz export API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+        issues: error.issues,
+      },
+      { status: error.code === "INVALID_QUIZ" ? 400 : error.status || 500 }
+    );
+  }
+}
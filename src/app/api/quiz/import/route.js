@@ -0,0 +1,47 @@
+import { getAgentCoordinator } from "@/lib/agent-coordinator";
+import { NextResponse } from "next/server";
+
+export async function POST(request) {
+  try {
+    const { content, format, filename } = await request.json();
+
+    console.log("Quiz import API called with:", {
+      format: format || "auto",
+      filename,
+      length: content?.length || 0,
+    });
+
+    if (typeof content !== "string" || !content.trim()) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error: "Quiz content is required",
+        },
+        { status: 400 }
+      );
+    }
+
+    const coordinator = getAgentCoordinator();
+
+    const response = await coordinator.importQuiz(content, format, {
+      filename,
+      signal: request.signal,
+    });
+
+    console.log(
+      `✅ Quiz imported: ${response.result.questions.length} questions`
+    );
+    return NextResponse.json(response);
+  } catch (error) {
+    console.error("Quiz import API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+        issues: error.issues,
+      },
+      { status: error.code === "INVALID_QUIZ" ? 400 : error.status || 500 }
+    );
+  }
+}
@@ -0,0 +1,89 @@
+import { getAgentCoordinator } from "@/lib/agent-coordinator";
+import { getSessionUser } from "@/lib/auth/session";
+import { NextResponse } from "next/server";
+import { REPORT_CSP } from "../../../../mcp-server/reports/results-report.js";
+
+const CONTENT_TYPES = {
+  html: "text/html; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+};
+
+export async function POST(request) {
+  try {
+    // A cross-site form can only send text/plain or form bodies
+    if (!request.headers.get("content-type")?.includes("application/json")) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error: "Send the report request as application/json",
+        },
+        { status: 415 }
+      );
+    }
+
+    const {
+      test,
+      grade,
+      explanations = {},
+      format = "html",
+    } = await request.json();
+    // The report names the signed-in learner
+    const user = await getSessionUser(request);
+
+    console.log("Results report API called with:", {
+      format,
+      resultCount: (grade?.result || grade)?.results?.length || 0,
+      explanationCount: Object.keys(explanations).length,
+      userId: user?.id,
+    });
+
+    if (!test || !grade) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error: "A test and its grading results are required",
+        },
+        { status: 400 }
+      );
+    }
+
+    if (!CONTENT_TYPES[format]) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error: `Unknown format "${format}". Use html or csv`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const coordinator = getAgentCoordinator();
+
+    const response = await coordinator.exportResultsReport(
+      { test, grade, explanations, userId: user?.email },
+      format,
+      { signal: request.signal }
+    );
+
+    console.log(`✅ Results report rendered as ${format}`);
+    // Never rendered on the app origin from this URL; the page opens its own copy
+    return new Response(response.result.content, {
+      headers: {
+        "Content-Type": CONTENT_TYPES[format],
+        "Content-Disposition": `attachment; filename="${response.result.filename}"`,
+        "Content-Security-Policy": REPORT_CSP,
+        "X-Content-Type-Options": "nosniff",
+      },
+    });
+  } catch (error) {
+    console.error("Results report API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+      },
+      { status: error.status || 500 }
+    );
+  }
+}
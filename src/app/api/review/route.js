@@ -0,0 +1,75 @@
+import { getAgentCoordinator } from "@/lib/agent-coordinator";
+import { requireUser } from "@/lib/auth/session";
+import { NextResponse } from "next/server";
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const { id: userId } = await requireUser(request);
+    const limit = Number(searchParams.get("limit")) || 20;
+
+    console.log("Review queue API called with:", { userId, limit });
+
+    const coordinator = getAgentCoordinator();
+
+    const response = await coordinator.getReviewQueue(userId, limit, {
+      signal: request.signal,
+    });
+
+    console.log(`✅ Review queue retrieved: ${response.result.dueCount} due`);
+    return NextResponse.json(response);
+  } catch (error) {
+    console.error("Review queue API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+      },
+      { status: error.status || 500 }
+    );
+  }
+}
+
+export async function POST(request) {
+  try {
+    const { id: userId } = await requireUser(request);
+    const { answers, strictness = "standard" } = await request.json();
+
+    console.log("Review grading API called with:", {
+      answerCount: Object.keys(answers || {}).length,
+      userId,
+      strictness,
+    });
+
+    if (!answers || Object.keys(answers).length === 0) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error: "Review answers are required",
+        },
+        { status: 400 }
+      );
+    }
+
+    const coordinator = getAgentCoordinator();
+
+    const response = await coordinator.submitReview(answers, userId, {
+      strictness,
+      signal: request.signal,
+    });
+
+    console.log("✅ Review graded and rescheduled");
+    return NextResponse.json(response);
+  } catch (error) {
+    console.error("Review API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+      },
+      { status: error.status || 500 }
+    );
+  }
+}
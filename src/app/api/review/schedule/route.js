@@ -0,0 +1,50 @@
+import { getAgentCoordinator } from "@/lib/agent-coordinator";
+import { requireUser } from "@/lib/auth/session";
+import { NextResponse } from "next/server";
+
+export async function POST(request) {
+  try {
+    const { id: userId } = await requireUser(request);
+    const { questions, results } = await request.json();
+
+    console.log("Review scheduling API called with:", {
+      questionCount: questions?.length || 0,
+      resultCount: results?.length || 0,
+      userId,
+    });
+
+    if (!Array.isArray(questions) || !Array.isArray(results)) {
+      return NextResponse.json(
+        {
+          ok: false,
+          error: "Questions and grading results are required",
+        },
+        { status: 400 }
+      );
+    }
+
+    const coordinator = getAgentCoordinator();
+
+    const response = await coordinator.scheduleReviews(
+      questions,
+      results,
+      userId,
+      { signal: request.signal }
+    );
+
+    console.log(
+      `✅ Review schedule updated: ${response.result.added} added, ${response.result.rescheduled} rescheduled`
+    );
+    return NextResponse.json(response);
+  } catch (error) {
+    console.error("Review scheduling API error:", error);
+    return NextResponse.json(
+      {
+        ok: false,
+        error: error.message || "Internal server error",
+        code: error.code,
+      },
+      { status: error.status || 500 }
+    );
+  }
+}
@@ -1,10 +1,11 @@
 import { getAgentCoordinator } from "@/lib/agent-coordinator";
+import { requireUser } from "@/lib/auth/session";
 import { NextResponse } from "next/server";
 
 export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url);
-    const userId = searchParams.get("userId") || "default";
+    const { id: userId } = await requireUser(request);
     const timeframe = searchParams.get("timeframe") || "week";
 
     console.log("Stats API called with:", { userId, timeframe });
@@ -12,7 +13,9 @@ export async function GET(request) {
     // Get agent coordinator and fetch stats
     const coordinator = getAgentCoordinator();
 
-    const response = await coordinator.getProgressStats(userId, timeframe);
+    const response = await coordinator.getProgressStats(userId, timeframe, {
+      signal: request.signal,
+    });
 
     if (response.ok) {
       console.log("✅ Progress stats retrieved successfully");
@@ -27,8 +30,9 @@ export async function GET(request) {
       {
         ok: false,
         error: error.message || "Internal server error",
+        code: error.code,
       },
-      { status: 500 }
+      { status: error.status || 500 }
     );
   }
 }
@@ -1,6 +1,6 @@
 'use client';
 
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 
 const MAX_ATTEMPTS = 5;
 const TARGET_PERCENT = 90;
@@ -35,6 +35,18 @@ interface GradeResult {
   feedback: string;
   correct: boolean;
   expected: string;
+  // null when the model graded once and agreement is unknown
+  confidence?: number | null;
+  needsReview?: boolean;
+  sampling?: { scores: number[]; mean: number; stdDev: number; spread: number };
+  // Set once the learner asks a reviewer to check this grade
+  dispute?: GradeDispute;
+}
+
+interface GradeDispute {
+  reason: string;
+  at: string;
+  resolvedAt?: string;
 }
 
 interface GradeResponse {
@@ -45,6 +57,14 @@ interface GradeResponse {
     overallScore?: number;
     totalPoints: number;
     earnedPoints?: number;
+    // Present when the grade was stored for review (signed-in learners)
+    gradeId?: string;
+    consistency?: {
+      samples: number;
+      sampledQuestions: number;
+      averageConfidence: number | null;
+      needsReview: number[];
+    };
   };
   error?: string;
   raw?: string;
@@ -102,6 +122,12 @@ interface ExplanationResult {
   };
 }
 
+// One message in an explanation's follow-up thread
+interface ChatTurn {
+  role: 'user' | 'assistant';
+  content: string;
+}
+
 interface ExplanationResponse {
   ok: boolean;
   result: ExplanationResult;
@@ -128,15 +154,365 @@ interface ProgressStats {
   learningVelocity: number;
 }
 
+// Spaced-repetition review interfaces
+interface ReviewCard {
+  id: string;
+  dueOn: string;
+  repetitions: number;
+  lapses: number;
+  question: Omit<Question, 'id' | 'answer' | 'rubric'>;
+}
+
+interface ReviewQueue {
+  dueCount: number;
+  totalCards: number;
+  nextDue: string | null;
+  cards: ReviewCard[];
+}
+
+interface ReviewOutcome {
+  cardId: string;
+  score: number;
+  max: number;
+  correct: boolean;
+  feedback: string;
+  expected: string;
+  nextDue: string;
+}
+
+// Mock interview interfaces
+interface InterviewTurn {
+  role: 'interviewer' | 'candidate';
+  kind: 'question' | 'follow-up' | 'answer' | 'closing';
+  content: string;
+  at: string;
+}
+
+interface InterviewResult {
+  criteria: { criterion: string; description: string; score: number; max: number; comment: string }[];
+  keyPoints: { point: string; covered: boolean }[];
+  summary: string;
+  strengths: string[];
+  improvements: string[];
+  score: number;
+  max: number;
+  percent: number;
+}
+
+interface Interview {
+  id: string;
+  topic: string;
+  difficulty: string;
+  status: 'active' | 'completed';
+  maxFollowUps: number;
+  followUpsAsked: number;
+  question: { prompt: string; category?: string; referenceAnswer?: string; keyPoints?: string[] };
+  turns: InterviewTurn[];
+  startedAt: string;
+  completedAt?: string;
+  result?: InterviewResult;
+}
+
+interface InterviewSummary {
+  id: string;
+  topic: string;
+  status: 'active' | 'completed';
+  prompt: string;
+  startedAt: string;
+  percent: number | null;
+}
+
+interface User {
+  id: string;
+  email: string;
+  // Listed in REVIEWER_EMAILS; may review and override other learners' grades
+  reviewer?: boolean;
+}
+
+interface GradeChange {
+  score: number;
+  correct: boolean;
+  feedback: string;
+}
+
+interface GradeReviewItem {
+  userId: string;
+  gradeId: string;
+  gradedAt: string;
+  questionId: number;
+  question: { prompt?: string; type?: string; choices?: string[]; answer?: string };
+  category: string | null;
+  studentAnswer: string;
+  score: number;
+  max: number;
+  correct: boolean;
+  feedback: string;
+  expected: string;
+  gradedBy: string | null;
+  confidence: number | null;
+  needsReview: boolean;
+  sampling: { scores: number[] } | null;
+  dispute: GradeDispute | null;
+  review: {
+    by: { id: string; email: string | null };
+    at: string;
+    reason: string;
+    original: GradeChange;
+  } | null;
+}
+
+interface GradeReviewQueue {
+  total: number;
+  disputedCount: number;
+  lowConfidenceCount: number;
+  categories: string[];
+  items: GradeReviewItem[];
+}
+
+interface GradeQueueFilters {
+  status: 'pending' | 'reviewed' | 'all';
+  lowConfidence: boolean;
+  disputed: boolean;
+  category: string;
+}
+
+interface OverrideDraft {
+  score: string;
+  feedback: string;
+  reason: string;
+}
+
+interface AuditEntry {
+  id: string;
+  at: string;
+  action: 'dispute' | 'override';
+  actor: { id: string; email?: string | null; role: 'learner' | 'reviewer' };
+  reason: string;
+  before: GradeChange | null;
+  after: GradeChange | null;
+}
+
+// A copy of a draft map without one entry
+const omitKey = <R extends Record<string | number, unknown>>(record: R, key: keyof R): R => {
+  const copy = { ...record };
+  delete copy[key];
+  return copy;
+};
+
+// m:ss for countdowns and time spent
+const formatDuration = (ms: number) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Saved test sessions are kept per user, so learners sharing a browser stay apart
+const sessionStorageKey = (userId: string) => `testTrainerSession:${userId}`;
+
+// Events sent by POST /api/generate/stream
+type GenerateStreamEvent =
+  | { event: 'question'; data: { question: Question; index: number; total: number } }
+  | { event: 'complete'; data: TestResponse }
+  | { event: 'error'; data: { ok: false; error: string } };
+
+// Parse a text/event-stream body, calling onEvent for each complete event
+async function readEventStream<T extends { event: string; data: unknown }>(
+  body: ReadableStream<Uint8Array>,
+  onEvent: (message: T) => void
+) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const rawEvents = buffer.split('\n\n');
+    buffer = rawEvents.pop() || '';
+
+    for (const rawEvent of rawEvents) {
+      let event = 'message';
+      const dataLines: string[] = [];
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+      }
+      if (dataLines.length > 0) {
+        onEvent({ event, data: JSON.parse(dataLines.join('\n')) } as T);
+      }
+    }
+  }
+}
+
+// Email/password sign-in and sign-up, or a one-time sign-in link by email
+function SignIn({ onSignedIn }: { onSignedIn: (user: User) => void }) {
+  const [mode, setMode] = useState<'signin' | 'signup'>('signin');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  // The magic-link route redirects here with ?signin= when the link did not work
+  useEffect(() => {
+    const status = new URLSearchParams(window.location.search).get('signin');
+    if (status === 'expired') setError('That sign-in link is invalid or has expired. Request a new one.');
+    if (status === 'failed') setError('Sign-in failed. Please try again.');
+  }, []);
+
+  const submit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await fetch(mode === 'signup' ? '/api/auth/signup' : '/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password })
+      });
+      const result = await response.json();
+      if (result.ok) {
+        onSignedIn(result.result.user);
+      } else {
+        setError(result.error);
+      }
+    } catch (error) {
+      console.error('Sign-in error:', error);
+      setError('Could not reach the server. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const sendMagicLink = async () => {
+    if (!email) {
+      setError('Enter your email address first.');
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await fetch('/api/auth/magic-link', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email })
+      });
+      const result = await response.json();
+      if (result.ok) {
+        setMessage(`Check ${email} for a sign-in link.`);
+      } else {
+        setError(result.error);
+      }
+    } catch (error) {
+      console.error('Magic link error:', error);
+      setError('Could not reach the server. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-stone-100 py-8">
+      <div className="max-w-md mx-auto px-4">
+        <h1 className="text-3xl font-bold text-gray-900 mb-6 text-center">
+          GPT Interview Test Trainer
+        </h1>
+        <form onSubmit={submit} className="bg-white rounded-lg shadow-md p-6 space-y-4">
+          <h2 className="text-xl font-semibold">
+            {mode === 'signup' ? 'Create an account' : 'Sign in'}
+          </h2>
+
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Email</span>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              autoComplete="email"
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded"
+            />
+          </label>
+
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Password</span>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              minLength={mode === 'signup' ? 8 : undefined}
+              autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded"
+            />
+          </label>
 
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {message && <p className="text-sm text-green-700">{message}</p>}
+
+          <button
+            type="submit"
+            disabled={busy}
+            className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white py-2 rounded-lg font-medium"
+          >
+            {mode === 'signup' ? 'Create account' : 'Sign in'}
+          </button>
+
+          <button
+            type="button"
+            onClick={sendMagicLink}
+            disabled={busy}
+            className="w-full bg-gray-100 hover:bg-gray-200 disabled:opacity-50 text-gray-800 py-2 rounded-lg font-medium"
+          >
+            Email me a sign-in link
+          </button>
+
+          <p className="text-sm text-center text-gray-600">
+            {mode === 'signup' ? 'Already have an account?' : 'New here?'}{' '}
+            <button
+              type="button"
+              onClick={() => {
+                setMode(mode === 'signup' ? 'signin' : 'signup');
+                setError(null);
+              }}
+              className="text-blue-600 hover:underline"
+            >
+              {mode === 'signup' ? 'Sign in' : 'Create an account'}
+            </button>
+          </p>
+        </form>
+      </div>
+    </div>
+  );
+}
 
 export default function TestTrainer() {
+  // Signed-in user; null until /api/auth/me answers or when signed out
+  const [user, setUser] = useState<User | null>(null);
+  const [authChecked, setAuthChecked] = useState(false);
+
   // State management
   const [currentTest, setCurrentTest] = useState<TestResponse | null>(null);
   const [answers, setAnswers] = useState<Record<number, string>>({});
+  // Latest answers for async handlers (the learner can answer while questions stream in)
+  const answersRef = useRef(answers);
+  answersRef.current = answers;
   const [gradeResult, setGradeResult] = useState<GradeResponse['result'] | null>(null);
   const [explanations, setExplanations] = useState<Record<number, ExplanationResult>>({});
+  // Follow-up threads with the tutor, per explained question
+  const [followUps, setFollowUps] = useState<Record<number, ChatTurn[]>>({});
+  const [followUpDrafts, setFollowUpDrafts] = useState<Record<number, string>>({});
+  const [followUpBusy, setFollowUpBusy] = useState<number | null>(null);
+  // Dispute reasons being written, per graded question
+  const [disputeDrafts, setDisputeDrafts] = useState<Record<number, string>>({});
+  const [disputeBusy, setDisputeBusy] = useState<number | null>(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [streamProgress, setStreamProgress] = useState<{ received: number; total: number } | null>(null);
   const [autoRegenerate, setAutoRegenerate] = useState(true);
   const [maxAttempts, setMaxAttempts] = useState(MAX_ATTEMPTS);
   const [currentAttempt, setCurrentAttempt] = useState(0);
@@ -151,9 +527,66 @@ export default function TestTrainer() {
   const [selectedTopics, setSelectedTopics] = useState<string[]>(['HTML', 'CSS', 'JavaScript']);
   const [selectedFramework, setSelectedFramework] = useState('vanilla');
 
-  // Load session from localStorage on mount
+  // Spaced-repetition review state
+  const [reviewQueue, setReviewQueue] = useState<ReviewQueue | null>(null);
+  const [reviewMode, setReviewMode] = useState(false);
+  const [reviewAnswers, setReviewAnswers] = useState<Record<string, string>>({});
+  const [reviewOutcomes, setReviewOutcomes] = useState<Record<string, ReviewOutcome>>({});
+
+  // Exam mode: an overall countdown, optional per-question limits and auto-submit
+  const [examMode, setExamMode] = useState(false);
+  const [examMinutes, setExamMinutes] = useState(30);
+  const [questionLimitSeconds, setQuestionLimitSeconds] = useState(0);
+  // Grades per open question; more than one reports how far the grades agree
+  const [gradingSamples, setGradingSamples] = useState(1);
+  const [examEndsAt, setExamEndsAt] = useState<number | null>(null);
+  const examEndsAtRef = useRef(examEndsAt);
+  examEndsAtRef.current = examEndsAt;
+  // Milliseconds spent per question; the clock runs for the question being worked on
+  const [timeSpent, setTimeSpent] = useState<Record<number, number>>({});
+  const timeSpentRef = useRef(timeSpent);
+  timeSpentRef.current = timeSpent;
+  const [activeQuestion, setActiveQuestion] = useState<{ id: number; since: number } | null>(null);
+  const [clock, setClock] = useState(() => Date.now());
+
+  // Mock interview state; transcripts live on the server, the session keeps the open one
+  const [interviewMode, setInterviewMode] = useState(false);
+  const [interview, setInterview] = useState<Interview | null>(null);
+  const interviewRef = useRef(interview);
+  interviewRef.current = interview;
+  const [interviewHistory, setInterviewHistory] = useState<InterviewSummary[]>([]);
+  const [interviewTopic, setInterviewTopic] = useState('JavaScript');
+  const [interviewFollowUps, setInterviewFollowUps] = useState(2);
+  const [interviewAnswer, setInterviewAnswer] = useState('');
+  const [interviewBusy, setInterviewBusy] = useState(false);
+
+  // Grade review for reviewers: graded answers across learners, overrides and their audit trail
+  const [gradeReviewMode, setGradeReviewMode] = useState(false);
+  const [gradeQueue, setGradeQueue] = useState<GradeReviewQueue | null>(null);
+  const [gradeQueueFilters, setGradeQueueFilters] = useState<GradeQueueFilters>({
+    status: 'pending',
+    lowConfidence: false,
+    disputed: false,
+    category: ''
+  });
+  const [overrideDrafts, setOverrideDrafts] = useState<Record<string, OverrideDraft>>({});
+  const [auditEntries, setAuditEntries] = useState<Record<string, AuditEntry[]>>({});
+  const [gradeReviewBusy, setGradeReviewBusy] = useState(false);
+
+  // Find out who is signed in; everything else is loaded per user
+  useEffect(() => {
+    fetch('/api/auth/me')
+      .then(response => response.json())
+      .then(result => setUser(result.ok ? result.result.user : null))
+      .catch(error => console.error('Failed to load sign-in:', error))
+      .finally(() => setAuthChecked(true));
+  }, []);
+
+  // Load the user's session from localStorage once signed in
   useEffect(() => {
-    const saved = localStorage.getItem('testTrainerSession');
+    if (!user) return;
+
+    const saved = localStorage.getItem(sessionStorageKey(user.id));
     if (saved) {
       try {
         const data = JSON.parse(saved);
@@ -167,6 +600,19 @@ export default function TestTrainer() {
         setSelectedFramework(data.selectedFramework || 'vanilla');
         setShowResults(data.showResults || false);
         setCanProceed(data.canProceed || false);
+        setTimeSpent(data.timeSpent || {});
+        setExamEndsAt(data.examEndsAt ?? null);
+        if (data.interviewId) {
+          fetch(`/api/interview?id=${encodeURIComponent(data.interviewId)}`)
+            .then(response => response.json())
+            .then(result => {
+              if (result.ok) {
+                setInterview(result.result.interview);
+                setInterviewMode(true);
+              }
+            })
+            .catch(error => console.error('Failed to restore interview:', error));
+        }
       } catch (e) {
         console.error('Failed to load session:', e);
       }
@@ -174,12 +620,13 @@ export default function TestTrainer() {
     
     // Load progress stats
     loadProgressStats();
-  }, []);
+    loadReviewQueue();
+  }, [user]);
 
   // Load progress statistics
   const loadProgressStats = async () => {
     try {
-      const response = await fetch('/api/progress?userId=default&timeframe=week');
+      const response = await fetch('/api/progress?timeframe=week');
       const result = await response.json();
       if (result.ok && result.result) {
         setProgressStats(result.result);
@@ -189,6 +636,19 @@ export default function TestTrainer() {
     }
   };
 
+  // Load the questions due for spaced-repetition review
+  const loadReviewQueue = async () => {
+    try {
+      const response = await fetch('/api/review');
+      const result = await response.json();
+      if (result.ok && result.result) {
+        setReviewQueue(result.result);
+      }
+    } catch (error) {
+      console.error('Failed to load review queue:', error);
+    }
+  };
+
   // Save session to localStorage
   const saveSession = (data: { 
     currentTest?: TestResponse; 
@@ -203,11 +663,85 @@ export default function TestTrainer() {
       selectedTopics,
       selectedFramework,
       showResults,
-      canProceed
+      canProceed,
+      // Kept so a reload does not restart the exam clock
+      timeSpent: timeSpentRef.current,
+      examEndsAt: examEndsAtRef.current,
+      interviewId: interviewRef.current?.id ?? null
     };
-    localStorage.setItem('testTrainerSession', JSON.stringify(sessionData));
+    if (user) {
+      localStorage.setItem(sessionStorageKey(user.id), JSON.stringify(sessionData));
+    }
   };
 
+  const questionLimitMs = examEndsAt !== null && questionLimitSeconds > 0 ? questionLimitSeconds * 1000 : Infinity;
+
+  // Time on a question so far, including the stretch still running
+  const timeOn = (questionId: number, at = clock) =>
+    Math.min(
+      (timeSpent[questionId] || 0) + (activeQuestion?.id === questionId ? Math.max(0, at - activeQuestion.since) : 0),
+      questionLimitMs
+    );
+
+  const isQuestionLocked = (questionId: number) => timeOn(questionId) >= questionLimitMs;
+
+  // Bank the running question's time; returns the updated totals
+  const stopQuestionClock = (at = Date.now()) => {
+    if (!activeQuestion) return timeSpentRef.current;
+    const totals = { ...timeSpentRef.current, [activeQuestion.id]: timeOn(activeQuestion.id, at) };
+    timeSpentRef.current = totals;
+    setTimeSpent(totals);
+    setActiveQuestion(null);
+    return totals;
+  };
+
+  // The clock follows focus: working on a question stops the previous one's clock
+  const focusQuestion = (questionId: number) => {
+    if (gradeResult || activeQuestion?.id === questionId || isQuestionLocked(questionId)) return;
+    const now = Date.now();
+    stopQuestionClock(now);
+    setActiveQuestion({ id: questionId, since: now });
+    setClock(now);
+  };
+
+  // Fresh timings for a new test; the countdown only runs in exam mode
+  const startTiming = () => {
+    const now = Date.now();
+    const endsAt = examMode ? now + examMinutes * 60000 : null;
+    timeSpentRef.current = {};
+    examEndsAtRef.current = endsAt;
+    setTimeSpent({});
+    setActiveQuestion(null);
+    setExamEndsAt(endsAt);
+    setClock(now);
+  };
+
+  // Tick once a second while a countdown or question clock runs
+  useEffect(() => {
+    if (examEndsAt === null && !activeQuestion) return;
+    const timer = setInterval(() => setClock(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [examEndsAt, activeQuestion]);
+
+  // Time away from the window is not time on a question; refocusing the answer resumes it
+  useEffect(() => {
+    if (!activeQuestion) return;
+    const pause = () => stopQuestionClock();
+    window.addEventListener('blur', pause);
+    return () => window.removeEventListener('blur', pause);
+  });
+
+  // Enforce the limits after each render (the tick renders once a second): lock a
+  // question at its limit, submit when time is up
+  useEffect(() => {
+    if (activeQuestion && timeOn(activeQuestion.id) >= questionLimitMs) {
+      stopQuestionClock();
+    }
+    if (examEndsAt !== null && clock >= examEndsAt && currentTest && !gradeResult && !isLoading && !streamProgress) {
+      submitAnswers();
+    }
+  });
+
   // Continue to next test with focus topics
   const continueWithFocusTopics = async () => {
     if (!gradeResult) return;
@@ -233,45 +767,83 @@ export default function TestTrainer() {
     setIsLoading(true);
     setGradeResult(null);
     setExplanations({});
+    setFollowUps({});
+    setFollowUpDrafts({});
+    setDisputeDrafts({});
     setAnswers({});
     setShowResults(false);
     setCanProceed(false);
     
+    const numQuestions = 20;
+    setCurrentTest(null);
+    setStreamProgress({ received: 0, total: numQuestions });
+    setActiveQuestion(null);
+    setExamEndsAt(null);
+    
     try {
-      const response = await fetch('/api/generate', {
+      const response = await fetch('/api/generate/stream', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           topics: focusTopics.length > 0 ? focusTopics : selectedTopics,
-          numQuestions: 20,
+          numQuestions,
           difficulty: currentDifficulty,
           framework: selectedFramework,
           focusTopics
         })
       });
 
-      const result = await response.json();
-      setLastResponse(result);
+      if (!response.ok || !response.body) {
+        throw new Error(`HTTP ${response.status}`);
+      }
 
-      if (result.ok) {
-        setCurrentTest(result);
+      // Show each question as soon as it arrives; the complete event carries the final test
+      const outcome: { result?: TestResponse; error?: string } = {};
+      await readEventStream<GenerateStreamEvent>(response.body, (message) => {
+        if (message.event === 'question') {
+          const { question, index, total } = message.data;
+          setStreamProgress({ received: index, total });
+          // The clock starts with the first question, which can be answered right away
+          if (index === 1) startTiming();
+          setCurrentTest(prev => ({
+            ok: true,
+            result: {
+              questions: [...(prev?.result.questions ?? []), question],
+              totalPoints: 100
+            }
+          }));
+        } else if (message.event === 'complete') {
+          outcome.result = message.data;
+        } else if (message.event === 'error') {
+          outcome.error = message.data.error;
+        }
+      });
+
+      const result = outcome.result ?? { ok: false, error: outcome.error ?? 'Stream ended unexpectedly' };
+      setLastResponse(result as TestResponse);
+
+      if (result.ok && outcome.result) {
+        setCurrentTest(outcome.result);
         const newAttempt = focusTopics.length > 0 ? currentAttempt + 1 : 1;
         setCurrentAttempt(newAttempt);
         
         saveSession({
-          currentTest: result,
-          answers: {},
+          currentTest: outcome.result,
+          answers: answersRef.current,
           currentAttempt: newAttempt,
           autoRegenerate,
           maxAttempts
         });
       } else {
+        setCurrentTest(null);
         alert(`Failed to generate test: ${result.error}`);
       }
     } catch (error) {
       console.error('Generate test error:', error);
+      setCurrentTest(null);
       alert('Failed to generate test. Please check your API key and try again.');
     } finally {
+      setStreamProgress(null);
       setIsLoading(false);
     }
   };
@@ -279,9 +851,25 @@ export default function TestTrainer() {
   // Submit answers for grading
   const submitAnswers = async () => {
     if (!currentTest) return;
-    
+
+    // Stop the clocks; the exam is over whether grading succeeds or not
+    const times = stopQuestionClock();
+    const timeLimit = examEndsAt !== null && questionLimitSeconds > 0 ? questionLimitSeconds : undefined;
+    examEndsAtRef.current = null;
+    setExamEndsAt(null);
+    saveSession({
+      currentTest,
+      answers,
+      currentAttempt,
+      autoRegenerate,
+      maxAttempts
+    });
+
     setIsLoading(true);
     setExplanations({});
+    setFollowUps({});
+    setFollowUpDrafts({});
+    setDisputeDrafts({});
     
     try {
       const response = await fetch('/api/grade', {
@@ -289,7 +877,8 @@ export default function TestTrainer() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           test: currentTest,
-          answers
+          answers,
+          samples: gradingSamples
         })
       });
 
@@ -301,7 +890,10 @@ export default function TestTrainer() {
         setShowResults(true);
         
         // Track progress for adaptive learning
-        await trackProgressData(result.result.results);
+        await trackProgressData(result.result.results, times, timeLimit, result.result.gradeId);
+
+        // Missed questions come back on the review schedule
+        await scheduleReviews(result.result.results);
         
         // Check if we achieved target score
         const scorePercent = result.result.totalScorePercent ?? result.result.overallScore ?? 0;
@@ -328,14 +920,22 @@ export default function TestTrainer() {
   };
 
   // Track progress data for adaptive learning
-  const trackProgressData = async (results: GradeResult[]) => {
+  const trackProgressData = async (results: GradeResult[], times: Record<number, number> = {}, timeLimit?: number, gradeId?: string) => {
     
     try {
-      const testResults = results.map(result => ({
-        correct: result.correct,
-        category: deriveCategory(currentTest?.result.questions.find(q => q.id === result.id)?.prompt || ''),
-        score: result.score ?? 0
-      }));
+      const testResults = results.map(result => {
+        const question = currentTest?.result.questions.find(q => q.id === result.id);
+        return {
+          questionId: String(result.id),
+          correct: result.correct,
+          category: deriveCategory(question?.prompt || ''),
+          type: question?.type,
+          score: result.score ?? 0,
+          // Seconds; the adaptive agent reads slow correct answers and fast wrong ones
+          timeSpent: times[result.id] ? Math.round(times[result.id] / 1000) : undefined,
+          timeLimit
+        };
+      });
 
       const response = await fetch('/api/progress', {
         method: 'POST',
@@ -344,7 +944,8 @@ export default function TestTrainer() {
           testResults,
           currentDifficulty,
           subject: 'web-development',
-          userId: 'default'
+          // Lets a reviewer's override of this grade reach the progress stats
+          gradeId
         })
       });
 
@@ -359,7 +960,420 @@ export default function TestTrainer() {
         await loadProgressStats();
       }
     } catch (error) {
-      console.error('Failed to track progress:', error);
+      console.error('Failed to track progress:', error);
+    }
+  };
+
+  // Add missed and partially correct questions to the review schedule
+  const scheduleReviews = async (results: GradeResult[]) => {
+    if (!currentTest || results.every(result => result.score >= result.max)) return;
+
+    try {
+      const response = await fetch('/api/review/schedule', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          questions: currentTest.result.questions,
+          results
+        })
+      });
+
+      const result = await response.json();
+      if (result.ok) {
+        await loadReviewQueue();
+      }
+    } catch (error) {
+      console.error('Failed to schedule reviews:', error);
+    }
+  };
+
+  // Grade the review answers; each card is rescheduled from its new score
+  const submitReview = async () => {
+    const answered = Object.fromEntries(
+      Object.entries(reviewAnswers).filter(([cardId, answer]) => answer.trim() && !reviewOutcomes[cardId])
+    );
+    if (Object.keys(answered).length === 0) return;
+
+    setIsLoading(true);
+
+    try {
+      const response = await fetch('/api/review', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          answers: answered
+        })
+      });
+
+      const result = await response.json();
+      if (result.ok) {
+        const outcomes = { ...reviewOutcomes };
+        for (const outcome of result.result.results as ReviewOutcome[]) {
+          outcomes[outcome.cardId] = outcome;
+        }
+        setReviewOutcomes(outcomes);
+      } else {
+        alert(`Failed to grade review: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('Submit review error:', error);
+      alert('Failed to grade review. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const startReview = () => {
+    setReviewAnswers({});
+    setReviewOutcomes({});
+    setReviewMode(true);
+  };
+
+  const finishReview = async () => {
+    setReviewMode(false);
+    setReviewAnswers({});
+    setReviewOutcomes({});
+    await loadReviewQueue();
+  };
+
+  // Keep the open interview in the saved session, so a reload returns to it
+  const rememberInterview = (next: Interview | null) => {
+    setInterview(next);
+    if (!user) return;
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(sessionStorageKey(user.id)) || '{}');
+    } catch (e) {
+      console.error('Failed to read session:', e);
+    }
+    localStorage.setItem(sessionStorageKey(user.id), JSON.stringify({ ...saved, interviewId: next?.id ?? null }));
+  };
+
+  const loadInterviews = async () => {
+    try {
+      const response = await fetch('/api/interview');
+      const result = await response.json();
+      if (result.ok) {
+        setInterviewHistory(result.result.interviews);
+      }
+    } catch (error) {
+      console.error('Failed to load interviews:', error);
+    }
+  };
+
+  const openInterview = async (interviewId: string) => {
+    try {
+      const response = await fetch(`/api/interview?id=${encodeURIComponent(interviewId)}`);
+      const result = await response.json();
+      if (result.ok) {
+        rememberInterview(result.result.interview);
+        setInterviewMode(true);
+      } else {
+        rememberInterview(null);
+      }
+    } catch (error) {
+      console.error('Failed to open interview:', error);
+    }
+  };
+
+  const showInterviews = async () => {
+    setInterviewMode(true);
+    await loadInterviews();
+  };
+
+  const startInterview = async () => {
+    setInterviewBusy(true);
+    try {
+      const response = await fetch('/api/interview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          topic: interviewTopic,
+          difficulty: currentDifficulty,
+          maxFollowUps: interviewFollowUps
+        })
+      });
+
+      const result = await response.json();
+      if (result.ok) {
+        setInterviewAnswer('');
+        rememberInterview(result.result.interview);
+      } else {
+        alert(`Failed to start interview: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('Start interview error:', error);
+      alert('Failed to start interview. Please try again.');
+    } finally {
+      setInterviewBusy(false);
+    }
+  };
+
+  // Send the answer; the interviewer replies with a follow-up or the final score
+  const sendInterviewAnswer = async (end = false) => {
+    if (!interview || (!interviewAnswer.trim() && !end)) return;
+    setInterviewBusy(true);
+    try {
+      const response = await fetch('/api/interview/answer', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          interviewId: interview.id,
+          answer: interviewAnswer,
+          end
+        })
+      });
+
+      const result = await response.json();
+      if (result.ok) {
+        setInterviewAnswer('');
+        rememberInterview(result.result.interview);
+        if (result.result.interview.status === 'completed') {
+          await loadInterviews();
+        }
+      } else {
+        alert(`Interviewer could not reply: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('Interview answer error:', error);
+      alert('Failed to send your answer. Please try again.');
+    } finally {
+      setInterviewBusy(false);
+    }
+  };
+
+  const leaveInterview = async () => {
+    rememberInterview(null);
+    setInterviewAnswer('');
+    await loadInterviews();
+  };
+
+  const closeInterviews = () => {
+    setInterviewMode(false);
+    rememberInterview(null);
+    setInterviewAnswer('');
+  };
+
+  // Ask a reviewer to check one of this test's grades
+  const disputeGrade = async (questionId: number) => {
+    const reason = (disputeDrafts[questionId] || '').trim();
+    if (!gradeResult?.gradeId || !reason) return;
+
+    setDisputeBusy(questionId);
+    try {
+      const response = await fetch('/api/grade/dispute', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ gradeId: gradeResult.gradeId, questionId, reason })
+      });
+
+      const result = await response.json();
+      if (result.ok) {
+        setGradeResult(prev => prev && {
+          ...prev,
+          results: prev.results.map(r => r.id === questionId ? { ...r, dispute: result.result.dispute } : r)
+        });
+        setDisputeDrafts(prev => omitKey(prev, questionId));
+      } else {
+        alert(`Failed to dispute the grade: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('Dispute grade error:', error);
+      alert('Failed to dispute the grade. Please try again.');
+    } finally {
+      setDisputeBusy(null);
+    }
+  };
+
+  const gradeReviewKey = (item: GradeReviewItem) => `${item.gradeId}:${item.questionId}`;
+
+  const loadGradeQueue = async (filters: GradeQueueFilters = gradeQueueFilters) => {
+    setGradeReviewBusy(true);
+    try {
+      const params = new URLSearchParams({ status: filters.status });
+      if (filters.lowConfidence) params.set('lowConfidence', 'true');
+      if (filters.disputed) params.set('disputed', 'true');
+      if (filters.category) params.set('category', filters.category);
+
+      const response = await fetch(`/api/grade/review?${params}`);
+      const result = await response.json();
+      if (result.ok) {
+        setGradeQueue(result.result);
+      } else {
+        alert(`Failed to load the grade review queue: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('Grade review queue error:', error);
+    } finally {
+      setGradeReviewBusy(false);
+    }
+  };
+
+  const changeGradeQueueFilters = (changes: Partial<GradeQueueFilters>) => {
+    const filters = { ...gradeQueueFilters, ...changes };
+    setGradeQueueFilters(filters);
+    loadGradeQueue(filters);
+  };
+
+  const showGradeReview = async () => {
+    setGradeReviewMode(true);
+    await loadGradeQueue();
+  };
+
+  const loadAuditTrail = async (item: GradeReviewItem) => {
+    try {
+      const params = new URLSearchParams({ gradeId: item.gradeId, questionId: String(item.questionId) });
+      const response = await fetch(`/api/grade/audit?${params}`);
+      const result = await response.json();
+      if (result.ok) {
+        setAuditEntries(prev => ({ ...prev, [gradeReviewKey(item)]: result.result.entries }));
+      }
+    } catch (error) {
+      console.error('Audit log error:', error);
+    }
+  };
+
+  const overrideGrade = async (item: GradeReviewItem) => {
+    const key = gradeReviewKey(item);
+    const draft = overrideDrafts[key];
+    if (!draft || !draft.reason.trim()) return;
+
+    setGradeReviewBusy(true);
+    try {
+      const response = await fetch('/api/grade/review', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          userId: item.userId,
+          gradeId: item.gradeId,
+          questionId: item.questionId,
+          score: Number(draft.score),
+          feedback: draft.feedback,
+          reason: draft.reason
+        })
+      });
+
+      const result = await response.json();
+      if (result.ok) {
+        setOverrideDrafts(prev => omitKey(prev, key));
+        if (auditEntries[key]) await loadAuditTrail(item);
+        await loadGradeQueue();
+      } else {
+        alert(`Failed to override the grade: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('Override grade error:', error);
+      alert('Failed to override the grade. Please try again.');
+    } finally {
+      setGradeReviewBusy(false);
+    }
+  };
+
+  // Load a hand-written Markdown or YAML quiz as the current test
+  const importQuiz = async (file: File) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/quiz/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: await file.text(), filename: file.name })
+      });
+      const data = await response.json();
+
+      if (!data.ok) {
+        const issues: string[] = data.issues ?? [data.error];
+        alert(`Could not import ${file.name}:\n\n${issues.join('\n')}`);
+        return;
+      }
+
+      const test: TestResponse = { ok: true, result: data.result };
+      startTiming();
+      setCurrentTest(test);
+      setLastResponse(test);
+      setAnswers({});
+      setGradeResult(null);
+      setExplanations({});
+      setFollowUps({});
+      setFollowUpDrafts({});
+      setDisputeDrafts({});
+      setShowResults(false);
+      setCanProceed(false);
+      setCurrentAttempt(1);
+      saveSession({
+        currentTest: test,
+        answers: {},
+        currentAttempt: 1,
+        autoRegenerate,
+        maxAttempts
+      });
+    } catch (error) {
+      console.error('Import quiz error:', error);
+      alert('Failed to import quiz. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Printable HTML report (opened for print / save as PDF) or CSV of the graded attempt
+  const downloadReport = async (format: 'html' | 'csv') => {
+    if (!currentTest || !gradeResult) return;
+
+    // Opened before the request so the browser still counts it as a click
+    const reportWindow = format === 'html' ? window.open('', '_blank') : null;
+    try {
+      const response = await fetch('/api/report', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ test: currentTest, grade: gradeResult, explanations, format })
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      if (reportWindow) {
+        reportWindow.location.href = url;
+      } else {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `test-results.${format}`;
+        link.click();
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      reportWindow?.close();
+      console.error('Results report error:', error);
+      alert('Failed to create the results report. Please try again.');
+    }
+  };
+
+  // Download the current test as a quiz file
+  const exportQuiz = async (format: 'markdown' | 'yaml') => {
+    if (!currentTest) return;
+
+    try {
+      const response = await fetch('/api/quiz/export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ test: currentTest, format })
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = format === 'markdown' ? 'quiz.md' : 'quiz.yaml';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Export quiz error:', error);
+      alert('Failed to export quiz. Please try again.');
     }
   };
 
@@ -407,6 +1421,52 @@ export default function TestTrainer() {
     setExplanations(newExplanations);
   };
 
+  // Ask the tutor about an explanation; the thread so far is sent with each message
+  const askFollowUp = async (questionId: number) => {
+    const message = (followUpDrafts[questionId] || '').trim();
+    const question = currentTest?.result.questions.find(q => q.id === questionId);
+    const result = gradeResult?.results.find(r => r.id === questionId);
+    if (!message || !question || !result) return;
+
+    const history = followUps[questionId] || [];
+    setFollowUps(prev => ({ ...prev, [questionId]: [...history, { role: 'user', content: message }] }));
+    setFollowUpDrafts(prev => ({ ...prev, [questionId]: '' }));
+    setFollowUpBusy(questionId);
+
+    try {
+      const response = await fetch('/api/explain/follow-up', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          question,
+          studentAnswer: answers[questionId] || '',
+          expectedAnswer: result.expected,
+          explanation: explanations[questionId],
+          history,
+          message,
+          difficulty: currentDifficulty
+        })
+      });
+
+      const data = await response.json();
+      if (!data.ok) {
+        throw new Error(data.error);
+      }
+      setFollowUps(prev => ({
+        ...prev,
+        [questionId]: [...(prev[questionId] || []), { role: 'assistant', content: data.result.reply }]
+      }));
+    } catch (error) {
+      console.error('Follow-up error:', error);
+      // Put the message back so it can be sent again
+      setFollowUps(prev => ({ ...prev, [questionId]: history }));
+      setFollowUpDrafts(prev => ({ ...prev, [questionId]: message }));
+      alert('The tutor could not answer. Please try again.');
+    } finally {
+      setFollowUpBusy(null);
+    }
+  };
+
   // Derive focus topics from missed questions
   const deriveFocusTopics = (results: GradeResult[]): string[] => {
     const focusTopics: string[] = [];
@@ -437,12 +1497,15 @@ export default function TestTrainer() {
     });
   };
 
-  // Reset session
-  const resetSession = () => {
+  // Clear the on-screen session; the saved copy stays for the next sign-in
+  const clearSessionState = () => {
     setCurrentTest(null);
     setAnswers({});
     setGradeResult(null);
     setExplanations({});
+    setFollowUps({});
+    setFollowUpDrafts({});
+    setDisputeDrafts({});
     setCurrentAttempt(0);
     setSessionComplete(false);
     setLastResponse(null);
@@ -452,14 +1515,58 @@ export default function TestTrainer() {
     setSelectedFramework('vanilla');
     setShowResults(false);
     setCanProceed(false);
-    localStorage.removeItem('testTrainerSession');
+    setReviewQueue(null);
+    setReviewMode(false);
+    setTimeSpent({});
+    setActiveQuestion(null);
+    setExamEndsAt(null);
+    setInterviewMode(false);
+    setInterview(null);
+    setInterviewHistory([]);
+    setInterviewAnswer('');
+    setGradeReviewMode(false);
+    setGradeQueue(null);
+    setOverrideDrafts({});
+    setAuditEntries({});
+  };
+
+  // Reset session
+  const resetSession = () => {
+    clearSessionState();
+    if (user) {
+      localStorage.removeItem(sessionStorageKey(user.id));
+    }
   };
 
+  const signOut = async () => {
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Sign-out error:', error);
+    }
+    clearSessionState();
+    setUser(null);
+  };
+
+  if (!authChecked) {
+    return <div className="min-h-screen bg-stone-100" />;
+  }
+
+  if (!user) {
+    return <SignIn onSignedIn={setUser} />;
+  }
+
   return (
     <div className="min-h-screen bg-stone-100 py-8">
       <div className="max-w-4xl mx-auto px-4">
         {/* Header */}
         <div className="text-center mb-8">
+          <div className="flex justify-end items-center gap-3 text-sm text-gray-600 mb-2">
+            <span>{user.email}</span>
+            <button onClick={signOut} className="text-blue-600 hover:underline">
+              Sign out
+            </button>
+          </div>
           <h1 className="text-3xl font-bold text-gray-900 mb-2">
             GPT Interview Test Trainer
           </h1>
@@ -723,6 +1830,84 @@ export default function TestTrainer() {
                 Refresh Progress
               </button>
             )}
+
+            {reviewQueue && reviewQueue.totalCards > 0 && (
+              <button
+                onClick={startReview}
+                disabled={isLoading || reviewMode || reviewQueue.dueCount === 0}
+                className="bg-amber-600 hover:bg-amber-700 disabled:bg-gray-400 text-white px-6 py-2 rounded-lg font-medium"
+                title={reviewQueue.dueCount === 0 && reviewQueue.nextDue ? `Next review on ${reviewQueue.nextDue}` : undefined}
+              >
+                Review due ({reviewQueue.dueCount})
+              </button>
+            )}
+
+            <button
+              onClick={showInterviews}
+              disabled={interviewMode}
+              className="bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white px-6 py-2 rounded-lg font-medium"
+            >
+              Mock Interview
+            </button>
+
+            {user.reviewer && (
+              <button
+                onClick={showGradeReview}
+                disabled={gradeReviewMode}
+                className="bg-rose-600 hover:bg-rose-700 disabled:bg-gray-400 text-white px-6 py-2 rounded-lg font-medium"
+              >
+                Grade Review
+              </button>
+            )}
+
+            <label className="bg-teal-600 hover:bg-teal-700 text-white px-6 py-2 rounded-lg font-medium cursor-pointer">
+              Import Quiz
+              <input
+                type="file"
+                accept=".md,.markdown,.yaml,.yml"
+                disabled={isLoading}
+                onChange={(e) => {
+                  const file = e.target.files?.[0];
+                  e.target.value = '';
+                  if (file) importQuiz(file);
+                }}
+                className="hidden"
+              />
+            </label>
+
+            {currentTest && !isLoading && (
+              <>
+                <button
+                  onClick={() => exportQuiz('markdown')}
+                  className="bg-teal-100 hover:bg-teal-200 text-teal-800 px-4 py-2 rounded-lg font-medium"
+                >
+                  Export Markdown
+                </button>
+                <button
+                  onClick={() => exportQuiz('yaml')}
+                  className="bg-teal-100 hover:bg-teal-200 text-teal-800 px-4 py-2 rounded-lg font-medium"
+                >
+                  Export YAML
+                </button>
+              </>
+            )}
+
+            {currentTest && gradeResult && !isLoading && (
+              <>
+                <button
+                  onClick={() => downloadReport('html')}
+                  className="bg-indigo-100 hover:bg-indigo-200 text-indigo-800 px-4 py-2 rounded-lg font-medium"
+                >
+                  Report (PDF)
+                </button>
+                <button
+                  onClick={() => downloadReport('csv')}
+                  className="bg-indigo-100 hover:bg-indigo-200 text-indigo-800 px-4 py-2 rounded-lg font-medium"
+                >
+                  Results CSV
+                </button>
+              </>
+            )}
           </div>
 
           {/* Session Settings */}
@@ -749,6 +1934,56 @@ export default function TestTrainer() {
               />
             </label>
 
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={examMode}
+                onChange={(e) => setExamMode(e.target.checked)}
+                className="w-4 h-4"
+              />
+              <span>Exam mode</span>
+            </label>
+
+            <label className="flex items-center gap-2" title="Grade written answers several times and flag scores the grades disagree on">
+              <span>Consistency check:</span>
+              <select
+                value={gradingSamples}
+                onChange={(e) => setGradingSamples(parseInt(e.target.value))}
+                className="px-2 py-1 border border-gray-300 rounded"
+              >
+                <option value={1}>Off</option>
+                <option value={3}>3 grades</option>
+                <option value={5}>5 grades</option>
+              </select>
+            </label>
+
+            {examMode && (
+              <>
+                <label className="flex items-center gap-2">
+                  <span>Time limit (min):</span>
+                  <input
+                    type="number"
+                    value={examMinutes}
+                    onChange={(e) => setExamMinutes(parseInt(e.target.value) || 30)}
+                    min="1"
+                    max="180"
+                    className="w-16 px-2 py-1 border border-gray-300 rounded"
+                  />
+                </label>
+                <label className="flex items-center gap-2" title="0 means no per-question limit">
+                  <span>Per question (sec):</span>
+                  <input
+                    type="number"
+                    value={questionLimitSeconds}
+                    onChange={(e) => setQuestionLimitSeconds(Math.max(0, parseInt(e.target.value) || 0))}
+                    min="0"
+                    max="1800"
+                    className="w-20 px-2 py-1 border border-gray-300 rounded"
+                  />
+                </label>
+              </>
+            )}
+
             <div className="text-sm text-gray-600">
               <strong>AI Agents Active:</strong> Test Generator • Code Checker • Learning Assistant • Adaptive Difficulty
               {progressStats && (
@@ -768,6 +2003,463 @@ export default function TestTrainer() {
           </div>
         </div>
 
+        {/* Spaced-Repetition Review */}
+        {reviewMode && reviewQueue && (
+          <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-xl font-bold">🔁 Review Due Questions</h2>
+              <span className="text-sm text-gray-600">
+                {reviewQueue.cards.length} of {reviewQueue.dueCount} due • {reviewQueue.totalCards} in your deck
+              </span>
+            </div>
+
+            {reviewQueue.cards.map((card, index) => {
+              const outcome = reviewOutcomes[card.id];
+
+              return (
+                <div key={card.id} className="mb-6 p-4 border border-gray-200 rounded-lg">
+                  <div className="flex justify-between items-start mb-3">
+                    <h3 className="font-semibold text-lg">Review {index + 1}</h3>
+                    <span className="text-sm text-gray-600">
+                      {card.lapses > 0 ? `Missed ${card.lapses}× • ` : ''}due {card.dueOn}
+                    </span>
+                  </div>
+                  <p className="mb-4">{card.question.prompt}</p>
+
+                  {card.question.type === 'mcq' && card.question.choices ? (
+                    <div className="space-y-2">
+                      {card.question.choices.map((choice, choiceIndex) => (
+                        <label key={choiceIndex} className="flex items-center gap-2">
+                          <input
+                            type="radio"
+                            name={`review-${card.id}`}
+                            value={choice}
+                            checked={reviewAnswers[card.id] === choice}
+                            disabled={!!outcome}
+                            onChange={(e) => setReviewAnswers({ ...reviewAnswers, [card.id]: e.target.value })}
+                            className="w-4 h-4"
+                          />
+                          <span>{choice}</span>
+                        </label>
+                      ))}
+                    </div>
+                  ) : (
+                    <textarea
+                      value={reviewAnswers[card.id] || ''}
+                      disabled={!!outcome}
+                      onChange={(e) => setReviewAnswers({ ...reviewAnswers, [card.id]: e.target.value })}
+                      placeholder="Enter your answer..."
+                      className="w-full p-3 border border-gray-300 rounded-lg resize-vertical"
+                      rows={4}
+                    />
+                  )}
+
+                  {outcome && (
+                    <div className={`mt-4 p-3 rounded-lg ${outcome.correct ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                      <div className="flex justify-between items-center">
+                        <span className="font-medium whitespace-pre-line">{outcome.feedback}</span>
+                        <span className="font-bold">{outcome.score}/{outcome.max}</span>
+                      </div>
+                      {!outcome.correct && (
+                        <p className="text-sm mt-1">Expected: {outcome.expected}</p>
+                      )}
+                      <p className="text-sm mt-1">Next review: {outcome.nextDue}</p>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+
+            <div className="flex flex-wrap gap-4">
+              <button
+                onClick={submitReview}
+                disabled={isLoading || reviewQueue.cards.every(card => reviewOutcomes[card.id])}
+                className="bg-amber-600 hover:bg-amber-700 disabled:bg-gray-400 text-white px-6 py-2 rounded-lg font-medium"
+              >
+                {isLoading ? 'Grading...' : 'Submit Review'}
+              </button>
+              <button
+                onClick={finishReview}
+                className="bg-gray-600 hover:bg-gray-700 text-white px-6 py-2 rounded-lg font-medium"
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Mock Interview */}
+        {interviewMode && (
+          <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-xl font-bold">🎤 Mock Interview</h2>
+              <button onClick={closeInterviews} className="text-sm text-gray-600 hover:underline">
+                Close
+              </button>
+            </div>
+
+            {!interview ? (
+              <>
+                <div className="flex flex-wrap items-end gap-4 mb-6">
+                  <label className="flex flex-col gap-1">
+                    <span className="text-sm font-medium">Topic</span>
+                    <input
+                      type="text"
+                      value={interviewTopic}
+                      onChange={(e) => setInterviewTopic(e.target.value)}
+                      className="px-3 py-2 border border-gray-300 rounded"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-sm font-medium">Follow-ups</span>
+                    <select
+                      value={interviewFollowUps}
+                      onChange={(e) => setInterviewFollowUps(Number(e.target.value))}
+                      className="px-3 py-2 border border-gray-300 rounded"
+                    >
+                      {[0, 1, 2, 3, 4, 5].map(count => (
+                        <option key={count} value={count}>{count}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <button
+                    onClick={startInterview}
+                    disabled={interviewBusy || !interviewTopic.trim()}
+                    className="bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white px-6 py-2 rounded-lg font-medium"
+                  >
+                    {interviewBusy ? 'Preparing a question...' : 'Start Interview'}
+                  </button>
+                </div>
+                <p className="text-sm text-gray-600 mb-4">
+                  The interviewer asks one {currentDifficulty}-level question, then follows up on what your answer leaves out. The whole conversation is scored at the end.
+                </p>
+
+                {interviewHistory.length > 0 && (
+                  <div>
+                    <h3 className="font-semibold mb-2">Past interviews</h3>
+                    <ul className="divide-y divide-gray-200">
+                      {interviewHistory.map(entry => (
+                        <li key={entry.id} className="py-2 flex justify-between items-center gap-4">
+                          <div>
+                            <p className="text-sm">{entry.prompt}</p>
+                            <p className="text-xs text-gray-500">
+                              {entry.topic} • {new Date(entry.startedAt).toLocaleString()}
+                              {entry.status === 'active' ? ' • in progress' : entry.percent !== null ? ` • ${entry.percent}%` : ''}
+                            </p>
+                          </div>
+                          <button
+                            onClick={() => openInterview(entry.id)}
+                            className="text-sm text-indigo-600 hover:underline whitespace-nowrap"
+                          >
+                            {entry.status === 'active' ? 'Continue' : 'Transcript'}
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </>
+            ) : (
+              <>
+                <p className="text-sm text-gray-600 mb-4">
+                  {interview.topic} • {interview.difficulty}
+                  {interview.status === 'active' && ` • follow-up ${interview.followUpsAsked} of ${interview.maxFollowUps}`}
+                </p>
+
+                <div className="space-y-3 mb-4">
+                  {interview.turns.map((entry, index) => (
+                    <div key={index} className={`flex ${entry.role === 'candidate' ? 'justify-end' : 'justify-start'}`}>
+                      <div className={`max-w-[80%] px-4 py-2 rounded-lg whitespace-pre-wrap ${
+                        entry.role === 'candidate' ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-900'
+                      }`}>
+                        {entry.content}
+                      </div>
+                    </div>
+                  ))}
+                  {interviewBusy && (
+                    <div className="flex justify-start">
+                      <div className="px-4 py-2 rounded-lg bg-gray-100 text-gray-500 italic">Interviewer is thinking...</div>
+                    </div>
+                  )}
+                </div>
+
+                {interview.status === 'active' ? (
+                  <div>
+                    <textarea
+                      value={interviewAnswer}
+                      onChange={(e) => setInterviewAnswer(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) sendInterviewAnswer();
+                      }}
+                      disabled={interviewBusy}
+                      placeholder="Answer as you would out loud... (Ctrl+Enter to send)"
+                      className="w-full p-3 border border-gray-300 rounded-lg resize-vertical mb-3"
+                      rows={4}
+                    />
+                    <div className="flex flex-wrap gap-4">
+                      <button
+                        onClick={() => sendInterviewAnswer()}
+                        disabled={interviewBusy || !interviewAnswer.trim()}
+                        className="bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white px-6 py-2 rounded-lg font-medium"
+                      >
+                        Send
+                      </button>
+                      <button
+                        onClick={() => sendInterviewAnswer(true)}
+                        disabled={interviewBusy}
+                        className="bg-gray-600 hover:bg-gray-700 disabled:bg-gray-400 text-white px-6 py-2 rounded-lg font-medium"
+                        title="Send this answer, if any, and get scored without more follow-ups"
+                      >
+                        End &amp; Score
+                      </button>
+                    </div>
+                  </div>
+                ) : interview.result && (
+                  <div className="border-t border-gray-200 pt-4">
+                    <div className="flex justify-between items-center mb-3">
+                      <h3 className="font-semibold text-lg">Interview score</h3>
+                      <span className={`text-2xl font-bold ${
+                        interview.result.percent >= 75 ? 'text-green-600' : interview.result.percent >= 50 ? 'text-yellow-600' : 'text-red-600'
+                      }`}>
+                        {interview.result.percent}%
+                      </span>
+                    </div>
+
+                    <table className="w-full text-sm mb-4">
+                      <tbody>
+                        {interview.result.criteria.map(entry => (
+                          <tr key={entry.criterion} className="border-b border-gray-100 align-top">
+                            <td className="py-2 pr-4">
+                              <p className="font-medium">{entry.description}</p>
+                              {entry.comment && <p className="text-gray-600">{entry.comment}</p>}
+                            </td>
+                            <td className="py-2 text-right font-bold whitespace-nowrap">{entry.score}/{entry.max}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+
+                    {interview.result.keyPoints.length > 0 && (
+                      <div className="mb-4">
+                        <h4 className="font-medium mb-1">Key points</h4>
+                        <ul className="text-sm space-y-1">
+                          {interview.result.keyPoints.map((entry, index) => (
+                            <li key={index}>{entry.covered ? '✅' : '❌'} {entry.point}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+
+                    <div className="grid md:grid-cols-2 gap-4 mb-4 text-sm">
+                      {interview.result.strengths.length > 0 && (
+                        <div className="bg-green-50 p-3 rounded">
+                          <h4 className="font-medium text-green-800 mb-1">Strengths</h4>
+                          <ul className="list-disc list-inside text-green-700">
+                            {interview.result.strengths.map((item, index) => <li key={index}>{item}</li>)}
+                          </ul>
+                        </div>
+                      )}
+                      {interview.result.improvements.length > 0 && (
+                        <div className="bg-amber-50 p-3 rounded">
+                          <h4 className="font-medium text-amber-800 mb-1">To improve</h4>
+                          <ul className="list-disc list-inside text-amber-700">
+                            {interview.result.improvements.map((item, index) => <li key={index}>{item}</li>)}
+                          </ul>
+                        </div>
+                      )}
+                    </div>
+
+                    {interview.question.referenceAnswer && (
+                      <p className="text-sm text-gray-700 mb-4">
+                        <span className="font-medium">A strong answer: </span>{interview.question.referenceAnswer}
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                <button
+                  onClick={leaveInterview}
+                  disabled={interviewBusy}
+                  className="mt-4 text-sm text-indigo-600 hover:underline"
+                >
+                  {interview.status === 'active' ? 'Pause and see all interviews' : 'Start another interview'}
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Grade Review (reviewers) */}
+        {gradeReviewMode && (
+          <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-xl font-bold">🧑‍🏫 Grade Review</h2>
+              <button onClick={() => setGradeReviewMode(false)} className="text-sm text-gray-600 hover:underline">
+                Close
+              </button>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-4 mb-4 text-sm">
+              <select
+                value={gradeQueueFilters.status}
+                onChange={(e) => changeGradeQueueFilters({ status: e.target.value as GradeQueueFilters['status'] })}
+                className="px-2 py-1 border border-gray-300 rounded"
+              >
+                <option value="pending">Not reviewed</option>
+                <option value="reviewed">Overridden</option>
+                <option value="all">All</option>
+              </select>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={gradeQueueFilters.lowConfidence}
+                  onChange={(e) => changeGradeQueueFilters({ lowConfidence: e.target.checked })}
+                  className="w-4 h-4"
+                />
+                <span>Low confidence</span>
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={gradeQueueFilters.disputed}
+                  onChange={(e) => changeGradeQueueFilters({ disputed: e.target.checked })}
+                  className="w-4 h-4"
+                />
+                <span>Disputed</span>
+              </label>
+              <select
+                value={gradeQueueFilters.category}
+                onChange={(e) => changeGradeQueueFilters({ category: e.target.value })}
+                className="px-2 py-1 border border-gray-300 rounded"
+              >
+                <option value="">All categories</option>
+                {gradeQueue?.categories.map(category => (
+                  <option key={category} value={category}>{category}</option>
+                ))}
+              </select>
+              {gradeQueue && (
+                <span className="text-gray-600">
+                  {gradeQueue.total} answers • {gradeQueue.disputedCount} disputed • {gradeQueue.lowConfidenceCount} low confidence
+                </span>
+              )}
+            </div>
+
+            {gradeQueue && gradeQueue.items.length === 0 && (
+              <p className="text-sm text-gray-600">Nothing matches these filters.</p>
+            )}
+
+            {gradeQueue?.items.map(item => {
+              const key = gradeReviewKey(item);
+              const draft = overrideDrafts[key];
+              const trail = auditEntries[key];
+
+              return (
+                <div key={key} className="mb-4 p-4 border border-gray-200 rounded-lg">
+                  <div className="flex justify-between items-start mb-2 gap-4">
+                    <p className="font-medium">{item.question.prompt || `Question ${item.questionId}`}</p>
+                    <span className="font-bold whitespace-nowrap">{item.score}/{item.max}</span>
+                  </div>
+                  <p className="text-xs text-gray-500 mb-2">
+                    {item.category || 'uncategorized'} • graded {new Date(item.gradedAt).toLocaleString()} by {item.gradedBy || 'model'}
+                    {item.confidence !== null && ` • confidence ${Math.round(item.confidence * 100)}%`}
+                    {item.sampling && ` (grades: ${item.sampling.scores.join(', ')})`}
+                  </p>
+                  <p className="text-sm mb-1"><strong>Answer:</strong> <span className="whitespace-pre-wrap">{item.studentAnswer || '(blank)'}</span></p>
+                  <p className="text-sm mb-1"><strong>Expected:</strong> {item.expected}</p>
+                  <p className="text-sm mb-2"><strong>Feedback:</strong> <span className="whitespace-pre-line">{item.feedback}</span></p>
+
+                  {item.dispute && (
+                    <p className="text-sm mb-2 text-orange-700">
+                      🙋 Learner dispute{item.dispute.resolvedAt ? ' (resolved)' : ''}: &ldquo;{item.dispute.reason}&rdquo;
+                    </p>
+                  )}
+                  {item.review && (
+                    <p className="text-sm mb-2 text-gray-700">
+                      ✏️ Overridden by {item.review.by.email || item.review.by.id} on {new Date(item.review.at).toLocaleString()} - was {item.review.original.score}/{item.max}. Reason: {item.review.reason}
+                    </p>
+                  )}
+
+                  {draft ? (
+                    <div className="flex flex-col gap-2 mt-2">
+                      <label className="flex items-center gap-2 text-sm">
+                        <span>Score (0-{item.max}):</span>
+                        <input
+                          type="number"
+                          value={draft.score}
+                          onChange={(e) => setOverrideDrafts({ ...overrideDrafts, [key]: { ...draft, score: e.target.value } })}
+                          min="0"
+                          max={item.max}
+                          className="w-20 px-2 py-1 border border-gray-300 rounded"
+                        />
+                      </label>
+                      <textarea
+                        value={draft.feedback}
+                        onChange={(e) => setOverrideDrafts({ ...overrideDrafts, [key]: { ...draft, feedback: e.target.value } })}
+                        placeholder="Feedback for the learner"
+                        className="w-full p-2 border border-gray-300 rounded text-sm"
+                        rows={3}
+                      />
+                      <input
+                        type="text"
+                        value={draft.reason}
+                        onChange={(e) => setOverrideDrafts({ ...overrideDrafts, [key]: { ...draft, reason: e.target.value } })}
+                        placeholder="Reason for the change (recorded in the audit log)"
+                        maxLength={1000}
+                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                      />
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => overrideGrade(item)}
+                          disabled={gradeReviewBusy || !draft.reason.trim() || draft.score === ''}
+                          className="bg-rose-600 hover:bg-rose-700 disabled:bg-gray-400 text-white px-4 py-1 rounded text-sm"
+                        >
+                          Save override
+                        </button>
+                        <button
+                          onClick={() => setOverrideDrafts(prev => omitKey(prev, key))}
+                          className="text-sm text-gray-600 hover:underline"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="flex gap-4 mt-2 text-sm">
+                      <button
+                        onClick={() => setOverrideDrafts({
+                          ...overrideDrafts,
+                          [key]: { score: String(item.score), feedback: item.feedback, reason: '' }
+                        })}
+                        className="text-rose-700 hover:underline"
+                      >
+                        Override grade
+                      </button>
+                      <button onClick={() => loadAuditTrail(item)} className="text-gray-600 hover:underline">
+                        {trail ? 'Refresh history' : 'Show history'}
+                      </button>
+                    </div>
+                  )}
+
+                  {trail && (
+                    <ul className="mt-2 text-xs text-gray-600 space-y-1">
+                      {trail.length === 0 && <li>No disputes or overrides yet.</li>}
+                      {trail.map(entry => (
+                        <li key={entry.id}>
+                          {new Date(entry.at).toLocaleString()} - {entry.actor.email || entry.actor.id} ({entry.actor.role}){' '}
+                          {entry.action === 'override' && entry.before && entry.after
+                            ? `changed ${entry.before.score} → ${entry.after.score}`
+                            : 'disputed the grade'}
+                          : {entry.reason}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
         {/* Success Modal */}
         {sessionComplete && gradeResult && (
           <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-6 rounded-lg mb-6">
@@ -800,16 +2492,51 @@ export default function TestTrainer() {
         {currentTest && currentTest.result && (
           <div className="bg-white rounded-lg shadow-md p-6 mb-6">
             <h2 className="text-xl font-bold mb-4">Test Questions</h2>
+
+            {examEndsAt !== null && !gradeResult && (
+              <div className={`sticky top-0 z-10 mb-4 p-3 rounded-lg text-center font-semibold ${examEndsAt - clock < 60000 ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-800'}`}>
+                ⏱️ {formatDuration(examEndsAt - clock)} left. Answers are submitted when time runs out.
+              </div>
+            )}
+            
+            {streamProgress && (
+              <div className="mb-4">
+                <p className="text-sm text-gray-600 mb-1">
+                  Receiving questions... {streamProgress.received}/{streamProgress.total} (you can start answering)
+                </p>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div
+                    className="bg-blue-600 h-2 rounded-full transition-all"
+                    style={{ width: `${(streamProgress.received / streamProgress.total) * 100}%` }}
+                  />
+                </div>
+              </div>
+            )}
             
             {currentTest.result.questions.map((question) => {
               const result = gradeResult?.results.find(r => r.id === question.id);
               const explanation = explanations[question.id];
+              const spent = timeOn(question.id);
+              const locked = !gradeResult && isQuestionLocked(question.id);
               
               return (
-                <div key={question.id} className="mb-6 p-4 border border-gray-200 rounded-lg">
+                <div
+                  key={question.id}
+                  onFocus={() => focusQuestion(question.id)}
+                  className={`mb-6 p-4 border rounded-lg ${activeQuestion?.id === question.id ? 'border-blue-300' : 'border-gray-200'}`}
+                >
                   <div className="flex justify-between items-start mb-3">
                     <h3 className="font-semibold text-lg">Question {question.id}</h3>
-                    <span className="text-sm text-gray-600">{question.points} points</span>
+                    <span className="text-sm text-gray-600">
+                      {locked ? (
+                        <span className="text-red-600 font-medium">Time&apos;s up · </span>
+                      ) : questionLimitMs !== Infinity && !gradeResult ? (
+                        <span>⏱️ {formatDuration(questionLimitMs - spent)} left · </span>
+                      ) : spent > 0 ? (
+                        <span>⏱️ {formatDuration(spent)} · </span>
+                      ) : null}
+                      {question.points} points
+                    </span>
                   </div>
                   
                   <p className="mb-4">{question.prompt}</p>
@@ -824,6 +2551,7 @@ export default function TestTrainer() {
                             value={choice}
                             checked={answers[question.id] === choice}
                             onChange={(e) => handleAnswerChange(question.id, e.target.value)}
+                            disabled={locked}
                             className="w-4 h-4"
                           />
                           <span>{choice}</span>
@@ -834,6 +2562,7 @@ export default function TestTrainer() {
                     <textarea
                       value={answers[question.id] || ''}
                       onChange={(e) => handleAnswerChange(question.id, e.target.value)}
+                      disabled={locked}
                       placeholder="Enter your answer..."
                       className="w-full p-3 border border-gray-300 rounded-lg resize-vertical"
                       rows={4}
@@ -844,12 +2573,62 @@ export default function TestTrainer() {
                   {result && (
                     <div className={`mt-4 p-3 rounded-lg ${result.correct ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
                       <div className="flex justify-between items-center">
-                        <span className="font-medium">{result.feedback}</span>
+                        <span className="font-medium whitespace-pre-line">{result.feedback}</span>
                         <span className="font-bold">{result.score}/{result.max}</span>
                       </div>
                       {!result.correct && (
                         <p className="text-sm mt-1">Expected: {result.expected}</p>
                       )}
+                      {result.sampling && (
+                        <p className="text-sm mt-1" title={`Scores: ${result.sampling.scores.join(', ')} (std dev ${result.sampling.stdDev})`}>
+                          Confidence: {Math.round((result.confidence ?? 0) * 100)}% across {result.sampling.scores.length} grades
+                        </p>
+                      )}
+                      {result.needsReview && (
+                        <p className="text-sm mt-1 font-medium text-orange-700">
+                          ⚠️ Needs review - the grades ranged from {Math.min(...(result.sampling?.scores ?? [result.score]))} to {Math.max(...(result.sampling?.scores ?? [result.score]))} points, so treat this score as provisional
+                        </p>
+                      )}
+                      {gradeResult?.gradeId && (
+                        result.dispute ? (
+                          <p className="text-sm mt-2 text-gray-700">
+                            🙋 Disputed: &ldquo;{result.dispute.reason}&rdquo; - a mentor will review this grade.
+                          </p>
+                        ) : disputeDrafts[question.id] !== undefined ? (
+                          <div className="mt-2 flex flex-col gap-2">
+                            <textarea
+                              value={disputeDrafts[question.id]}
+                              onChange={(e) => setDisputeDrafts({ ...disputeDrafts, [question.id]: e.target.value })}
+                              placeholder="Why do you think this grade is wrong?"
+                              maxLength={1000}
+                              className="w-full p-2 border border-gray-300 rounded text-gray-800 text-sm"
+                              rows={2}
+                            />
+                            <div className="flex gap-2">
+                              <button
+                                onClick={() => disputeGrade(question.id)}
+                                disabled={disputeBusy === question.id || !disputeDrafts[question.id].trim()}
+                                className="bg-gray-700 hover:bg-gray-800 disabled:bg-gray-400 text-white px-3 py-1 rounded text-sm"
+                              >
+                                {disputeBusy === question.id ? 'Sending...' : 'Send to a reviewer'}
+                              </button>
+                              <button
+                                onClick={() => setDisputeDrafts(prev => omitKey(prev, question.id))}
+                                className="text-sm text-gray-600 hover:underline"
+                              >
+                                Cancel
+                              </button>
+                            </div>
+                          </div>
+                        ) : (
+                          <button
+                            onClick={() => setDisputeDrafts({ ...disputeDrafts, [question.id]: '' })}
+                            className="text-sm mt-2 text-gray-700 hover:underline"
+                          >
+                            Dispute this grade
+                          </button>
+                        )
+                      )}
                     </div>
                   )}
                   
@@ -1019,6 +2798,44 @@ export default function TestTrainer() {
                           </div>
                         </div>
                       )}
+
+                      {/* Follow-up thread with the tutor */}
+                      <div className="mt-4 pt-3 border-t border-yellow-200">
+                        <p className="font-medium text-yellow-800 mb-2">💬 Ask a follow-up</p>
+                        {(followUps[question.id] || []).map((turn, idx) => (
+                          <div key={idx} className={`flex mb-2 ${turn.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+                            <div className={`max-w-[85%] px-3 py-2 rounded-lg text-sm whitespace-pre-wrap ${
+                              turn.role === 'user' ? 'bg-blue-600 text-white' : 'bg-white border border-yellow-200 text-gray-800'
+                            }`}>
+                              {turn.content}
+                            </div>
+                          </div>
+                        ))}
+                        {followUpBusy === question.id && (
+                          <p className="text-sm text-yellow-700 italic mb-2">Tutor is typing...</p>
+                        )}
+                        <div className="flex gap-2">
+                          <input
+                            type="text"
+                            value={followUpDrafts[question.id] || ''}
+                            onChange={(e) => setFollowUpDrafts(prev => ({ ...prev, [question.id]: e.target.value }))}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') askFollowUp(question.id);
+                            }}
+                            disabled={followUpBusy !== null}
+                            maxLength={2000}
+                            placeholder="Still unsure? Ask about this explanation..."
+                            className="flex-1 px-3 py-2 border border-yellow-300 rounded text-sm"
+                          />
+                          <button
+                            onClick={() => askFollowUp(question.id)}
+                            disabled={followUpBusy !== null || !(followUpDrafts[question.id] || '').trim()}
+                            className="bg-yellow-600 hover:bg-yellow-700 disabled:bg-gray-400 text-white px-4 py-2 rounded text-sm font-medium"
+                          >
+                            Ask
+                          </button>
+                        </div>
+                      </div>
                     </div>
                   )}
                 </div>
@@ -1032,7 +2849,7 @@ export default function TestTrainer() {
                 disabled={isLoading || Object.keys(answers).length === 0}
                 className="w-full bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white py-3 px-6 rounded-lg font-medium"
               >
-                {isLoading ? 'Grading...' : 'Submit Answers'}
+                {streamProgress ? 'Waiting for remaining questions...' : isLoading ? 'Grading...' : 'Submit Answers'}
               </button>
             )}
 
@@ -1049,6 +2866,16 @@ export default function TestTrainer() {
                       <strong>Your Score:</strong> {(gradeResult.totalScorePercent ?? gradeResult.overallScore ?? 0).toFixed(1)}% 
                       ({gradeResult.earnedPoints ?? 0}/{gradeResult.totalPoints ?? 100} points)
                     </p>
+                    {gradeResult.consistency && gradeResult.consistency.sampledQuestions > 0 && (
+                      <p className="text-sm text-gray-700 mb-4">
+                        <strong>Grading confidence:</strong> {Math.round((gradeResult.consistency.averageConfidence ?? 0) * 100)}% across {gradeResult.consistency.samples} grades per written answer
+                        {gradeResult.consistency.needsReview.length > 0 && (
+                          <span className="text-orange-700">
+                            {' '}- {gradeResult.consistency.needsReview.length} score{gradeResult.consistency.needsReview.length === 1 ? '' : 's'} flagged for review (question{gradeResult.consistency.needsReview.length === 1 ? '' : 's'} {gradeResult.consistency.needsReview.join(', ')})
+                          </span>
+                        )}
+                      </p>
+                    )}
                     
                     <div className="flex flex-col md:flex-row gap-3">
                       {/* Focus on weak areas */}
@@ -3,6 +3,67 @@
  * Provides interface between Next.js API routes and specialized AI agents
  */
 
+import { TOOL_NAMES } from "../../mcp-server/tools/definitions.js";
+
+// Reconnect backoff: 0.5s, 1s, 2s, ... capped at 30s
+const RESTART_BASE_DELAY_MS = 500;
+const RESTART_MAX_DELAY_MS = 30000;
+
+/**
+ * McpUnavailableError - The MCP server is down or restarting
+ * Thrown without waiting while the circuit breaker is open, and used to fail
+ * in-flight calls when the server exits
+ */
+export class McpUnavailableError extends Error {
+  constructor(message, retryAfterMs = 0) {
+    super(message);
+    this.name = "McpUnavailableError";
+    this.code = "MCP_UNAVAILABLE";
+    this.status = 503;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * McpCallAbortedError - The caller's AbortSignal fired before the tool answered
+ */
+export class McpCallAbortedError extends Error {
+  constructor(toolName) {
+    super(`MCP tool call aborted: ${toolName}`);
+    this.name = "AbortError";
+    this.code = "ABORTED";
+    this.status = 499;
+  }
+}
+
+// Stop waiting for a promise once the signal fires; the work itself carries on
+function abortable(promise, signal, toolName) {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new McpCallAbortedError(toolName));
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+// Keep coordinator errors typed so routes can map them to a status code
+function wrapToolError(prefix, error) {
+  if (
+    error instanceof McpUnavailableError ||
+    error instanceof McpCallAbortedError
+  ) {
+    return error;
+  }
+  const wrapped = new Error(`${prefix}: ${error.message}`);
+  // Tool errors such as INVALID_QUIZ carry a code and the issues behind it
+  if (error.code) wrapped.code = error.code;
+  if (error.issues) wrapped.issues = error.issues;
+  return wrapped;
+}
+
 export class AgentCoordinator {
   constructor() {
     this.mcpProcess = null;
@@ -10,6 +71,14 @@ export class AgentCoordinator {
     this.messageQueue = [];
     this.responseCallbacks = new Map();
     this.requestId = 0;
+    this.mcpClient = null;
+
+    // Supervision and circuit breaker state
+    this.connecting = null;
+    this.supervising = false;
+    this.restartTimer = null;
+    this.failureCount = 0;
+    this.retryAt = 0;
   }
 
   // Helper function to get the correct MCP API URL
@@ -38,9 +107,83 @@ export class AgentCoordinator {
       return true;
     }
 
+    this.assertAvailable();
+    return this.reconnect();
+  }
+
+  // Fail fast while the breaker is open instead of queueing behind a dead server
+  assertAvailable() {
+    const retryAfterMs = this.retryAt - Date.now();
+    if (!this.isConnected && retryAfterMs > 0) {
+      throw new McpUnavailableError(
+        `MCP server unavailable, retrying in ${Math.ceil(retryAfterMs / 1000)}s`,
+        retryAfterMs
+      );
+    }
+  }
+
+  // Single-flight connection attempt that feeds the circuit breaker
+  reconnect() {
+    if (!this.connecting) {
+      this.connecting = this.connect()
+        .then(
+          (connected) => {
+            this.recordSuccess();
+            return connected;
+          },
+          (error) => {
+            this.recordFailure();
+            throw error;
+          }
+        )
+        .finally(() => {
+          this.connecting = null;
+        });
+    }
+    return this.connecting;
+  }
+
+  recordSuccess() {
+    this.failureCount = 0;
+    this.retryAt = 0;
+  }
+
+  /**
+   * Open the breaker for the next backoff step and, for the stdio child,
+   * schedule the respawn
+   * @returns {number} Milliseconds until the next attempt
+   */
+  recordFailure() {
+    this.failureCount++;
+    const delay = Math.min(
+      RESTART_BASE_DELAY_MS * 2 ** (this.failureCount - 1),
+      RESTART_MAX_DELAY_MS
+    );
+    this.retryAt = Date.now() + delay;
+
+    if (this.supervising) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = setTimeout(() => {
+        this.restartTimer = null;
+        console.log("🔄 Restarting MCP server...");
+        this.reconnect().catch(() => {
+          // Logged by connect(); recordFailure() already scheduled the next try
+        });
+      }, delay);
+    }
+
+    return delay;
+  }
+
+  async connect() {
     try {
       console.log("🔌 Connecting to MCP server...");
 
+      // Shared long-lived MCP server over Streamable HTTP (node mcp-server/index.js --http)
+      if (process.env.MCP_SERVER_URL) {
+        return await this.connectHttpServer(process.env.MCP_SERVER_URL);
+      }
+
       // In Vercel, use HTTP API instead of child process
       if (process.env.VERCEL || process.env.VERCEL_ENV) {
         this.useHttpApi = true;
@@ -115,6 +258,7 @@ export class AgentCoordinator {
         env: { ...process.env },
         cwd: process.cwd(),
       });
+      this.supervising = true;
 
       // Set up communication handlers
       this.setupCommunication();
@@ -129,6 +273,9 @@ export class AgentCoordinator {
         );
         return true;
       } else {
+        this.stopChild(
+          new McpUnavailableError("MCP server did not finish starting")
+        );
         throw new Error("Failed to connect to MCP server within timeout");
       }
     } catch (error) {
@@ -137,11 +284,32 @@ export class AgentCoordinator {
     }
   }
 
+  async connectHttpServer(url) {
+    const { Client } =
+      await import("@modelcontextprotocol/sdk/client/index.js");
+    const { StreamableHTTPClientTransport } =
+      await import("@modelcontextprotocol/sdk/client/streamableHttp.js");
+
+    const client = new Client({ name: "GPT Test Trainer", version: "1.0.0" });
+    client.onclose = () => {
+      this.mcpClient = null;
+      this.isConnected = false;
+    };
+    await client.connect(new StreamableHTTPClientTransport(new URL(url)));
+
+    this.mcpClient = client;
+    this.isConnected = true;
+    console.log(`🔗 MCP HTTP server connected at ${url}`);
+    console.log("✅ MCP Agent system connected successfully");
+    return true;
+  }
+
   setupCommunication() {
+    const child = this.mcpProcess;
     let buffer = "";
 
     // Handle incoming messages from MCP server
-    this.mcpProcess.stdout.on("data", (data) => {
+    child.stdout.on("data", (data) => {
       buffer += data.toString();
 
       // Process complete JSON messages
@@ -171,22 +339,83 @@ export class AgentCoordinator {
     });
 
     // Handle errors
-    this.mcpProcess.stderr.on("data", (data) => {
+    child.stderr.on("data", (data) => {
       const errorMsg = data.toString();
       console.error("MCP Server error:", errorMsg);
     });
 
+    // A write racing the child's exit raises EPIPE here; the exit handler cleans up
+    child.stdin.on("error", (error) => {
+      console.error("MCP Server stdin error:", error.message);
+    });
+
+    child.on("error", (error) => {
+      console.error("MCP Server process error:", error.message);
+    });
+
     // Send MCP initialization request
     setTimeout(() => {
-      this.sendInitializeRequest();
+      if (this.mcpProcess === child) {
+        this.sendInitializeRequest();
+      }
     }, 1000); // Give the server time to start
 
-    this.mcpProcess.on("exit", (code) => {
+    child.on("exit", (code, signal) => {
       console.log(`MCP Server exited with code ${code}`);
+
+      // Ignore children we replaced or stopped on purpose
+      if (this.mcpProcess !== child) return;
+
+      // A crash after a successful start opens the breaker and schedules the
+      // respawn; a child that dies while starting is counted by connect()
+      const retryAfterMs = this.isConnected ? this.recordFailure() : 0;
+      this.mcpProcess = null;
       this.isConnected = false;
+      this.rejectPending(
+        new McpUnavailableError(
+          `MCP server exited ${signal ? `on ${signal}` : `with code ${code}`}`,
+          retryAfterMs
+        )
+      );
     });
   }
 
+  /**
+   * Kill the stdio child and fail everything still waiting on it
+   * @param {Error} error - Rejection for the pending calls
+   */
+  stopChild(error) {
+    const child = this.mcpProcess;
+    this.mcpProcess = null;
+    this.isConnected = false;
+    child?.kill("SIGTERM");
+    this.rejectPending(error);
+  }
+
+  rejectPending(error) {
+    for (const requestId of [...this.responseCallbacks.keys()]) {
+      this.takeCallback(requestId).reject(error);
+    }
+  }
+
+  // Remove a pending request, clearing its timeout and abort listener
+  takeCallback(requestId) {
+    const callback = this.responseCallbacks.get(requestId);
+    if (!callback) return undefined;
+
+    this.responseCallbacks.delete(requestId);
+    clearTimeout(callback.timer);
+    callback.signal?.removeEventListener("abort", callback.onAbort);
+    return callback;
+  }
+
+  writeMessage(message) {
+    if (!this.mcpProcess || !this.mcpProcess.stdin.writable) {
+      throw new McpUnavailableError("MCP server is not running");
+    }
+    this.mcpProcess.stdin.write(JSON.stringify(message) + "\n");
+  }
+
   sendInitializeRequest() {
     const requestId = ++this.requestId;
     const message = {
@@ -224,7 +453,8 @@ export class AgentCoordinator {
     let attempts = 0;
     const maxAttempts = 10;
 
-    while (!this.isConnected && attempts < maxAttempts) {
+    // Stop early if the child exits while starting
+    while (!this.isConnected && this.mcpProcess && attempts < maxAttempts) {
       await new Promise((resolve) => setTimeout(resolve, 500));
       attempts++;
     }
@@ -232,30 +462,96 @@ export class AgentCoordinator {
     return this.isConnected;
   }
 
-  async sendToolCall(toolName, arguments_) {
+  /**
+   * Call an MCP tool
+   * @param {string} toolName
+   * @param {object} arguments_
+   * @param {object} [options]
+   * @param {(progress: object) => void} [options.onProgress] - Receives notifications/progress
+   *   params; each one also restarts the stdio response timeout
+   * @param {AbortSignal} [options.signal] - Stop waiting (and cancel the request on the
+   *   server) when it fires, e.g. the route's request.signal
+   * @throws {McpUnavailableError} While the server is down or restarting
+   * @throws {McpCallAbortedError} When the signal fires first
+   */
+  async sendToolCall(toolName, arguments_, options = {}) {
+    const { onProgress, signal } = options;
+
+    if (signal?.aborted) {
+      throw new McpCallAbortedError(toolName);
+    }
+
     if (!this.isConnected) {
-      const initialized = await this.initialize();
+      const initialized = await abortable(this.initialize(), signal, toolName);
       if (!initialized) {
         throw new Error("MCP agents not available");
       }
     }
 
+    // Shared MCP server: the SDK client handles sessions, progress and timeouts
+    if (this.mcpClient) {
+      const client = this.mcpClient;
+      try {
+        return await client.callTool(
+          { name: toolName, arguments: arguments_ },
+          undefined,
+          {
+            onprogress: onProgress,
+            resetTimeoutOnProgress: true,
+            timeout: 30000,
+            signal,
+          }
+        );
+      } catch (error) {
+        if (signal?.aborted) {
+          throw new McpCallAbortedError(toolName);
+        }
+
+        // JSON-RPC errors come from a live server; anything else means it went away
+        const { McpError } = await import("@modelcontextprotocol/sdk/types.js");
+        if (error instanceof McpError) {
+          throw error;
+        }
+
+        // First failed call drops the client; concurrent ones just report it
+        if (this.mcpClient === client) {
+          this.mcpClient = null;
+          this.isConnected = false;
+          this.recordFailure();
+          await client.close().catch(() => {});
+        }
+        throw new McpUnavailableError(
+          `MCP server unreachable: ${error.message}`,
+          Math.max(this.retryAt - Date.now(), 0)
+        );
+      }
+    }
+
     // Use HTTP API in Vercel environment
     if (this.useHttpApi) {
       // In server-side context, use direct function call to avoid URL issues
       if (typeof window === "undefined") {
         const { handleMcpRequest } = await import("./mcp-handler");
+        const requestId = ++this.requestId;
         const requestBody = {
           jsonrpc: "2.0",
           method: "tools/call",
           params: {
             name: toolName,
             arguments: arguments_,
+            ...(onProgress ? { _meta: { progressToken: requestId } } : {}),
           },
-          id: ++this.requestId,
+          id: requestId,
         };
 
-        const result = await handleMcpRequest(requestBody);
+        const result = await abortable(
+          handleMcpRequest(requestBody, {
+            sendNotification: (notification) =>
+              onProgress?.(notification.params),
+          }),
+          signal,
+          toolName
+        );
         if (result.error) {
           throw new Error(result.error.message || "MCP tool call failed");
         }
@@ -275,6 +571,7 @@ export class AgentCoordinator {
           },
           id: ++this.requestId,
         }),
+        signal,
       });
 
       if (!response.ok) {
@@ -300,29 +597,73 @@ export class AgentCoordinator {
         params: {
           name: toolName,
           arguments: arguments_,
+          // The request id doubles as the progress token
+          ...(onProgress ? { _meta: { progressToken: requestId } } : {}),
         },
       };
 
+      // Stop waiting and tell the server to drop the request
+      const onAbort = () => {
+        if (!this.takeCallback(requestId)) return;
+        reject(new McpCallAbortedError(toolName));
+        try {
+          this.writeMessage({
+            jsonrpc: "2.0",
+            method: "notifications/cancelled",
+            params: { requestId, reason: "Client aborted the request" },
+          });
+        } catch {
+          // Server already gone; nothing left to cancel
+        }
+      };
+
       // Store callback for this request
-      this.responseCallbacks.set(requestId, { resolve, reject });
+      this.responseCallbacks.set(requestId, {
+        resolve,
+        reject,
+        onProgress,
+        signal,
+        onAbort,
+      });
+      signal?.addEventListener("abort", onAbort, { once: true });
+      this.armResponseTimeout(requestId);
 
       // Send message to MCP server
-      this.mcpProcess.stdin.write(JSON.stringify(message) + "\n");
-
-      // Set timeout for response
-      setTimeout(() => {
-        if (this.responseCallbacks.has(requestId)) {
-          this.responseCallbacks.delete(requestId);
-          reject(new Error("MCP tool call timeout"));
-        }
-      }, 30000); // 30 second timeout
+      try {
+        this.writeMessage(message);
+      } catch (error) {
+        this.takeCallback(requestId);
+        reject(error);
+      }
     });
   }
 
+  // (Re)start the 30 second response timeout for a pending request
+  armResponseTimeout(requestId) {
+    const callback = this.responseCallbacks.get(requestId);
+    if (!callback) return;
+
+    clearTimeout(callback.timer);
+    callback.timer = setTimeout(() => {
+      if (this.takeCallback(requestId)) {
+        callback.reject(new Error("MCP tool call timeout"));
+      }
+    }, 30000); // 30 seconds of silence
+  }
+
   handleResponse(message) {
+    if (message.method === "notifications/progress") {
+      const requestId = message.params?.progressToken;
+      const callback = this.responseCallbacks.get(requestId);
+      if (callback?.onProgress) {
+        this.armResponseTimeout(requestId);
+        callback.onProgress(message.params);
+      }
+      return;
+    }
+
     if (message.id && this.responseCallbacks.has(message.id)) {
-      const { resolve, reject } = this.responseCallbacks.get(message.id);
-      this.responseCallbacks.delete(message.id);
+      const { resolve, reject } = this.takeCallback(message.id);
 
       if (message.error) {
         reject(new Error(message.error.message || "MCP tool call failed"));
@@ -335,33 +676,84 @@ export class AgentCoordinator {
   // High-level methods for API routes
   async generateWebDevTest(options) {
     try {
-      const result = await this.sendToolCall("generate_jr_web_test", {
-        topics: options.topics || ["javascript", "html"],
-        numQuestions: options.numQuestions || 20,
-        difficulty: options.difficulty || "junior",
-        focusAreas: options.focusTopics || [],
-        framework: options.framework || "vanilla",
-      });
+      const result = await this.sendToolCall(
+        "generate_jr_web_test",
+        {
+          topics: options.topics || ["javascript", "html"],
+          numQuestions: options.numQuestions || 20,
+          difficulty: options.difficulty || "junior",
+          focusAreas: options.focusTopics || [],
+          framework: options.framework || "vanilla",
+          bankShare: options.bankShare,
+          userId: options.userId || "default",
+        },
+        { signal: options.signal }
+      );
+
+      const parsedResult = this.parseToolResponse(result);
+      return { ok: true, result: parsedResult };
+    } catch (error) {
+      throw wrapToolError("Test generation failed", error);
+    }
+  }
+
+  /**
+   * Generate a test, relaying each question as the MCP server streams it
+   * @param {object} options - Same as generateWebDevTest
+   * @param {(question: object, index: number, total: number) => void} onQuestion
+   */
+  async generateWebDevTestStream(options, onQuestion) {
+    try {
+      const result = await this.sendToolCall(
+        "generate_jr_web_test",
+        {
+          topics: options.topics || ["javascript", "html"],
+          numQuestions: options.numQuestions || 20,
+          difficulty: options.difficulty || "junior",
+          focusAreas: options.focusTopics || [],
+          framework: options.framework || "vanilla",
+          bankShare: options.bankShare,
+          userId: options.userId || "default",
+        },
+        {
+          onProgress: (progress) => {
+            if (progress._meta?.question) {
+              onQuestion(
+                progress._meta.question,
+                progress.progress,
+                progress.total
+              );
+            }
+          },
+          signal: options.signal,
+        }
+      );
 
       const parsedResult = this.parseToolResponse(result);
       return { ok: true, result: parsedResult };
     } catch (error) {
-      throw new Error(`Test generation failed: ${error.message}`);
+      throw wrapToolError("Test generation failed", error);
     }
   }
 
   async gradeWebDevTest(test, answers, options = {}) {
     try {
-      const result = await this.sendToolCall("grade_web_test", {
-        test,
-        answers,
-        strictness: options.strictness || "standard",
-      });
+      const result = await this.sendToolCall(
+        "grade_web_test",
+        {
+          test,
+          answers,
+          strictness: options.strictness || "standard",
+          samples: options.samples,
+          userId: options.userId,
+        },
+        { signal: options.signal }
+      );
 
       const parsedResult = this.parseToolResponse(result);
       return { ok: true, result: parsedResult };
     } catch (error) {
-      throw new Error(`Test grading failed: ${error.message}`);
+      throw wrapToolError("Test grading failed", error);
     }
   }
 
@@ -369,20 +761,25 @@ export class AgentCoordinator {
     question,
     studentAnswer,
     expectedAnswer,
-    context = "general"
+    context = "general",
+    options = {}
   ) {
     try {
-      const result = await this.sendToolCall("explain_web_concept", {
-        question,
-        studentAnswer,
-        expectedAnswer,
-        context,
-      });
+      const result = await this.sendToolCall(
+        "explain_web_concept",
+        {
+          question,
+          studentAnswer,
+          expectedAnswer,
+          context,
+        },
+        { signal: options.signal }
+      );
 
       const parsedResult = this.parseToolResponse(result);
       return { ok: true, result: parsedResult };
     } catch (error) {
-      throw new Error(`Concept explanation failed: ${error.message}`);
+      throw wrapToolError("Concept explanation failed", error);
     }
   }
 
@@ -393,19 +790,60 @@ export class AgentCoordinator {
     options = {}
   ) {
     try {
-      const result = await this.sendToolCall("explain_wrong_answer", {
-        question,
-        studentAnswer,
-        correctAnswer,
-        category: options.category || question.category || "general",
-        difficulty: options.difficulty || "junior",
-        context: options.context || {},
-      });
+      const result = await this.sendToolCall(
+        "explain_wrong_answer",
+        {
+          question,
+          studentAnswer,
+          correctAnswer,
+          category: options.category || question.category || "general",
+          difficulty: options.difficulty || "junior",
+          context: options.context || {},
+        },
+        { signal: options.signal }
+      );
 
       const parsedResult = this.parseToolResponse(result);
       return { ok: true, result: parsedResult };
     } catch (error) {
-      throw new Error(`Wrong answer explanation failed: ${error.message}`);
+      throw wrapToolError("Wrong answer explanation failed", error);
+    }
+  }
+
+  async askFollowUp(
+    question,
+    studentAnswer,
+    correctAnswer,
+    message,
+    options = {}
+  ) {
+    // Initialize MCP connection if not connected
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+
+    if (!this.isConnected) {
+      throw new Error("MCP server required but not connected");
+    }
+
+    try {
+      const result = await this.sendToolCall(
+        "ask_follow_up",
+        {
+          question,
+          studentAnswer,
+          correctAnswer,
+          message,
+          explanation: options.explanation || {},
+          history: options.history || [],
+          difficulty: options.difficulty || "junior",
+        },
+        { signal: options.signal }
+      );
+
+      return { ok: true, result: this.parseToolResponse(result) };
+    } catch (error) {
+      throw wrapToolError("Follow-up question failed", error);
     }
   }
 
@@ -414,7 +852,8 @@ export class AgentCoordinator {
     testResults,
     currentDifficulty = "junior",
     subject = "general",
-    userId = "default"
+    userId = "default",
+    options = {}
   ) {
     // Initialize MCP connection if not connected
     if (!this.isConnected) {
@@ -426,20 +865,25 @@ export class AgentCoordinator {
     }
 
     try {
-      const result = await this.sendToolCall("track_learning_progress", {
-        userId,
-        testResults,
-        currentDifficulty,
-        subject,
-      });
+      const result = await this.sendToolCall(
+        "track_learning_progress",
+        {
+          userId,
+          testResults,
+          currentDifficulty,
+          subject,
+          gradeId: options.gradeId,
+        },
+        { signal: options.signal }
+      );
 
       return { ok: true, result: this.parseToolResponse(result) };
     } catch (error) {
-      throw new Error(`Progress tracking failed: ${error.message}`);
+      throw wrapToolError("Progress tracking failed", error);
     }
   }
 
-  async getProgressStats(userId = "default", timeframe = "week") {
+  async getProgressStats(userId = "default", timeframe = "week", options = {}) {
     // Initialize MCP connection if not connected
     if (!this.isConnected) {
       await this.initialize();
@@ -450,14 +894,352 @@ export class AgentCoordinator {
     }
 
     try {
-      const result = await this.sendToolCall("get_progress_stats", {
-        userId,
-        timeframe,
-      });
+      const result = await this.sendToolCall(
+        "get_progress_stats",
+        {
+          userId,
+          timeframe,
+        },
+        { signal: options.signal }
+      );
+
+      return { ok: true, result: this.parseToolResponse(result) };
+    } catch (error) {
+      throw wrapToolError("Progress stats failed", error);
+    }
+  }
+
+  // Spaced-repetition review methods
+  async scheduleReviews(questions, results, userId = "default", options = {}) {
+    // Initialize MCP connection if not connected
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+
+    if (!this.isConnected) {
+      throw new Error("MCP server required but not connected");
+    }
+
+    try {
+      const result = await this.sendToolCall(
+        "schedule_review",
+        { userId, questions, results },
+        { signal: options.signal }
+      );
+
+      return { ok: true, result: this.parseToolResponse(result) };
+    } catch (error) {
+      throw wrapToolError("Review scheduling failed", error);
+    }
+  }
+
+  async getReviewQueue(userId = "default", limit = 20, options = {}) {
+    // Initialize MCP connection if not connected
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+
+    if (!this.isConnected) {
+      throw new Error("MCP server required but not connected");
+    }
+
+    try {
+      const result = await this.sendToolCall(
+        "get_review_queue",
+        { userId, limit },
+        { signal: options.signal }
+      );
+
+      return { ok: true, result: this.parseToolResponse(result) };
+    } catch (error) {
+      throw wrapToolError("Review queue failed", error);
+    }
+  }
+
+  async submitReview(answers, userId = "default", options = {}) {
+    // Initialize MCP connection if not connected
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+
+    if (!this.isConnected) {
+      throw new Error("MCP server required but not connected");
+    }
+
+    try {
+      const result = await this.sendToolCall(
+        "submit_review",
+        {
+          userId,
+          answers,
+          strictness: options.strictness || "standard",
+        },
+        { signal: options.signal }
+      );
+
+      return { ok: true, result: this.parseToolResponse(result) };
+    } catch (error) {
+      throw wrapToolError("Review grading failed", error);
+    }
+  }
+
+  // Mock interview methods
+  async startInterview(userId = "default", options = {}) {
+    // Initialize MCP connection if not connected
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+
+    if (!this.isConnected) {
+      throw new Error("MCP server required but not connected");
+    }
+
+    try {
+      const result = await this.sendToolCall(
+        "start_interview",
+        {
+          userId,
+          topic: options.topic,
+          difficulty: options.difficulty,
+          maxFollowUps: options.maxFollowUps,
+          question: options.question,
+        },
+        { signal: options.signal }
+      );
+
+      return { ok: true, result: this.parseToolResponse(result) };
+    } catch (error) {
+      throw wrapToolError("Interview start failed", error);
+    }
+  }
+
+  async answerInterview(interviewId, answer, userId = "default", options = {}) {
+    // Initialize MCP connection if not connected
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+
+    if (!this.isConnected) {
+      throw new Error("MCP server required but not connected");
+    }
+
+    try {
+      const result = await this.sendToolCall(
+        "answer_interview",
+        { userId, interviewId, answer, end: options.end === true },
+        { signal: options.signal }
+      );
+
+      return { ok: true, result: this.parseToolResponse(result) };
+    } catch (error) {
+      throw wrapToolError("Interview answer failed", error);
+    }
+  }
+
+  async getInterviews(userId = "default", options = {}) {
+    // Initialize MCP connection if not connected
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+
+    if (!this.isConnected) {
+      throw new Error("MCP server required but not connected");
+    }
+
+    try {
+      const result = await this.sendToolCall(
+        "get_interviews",
+        { userId, interviewId: options.interviewId, limit: options.limit },
+        { signal: options.signal }
+      );
+
+      return { ok: true, result: this.parseToolResponse(result) };
+    } catch (error) {
+      throw wrapToolError("Interview lookup failed", error);
+    }
+  }
+
+  // Grade review methods
+  async disputeGrade(userId, gradeId, questionId, reason, options = {}) {
+    // Initialize MCP connection if not connected
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+
+    if (!this.isConnected) {
+      throw new Error("MCP server required but not connected");
+    }
+
+    try {
+      const result = await this.sendToolCall(
+        "dispute_grade",
+        { userId, gradeId, questionId, reason },
+        { signal: options.signal }
+      );
+
+      return { ok: true, result: this.parseToolResponse(result) };
+    } catch (error) {
+      throw wrapToolError("Grade dispute failed", error);
+    }
+  }
+
+  async getGradeReviewQueue(filters = {}, options = {}) {
+    // Initialize MCP connection if not connected
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+
+    if (!this.isConnected) {
+      throw new Error("MCP server required but not connected");
+    }
+
+    try {
+      const result = await this.sendToolCall(
+        "get_grade_review_queue",
+        {
+          status: filters.status,
+          lowConfidence: filters.lowConfidence,
+          disputed: filters.disputed,
+          category: filters.category,
+          userId: filters.userId,
+          limit: filters.limit,
+        },
+        { signal: options.signal }
+      );
+
+      return { ok: true, result: this.parseToolResponse(result) };
+    } catch (error) {
+      throw wrapToolError("Grade review queue failed", error);
+    }
+  }
+
+  async overrideGrade(reviewer, override, options = {}) {
+    // Initialize MCP connection if not connected
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+
+    if (!this.isConnected) {
+      throw new Error("MCP server required but not connected");
+    }
+
+    try {
+      const result = await this.sendToolCall(
+        "override_grade",
+        {
+          reviewer,
+          userId: override.userId,
+          gradeId: override.gradeId,
+          questionId: override.questionId,
+          score: override.score,
+          correct: override.correct,
+          feedback: override.feedback,
+          reason: override.reason,
+        },
+        { signal: options.signal }
+      );
+
+      return { ok: true, result: this.parseToolResponse(result) };
+    } catch (error) {
+      throw wrapToolError("Grade override failed", error);
+    }
+  }
+
+  async getGradeAuditLog(filters = {}, options = {}) {
+    // Initialize MCP connection if not connected
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+
+    if (!this.isConnected) {
+      throw new Error("MCP server required but not connected");
+    }
+
+    try {
+      const result = await this.sendToolCall(
+        "get_grade_audit_log",
+        {
+          userId: filters.userId,
+          gradeId: filters.gradeId,
+          questionId: filters.questionId,
+          limit: filters.limit,
+        },
+        { signal: options.signal }
+      );
+
+      return { ok: true, result: this.parseToolResponse(result) };
+    } catch (error) {
+      throw wrapToolError("Audit log lookup failed", error);
+    }
+  }
+
+  // Quiz authoring methods
+  async importQuiz(content, format, options = {}) {
+    // Initialize MCP connection if not connected
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+
+    if (!this.isConnected) {
+      throw new Error("MCP server required but not connected");
+    }
+
+    try {
+      const result = await this.sendToolCall(
+        "import_quiz",
+        { content, format, filename: options.filename },
+        { signal: options.signal }
+      );
+
+      return { ok: true, result: this.parseToolResponse(result) };
+    } catch (error) {
+      throw wrapToolError("Quiz import failed", error);
+    }
+  }
+
+  async exportQuiz(test, format, options = {}) {
+    // Initialize MCP connection if not connected
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+
+    if (!this.isConnected) {
+      throw new Error("MCP server required but not connected");
+    }
+
+    try {
+      const result = await this.sendToolCall(
+        "export_quiz",
+        { test, format },
+        { signal: options.signal }
+      );
 
       return { ok: true, result: this.parseToolResponse(result) };
     } catch (error) {
-      throw new Error(`Progress stats failed: ${error.message}`);
+      throw wrapToolError("Quiz export failed", error);
+    }
+  }
+
+  async exportResultsReport(report, format, options = {}) {
+    // Initialize MCP connection if not connected
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+
+    if (!this.isConnected) {
+      throw new Error("MCP server required but not connected");
+    }
+
+    try {
+      const result = await this.sendToolCall(
+        "export_results_report",
+        { ...report, format },
+        { signal: options.signal }
+      );
+
+      return { ok: true, result: this.parseToolResponse(result) };
+    } catch (error) {
+      throw wrapToolError("Results report failed", error);
     }
   }
 
@@ -466,19 +1248,47 @@ export class AgentCoordinator {
       throw new Error("Invalid tool response format");
     }
 
+    const text = result.content[0].text;
+    if (result.isError) {
+      throw new Error(text.replace(/^Error:\s*/, ""));
+    }
+
+    let payload;
     try {
-      return JSON.parse(result.content[0].text);
+      payload = JSON.parse(text);
     } catch {
       throw new Error("Failed to parse tool response JSON");
     }
+
+    // Agents wrap their output as { ok, result } or { ok: false, error }
+    if (payload && typeof payload.ok === "boolean") {
+      if (!payload.ok) {
+        const error = new Error(
+          payload.message || payload.error || "Tool call failed"
+        );
+        if (payload.code) error.code = payload.code;
+        if (payload.issues) error.issues = payload.issues;
+        throw error;
+      }
+      return payload.result;
+    }
+
+    return payload;
   }
 
   async shutdown() {
-    if (this.mcpProcess) {
-      this.mcpProcess.kill("SIGTERM");
-      this.mcpProcess = null;
+    // No respawns once we are going down
+    this.supervising = false;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+
+    if (this.mcpClient) {
+      await this.mcpClient.close();
+      this.mcpClient = null;
       this.isConnected = false;
     }
+
+    this.stopChild(new McpUnavailableError("MCP agent coordinator shut down"));
   }
 
   // Get agent capabilities and status
@@ -486,14 +1296,10 @@ export class AgentCoordinator {
     return {
       connected: this.isConnected,
       processId: this.mcpProcess?.pid || null,
-      availableTools: [
-        "generate_jr_web_test",
-        "grade_web_test",
-        "explain_web_concept",
-        "explain_wrong_answer",
-        "derive_focus_topics",
-        "validate_web_code",
-      ],
+      serverUrl: this.mcpClient ? process.env.MCP_SERVER_URL : null,
+      consecutiveFailures: this.failureCount,
+      retryAfterMs: Math.max(this.retryAt - Date.now(), 0),
+      availableTools: TOOL_NAMES,
     };
   }
 }
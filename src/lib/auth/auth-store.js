@@ -0,0 +1,294 @@
+/**
+ * Auth Store - Accounts, sessions and magic-link tokens
+ * Each collection is one JSON file in the store directory (users.json,
+ * sessions.json, magic-links.json). Updates to a collection run one at a time and
+ * replace the file atomically. Session and magic-link tokens are only stored as
+ * SHA-256 hashes, so a leaked store cannot be used to sign in.
+ * An email counts as verified once a magic link sent to it has been used
+ *
+ * Environment:
+ *   AUTH_STORE_DIR           where the files live, resolved from the working directory
+ *                            (default: ./data/auth; required on Vercel)
+ *   SESSION_TTL_DAYS         how long a sign-in lasts (default: 30)
+ *   MAGIC_LINK_TTL_MINUTES   how long an emailed sign-in link works (default: 15)
+ */
+
+import crypto from "crypto";
+import path from "path";
+import { FileStore } from "../../../mcp-server/storage/file-store.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_SESSION_DAYS = 30;
+const DEFAULT_MAGIC_LINK_MINUTES = 15;
+
+function defaultDir() {
+  if (process.env.AUTH_STORE_DIR) {
+    return path.resolve(process.env.AUTH_STORE_DIR);
+  }
+  // A lambda's temp dir is neither shared nor kept, so accounts would vanish
+  if (process.env.VERCEL) {
+    throw new Error(
+      "AUTH_STORE_DIR must point to durable storage shared by every instance on Vercel"
+    );
+  }
+  return path.resolve("data", "auth");
+}
+
+function ttlMs(variable, fallback, unitMs) {
+  const value = Number(process.env[variable]);
+  return (value > 0 ? value : fallback) * unitMs;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function newToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+export function normalizeEmail(email) {
+  return String(email || "")
+    .trim()
+    .toLowerCase();
+}
+
+export function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) && email.length <= 254;
+}
+
+// The parts of an account that leave the server
+export function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    createdAt: user.createdAt,
+    emailVerified: Boolean(user.emailVerifiedAt),
+  };
+}
+
+export class AuthStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Directory for the collection files
+   */
+  constructor(options = {}) {
+    this.files = new FileStore(options.dir || defaultDir());
+  }
+
+  async read(collection) {
+    const data = await this.files.readJson(`${collection}.json`);
+    return Array.isArray(data?.records) ? data.records : [];
+  }
+
+  /**
+   * Read, change and write back a collection as one step
+   * @param {string} collection
+   * @param {(records: object[]) => {records: object[], result?: any}|Promise<{records: object[], result?: any}>} update
+   * @returns {Promise<any>} The update's result
+   */
+  update(collection, update) {
+    const fileName = `${collection}.json`;
+    return this.files.serialize(fileName, async () => {
+      const { records, result } = await update(await this.read(collection));
+      await this.files.writeJson(
+        fileName,
+        { updatedAt: new Date().toISOString(), records },
+        { mode: 0o600 }
+      );
+      return result;
+    });
+  }
+
+  // Accounts
+
+  async findUserByEmail(email) {
+    const normalized = normalizeEmail(email);
+    const users = await this.read("users");
+    return users.find((user) => user.email === normalized) || null;
+  }
+
+  async findUserById(id) {
+    const users = await this.read("users");
+    return users.find((user) => user.id === id) || null;
+  }
+
+  /**
+   * A password account; its email stays unverified until a magic link is used
+   * @param {string} email
+   * @param {string} passwordHash
+   * @returns {Promise<object|null>} The new user, or null when the email is taken
+   */
+  createUser(email, passwordHash) {
+    const normalized = normalizeEmail(email);
+    return this.update("users", (users) => {
+      if (users.some((user) => user.email === normalized)) {
+        return { records: users, result: null };
+      }
+      const user = {
+        id: crypto.randomUUID(),
+        email: normalized,
+        passwordHash,
+        createdAt: new Date().toISOString(),
+        emailVerifiedAt: null,
+      };
+      return { records: [...users, user], result: user };
+    });
+  }
+
+  /**
+   * The account for an email whose magic link was just used, created without a
+   * password if there is none. The first verification clears a password set before
+   * it: anyone could have signed up with this address, so only its owner keeps access
+   * @param {string} email
+   * @returns {Promise<{user: object, verifiedNow: boolean}>}
+   */
+  verifyEmailUser(email) {
+    const normalized = normalizeEmail(email);
+    const now = new Date().toISOString();
+    return this.update("users", (users) => {
+      const existing = users.find((user) => user.email === normalized);
+      if (existing?.emailVerifiedAt) {
+        return {
+          records: users,
+          result: { user: existing, verifiedNow: false },
+        };
+      }
+      if (existing) {
+        const user = { ...existing, passwordHash: null, emailVerifiedAt: now };
+        return {
+          records: users.map((entry) => (entry === existing ? user : entry)),
+          result: { user, verifiedNow: true },
+        };
+      }
+      const user = {
+        id: crypto.randomUUID(),
+        email: normalized,
+        passwordHash: null,
+        createdAt: now,
+        emailVerifiedAt: now,
+      };
+      return {
+        records: [...users, user],
+        result: { user, verifiedNow: false },
+      };
+    });
+  }
+
+  // Sessions
+
+  /**
+   * @param {string} userId
+   * @returns {Promise<{token: string, expiresAt: string}>} The token goes in the cookie only
+   */
+  createSession(userId) {
+    const token = newToken();
+    const now = Date.now();
+    const expiresAt = new Date(
+      now + ttlMs("SESSION_TTL_DAYS", DEFAULT_SESSION_DAYS, DAY_MS)
+    ).toISOString();
+
+    return this.update("sessions", (sessions) => ({
+      // Expired sessions are dropped whenever a new one starts
+      records: [
+        ...sessions.filter((session) => Date.parse(session.expiresAt) > now),
+        {
+          tokenHash: hashToken(token),
+          userId,
+          createdAt: new Date(now).toISOString(),
+          expiresAt,
+        },
+      ],
+      result: { token, expiresAt },
+    }));
+  }
+
+  /**
+   * @param {string} token
+   * @returns {Promise<object|null>} The live session for a cookie token
+   */
+  async findSession(token) {
+    if (!token) return null;
+    const tokenHash = hashToken(token);
+    const sessions = await this.read("sessions");
+    const session = sessions.find((entry) => entry.tokenHash === tokenHash);
+    return session && Date.parse(session.expiresAt) > Date.now()
+      ? session
+      : null;
+  }
+
+  /**
+   * Sign a user out everywhere
+   * @param {string} userId
+   */
+  deleteUserSessions(userId) {
+    return this.update("sessions", (sessions) => ({
+      records: sessions.filter((session) => session.userId !== userId),
+    }));
+  }
+
+  deleteSession(token) {
+    const tokenHash = hashToken(token);
+    return this.update("sessions", (sessions) => ({
+      records: sessions.filter((session) => session.tokenHash !== tokenHash),
+    }));
+  }
+
+  // Magic links
+
+  /**
+   * @param {string} email
+   * @returns {Promise<string>} The token to put in the emailed link
+   */
+  createMagicLink(email) {
+    const token = newToken();
+    const now = Date.now();
+    const expiresAt = new Date(
+      now +
+        ttlMs("MAGIC_LINK_TTL_MINUTES", DEFAULT_MAGIC_LINK_MINUTES, MINUTE_MS)
+    ).toISOString();
+
+    return this.update("magic-links", (links) => ({
+      records: [
+        ...links.filter((link) => Date.parse(link.expiresAt) > now),
+        {
+          tokenHash: hashToken(token),
+          email: normalizeEmail(email),
+          expiresAt,
+        },
+      ],
+      result: token,
+    }));
+  }
+
+  /**
+   * Use up a magic-link token; each link works once
+   * @param {string} token
+   * @returns {Promise<string|null>} The email it was sent to, or null if invalid or expired
+   */
+  consumeMagicLink(token) {
+    const tokenHash = hashToken(token);
+    const now = Date.now();
+    return this.update("magic-links", (links) => {
+      const link = links.find((entry) => entry.tokenHash === tokenHash);
+      return {
+        records: links.filter(
+          (entry) =>
+            entry.tokenHash !== tokenHash && Date.parse(entry.expiresAt) > now
+        ),
+        result: link && Date.parse(link.expiresAt) > now ? link.email : null,
+      };
+    });
+  }
+}
+
+// Singleton instance
+let authStore = null;
+
+export function getAuthStore() {
+  if (!authStore) {
+    authStore = new AuthStore();
+  }
+  return authStore;
+}
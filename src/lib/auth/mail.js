@@ -0,0 +1,73 @@
+/**
+ * Mail Transports - How sign-in links reach the learner
+ * A transport has one method, send({from, to, subject, text}). The built-in
+ * "console" transport prints the message to the server log, which is enough for
+ * local use; register SMTP or an email API with registerMailTransport. The log would
+ * hold live sign-in links, so production needs MAIL_TRANSPORT set explicitly
+ *
+ * Environment:
+ *   MAIL_TRANSPORT  console, or a registered transport name. Defaults to console
+ *                   outside production; required in production
+ *   MAIL_FROM       sender address (default: Web Dev Test Trainer <no-reply@localhost>)
+ */
+
+const DEFAULT_FROM = "Web Dev Test Trainer <no-reply@localhost>";
+
+const transportFactories = {
+  console: () => ({
+    name: "console",
+    async send(message) {
+      console.log(
+        `📧 Mail to ${message.to}: ${message.subject}\n${message.text}`
+      );
+    },
+  }),
+};
+
+const transportInstances = new Map();
+
+/**
+ * Register an additional mail transport
+ * @param {string} name - Value used in MAIL_TRANSPORT
+ * @param {() => {send: (message: {from: string, to: string, subject: string, text: string}) => Promise<void>}} factory
+ */
+export function registerMailTransport(name, factory) {
+  transportFactories[name] = factory;
+  transportInstances.delete(name);
+}
+
+// console outside production; in production the operator has to choose
+function defaultTransportName() {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === "production") {
+    throw new Error(
+      "MAIL_TRANSPORT must be set in production. Register a transport, or set MAIL_TRANSPORT=console to print sign-in links to the server log"
+    );
+  }
+  return "console";
+}
+
+export function getMailTransport(name = defaultTransportName()) {
+  if (!transportInstances.has(name)) {
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(
+        `Unknown mail transport "${name}". Available: ${Object.keys(
+          transportFactories
+        ).join(", ")}`
+      );
+    }
+    transportInstances.set(name, factory());
+  }
+  return transportInstances.get(name);
+}
+
+/**
+ * @param {{to: string, subject: string, text: string}} message
+ */
+export async function sendMail(message) {
+  await getMailTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    ...message,
+  });
+}
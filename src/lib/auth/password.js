@@ -0,0 +1,71 @@
+/**
+ * Password Hashing - scrypt with a per-password salt
+ * Hashes are stored as "scrypt$N$r$p$salt$key" (base64url), so the cost can be raised
+ * later without breaking existing accounts
+ */
+
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELISM = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+export const MIN_PASSWORD_LENGTH = 8;
+// scrypt reads the whole password; a cap keeps a huge one from tying up the server
+export const MAX_PASSWORD_LENGTH = 256;
+
+/**
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_LENGTH, {
+    N: COST,
+    r: BLOCK_SIZE,
+    p: PARALLELISM,
+  });
+  return [
+    "scrypt",
+    COST,
+    BLOCK_SIZE,
+    PARALLELISM,
+    salt.toString("base64url"),
+    key.toString("base64url"),
+  ].join("$");
+}
+
+/**
+ * @param {string} password
+ * @param {string} stored - From hashPassword
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, cost, blockSize, parallelism, salt, key] =
+    String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !key) return false;
+
+  const expected = Buffer.from(key, "base64url");
+  const actual = await scrypt(
+    password,
+    Buffer.from(salt, "base64url"),
+    expected.length,
+    { N: Number(cost), r: Number(blockSize), p: Number(parallelism) }
+  );
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Hashed against for unknown emails, so a failed sign-in takes as long either way
+let dummyHash = null;
+
+export async function getDummyHash() {
+  if (!dummyHash) {
+    dummyHash = await hashPassword(crypto.randomBytes(16).toString("hex"));
+  }
+  return dummyHash;
+}
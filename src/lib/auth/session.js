@@ -0,0 +1,141 @@
+/**
+ * Sessions - Who is making a request
+ * The session token lives in an HttpOnly cookie and is looked up in the auth store
+ * on each request. Routes take the userId from here, never from the request body or
+ * query string
+ *
+ * Environment:
+ *   REVIEWER_EMAILS  comma-separated accounts allowed to review and override grades,
+ *                    once their email is verified
+ */
+
+import { getAuthStore, normalizeEmail, publicUser } from "./auth-store.js";
+
+export const SESSION_COOKIE = "trainer_session";
+
+/**
+ * AuthError - The request has no valid session
+ * Routes return it with its status like any other coordinator error
+ */
+export class AuthError extends Error {
+  constructor(message = "Sign in required") {
+    super(message);
+    this.name = "AuthError";
+    this.code = "UNAUTHENTICATED";
+    this.status = 401;
+  }
+}
+
+/**
+ * ForbiddenError - Signed in, but not allowed to do this
+ */
+export class ForbiddenError extends Error {
+  constructor(message = "Reviewer access required") {
+    super(message);
+    this.name = "ForbiddenError";
+    this.code = "FORBIDDEN";
+    this.status = 403;
+  }
+}
+
+function isListedReviewer(user) {
+  const reviewers = String(process.env.REVIEWER_EMAILS || "")
+    .split(",")
+    .map(normalizeEmail)
+    .filter(Boolean);
+  return reviewers.includes(normalizeEmail(user.email));
+}
+
+/**
+ * Whether an account may review other learners' grades. Anyone can sign up with a
+ * listed address, so the role waits until a magic link has proved the email
+ * @param {{email: string, emailVerified?: boolean}|null} user
+ */
+export function isReviewer(user) {
+  return Boolean(user?.emailVerified) && isListedReviewer(user);
+}
+
+/**
+ * A public user with the role the app shows them
+ * @param {{id: string, email: string, createdAt: string, emailVerified: boolean}|null} user
+ */
+export function withRole(user) {
+  return user && { ...user, reviewer: isReviewer(user) };
+}
+
+/**
+ * @param {import("next/server").NextRequest} request
+ * @returns {Promise<{id: string, email: string, createdAt: string, emailVerified: boolean}|null>}
+ */
+export async function getSessionUser(request) {
+  const token = request.cookies.get(SESSION_COOKIE)?.value;
+  const store = getAuthStore();
+  const session = await store.findSession(token);
+  if (!session) return null;
+
+  const user = await store.findUserById(session.userId);
+  return user ? publicUser(user) : null;
+}
+
+/**
+ * @param {import("next/server").NextRequest} request
+ * @returns {Promise<{id: string, email: string, createdAt: string, emailVerified: boolean}>}
+ * @throws {AuthError} When the request is not signed in
+ */
+export async function requireUser(request) {
+  const user = await getSessionUser(request);
+  if (!user) {
+    throw new AuthError();
+  }
+  return user;
+}
+
+/**
+ * @param {import("next/server").NextRequest} request
+ * @returns {Promise<{id: string, email: string, createdAt: string, emailVerified: boolean}>}
+ * @throws {AuthError} When the request is not signed in
+ * @throws {ForbiddenError} When the account is not in REVIEWER_EMAILS or its email is unverified
+ */
+export async function requireReviewer(request) {
+  const user = await requireUser(request);
+  if (isListedReviewer(user) && !user.emailVerified) {
+    throw new ForbiddenError(
+      "Sign in with an emailed link to verify this address before reviewing"
+    );
+  }
+  if (!isReviewer(user)) {
+    throw new ForbiddenError();
+  }
+  return user;
+}
+
+/**
+ * Start a session for a user and put its token on the response
+ * @param {import("next/server").NextResponse} response
+ * @param {string} userId
+ */
+export async function startSession(response, userId) {
+  const { token, expiresAt } = await getAuthStore().createSession(userId);
+  response.cookies.set(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    path: "/",
+    expires: new Date(expiresAt),
+  });
+  return response;
+}
+
+/**
+ * End the request's session and clear the cookie
+ * @param {import("next/server").NextRequest} request
+ * @param {import("next/server").NextResponse} response
+ */
+export async function endSession(request, response) {
+  const token = request.cookies.get(SESSION_COOKIE)?.value;
+  if (token) {
+    await getAuthStore().deleteSession(token);
+  }
+  response.cookies.delete(SESSION_COOKIE);
+  return response;
+}
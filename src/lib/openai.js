@@ -1,18 +1,16 @@
-import OpenAI from "openai";
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+import { buildMessages, chatCompletion } from "../../mcp-server/llm/index.js";
 
 /**
- * Chat wrapper function for OpenAI API calls
+ * Chat wrapper for LLM calls, routed through the shared provider layer
+ * Provider and model can be overridden with LLM_PROVIDER / LLM_CHAT_MODEL etc.
  * @param {string} systemPrompt - System message to set model behavior
- * @param {string} userPrompt - User message with the actual request
+ * @param {string|Array<{role: "user"|"assistant", content: string}>} conversation - User
+ *   message with the actual request, or the whole conversation ending with the user's
+ *   latest message
  * @param {object} options - Additional options for the API call
  * @returns {Promise<string>} The model's response text
  */
-export async function chat(systemPrompt, userPrompt, options = {}) {
+export async function chat(systemPrompt, conversation, options = {}) {
   const {
     model = "gpt-3.5-turbo", // Default model - users should swap to one they have access to
     maxTokens = 2000,
@@ -21,20 +19,14 @@ export async function chat(systemPrompt, userPrompt, options = {}) {
   } = options;
 
   try {
-    const response = await openai.chat.completions.create({
-      model,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt },
-      ],
-      max_tokens: maxTokens,
-      temperature,
-      ...otherOptions,
-    });
-
-    return response.choices[0]?.message?.content?.trim() || "";
+    const content = await chatCompletion(
+      "chat",
+      buildMessages(systemPrompt, conversation),
+      { model, maxTokens, temperature, extra: otherOptions }
+    );
+    return content.trim();
   } catch (error) {
-    console.error("OpenAI API Error:", error);
-    throw new Error(`OpenAI API failed: ${error.message}`);
+    console.error("LLM API Error:", error);
+    throw new Error(`LLM API failed: ${error.message}`);
   }
 }
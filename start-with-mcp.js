@@ -2,7 +2,8 @@
 
 /**
  * Startup script to run Next.js with MCP server
- * This script starts both the MCP server and Next.js dev server
+ * This script starts the MCP server in Streamable HTTP mode and a Next.js dev server
+ * that shares it (via MCP_SERVER_URL) instead of spawning its own stdio child
  */
 
 const { spawn } = require("child_process");
@@ -38,10 +39,12 @@ console.log("🚀 Starting Next.js Test Trainer with MCP Agents...\n");
 // Load environment variables
 const envVars = loadEnvFile();
 const fullEnv = { ...process.env, ...envVars };
+const mcpPort = fullEnv.MCP_HTTP_PORT || "3333";
+const mcpServerUrl = `http://127.0.0.1:${mcpPort}/mcp`;
 
 // Start MCP server
 console.log("📡 Starting MCP server...");
-const mcpServer = spawn("node", ["index.js"], {
+const mcpServer = spawn("node", ["index.js", "--http", "--port", mcpPort], {
   cwd: path.join(__dirname, "mcp-server"),
   stdio: ["pipe", "pipe", "pipe"],
   env: fullEnv,
@@ -53,7 +56,7 @@ mcpServer.stdout.on("data", (data) => {
 
 mcpServer.stderr.on("data", (data) => {
   const msg = data.toString().trim();
-  if (msg.includes("MCP Server running")) {
+  if (msg.includes("MCP Server listening")) {
     console.log("✅ MCP server ready!");
     startNextJs();
   } else {
@@ -79,7 +82,7 @@ function startNextJs() {
 
   const nextServer = spawn(npmCommand, ["run", "dev"], {
     stdio: "inherit",
-    env: { ...fullEnv, MCP_AVAILABLE: "true" },
+    env: { ...fullEnv, MCP_AVAILABLE: "true", MCP_SERVER_URL: mcpServerUrl },
     shell: true, // Enable shell on Windows
   });
 